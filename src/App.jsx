@@ -1,42 +1,87 @@
 import React from 'react';
+import { BrowserRouter, Routes, Route, Navigate, Link } from 'react-router-dom';
 import SearchPage from './pages/SearchPage';
 import { ToastProvider } from './components/Toast';
 import { ComparisonProvider } from './contexts/ComparisonContext.jsx';
+import { TeamProvider } from './contexts/TeamContext.jsx';
+import { ShortlistProvider } from './contexts/ShortlistContext.jsx';
+import { SavedSearchProvider } from './contexts/SavedSearchContext.jsx';
 import { ThemeProvider } from './contexts/ThemeContext.jsx';
 import ThemeToggle from './components/ThemeToggle.jsx';
+import OfflineBanner from './components/OfflineBanner.jsx';
+import { Settings } from 'lucide-react';
+import { ROUTES } from './utils/routes.js';
 
 function App() {
   return (
-    <ThemeProvider>
-      <ToastProvider>
-        <ComparisonProvider>
-          <div className="min-h-screen" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
-            {/* Logo and Title at top-left */}
-            <div 
-              className="absolute top-4 left-4 flex items-center gap-2 cursor-pointer z-10"
-              onClick={() => window.location.reload()}
-            >
-              <h1
-                className="text-xl font-bold"
-                style={{
-                  color: 'var(--torre-text-primary)',
-                }}
-              >
-                Torre<span style={{ color: 'var(--torre-accent)' }}>Dex</span>
-              </h1>
-            </div>
+    <BrowserRouter>
+      <ThemeProvider>
+        <ToastProvider>
+          <ComparisonProvider>
+            <TeamProvider>
+              <ShortlistProvider>
+                <SavedSearchProvider>
+                  <div className="min-h-screen" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
+                    {/* Logo and Title at top-left */}
+                    <Link
+                      to={ROUTES.search}
+                      className="absolute top-4 left-4 flex items-center gap-2 cursor-pointer z-10"
+                    >
+                      <h1
+                        className="text-xl font-bold"
+                        style={{
+                          color: 'var(--torre-text-primary)',
+                        }}
+                      >
+                        Torre<span style={{ color: 'var(--torre-accent)' }}>Dex</span>
+                      </h1>
+                    </Link>
 
-            {/* Fixed Theme Toggle */}
-            <ThemeToggle size="md" showLabel={false} />
+                    {/* Fixed Theme Toggle */}
+                    <ThemeToggle size="md" showLabel={false} />
 
-            <main className="h-full">
-              <SearchPage />
-            </main>
-          </div>
-        </ComparisonProvider>
-      </ToastProvider>
-    </ThemeProvider>
+                    {/* Settings, next to the theme toggle */}
+                    <Link
+                      to={ROUTES.settings}
+                      className="theme-toggle settings-link"
+                      aria-label="Settings"
+                      title="Settings"
+                    >
+                      <Settings size={18} style={{ color: 'var(--torre-text-primary)' }} />
+                    </Link>
+
+                    <main className="h-full">
+                      <Routes>
+                        <Route path="/" element={<Navigate to={ROUTES.search} replace />} />
+                        {/* All views share one SearchPage so search state survives navigation */}
+                        <Route element={<SearchPage />}>
+                          <Route path={ROUTES.search} />
+                          <Route path={ROUTES.genome} />
+                          <Route path={ROUTES.compare} />
+                          <Route path={ROUTES.recommendations} />
+                          <Route path={ROUTES.jobs} />
+                          <Route path={ROUTES.job} />
+                          <Route path={ROUTES.team} />
+                          <Route path={ROUTES.shortlists} />
+                          <Route path={ROUTES.settings} />
+                          <Route path={ROUTES.import} />
+                          <Route path={ROUTES.diff} />
+                          <Route path={ROUTES.savedSearches} />
+                        </Route>
+                        <Route path="*" element={<Navigate to={ROUTES.search} replace />} />
+                      </Routes>
+                    </main>
+
+                    <OfflineBanner />
+                  </div>
+                </SavedSearchProvider>
+              </ShortlistProvider>
+            </TeamProvider>
+          </ComparisonProvider>
+        </ToastProvider>
+      </ThemeProvider>
+    </BrowserRouter>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,132 @@
+import React, { useMemo } from 'react';
+import { TrendingUp, ChevronRight } from 'lucide-react';
+import { computeCareerMetrics, formatDuration } from '../services/careerMetrics.js';
+
+// Industries shown by name; smaller ones are grouped as "Other"
+const MAX_INDUSTRIES = 5;
+
+/**
+ * Headline figure with a label
+ */
+const Metric = ({ label, value, detail }) => (
+  <div className="p-4 rounded-lg" style={{ backgroundColor: 'var(--torre-bg-primary)', border: '1px solid var(--torre-border)' }}>
+    <div className="text-xs mb-1" style={{ color: 'var(--torre-text-muted)' }}>{label}</div>
+    <div className="text-lg font-semibold" style={{ color: 'var(--torre-text-primary)' }}>{value}</div>
+    {detail && (
+      <div className="text-xs mt-1 truncate" style={{ color: 'var(--torre-text-secondary)' }} title={detail}>{detail}</div>
+    )}
+  </div>
+);
+
+/**
+ * CareerMetrics component - years of experience, tenure, time in the current
+ * role, seniority progression and industry mix from a person's experiences
+ * @param {Object} props - Component props
+ * @param {Array} props.experiences - Output of formatExperiences
+ */
+const CareerMetrics = ({ experiences }) => {
+  const metrics = useMemo(() => computeCareerMetrics(experiences), [experiences]);
+  const { tenure, seniority, currentRole } = metrics;
+
+  if (metrics.employerCount === 0) return null;
+
+  const otherIndustriesShare = metrics.industries.slice(MAX_INDUSTRIES).reduce((sum, industry) => sum + industry.share, 0);
+
+  return (
+    <div className="card-iconoir mb-8">
+      <div className="p-6">
+        <h2 className="text-2xl font-bold mb-6" style={{ color: 'var(--torre-text-primary)' }}>
+          <TrendingUp className="inline-block mr-2 h-6 w-6" />
+          Career Metrics
+        </h2>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <Metric
+            label="Experience"
+            value={metrics.totalMonths > 0 ? formatDuration(metrics.totalMonths) : '—'}
+            detail={metrics.overlappingRoles > 0 ? 'Overlapping roles counted once' : null}
+          />
+          <Metric
+            label="Employers"
+            value={metrics.employerCount}
+            detail={tenure.profile?.label}
+          />
+          <Metric
+            label="Average tenure"
+            value={tenure.averageMonths > 0 ? formatDuration(tenure.averageMonths) : '—'}
+            detail={tenure.averageMonths > 0 ? `Median ${formatDuration(tenure.medianMonths)}, longest ${formatDuration(tenure.longestMonths)}` : null}
+          />
+          <Metric
+            label="Current role"
+            value={currentRole ? formatDuration(currentRole.months) : 'None listed'}
+            detail={currentRole ? `${currentRole.title}${currentRole.organization ? ` at ${currentRole.organization}` : ''}` : null}
+          />
+        </div>
+
+        {/* Seniority */}
+        {seniority.current && (
+          <div className="mt-6">
+            <h3 className="text-sm font-semibold mb-2" style={{ color: 'var(--torre-text-primary)' }}>
+              Seniority: {seniority.current.label}
+              {seniority.highest && seniority.highest.level > seniority.current.level && (
+                <span className="font-normal" style={{ color: 'var(--torre-text-muted)' }}> (previously {seniority.highest.label.toLowerCase()})</span>
+              )}
+            </h3>
+            {seniority.progression.length > 1 && (
+              <div className="flex flex-wrap items-center gap-1 text-xs">
+                {seniority.progression.map((step, index) => (
+                  <React.Fragment key={`${step.id}-${step.start}`}>
+                    {index > 0 && <ChevronRight size={14} style={{ color: 'var(--torre-text-muted)' }} />}
+                    <span
+                      className="px-2 py-1 rounded-full"
+                      style={{ backgroundColor: 'var(--torre-bg-tertiary)', color: 'var(--torre-text-secondary)' }}
+                      title={`${step.title}, from ${Math.floor(step.start / 12)}`}
+                    >
+                      {step.label} · {Math.floor(step.start / 12)}
+                    </span>
+                  </React.Fragment>
+                ))}
+                {seniority.promotions > 0 && (
+                  <span className="ml-2" style={{ color: 'var(--torre-text-muted)' }}>
+                    {seniority.promotions} {seniority.promotions === 1 ? 'step up' : 'steps up'}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Industry mix */}
+        {metrics.industries.length > 0 && (
+          <div className="mt-6">
+            <h3 className="text-sm font-semibold mb-2" style={{ color: 'var(--torre-text-primary)' }}>
+              Industry mix
+            </h3>
+            <div className="flex h-3 rounded-full overflow-hidden" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+              {metrics.industries.slice(0, MAX_INDUSTRIES).map((industry, index) => (
+                <div
+                  key={industry.name}
+                  style={{
+                    width: `${industry.share * 100}%`,
+                    backgroundColor: `color-mix(in srgb, var(--torre-accent) ${100 - index * 15}%, transparent)`
+                  }}
+                  title={`${industry.name}: ${Math.round(industry.share * 100)}%`}
+                />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+              {metrics.industries.slice(0, MAX_INDUSTRIES).map(industry => (
+                <span key={industry.name}>
+                  {industry.name} {Math.round(industry.share * 100)}%
+                </span>
+              ))}
+              {otherIndustriesShare > 0 && <span>Other {Math.round(otherIndustriesShare * 100)}%</span>}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CareerMetrics;
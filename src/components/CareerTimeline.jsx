@@ -0,0 +1,291 @@
+import React, { useState, useMemo } from 'react';
+import { ZoomIn, ZoomOut, Clock, Building2, AlertCircle } from 'lucide-react';
+import { buildCareerTimeline } from '../services/careerTimeline.js';
+import { formatDuration, TENURE_PROFILES } from '../services/careerMetrics.js';
+import { formatDateRange } from '../utils/dataProcessing';
+
+// Timeline width as a multiple of the card width
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4];
+
+// Height of one lane of bars, in pixels
+const LANE_HEIGHT = 30;
+
+const KIND_COLORS = {
+  job: 'var(--torre-accent)',
+  study: 'var(--torre-blue)',
+  gap: 'var(--torre-red)',
+};
+
+const TENURE_PROFILE_COLORS = {
+  [TENURE_PROFILES.short.id]: 'var(--torre-red)',
+  [TENURE_PROFILES.moderate.id]: 'var(--torre-blue)',
+  [TENURE_PROFILES.long.id]: 'var(--torre-green)',
+};
+
+/**
+ * Year of a month index
+ * @param {number} monthIndex - Month index from services/careerTimeline.js
+ * @returns {number} Year
+ */
+const yearOf = (monthIndex) => Math.floor(monthIndex / 12);
+
+/**
+ * Date range label of a timeline entry or gap
+ * @param {Object} item - Entry with a `source`, or a gap
+ * @returns {string} Date range
+ */
+const rangeLabel = (item) => {
+  if (item.source) {
+    const { fromMonth, fromYear, toMonth, toYear } = item.source;
+    return formatDateRange(fromMonth, fromYear, toMonth, toYear);
+  }
+  return formatDateRange(item.start % 12 + 1, yearOf(item.start), item.end % 12 + 1, yearOf(item.end));
+};
+
+/**
+ * CareerTimeline component - jobs and studies on a zoomable horizontal
+ * timeline with overlapping roles, gaps, tenure per organization and a tenure profile
+ * @param {Object} props - Component props
+ * @param {Array} props.experiences - Output of formatExperiences
+ * @param {Array} props.education - Output of formatEducation
+ */
+const CareerTimeline = ({ experiences, education }) => {
+  const [zoomIndex, setZoomIndex] = useState(0);
+  // Entry or gap under the pointer (or keyboard focus), shown in the details bar
+  const [hovered, setHovered] = useState(null);
+
+  const timeline = useMemo(() => buildCareerTimeline(experiences, education), [experiences, education]);
+  const { metrics } = timeline;
+  const tenureProfile = metrics.tenure.profile;
+
+  if (timeline.start === null && timeline.undated.length === 0) return null;
+
+  const hasDates = timeline.start !== null;
+  // Whole years on the axis, with the current year included for current roles
+  const axisStart = hasDates ? yearOf(timeline.start) * 12 : 0;
+  const axisEnd = hasDates ? (yearOf(timeline.end) + 1) * 12 : 12;
+  const span = axisEnd - axisStart;
+  const zoom = ZOOM_LEVELS[zoomIndex];
+
+  const years = span / 12;
+  const tickStep = years / zoom > 24 ? 5 : years / zoom > 10 ? 2 : 1;
+  const ticks = [];
+  for (let year = yearOf(axisStart); year <= yearOf(axisEnd); year += tickStep) ticks.push(year);
+
+  const position = (start, end) => ({
+    left: `${((start - axisStart) / span) * 100}%`,
+    width: `${((end - start + 1) / span) * 100}%`
+  });
+
+  const lanes = (kind) => Math.max(0, ...timeline.entries.filter(entry => entry.kind === kind).map(entry => entry.lane + 1));
+  const jobLanes = lanes('job');
+  const studyLanes = lanes('study');
+  const maxOrganizationMonths = metrics.employers[0]?.months || 1;
+  const gapMonths = timeline.gaps.reduce((sum, gap) => sum + gap.months, 0);
+
+  const renderBar = (entry) => {
+    const color = KIND_COLORS[entry.kind];
+    const fill = `color-mix(in srgb, ${color} ${hovered === entry ? 60 : 35}%, transparent)`;
+    return (
+      <button
+        key={`${entry.kind}-${entry.id}`}
+        type="button"
+        className="absolute rounded-md px-2 text-xs font-medium truncate text-left"
+        style={{
+          ...position(entry.range.start, entry.range.end),
+          top: entry.lane * LANE_HEIGHT + 3,
+          height: LANE_HEIGHT - 6,
+          // Current roles fade out towards today; approximate dates get a dashed outline
+          background: entry.range.current
+            ? `linear-gradient(to right, ${fill} 60%, transparent)`
+            : fill,
+          border: `1px ${entry.range.approximate ? 'dashed' : 'solid'} ${color}`,
+          color: 'var(--torre-text-primary)'
+        }}
+        onMouseEnter={() => setHovered(entry)}
+        onMouseLeave={() => setHovered(null)}
+        onFocus={() => setHovered(entry)}
+        onBlur={() => setHovered(null)}
+        aria-label={`${entry.title}${entry.organization ? ` at ${entry.organization}` : ''}, ${rangeLabel(entry)}`}
+      >
+        {entry.organization || entry.title}
+      </button>
+    );
+  };
+
+  return (
+    <div className="card-iconoir mb-8">
+      <div className="p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+            <Clock className="inline-block mr-2 h-6 w-6" />
+            Career Timeline
+          </h2>
+          {tenureProfile && (
+            <span
+              className="self-start md:self-auto px-3 py-1 rounded-full text-sm font-semibold"
+              style={{
+                backgroundColor: `color-mix(in srgb, ${TENURE_PROFILE_COLORS[tenureProfile.id]} 20%, transparent)`,
+                color: TENURE_PROFILE_COLORS[tenureProfile.id]
+              }}
+              title={`Average of ${formatDuration(metrics.tenure.averageMonths)} per employer`}
+            >
+              {tenureProfile.label}
+            </span>
+          )}
+        </div>
+
+        {hasDates && (
+          <>
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-4 text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+                {[
+                  ['job', 'Jobs'],
+                  ['study', 'Studies'],
+                  ['gap', timeline.gaps.length > 0 ? `Gaps (${timeline.gaps.length}, ${formatDuration(gapMonths)})` : 'No gaps']
+                ].map(([kind, label]) => (
+                  <span key={kind} className="flex items-center gap-1">
+                    <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: KIND_COLORS[kind] }} />
+                    {label}
+                  </span>
+                ))}
+              </div>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => setZoomIndex(index => Math.max(0, index - 1))}
+                  disabled={zoomIndex === 0}
+                  className="p-2 rounded-lg transition-colors hover:bg-[var(--torre-bg-tertiary)] disabled:opacity-40 disabled:hover:bg-transparent"
+                  style={{ color: 'var(--torre-text-secondary)' }}
+                  aria-label="Zoom out"
+                >
+                  <ZoomOut size={16} />
+                </button>
+                <button
+                  onClick={() => setZoomIndex(index => Math.min(ZOOM_LEVELS.length - 1, index + 1))}
+                  disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+                  className="p-2 rounded-lg transition-colors hover:bg-[var(--torre-bg-tertiary)] disabled:opacity-40 disabled:hover:bg-transparent"
+                  style={{ color: 'var(--torre-text-secondary)' }}
+                  aria-label="Zoom in"
+                >
+                  <ZoomIn size={16} />
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto pb-2">
+              <div className="relative" style={{ width: `${zoom * 100}%` }}>
+                {/* Gaps between jobs, behind the job bars */}
+                {jobLanes > 0 && (
+                  <div className="relative rounded-lg" style={{ height: jobLanes * LANE_HEIGHT, backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                    {timeline.gaps.map(gap => (
+                      <div
+                        key={`gap-${gap.start}`}
+                        className="absolute inset-y-0"
+                        style={{
+                          ...position(gap.start, gap.end),
+                          backgroundImage: `repeating-linear-gradient(45deg, color-mix(in srgb, ${KIND_COLORS.gap} 30%, transparent) 0 4px, transparent 4px 8px)`
+                        }}
+                        onMouseEnter={() => setHovered(gap)}
+                        onMouseLeave={() => setHovered(null)}
+                      />
+                    ))}
+                    {timeline.entries.filter(entry => entry.kind === 'job').map(renderBar)}
+                  </div>
+                )}
+
+                {studyLanes > 0 && (
+                  <div className="relative rounded-lg mt-2" style={{ height: studyLanes * LANE_HEIGHT, backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                    {timeline.entries.filter(entry => entry.kind === 'study').map(renderBar)}
+                  </div>
+                )}
+
+                <div className="relative h-5 mt-1 text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                  {ticks.map(year => (
+                    <span
+                      key={year}
+                      className="absolute -translate-x-1/2"
+                      style={{ left: `${((year * 12 - axisStart) / span) * 100}%` }}
+                    >
+                      {year}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Details of the hovered bar */}
+            <div className="mt-2 min-h-[2.5rem] rounded-lg px-3 py-2 text-sm" style={{ backgroundColor: 'var(--torre-bg-secondary)', color: 'var(--torre-text-secondary)' }}>
+              {!hovered && 'Hover over a bar for details.'}
+              {hovered?.kind && (
+                <>
+                  <span className="font-semibold" style={{ color: 'var(--torre-text-primary)' }}>{hovered.title}</span>
+                  {hovered.organization && ` at ${hovered.organization}`}
+                  {' · '}{rangeLabel(hovered)}
+                  {' · '}{formatDuration(hovered.months)}
+                  {hovered.range.current && ' · current'}
+                  {hovered.range.approximate && ' · approximate dates'}
+                </>
+              )}
+              {hovered && !hovered.kind && (
+                <span style={{ color: KIND_COLORS.gap }}>
+                  Gap of {formatDuration(hovered.months)} ({rangeLabel(hovered)})
+                </span>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* Tenure per organization */}
+        {metrics.employers.some(employer => employer.months > 0) && (
+          <div className="mt-6">
+            <h3 className="font-semibold mb-3 flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+              <Building2 size={18} />
+              Time per Organization
+            </h3>
+            <div className="space-y-2">
+              {metrics.employers.filter(employer => employer.months > 0).map(organization => (
+                <div key={organization.name} className="flex items-center gap-3 text-sm">
+                  <div className="w-40 shrink-0 truncate" style={{ color: 'var(--torre-text-primary)' }} title={organization.name}>
+                    {organization.name}
+                  </div>
+                  <div className="flex-1 h-2 rounded-full" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                    <div
+                      className="h-2 rounded-full"
+                      style={{
+                        width: `${(organization.months / maxOrganizationMonths) * 100}%`,
+                        backgroundColor: KIND_COLORS.job
+                      }}
+                    />
+                  </div>
+                  <div className="w-40 shrink-0 text-right text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                    {formatDuration(organization.months)}
+                    {organization.roles > 1 && ` · ${organization.roles} roles`}
+                    {organization.current && ' · current'}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {timeline.undated.length > 0 && (
+          <div className="mt-6 text-sm" style={{ color: 'var(--torre-text-secondary)' }}>
+            <div className="flex items-center gap-2 mb-2 font-semibold">
+              <AlertCircle size={16} />
+              Not on the timeline (no start date)
+            </div>
+            <ul className="list-disc list-inside space-y-1">
+              {timeline.undated.map(entry => (
+                <li key={`${entry.kind}-${entry.id}`}>
+                  {entry.title}{entry.organization && ` at ${entry.organization}`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CareerTimeline;
@@ -0,0 +1,255 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Grid3X3, Target, ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import Avatar from './Avatar.jsx';
+import { buildSkillMatrix } from '../services/comparison.js';
+
+// Skill rows shown before "Show all"
+const INITIAL_SKILL_ROWS = 15;
+
+/**
+ * Cell background for a 0-1 value, stronger accent for higher values
+ * @param {number} value - Score or proficiency (0-1)
+ * @returns {string} CSS color
+ */
+const heatColor = (value) =>
+  value > 0
+    ? `color-mix(in srgb, var(--torre-accent) ${Math.round(15 + value * 70)}%, transparent)`
+    : 'var(--torre-bg-tertiary)';
+
+/**
+ * First name for narrow column headers
+ * @param {Object} person - Person
+ * @returns {string} First name or username
+ */
+const shortName = (person) => person.name?.split(' ')[0] || person.username;
+
+/**
+ * Column header that sorts the skills grid
+ * @param {Object} props - Component props
+ * @param {string} props.sortKey - Column key
+ * @param {Object} props.sort - Current `{ key, direction }`
+ * @param {Function} props.onSort - Called with the column key
+ */
+const SortHeader = ({ sortKey, sort, onSort, children, className = '' }) => {
+  const isSorted = sort.key === sortKey;
+  const SortIcon = !isSorted ? ArrowUpDown : sort.direction === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <th
+      className={`px-2 py-2 font-semibold ${className}`}
+      aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button
+        onClick={() => onSort(sortKey)}
+        className="inline-flex items-center gap-1"
+        style={{ color: isSorted ? 'var(--torre-accent)' : 'var(--torre-text-secondary)' }}
+      >
+        {children}
+        <SortIcon size={12} />
+      </button>
+    </th>
+  );
+};
+
+/**
+ * ComparisonMatrix component - every selected person against every other:
+ * a heatmap of overall scores and a sortable skills-by-person grid.
+ * @param {Object} props - Component props
+ * @param {Array} props.comparisons - Pairwise comparisons from ComparisonContext
+ * @param {Function} props.onSelectPair - Called with a comparison id when a heatmap cell is clicked
+ */
+const ComparisonMatrix = ({ comparisons, onSelectPair }) => {
+  const [sort, setSort] = useState({ key: 'holders', direction: 'desc' });
+  const [showAllSkills, setShowAllSkills] = useState(false);
+
+  // Everyone in the comparison, in the order they were selected
+  const people = useMemo(() => {
+    const byUsername = new Map();
+    comparisons.forEach(({ person1, person2 }) => {
+      if (!byUsername.has(person1.username)) byUsername.set(person1.username, person1);
+      if (!byUsername.has(person2.username)) byUsername.set(person2.username, person2);
+    });
+    return Array.from(byUsername.values());
+  }, [comparisons]);
+
+  const skillRows = useMemo(() => buildSkillMatrix(people), [people]);
+
+  const sortedRows = useMemo(() => {
+    const valueOf = (row) => {
+      if (sort.key === 'name') return row.name.toLowerCase();
+      if (sort.key === 'holders' || sort.key === 'average') return row[sort.key];
+      return row.proficiencies[sort.key] || 0;
+    };
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...skillRows].sort((a, b) => {
+      const valueA = valueOf(a);
+      const valueB = valueOf(b);
+      if (valueA < valueB) return -direction;
+      if (valueA > valueB) return direction;
+      return a.name.localeCompare(b.name);
+    });
+  }, [skillRows, sort]);
+
+  const visibleRows = showAllSkills ? sortedRows : sortedRows.slice(0, INITIAL_SKILL_ROWS);
+
+  const findComparison = (username1, username2) => comparisons.find(c =>
+    (c.person1.username === username1 && c.person2.username === username2) ||
+    (c.person1.username === username2 && c.person2.username === username1)
+  );
+
+  // Clicking the sorted column flips its direction; a new column starts descending (names ascending)
+  const handleSort = (key) => {
+    setSort(current => current.key === key
+      ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: key === 'name' ? 'asc' : 'desc' });
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Overall score heatmap */}
+      <section>
+        <h3 className="font-bold text-lg mb-1 flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+          <Grid3X3 size={20} />
+          Overall Similarity
+        </h3>
+        <p className="text-sm mb-4" style={{ color: 'var(--torre-text-secondary)' }}>
+          Click a cell to open the full comparison for that pair.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="border-separate" style={{ borderSpacing: '4px' }}>
+            <thead>
+              <tr>
+                <th />
+                {people.map(person => (
+                  <th key={person.username} className="px-2 pb-2 text-xs font-medium" style={{ color: 'var(--torre-text-secondary)' }}>
+                    <div className="flex flex-col items-center gap-1">
+                      <Avatar person={person} size="sm" />
+                      <span className="truncate max-w-[5rem]">{shortName(person)}</span>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {people.map(rowPerson => (
+                <tr key={rowPerson.username}>
+                  <th className="pr-3 text-left text-sm font-medium whitespace-nowrap" style={{ color: 'var(--torre-text-primary)' }}>
+                    <div className="flex items-center gap-2">
+                      <Avatar person={rowPerson} size="xs" />
+                      {rowPerson.name}
+                    </div>
+                  </th>
+                  {people.map(columnPerson => {
+                    if (rowPerson.username === columnPerson.username) {
+                      return (
+                        <td key={columnPerson.username} className="w-16 h-12 rounded-lg text-center text-xs" style={{ backgroundColor: 'var(--torre-bg-tertiary)', color: 'var(--torre-text-muted)' }}>
+                          —
+                        </td>
+                      );
+                    }
+
+                    const comparison = findComparison(rowPerson.username, columnPerson.username);
+                    const score = comparison?.similarity?.overallScore || 0;
+                    return (
+                      <td key={columnPerson.username} className="p-0">
+                        <motion.button
+                          whileHover={{ scale: 1.08 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => comparison && onSelectPair(comparison.id)}
+                          className="w-16 h-12 rounded-lg text-sm font-bold"
+                          style={{ backgroundColor: heatColor(score), color: 'var(--torre-text-primary)' }}
+                          title={`${rowPerson.name} vs ${columnPerson.name}: ${Math.round(score * 100)}%`}
+                        >
+                          {Math.round(score * 100)}%
+                        </motion.button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {/* Skills by person */}
+      <section>
+        <h3 className="font-bold text-lg mb-1 flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+          <Target size={20} />
+          Skills by Person
+        </h3>
+        <p className="text-sm mb-4" style={{ color: 'var(--torre-text-secondary)' }}>
+          {skillRows.length} skills across {people.length} people. Click a column header to sort.
+        </p>
+
+        {skillRows.length === 0 ? (
+          <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+            No skills listed on these profiles.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border-separate" style={{ borderSpacing: '0 4px' }}>
+              <thead>
+                <tr className="text-xs">
+                  <SortHeader sort={sort} onSort={handleSort} sortKey="name" className="text-left">Skill</SortHeader>
+                  {people.map(person => (
+                    <SortHeader key={person.username} sort={sort} onSort={handleSort} sortKey={person.username}>
+                      {shortName(person)}
+                    </SortHeader>
+                  ))}
+                  <SortHeader sort={sort} onSort={handleSort} sortKey="holders">Held by</SortHeader>
+                  <SortHeader sort={sort} onSort={handleSort} sortKey="average">Average</SortHeader>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr key={row.code}>
+                    <td className="px-2 py-1 font-medium" style={{ color: 'var(--torre-text-primary)' }}>
+                      {row.name}
+                    </td>
+                    {people.map(person => {
+                      const proficiency = row.proficiencies[person.username] || 0;
+                      return (
+                        <td key={person.username} className="px-1 py-1 text-center">
+                          <div
+                            className="rounded-md py-1 text-xs font-semibold"
+                            style={{
+                              backgroundColor: heatColor(proficiency),
+                              color: proficiency > 0 ? 'var(--torre-text-primary)' : 'var(--torre-text-muted)'
+                            }}
+                            title={`${person.name}: ${proficiency > 0 ? `${Math.round(proficiency * 100)}%` : 'not listed'}`}
+                          >
+                            {proficiency > 0 ? `${Math.round(proficiency * 100)}%` : '—'}
+                          </div>
+                        </td>
+                      );
+                    })}
+                    <td className="px-2 py-1 text-center" style={{ color: 'var(--torre-text-secondary)' }}>
+                      {row.holders}/{people.length}
+                    </td>
+                    <td className="px-2 py-1 text-center" style={{ color: 'var(--torre-text-secondary)' }}>
+                      {Math.round(row.average * 100)}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {sortedRows.length > INITIAL_SKILL_ROWS && (
+          <button
+            onClick={() => setShowAllSkills(!showAllSkills)}
+            className="mt-3 text-sm font-medium"
+            style={{ color: 'var(--torre-accent)' }}
+          >
+            {showAllSkills ? 'Show fewer skills' : `Show all ${sortedRows.length} skills`}
+          </button>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default ComparisonMatrix;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Users,
@@ -16,16 +16,28 @@ import {
   User,
   UserPlus,
   ArrowLeft,
-  Sparkles
+  Briefcase,
+  GraduationCap,
+  Grid3X3,
+  GitCompare,
+  Clock,
+  Languages
 } from 'lucide-react';
 import { useComparison } from '../contexts/ComparisonContext.jsx';
 import Avatar from './Avatar.jsx';
 import SearchBar from './SearchBar.jsx';
 import SearchResults from './SearchResults.jsx';
 import StarRating from './StarRating.jsx';
+import ScoringProfileSelect from './ScoringProfileSelect.jsx';
+import ComparisonMatrix from './ComparisonMatrix.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import TimezoneOverlap from './TimezoneOverlap.jsx';
 import useSearch from '../hooks/useSearch.js';
+import { generateComparisonInsights } from '../services/comparison.js';
+import { getLocation } from '../services/timezones.js';
+import { buildComparisonReport, comparisonToCsv } from '../services/reports.js';
 
-const ComparisonView = () => {
+const ComparisonView = ({ onOpenDiff }) => {
   const { 
     comparisons, 
     selectedPeople, 
@@ -33,14 +45,17 @@ const ComparisonView = () => {
     error, 
     addPersonToComparison, 
     clearComparison,
-    compareSelectedPeople 
+    compareSelectedPeople,
+    activeComparison,
+    setActiveComparison
   } = useComparison();
 
   // Step-by-step flow state
   const [step, setStep] = useState('initial'); // 'initial', 'first-search', 'second-search', 'analyzing', 'comparison'
   const [firstPerson, setFirstPerson] = useState(null);
   const [secondPerson, setSecondPerson] = useState(null);
-  const [activeTab, setActiveTab] = useState('overview');
+  // null until a tab is picked: the matrix for three or more people, otherwise the overview
+  const [activeTab, setActiveTab] = useState(null);
 
   // Search hooks for each step
   const firstSearch = useSearch();
@@ -77,6 +92,7 @@ const ComparisonView = () => {
       setStep('initial');
       setFirstPerson(null);
       setSecondPerson(null);
+      setActiveTab(null);
     }
     // Only auto-start comparison if we're on initial step AND have existing comparisons
     // This handles the case where user comes from comparison panel with pre-existing data
@@ -85,7 +101,16 @@ const ComparisonView = () => {
       setFirstPerson(selectedPeople[0]);
       setSecondPerson(selectedPeople[1]);
     }
-  }, [selectedPeople.length, comparisons.length]); // Remove step from dependencies to prevent conflicts
+    // A shared compare link is loading: show the analysis instead of the start screen
+    else if (selectedPeople.length >= 2 && isLoading && step === 'initial') {
+      setStep('analyzing');
+      setFirstPerson(selectedPeople[0]);
+      setSecondPerson(selectedPeople[1]);
+    }
+    else if (comparisons.length > 0 && !isLoading && step === 'analyzing') {
+      setStep('comparison');
+    }
+  }, [selectedPeople.length, comparisons.length, isLoading]); // Remove step from dependencies to prevent conflicts
 
   // Initial state - no people selected
   if (step === 'initial') {
@@ -475,9 +500,20 @@ const ComparisonView = () => {
 
   // Comparison results state
   if (step === 'comparison' && comparisons.length > 0) {
-    const comparison = comparisons[0]; // Get the first comparison
-    
+    // The pair picked in the matrix, or the first pair
+    const comparison = (activeComparison && comparisons.find(c => c.id === activeComparison.id)) || comparisons[0];
+    const hasMatrix = comparisons.length > 1;
+    const currentTab = activeTab && (activeTab !== 'matrix' || hasMatrix)
+      ? activeTab
+      : hasMatrix ? 'matrix' : 'overview';
+
+    const handleSelectPair = (comparisonId) => {
+      setActiveComparison(comparisonId);
+      setActiveTab('overview');
+    };
+
     const tabs = [
+      ...(hasMatrix ? [{ id: 'matrix', label: 'Matrix', icon: Grid3X3 }] : []),
       { id: 'overview', label: 'Overview', icon: BarChart3 },
       { id: 'skills', label: 'Skills Analysis', icon: Target },
       { id: 'insights', label: 'Insights', icon: Lightbulb }
@@ -510,17 +546,44 @@ const ComparisonView = () => {
               </h2>
               <p className="mt-1 flex items-center gap-2 text-blue-100">
                 Analyzing {selectedPeople.length} professionals • 
-                <StarRating 
-                  rating={(comparison.similarity?.overallScore || 0) * 5} 
-                  size={14} 
-                  color="white" 
-                  showRating={false} 
-                />
-                compatibility
+                {currentTab === 'matrix' ? (
+                  `${comparisons.length} pairs`
+                ) : (
+                  <>
+                    {hasMatrix && `${comparison.person1.name} & ${comparison.person2.name}`}
+                    <StarRating 
+                      rating={(comparison.similarity?.overallScore || 0) * 5} 
+                      size={14} 
+                      color="white" 
+                      showRating={false} 
+                    />
+                    compatibility
+                  </>
+                )}
+                {comparison.similarity?.profile && ` • ${comparison.similarity.profile.name} profile`}
               </p>
             </div>
 
             <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
+              <ScoringProfileSelect />
+
+              <ExportMenu
+                name="comparison"
+                getReport={() => buildComparisonReport(comparisons)}
+                getCsv={() => comparisonToCsv(comparisons)}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all bg-white/20 text-white hover:bg-white/30 backdrop-blur-sm"
+              />
+
+              {onOpenDiff && (
+                <button
+                  onClick={() => onOpenDiff(comparison.person1.username, comparison.person2.username)}
+                  className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all bg-white/20 text-white hover:bg-white/30 backdrop-blur-sm"
+                >
+                  <GitCompare size={16} />
+                  Genome Diff
+                </button>
+              )}
+
               <button
                 onClick={() => setStep('add-more')}
                 className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-all duration-200 bg-white text-blue-600 hover:bg-blue-50"
@@ -545,7 +608,7 @@ const ComparisonView = () => {
           <div className="flex flex-wrap gap-2">
             {tabs.map((tab) => {
               const Icon = tab.icon;
-              const isActive = activeTab === tab.id;
+              const isActive = currentTab === tab.id;
               return (
                 <button
                   key={tab.id}
@@ -572,7 +635,18 @@ const ComparisonView = () => {
           className="rounded-2xl shadow-xl p-6 bg-white dark:bg-gray-800"
         >
           <AnimatePresence mode="wait">
-            {activeTab === 'overview' && (
+            {currentTab === 'matrix' && (
+              <motion.div
+                key="matrix"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.3 }}
+              >
+                <ComparisonMatrix comparisons={comparisons} onSelectPair={handleSelectPair} />
+              </motion.div>
+            )}
+            {currentTab === 'overview' && (
               <motion.div
                 key="overview"
                 initial={{ opacity: 0, x: -20 }}
@@ -583,7 +657,7 @@ const ComparisonView = () => {
                 <OverviewTab comparison={comparison} />
               </motion.div>
             )}
-            {activeTab === 'skills' && (
+            {currentTab === 'skills' && (
               <motion.div
                 key="skills"
                 initial={{ opacity: 0, x: -20 }}
@@ -594,7 +668,7 @@ const ComparisonView = () => {
                 <SkillsTab comparison={comparison} />
               </motion.div>
             )}
-            {activeTab === 'insights' && (
+            {currentTab === 'insights' && (
               <motion.div
                 key="insights"
                 initial={{ opacity: 0, x: -20 }}
@@ -845,6 +919,163 @@ const OverviewTab = ({ comparison }) => {
           </div>
         </div>
       </div>
+
+      {/* What drove the experience and education scores */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ScoreDrivers
+          title="Experience"
+          icon={Briefcase}
+          score={comparison.similarity?.experienceScore || 0}
+          analysis={comparison.similarity?.details?.experience}
+          color="#f59e0b"
+        />
+        <ScoreDrivers
+          title="Education"
+          icon={GraduationCap}
+          score={comparison.similarity?.educationScore || 0}
+          analysis={comparison.similarity?.details?.education}
+          color="#6366f1"
+        />
+      </div>
+
+      {/* Working hours both share */}
+      <div className="rounded-2xl border p-6 shadow-lg bg-white dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-5">
+          <h3 className="font-bold text-lg flex items-center gap-2 text-gray-900 dark:text-white">
+            <Clock size={20} style={{ color: 'var(--torre-blue)' }} />
+            Working Hours
+          </h3>
+          {comparison.similarity?.details?.timezone?.available && (
+            <span className="text-2xl font-bold" style={{ color: 'var(--torre-blue)' }}>
+              {Math.round((comparison.similarity.timezoneScore || 0) * 100)}%
+            </span>
+          )}
+        </div>
+        <TimezoneOverlap
+          members={[person1, person2].map(person => ({
+            username: person?.username,
+            name: person?.name || person?.username,
+            location: getLocation(person?.genome)
+          }))}
+        />
+      </div>
+
+      {/* Languages both speak */}
+      <LanguagesCard
+        analysis={comparison.similarity?.details?.languages}
+        score={comparison.similarity?.languagesScore || 0}
+        names={[person1?.name || person1?.username, person2?.name || person2?.username]}
+      />
+    </div>
+  );
+};
+
+// Shared languages with each person's fluency, and the ones only one of them speaks
+const LanguagesCard = ({ analysis, score, names }) => (
+  <div className="rounded-2xl border p-6 shadow-lg bg-white dark:bg-gray-800">
+    <div className="flex items-center justify-between mb-5">
+      <h3 className="font-bold text-lg flex items-center gap-2 text-gray-900 dark:text-white">
+        <Languages size={20} style={{ color: 'var(--torre-accent)' }} />
+        Languages
+      </h3>
+      {analysis?.available && (
+        <span className="text-2xl font-bold" style={{ color: 'var(--torre-accent)' }}>
+          {Math.round(score * 100)}%
+        </span>
+      )}
+    </div>
+
+    {analysis?.available ? (
+      <div className="space-y-3 text-sm">
+        {analysis.shared.length > 0 ? (
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="font-medium pb-2">Language</th>
+                <th className="font-medium pb-2">{names[0]}</th>
+                <th className="font-medium pb-2">{names[1]}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.shared.map(language => (
+                <tr key={language.key} className="text-gray-900 dark:text-white">
+                  <td className="py-1 font-semibold">{language.name}</td>
+                  <td className="py-1">{language.fluency1 || 'Unknown'}</td>
+                  <td className="py-1">{language.fluency2 || 'Unknown'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-gray-500 dark:text-gray-400">{analysis.summary}</p>
+        )}
+        {[analysis.unique1, analysis.unique2].map((unique, index) => unique.length > 0 && (
+          <p key={names[index]} className="text-gray-500 dark:text-gray-400">
+            Only {names[index]}: {unique.join(', ')}
+          </p>
+        ))}
+      </div>
+    ) : (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {analysis?.summary || 'Languages not listed on both profiles'}
+      </p>
+    )}
+  </div>
+);
+
+// Breakdown of a background sub-score into the factors that produced it
+const ScoreDrivers = ({ title, icon, score, analysis, color }) => {
+  const Icon = icon;
+
+  return (
+    <div className="rounded-2xl border p-6 shadow-lg bg-white dark:bg-gray-800">
+      <div className="flex items-center justify-between mb-5">
+        <h3 className="font-bold text-lg flex items-center gap-2 text-gray-900 dark:text-white">
+          <Icon size={20} style={{ color }} />
+          {title}
+        </h3>
+        {analysis?.available && (
+          <span className="text-2xl font-bold" style={{ color }}>
+            {Math.round(score * 100)}%
+          </span>
+        )}
+      </div>
+
+      {analysis?.available ? (
+        <div className="space-y-4">
+          {analysis.factors.map((factor) => (
+            <div key={factor.key} className={factor.available ? '' : 'opacity-50'}>
+              <div className="flex justify-between items-center text-sm mb-1">
+                <span className="font-semibold text-gray-900 dark:text-white">
+                  {factor.label}
+                  <span className="ml-2 font-normal text-gray-500 dark:text-gray-400">
+                    {Math.round(factor.weight * 100)}% weight
+                  </span>
+                </span>
+                <span className="text-gray-500 dark:text-gray-400">
+                  {factor.available ? `${Math.round(factor.score * 100)}%` : 'n/a'}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                <motion.div
+                  initial={{ width: 0 }}
+                  animate={{ width: `${factor.available ? Math.round(factor.score * 100) : 0}%` }}
+                  transition={{ duration: 0.8, ease: "easeOut" }}
+                  className="h-2 rounded-full"
+                  style={{ backgroundColor: color }}
+                />
+              </div>
+              <p className="text-xs mt-1 text-gray-600 dark:text-gray-300">
+                {factor.detail}
+              </p>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {analysis?.summary || 'No data to compare'} – left out of the overall match.
+        </p>
+      )}
     </div>
   );
 };
@@ -853,6 +1084,7 @@ const SkillsTab = ({ comparison }) => {
   const commonSkills = comparison.similarity?.details?.commonSkills || [];
   const uniqueSkills1 = comparison.similarity?.details?.uniqueSkills1 || [];
   const uniqueSkills2 = comparison.similarity?.details?.uniqueSkills2 || [];
+  const relatedSkills = comparison.similarity?.details?.relatedSkills || [];
 
   return (
     <div className="space-y-6">
@@ -893,6 +1125,35 @@ const SkillsTab = ({ comparison }) => {
         </div>
       )}
 
+      {/* Related Skills - count for part of a shared skill */}
+      {relatedSkills.length > 0 && (
+        <div className="rounded-2xl border p-6 bg-gradient-to-br from-sky-50 to-cyan-50 dark:from-gray-700 dark:to-gray-800 border-sky-200 dark:border-gray-600">
+          <h3 className="font-bold text-xl mb-1 flex items-center gap-2 text-sky-700 dark:text-sky-300">
+            <ArrowRight size={24} />
+            Related Skills ({relatedSkills.length})
+          </h3>
+          <p className="text-sm mb-4 text-gray-600 dark:text-gray-400">
+            Different skills that are closely related count for part of a match
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {relatedSkills.slice(0, 9).map((pair) => (
+              <div
+                key={`${pair.name1}-${pair.name2}`}
+                className="bg-white dark:bg-gray-700 rounded-xl p-4 shadow-sm border border-sky-100 dark:border-gray-600 flex items-center justify-between gap-3"
+              >
+                <span className="text-base font-medium text-gray-800 dark:text-gray-200 truncate">
+                  {pair.name1} ↔ {pair.name2}
+                </span>
+                <span className="text-xs font-semibold text-sky-600 dark:text-sky-300 flex-shrink-0">
+                  {Math.round(pair.credit * 100)}%
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Unique Skills Comparison */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-7">
         {/* Person 1 Unique Skills */}
@@ -987,7 +1248,43 @@ const SkillsTab = ({ comparison }) => {
   );
 };
 
+const COLLABORATION_LEVELS = {
+  strong: { label: 'Strong', dot: 'bg-green-500' },
+  moderate: { label: 'Moderate', dot: 'bg-amber-500' },
+  limited: { label: 'Limited', dot: 'bg-red-400' }
+};
+
+const RECOMMENDATION_DOTS = {
+  high: 'bg-red-500',
+  medium: 'bg-amber-500',
+  low: 'bg-blue-500'
+};
+
+const SkillChips = ({ skills }) => (
+  <div className="flex flex-wrap gap-2 mt-2">
+    {skills.map(skill => (
+      <span
+        key={skill}
+        className="px-2 py-0.5 rounded-full text-xs font-medium bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-gray-600"
+      >
+        {skill}
+      </span>
+    ))}
+  </div>
+);
+
 const InsightsTab = ({ comparison }) => {
+  const insights = useMemo(
+    () => generateComparisonInsights(comparison.person1?.genome, comparison.person2?.genome, comparison.similarity),
+    [comparison]
+  );
+  const names = {
+    person1: comparison.person1?.name || comparison.person1?.username,
+    person2: comparison.person2?.name || comparison.person2?.username
+  };
+  const { collaboration, mentorship, skillGaps, complementaryPairs, recommendations } = insights;
+  const level = COLLABORATION_LEVELS[collaboration.level];
+
   return (
     <div className="space-y-8">
       <div className="grid grid-cols-1 md:grid-cols-2 gap-7">
@@ -1000,36 +1297,129 @@ const InsightsTab = ({ comparison }) => {
             <h3 className="font-bold text-2xl text-amber-700 dark:text-amber-300">
               Collaboration Potential
             </h3>
+            <span className="ml-auto flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+              <span className={`w-3 h-3 rounded-full ${level.dot}`}></span>
+              {level.label} · {Math.round(collaboration.score * 100)}%
+            </span>
           </div>
-          
-          <div className="space-y-5">
-            <div className="flex items-start gap-4">
-              <div className="mt-1 w-3 h-3 rounded-full bg-green-500 flex-shrink-0"></div>
-              <div>
-                <h4 className="font-bold text-gray-900 dark:text-gray-100">Strong technical alignment</h4>
-                <p className="text-gray-600 dark:text-gray-400 mt-1">Both professionals share core technical skills</p>
-              </div>
+
+          {collaboration.signals.length === 0 ? (
+            <p className="text-gray-600 dark:text-gray-400">
+              These profiles don't list enough skills or background to judge how they would work together.
+            </p>
+          ) : (
+            <div className="space-y-5">
+              {collaboration.signals.map(signal => (
+                <div key={`${signal.type}-${signal.title}`} className="flex items-start gap-4">
+                  <div className="mt-1 w-3 h-3 rounded-full bg-amber-500 flex-shrink-0"></div>
+                  <div>
+                    <h4 className="font-bold text-gray-900 dark:text-gray-100">{signal.title}</h4>
+                    <p className="text-gray-600 dark:text-gray-400 mt-1">{signal.description}</p>
+                    {signal.skills.length > 0 && <SkillChips skills={signal.skills} />}
+                  </div>
+                </div>
+              ))}
             </div>
-            
-            <div className="flex items-start gap-4">
-              <div className="mt-1 w-3 h-3 rounded-full bg-blue-500 flex-shrink-0"></div>
-              <div>
-                <h4 className="font-bold text-gray-900 dark:text-gray-100">Complementary skill sets</h4>
-                <p className="text-gray-600 dark:text-gray-400 mt-1">Unique skills from each person fill gaps</p>
-              </div>
+          )}
+        </div>
+
+        {/* Mentorship */}
+        <div className="rounded-3xl border p-7 bg-gradient-to-br from-emerald-50 to-teal-50 dark:from-gray-700 dark:to-gray-800 border-emerald-200 dark:border-gray-600 shadow-lg">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="w-10 h-10 rounded-xl bg-emerald-100 dark:bg-emerald-900/50 flex items-center justify-center">
+              <GraduationCap className="text-emerald-600 dark:text-emerald-400" size={24} />
             </div>
-            
-            <div className="flex items-start gap-4">
-              <div className="mt-1 w-3 h-3 rounded-full bg-purple-500 flex-shrink-0"></div>
-              <div>
-                <h4 className="font-bold text-gray-900 dark:text-gray-100">Similar experience levels</h4>
-                <p className="text-gray-600 dark:text-gray-400 mt-1">Both have comparable years of experience</p>
+            <h3 className="font-bold text-2xl text-emerald-700 dark:text-emerald-300">
+              Mentorship
+            </h3>
+          </div>
+
+          <div className="space-y-4 text-gray-700 dark:text-gray-300">
+            {mentorship.directions.length === 0 && (
+              <p className="text-gray-600 dark:text-gray-400">
+                Neither is clearly ahead on the skills they share, so this looks more like a peer pairing.
+              </p>
+            )}
+            {mentorship.directions.map(direction => (
+              <div key={direction.mentor} className="bg-white dark:bg-gray-700 rounded-xl p-5 shadow-sm border border-emerald-100 dark:border-gray-600">
+                <p className="font-semibold">
+                  {names[direction.mentor]} can mentor {names[direction.learner]} in
+                </p>
+                <ul className="mt-2 space-y-1 text-sm">
+                  {direction.skills.slice(0, 5).map(skill => (
+                    <li key={skill.name} className="flex items-center justify-between gap-3">
+                      <span>
+                        {skill.name}
+                        {skill.relatedTo && (
+                          <span className="text-gray-500 dark:text-gray-400"> (related to {skill.relatedTo})</span>
+                        )}
+                      </span>
+                      <span className="text-xs font-semibold text-emerald-600 dark:text-emerald-300 flex-shrink-0">
+                        {Math.round(skill.mentorProficiency * 100)}% vs {Math.round(skill.learnerProficiency * 100)}%
+                      </span>
+                    </li>
+                  ))}
+                </ul>
               </div>
-            </div>
+            ))}
+            {mentorship.experienceLead && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {names[mentorship.experienceLead.person]} has more experience: {mentorship.experienceLead.years[0]} vs {mentorship.experienceLead.years[1]} years
+                ({mentorship.experienceLead.seniority[0]} vs {mentorship.experienceLead.seniority[1].toLowerCase()}).
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Skill Gaps */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-7">
+        {['person1', 'person2'].map(person => (
+          <div key={person} className="rounded-2xl border p-6 bg-gradient-to-br from-red-50 to-rose-50 dark:from-gray-700 dark:to-gray-800 border-red-200 dark:border-gray-600">
+            <h3 className="font-bold text-xl mb-1 flex items-center gap-2 text-red-700 dark:text-red-300">
+              <AlertCircle size={22} />
+              Gaps for {names[person]}
+            </h3>
+            <p className="text-sm mb-4 text-gray-600 dark:text-gray-400">
+              Strong skills of {names[person === 'person1' ? 'person2' : 'person1']} with nothing close on this profile
+            </p>
+            {skillGaps[person].length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No significant gaps</p>
+            ) : (
+              <SkillChips skills={skillGaps[person].slice(0, 8).map(gap => `${gap.skill} · ${Math.round(gap.proficiency * 100)}%`)} />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Complementary Pairs */}
+      {complementaryPairs.length > 0 && (
+        <div className="rounded-2xl border p-6 bg-gradient-to-br from-purple-50 to-indigo-50 dark:from-gray-700 dark:to-gray-800 border-purple-200 dark:border-gray-600">
+          <h3 className="font-bold text-xl mb-1 flex items-center gap-2 text-purple-700 dark:text-purple-300">
+            <TrendingUp size={22} />
+            Complementary Skills
+          </h3>
+          <p className="text-sm mb-4 text-gray-600 dark:text-gray-400">
+            Where one is much stronger than the other, or the only one to have the skill
+          </p>
+          <div className="space-y-5">
+            {complementaryPairs.map(pair => (
+              <div key={pair.skill}>
+                <h4 className="font-semibold text-sm mb-2 text-gray-900 dark:text-gray-100">{pair.skill}</h4>
+                <SkillComparisonBar
+                  skill1={pair.person1Proficiency}
+                  skill2={pair.person2Proficiency}
+                  person1Name={names.person1}
+                  person2Name={names.person2}
+                />
+              </div>
+            ))}
           </div>
         </div>
+      )}
 
-        {/* Team Recommendations */}
+      {/* Recommendations */}
+      {recommendations.length > 0 && (
         <div className="rounded-3xl border p-7 bg-gradient-to-br from-emerald-50 to-teal-50 dark:from-gray-700 dark:to-gray-800 border-emerald-200 dark:border-gray-600 shadow-lg">
           <div className="flex items-center gap-3 mb-6">
             <div className="w-10 h-10 rounded-xl bg-emerald-100 dark:bg-emerald-900/50 flex items-center justify-center">
@@ -1039,32 +1429,20 @@ const InsightsTab = ({ comparison }) => {
               Recommendations
             </h3>
           </div>
-          
+
           <div className="space-y-4 text-gray-700 dark:text-gray-300">
-            <div className="bg-white dark:bg-gray-700 rounded-xl p-5 shadow-sm border border-emerald-100 dark:border-gray-600">
-              <p>These professionals would work well together on technical projects due to their complementary skills.</p>
-            </div>
-            <div className="bg-white dark:bg-gray-700 rounded-xl p-5 shadow-sm border border-emerald-100 dark:border-gray-600">
-              <p>Consider pairing them for mentorship opportunities to leverage their different strengths.</p>
-            </div>
-            <div className="bg-white dark:bg-gray-700 rounded-xl p-5 shadow-sm border border-emerald-100 dark:border-gray-600">
-              <p>Strong potential for knowledge sharing and mutual professional growth.</p>
-            </div>
+            {recommendations.map(recommendation => (
+              <div key={recommendation.type} className="bg-white dark:bg-gray-700 rounded-xl p-5 shadow-sm border border-emerald-100 dark:border-gray-600 flex items-start gap-4">
+                <div className={`mt-1.5 w-3 h-3 rounded-full flex-shrink-0 ${RECOMMENDATION_DOTS[recommendation.priority] || 'bg-gray-400'}`}></div>
+                <div>
+                  <h4 className="font-bold text-gray-900 dark:text-gray-100">{recommendation.title}</h4>
+                  <p className="mt-1">{recommendation.description}</p>
+                </div>
+              </div>
+            ))}
           </div>
         </div>
-      </div>
-      
-      {/* Action Button */}
-      <div className="text-center pt-6">
-        <motion.button 
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-          className="inline-flex items-center gap-3 px-7 py-4 rounded-2xl font-bold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 transition-all shadow-xl"
-        >
-          <Sparkles size={24} />
-          Generate Detailed Report
-        </motion.button>
-      </div>
+      )}
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import React from 'react';
 import { AlertCircle, RefreshCw, X, Info, CheckCircle, AlertTriangle } from 'lucide-react';
 import { motion } from 'framer-motion';
+import { API_ERROR_KINDS, isConnectivityError } from '../services/apiClient';
 
 /**
  * ErrorMessage component with different variants and actions
@@ -182,29 +183,71 @@ const ErrorMessage = ({
  * Specialized error components for common use cases
  */
 
-export const NetworkError = ({ onRetry, onDismiss }) => (
-  <ErrorMessage
-    type="error"
-    title="Network Error"
-    message="Unable to connect to Torre servers. Please check your internet connection and try again."
-    onRetry={onRetry}
-    onDismiss={onDismiss}
-    dismissible={!!onDismiss}
-  />
-);
+/**
+ * Title and message for an error that kept Torre from answering
+ * @param {Error} error - Typed error from services/apiClient
+ */
+const describeUnreachable = (error) => {
+  if (error?.kind === API_ERROR_KINDS.offline) {
+    return {
+      title: "You're Offline",
+      message: 'Searches and genomes saved on this device are still available. Everything else comes back once you reconnect.',
+    };
+  }
+  if (error?.kind === API_ERROR_KINDS.rateLimited) {
+    const wait = error.retryAfter ? ` Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.` : ' Please wait a moment and try again.';
+    return { title: 'Too Many Requests', message: `Torre is limiting how fast we can ask for data.${wait}` };
+  }
+  if (error?.kind === API_ERROR_KINDS.timeout) {
+    return { title: 'Request Timed Out', message: 'Torre took too long to answer. This is usually temporary, so try again.' };
+  }
+  return {
+    title: 'Network Error',
+    message: 'Unable to connect to Torre servers. Please check your internet connection and try again.',
+  };
+};
 
-export const SearchError = ({ query, onRetry, onDismiss }) => (
-  <ErrorMessage
-    type="error"
-    title="Search Failed"
-    message={`Unable to search for "${query}". This might be a temporary issue.`}
-    onRetry={onRetry}
-    onDismiss={onDismiss}
-    dismissible={!!onDismiss}
-  />
-);
+export const NetworkError = ({ error, onRetry, onDismiss, className, children }) => {
+  const { title, message } = describeUnreachable(error);
+  const isOffline = error?.kind === API_ERROR_KINDS.offline;
+  return (
+    <ErrorMessage
+      type={isOffline ? 'warning' : 'error'}
+      title={title}
+      message={message}
+      onRetry={onRetry}
+      onDismiss={onDismiss}
+      dismissible={!!onDismiss}
+      className={className}
+    >
+      {children}
+    </ErrorMessage>
+  );
+};
+
+export const SearchError = ({ query, error, onRetry, onDismiss }) => {
+  // Connection problems and rate limits aren't about the query
+  if (isConnectivityError(error) || error?.kind === API_ERROR_KINDS.rateLimited) {
+    return <NetworkError error={error} onRetry={onRetry} onDismiss={onDismiss} />;
+  }
+
+  const reason = error?.kind === API_ERROR_KINDS.server
+    ? 'Torre is having trouble right now. This might be a temporary issue.'
+    : error?.message || 'This might be a temporary issue.';
+
+  return (
+    <ErrorMessage
+      type="error"
+      title="Search Failed"
+      message={`Unable to search for "${query}". ${reason}`}
+      onRetry={onRetry}
+      onDismiss={onDismiss}
+      dismissible={!!onDismiss}
+    />
+  );
+};
 
-export const NoResults = ({ query, onClear }) => (
+export const NoResults = ({ query, onClear, hasFilters = false }) => (
   <ErrorMessage
     type="info"
     title="No Results Found"
@@ -218,6 +261,7 @@ export const NoResults = ({ query, onClear }) => (
         <li>Try different keywords or names</li>
         <li>Check for typos in your search</li>
         <li>Use broader search terms</li>
+        {hasFilters && <li>Loosen or clear your search filters</li>}
       </ul>
     </div>
   </ErrorMessage>
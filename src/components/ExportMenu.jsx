@@ -0,0 +1,160 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, Printer, FileText, Copy, Table } from 'lucide-react';
+import { useToast } from './Toast';
+import {
+  reportToMarkdown,
+  reportFileName,
+  downloadFile,
+  printReport
+} from '../services/reports.js';
+
+/**
+ * ExportMenu component - print or save a report as PDF, copy or download it
+ * as Markdown, and download its data as CSV
+ * @param {Object} props - Component props
+ * @param {string} props.name - What is exported, used in file names
+ * @param {Function} props.getReport - Builds the report (see services/reports.js)
+ * @param {Function} props.getCsv - Builds CSV text; leave out when there's no CSV export
+ * @param {string} props.className - Button classes
+ * @param {Object} props.style - Button styles
+ */
+const ExportMenu = ({ name, getReport, getCsv, className = 'btn-iconoir', style }) => {
+  const toast = useToast();
+  const [menuPosition, setMenuPosition] = useState(null);
+  const buttonRef = useRef(null);
+  const menuRef = useRef(null);
+  const isOpen = menuPosition !== null;
+
+  const toggleMenu = () => {
+    if (isOpen) {
+      setMenuPosition(null);
+      return;
+    }
+    const rect = buttonRef.current.getBoundingClientRect();
+    setMenuPosition({
+      top: rect.bottom + 8,
+      left: Math.max(8, Math.min(rect.right - 224, window.innerWidth - 232))
+    });
+  };
+
+  // Close the menu on outside clicks, scrolling or resizing
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (!buttonRef.current?.contains(e.target) && !menuRef.current?.contains(e.target)) {
+        setMenuPosition(null);
+      }
+    };
+    const close = () => setMenuPosition(null);
+
+    document.addEventListener('mousedown', handleClickOutside);
+    window.addEventListener('scroll', close, true);
+    window.addEventListener('resize', close);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      window.removeEventListener('scroll', close, true);
+      window.removeEventListener('resize', close);
+    };
+  }, [isOpen]);
+
+  const options = [
+    {
+      id: 'pdf',
+      label: 'Print / save as PDF',
+      icon: Printer,
+      run: () => printReport(getReport())
+    },
+    {
+      id: 'markdown-copy',
+      label: 'Copy as Markdown',
+      icon: Copy,
+      run: async () => {
+        await navigator.clipboard.writeText(reportToMarkdown(getReport()));
+        toast.success('Markdown copied to clipboard');
+      }
+    },
+    {
+      id: 'markdown',
+      label: 'Download Markdown',
+      icon: FileText,
+      run: () => downloadFile(reportToMarkdown(getReport()), reportFileName(name, 'md'), 'text/markdown')
+    },
+    getCsv && {
+      id: 'csv',
+      label: 'Download CSV',
+      icon: Table,
+      // The byte order mark makes spreadsheet apps read accented names as UTF-8
+      run: () => downloadFile(`\ufeff${getCsv()}`, reportFileName(name, 'csv'), 'text/csv')
+    }
+  ].filter(Boolean);
+
+  const handleSelect = async (option) => {
+    setMenuPosition(null);
+    try {
+      await option.run();
+    } catch (error) {
+      console.error(`Export "${option.id}" failed:`, error);
+      toast.error('Failed to export');
+    }
+  };
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        onClick={toggleMenu}
+        className={className}
+        style={style}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        <Download size={16} />
+        Export
+      </button>
+
+      {createPortal(
+        <AnimatePresence>
+          {isOpen && (
+            <motion.div
+              ref={menuRef}
+              initial={{ opacity: 0, y: 4 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 4 }}
+              transition={{ duration: 0.15 }}
+              className="fixed z-[100] w-56 rounded-xl shadow-xl p-2"
+              style={{
+                top: menuPosition.top,
+                left: menuPosition.left,
+                backgroundColor: 'var(--torre-bg-secondary)',
+                border: '1px solid var(--torre-border)'
+              }}
+              role="menu"
+            >
+              {options.map(option => {
+                const Icon = option.icon;
+                return (
+                  <button
+                    key={option.id}
+                    onClick={() => handleSelect(option)}
+                    className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm text-left hover:bg-[var(--torre-bg-tertiary)]"
+                    style={{ color: 'var(--torre-text-primary)' }}
+                    role="menuitem"
+                  >
+                    <Icon size={14} style={{ color: 'var(--torre-text-muted)' }} />
+                    {option.label}
+                  </button>
+                );
+              })}
+            </motion.div>
+          )}
+        </AnimatePresence>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default ExportMenu;
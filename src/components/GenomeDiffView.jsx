@@ -0,0 +1,540 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  Briefcase,
+  GraduationCap,
+  Languages,
+  Award,
+  Heart,
+  Target,
+  GitCompare,
+  AlertCircle
+} from 'lucide-react';
+import Avatar from './Avatar.jsx';
+import LoadingSpinner from './LoadingSpinner';
+import { getGenome } from '../services/genomeStore.js';
+import { API_ERROR_KINDS, isAbortError } from '../services/apiClient.js';
+import { diffGenomes } from '../services/genomeDiff.js';
+import { formatDateRange } from '../utils/dataProcessing.js';
+
+// Colors that tell the two people apart; shared items use green
+const PERSON_COLORS = ['var(--torre-accent)', 'var(--torre-blue)'];
+const SHARED_COLOR = 'var(--torre-green)';
+
+// Height of one lane of experience bars, in pixels
+const LANE_HEIGHT = 28;
+
+/**
+ * Stack timeline entries into lanes so overlapping experiences don't cover each other
+ * @param {Array} entries - Dated entries with `start` and `end`
+ * @returns {Object} `{ placed, laneCount }`; placed entries get a `lane`
+ */
+const assignLanes = (entries) => {
+  const laneEnds = [];
+  const placed = [...entries]
+    .sort((a, b) => a.start - b.start)
+    .map(entry => {
+      let lane = laneEnds.findIndex(end => end <= entry.start);
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(entry.end);
+      } else {
+        laneEnds[lane] = entry.end;
+      }
+      return { ...entry, lane };
+    });
+  return { placed, laneCount: Math.max(1, laneEnds.length) };
+};
+
+/**
+ * Section card with a title
+ */
+const Section = ({ icon, title, description, children }) => {
+  const Icon = icon;
+  return (
+    <section className="card-iconoir p-6">
+      <h3 className="font-bold text-lg mb-1 flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+        <Icon size={20} />
+        {title}
+      </h3>
+      {description && (
+        <p className="text-sm mb-4" style={{ color: 'var(--torre-text-secondary)' }}>
+          {description}
+        </p>
+      )}
+      {children}
+    </section>
+  );
+};
+
+/**
+ * One person's row of experience bars on the shared timeline
+ * @param {Object} props - Component props
+ * @param {Array} props.experiences - Experiences placed by diffGenomes
+ * @param {number} props.start - First year on the axis
+ * @param {number} props.span - Years on the axis
+ * @param {string} props.color - Color for this person's own experiences
+ */
+const TimelineRow = ({ experiences, start, span, color }) => {
+  const { placed, laneCount } = assignLanes(experiences.filter(exp => exp.start !== null));
+
+  return (
+    <div className="relative rounded-lg" style={{ height: laneCount * LANE_HEIGHT, backgroundColor: 'var(--torre-bg-tertiary)' }}>
+      {placed.map((exp, index) => {
+        const barColor = exp.shared ? SHARED_COLOR : color;
+        return (
+          <div
+            key={exp.id || index}
+            className="absolute rounded-md px-2 text-xs font-medium truncate flex items-center"
+            style={{
+              left: `${((exp.start - start) / span) * 100}%`,
+              width: `${((exp.end - exp.start) / span) * 100}%`,
+              top: exp.lane * LANE_HEIGHT + 2,
+              height: LANE_HEIGHT - 4,
+              backgroundColor: `color-mix(in srgb, ${barColor} 35%, transparent)`,
+              border: `1px solid ${barColor}`,
+              color: 'var(--torre-text-primary)'
+            }}
+            title={`${exp.name}${exp.organizations?.[0]?.name ? ` at ${exp.organizations[0].name}` : ''} (${formatDateRange(exp.fromMonth, exp.fromYear, exp.toMonth, exp.toYear)})`}
+          >
+            {exp.organizations?.[0]?.name || exp.name}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Experiences of both people on one time axis
+ */
+const TimelineSection = ({ timeline, people }) => {
+  const hasDates = timeline.start !== null;
+  const span = hasDates ? Math.max(1, timeline.end - timeline.start) : 1;
+  // A tick every year on short careers, fewer on long ones
+  const step = span > 24 ? 5 : span > 12 ? 2 : 1;
+  const ticks = [];
+  for (let year = timeline.start; hasDates && year <= timeline.end; year += step) ticks.push(year);
+
+  const undated = [
+    ...timeline.experiences1.filter(exp => exp.start === null).map(exp => ({ ...exp, person: people[0] })),
+    ...timeline.experiences2.filter(exp => exp.start === null).map(exp => ({ ...exp, person: people[1] }))
+  ];
+
+  return (
+    <Section
+      icon={Briefcase}
+      title="Experience Timeline"
+      description="Both careers on one time axis. Green bars are organizations both people worked at."
+    >
+      {!hasDates ? (
+        <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+          No dated experiences on these profiles.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {[timeline.experiences1, timeline.experiences2].map((experiences, index) => (
+            <div key={people[index].username} className="flex items-start gap-3">
+              <div className="w-28 shrink-0 flex items-center gap-2 pt-1 text-sm font-medium truncate" style={{ color: PERSON_COLORS[index] }}>
+                <Avatar person={people[index]} size="xs" />
+                {people[index].name.split(' ')[0]}
+              </div>
+              <div className="flex-1 min-w-0">
+                <TimelineRow experiences={experiences} start={timeline.start} span={span} color={PERSON_COLORS[index]} />
+              </div>
+            </div>
+          ))}
+
+          <div className="flex items-start gap-3">
+            <div className="w-28 shrink-0" />
+            <div className="relative flex-1 h-5 text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+              {ticks.map(year => (
+                <span
+                  key={year}
+                  className="absolute -translate-x-1/2"
+                  style={{ left: `${((year - timeline.start) / span) * 100}%` }}
+                >
+                  {year}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {undated.length > 0 && (
+        <div className="mt-4">
+          <h4 className="text-sm font-semibold mb-2" style={{ color: 'var(--torre-text-secondary)' }}>
+            Without dates
+          </h4>
+          <ul className="space-y-1 text-sm">
+            {undated.map((exp, index) => (
+              <li key={`${exp.person.username}-${exp.id || index}`} style={{ color: 'var(--torre-text-primary)' }}>
+                <span style={{ color: exp.shared ? SHARED_COLOR : PERSON_COLORS[exp.person === people[0] ? 0 : 1] }}>
+                  {exp.person.name}:
+                </span>{' '}
+                {exp.name}{exp.organizations?.[0]?.name && ` at ${exp.organizations[0].name}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Section>
+  );
+};
+
+/**
+ * One person's list of entries, shared ones marked green and unique ones in the person's color
+ */
+const EntryList = ({ entries, color, emptyText, renderEntry }) => {
+  if (entries.length === 0) {
+    return (
+      <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>{emptyText}</p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {entries.map((entry, index) => (
+        <li
+          key={entry.id || index}
+          className="rounded-lg p-3 text-sm"
+          style={{
+            backgroundColor: 'var(--torre-bg-tertiary)',
+            borderLeft: `3px solid ${entry.shared ? SHARED_COLOR : color}`
+          }}
+        >
+          {renderEntry(entry)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Names aligned by diffGenomes in three columns: only the first person, both, only the second
+ */
+const AlignedColumns = ({ rows, people, emptyText }) => {
+  if (rows.length === 0) {
+    return <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>{emptyText}</p>;
+  }
+
+  const columns = [
+    { status: 'only1', title: `Only ${people[0].name}`, color: PERSON_COLORS[0] },
+    { status: 'shared', title: 'Both', color: SHARED_COLOR },
+    { status: 'only2', title: `Only ${people[1].name}`, color: PERSON_COLORS[1] }
+  ];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {columns.map(column => {
+        const columnRows = rows.filter(row => row.status === column.status);
+        return (
+          <div key={column.status}>
+            <h4 className="text-sm font-semibold mb-2 truncate" style={{ color: column.color }}>
+              {column.title} ({columnRows.length})
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {columnRows.map(row => (
+                <span
+                  key={row.key}
+                  className="px-2 py-1 rounded-full text-xs font-medium"
+                  style={{
+                    backgroundColor: `color-mix(in srgb, ${column.color} 20%, transparent)`,
+                    color: 'var(--torre-text-primary)'
+                  }}
+                >
+                  {(row.item1 || row.item2).name}
+                </span>
+              ))}
+              {columnRows.length === 0 && (
+                <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>None</span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * GenomeDiffView component - two genomes side by side, section by section,
+ * with what only one of them has highlighted
+ * @param {Object} props - Component props
+ * @param {string} props.usernameA - First Torre username
+ * @param {string} props.usernameB - Second Torre username
+ * @param {Function} props.onViewGenome - Open a person's genome
+ * @param {Function} props.onBack - Leave the diff
+ */
+const GenomeDiffView = ({ usernameA, usernameB, onViewGenome, onBack }) => {
+  const [genomes, setGenomes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!usernameA || !usernameB) return;
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    Promise.all([
+      getGenome(usernameA, { signal: controller.signal }),
+      getGenome(usernameB, { signal: controller.signal })
+    ])
+      .then(([responseA, responseB]) => {
+        setGenomes([responseA.data, responseB.data]);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        console.error('Error loading genomes for diff:', err);
+        setError(err);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [usernameA, usernameB]);
+
+  const diff = useMemo(() => genomes && diffGenomes(genomes[0], genomes[1]), [genomes]);
+
+  if (!usernameA || !usernameB) {
+    return (
+      <div className="max-w-3xl mx-auto p-6 text-center">
+        <GitCompare size={40} className="mx-auto mb-4" style={{ color: 'var(--torre-text-muted)' }} />
+        <h2 className="text-2xl font-bold mb-2" style={{ color: 'var(--torre-text-primary)' }}>Genome Diff</h2>
+        <p className="mb-6" style={{ color: 'var(--torre-text-secondary)' }}>
+          Open a diff from a comparison, or go to <code>/diff/first-username/second-username</code>.
+        </p>
+        <button onClick={onBack} className="btn-iconoir">
+          <ArrowLeft size={16} />
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  if (isLoading || (!diff && !error)) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-3xl mx-auto p-6 text-center">
+        <AlertCircle size={40} className="mx-auto mb-4" style={{ color: 'var(--torre-red)' }} />
+        <h2 className="text-2xl font-bold mb-2" style={{ color: 'var(--torre-text-primary)' }}>
+          {error.kind === API_ERROR_KINDS.notFound ? 'Genome Not Found' : 'Error Loading Genomes'}
+        </h2>
+        <p className="mb-6" style={{ color: 'var(--torre-text-secondary)' }}>{error.message}</p>
+        <button onClick={onBack} className="btn-iconoir">
+          <ArrowLeft size={16} />
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  const people = [diff.user1.person, diff.user2.person];
+  const { skills } = diff;
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <button onClick={onBack} className="btn-iconoir" aria-label="Back">
+            <ArrowLeft size={16} />
+          </button>
+          <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>Genome Diff</h2>
+        </div>
+        <div className="flex items-center gap-4 text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+          {people.map((person, index) => (
+            <span key={person.username} className="flex items-center gap-1">
+              <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: PERSON_COLORS[index] }} />
+              Only {person.name.split(' ')[0]}
+            </span>
+          ))}
+          <span className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: SHARED_COLOR }} />
+            Both
+          </span>
+        </div>
+      </div>
+
+      {/* People */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {people.map((person, index) => (
+          <motion.button
+            key={person.username}
+            whileHover={{ y: -2 }}
+            onClick={() => onViewGenome(person)}
+            className="card-iconoir p-4 flex items-center gap-3 text-left"
+            style={{ borderTop: `3px solid ${PERSON_COLORS[index]}` }}
+          >
+            <Avatar person={person} size="lg" />
+            <div className="min-w-0">
+              <div className="font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>{person.name}</div>
+              <div className="text-sm truncate" style={{ color: 'var(--torre-text-secondary)' }}>{person.professionalHeadline}</div>
+            </div>
+          </motion.button>
+        ))}
+      </div>
+
+      <TimelineSection timeline={diff.timeline} people={people} />
+
+      {/* Skills */}
+      <Section
+        icon={Target}
+        title="Skills"
+        description={`${Math.round(skills.score * 100)}% skill match, counting related skills.`}
+      >
+        {skills.common.length + skills.related.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-semibold mb-2" style={{ color: SHARED_COLOR }}>
+              Both ({skills.common.length + skills.related.length})
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {skills.common.map(skill => (
+                <span
+                  key={skill.name}
+                  className="px-2 py-1 rounded-full text-xs font-medium"
+                  style={{ backgroundColor: `color-mix(in srgb, ${SHARED_COLOR} 20%, transparent)`, color: 'var(--torre-text-primary)' }}
+                  title={`${Math.round(skill.proficiency1 * 100)}% vs ${Math.round(skill.proficiency2 * 100)}%`}
+                >
+                  {skill.name}
+                </span>
+              ))}
+              {skills.related.map(pair => (
+                <span
+                  key={`${pair.name1}-${pair.name2}`}
+                  className="px-2 py-1 rounded-full text-xs font-medium"
+                  style={{ border: `1px dashed ${SHARED_COLOR}`, color: 'var(--torre-text-primary)' }}
+                  title={`Related skills (${pair.relation})`}
+                >
+                  {pair.name1} ≈ {pair.name2}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[skills.unique1, skills.unique2].map((unique, index) => (
+            <div key={people[index].username}>
+              <h4 className="text-sm font-semibold mb-2 truncate" style={{ color: PERSON_COLORS[index] }}>
+                Only {people[index].name} ({unique.length})
+              </h4>
+              <div className="flex flex-wrap gap-2">
+                {unique.map(skill => (
+                  <span
+                    key={skill.name}
+                    className="px-2 py-1 rounded-full text-xs font-medium"
+                    style={{ backgroundColor: `color-mix(in srgb, ${PERSON_COLORS[index]} 20%, transparent)`, color: 'var(--torre-text-primary)' }}
+                  >
+                    {skill.name}
+                  </span>
+                ))}
+                {unique.length === 0 && (
+                  <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>None</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </Section>
+
+      {/* Education */}
+      <Section icon={GraduationCap} title="Education" description="Green entries are institutions both people attended.">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[diff.education.education1, diff.education.education2].map((education, index) => (
+            <EntryList
+              key={people[index].username}
+              entries={education}
+              color={PERSON_COLORS[index]}
+              emptyText={`No education listed for ${people[index].name}.`}
+              renderEntry={(edu) => (
+                <>
+                  <div className="font-medium" style={{ color: 'var(--torre-text-primary)' }}>{edu.name}</div>
+                  {edu.organizations?.[0]?.name && (
+                    <div style={{ color: 'var(--torre-text-secondary)' }}>{edu.organizations[0].name}</div>
+                  )}
+                  {edu.fromYear && (
+                    <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                      {formatDateRange(edu.fromMonth, edu.fromYear, edu.toMonth, edu.toYear)}
+                    </div>
+                  )}
+                </>
+              )}
+            />
+          ))}
+        </div>
+      </Section>
+
+      {/* Languages */}
+      <Section icon={Languages} title="Languages" description="Fluency side by side; the stronger level is highlighted.">
+        {diff.languages.length === 0 ? (
+          <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>No languages listed on these profiles.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+                <th className="py-2 font-semibold">Language</th>
+                {people.map((person, index) => (
+                  <th key={person.username} className="py-2 font-semibold truncate" style={{ color: PERSON_COLORS[index] }}>
+                    {person.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {diff.languages.map(row => (
+                <tr key={row.key} style={{ borderTop: '1px solid var(--torre-border)' }}>
+                  <td className="py-2 font-medium" style={{ color: 'var(--torre-text-primary)' }}>
+                    {(row.item1 || row.item2).language}
+                  </td>
+                  {[row.item1, row.item2].map((item, index) => {
+                    const isUnique = row.status === (index === 0 ? 'only1' : 'only2');
+                    const isStronger = row.stronger === (index === 0 ? 'person1' : 'person2');
+                    return (
+                      <td
+                        key={index}
+                        className="py-2"
+                        style={{
+                          color: item ? 'var(--torre-text-primary)' : 'var(--torre-text-muted)',
+                          fontWeight: isUnique || isStronger ? 600 : 400
+                        }}
+                      >
+                        {item ? (
+                          <span style={{ color: isUnique || isStronger ? PERSON_COLORS[index] : undefined }}>
+                            {item.fluency}
+                          </span>
+                        ) : '—'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Section>
+
+      {/* Strengths */}
+      <Section icon={Award} title="Strengths">
+        <AlignedColumns rows={diff.strengths} people={people} emptyText="No strengths listed on these profiles." />
+      </Section>
+
+      {/* Interests */}
+      <Section icon={Heart} title="Interests">
+        <AlignedColumns rows={diff.interests} people={people} emptyText="No interests listed on these profiles." />
+      </Section>
+    </div>
+  );
+};
+
+export default GenomeDiffView;
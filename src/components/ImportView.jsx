@@ -0,0 +1,363 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Upload,
+  FileUp,
+  Download,
+  X,
+  Users,
+  UsersRound,
+  Bookmark,
+  CheckCircle,
+  AlertCircle,
+  RefreshCw
+} from 'lucide-react';
+import { useComparison } from '../contexts/ComparisonContext.jsx';
+import { useShortlists } from '../contexts/ShortlistContext.jsx';
+import { useTeam } from '../contexts/TeamContext.jsx';
+import { useToast } from './Toast';
+import Avatar from './Avatar.jsx';
+import { parseCandidateList, fetchCandidateGenomes } from '../services/candidateImport.js';
+import { isAbortError } from '../services/apiClient.js';
+
+// The comparison view handles up to four people at once
+const MAX_COMPARISON_PEOPLE = 4;
+
+/**
+ * ImportView component - bring in a list of candidates from a CSV/TSV file or
+ * pasted usernames and profile links, then compare them, shortlist them or
+ * open them as a team
+ * @param {Object} props - Component props
+ * @param {Function} props.onViewGenome - Open a person's genome
+ * @param {Function} props.onOpenComparison - Switch to the compare view
+ * @param {Function} props.onOpenShortlist - Open a shortlist by id
+ * @param {Function} props.onOpenTeam - Switch to the team builder
+ */
+const ImportView = ({ onViewGenome, onOpenComparison, onOpenShortlist, onOpenTeam }) => {
+  const { loadComparison } = useComparison();
+  const { createShortlist } = useShortlists();
+  const { loadTeam } = useTeam();
+  const toast = useToast();
+
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState(null);
+  // Fetch results by username: `{ person, error }`, or `{ loading: true }` while waiting
+  const [fetched, setFetched] = useState({});
+  const [isFetching, setIsFetching] = useState(false);
+  const [listName, setListName] = useState('');
+  const controllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const rows = useMemo(() => parseCandidateList(text), [text]);
+  const readableRows = rows.filter(row => !row.error);
+  const people = readableRows.map(row => fetched[row.username]?.person).filter(Boolean);
+  const failedRows = readableRows.filter(row => fetched[row.username]?.error);
+  const doneCount = readableRows.filter(row => fetched[row.username] && !fetched[row.username].loading).length;
+  const defaultListName = fileName ? fileName.replace(/\.[^.]+$/, '') : `Imported ${new Date().toLocaleDateString()}`;
+
+  // Stop fetching when leaving the view
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleTextChange = (value) => {
+    controllerRef.current?.abort();
+    setText(value);
+    setFetched({});
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      handleTextChange(await file.text());
+      setFileName(file.name);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      toast.error(`Could not read ${file.name}`);
+    }
+  };
+
+  const fetchRows = async (rowsToFetch) => {
+    if (rowsToFetch.length === 0) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setFetched(current => ({
+      ...current,
+      ...Object.fromEntries(rowsToFetch.map(row => [row.username, { loading: true }]))
+    }));
+    setIsFetching(true);
+
+    try {
+      const results = await fetchCandidateGenomes(rowsToFetch, {
+        signal: controller.signal,
+        onProgress: ({ username, person, error }) => {
+          setFetched(current => ({ ...current, [username]: { person, error } }));
+        }
+      });
+      const failed = results.filter(result => result.error).length;
+      if (failed > 0) {
+        toast.warning(`Imported ${results.length - failed} of ${results.length} people`);
+      } else {
+        toast.success(`Imported ${results.length} ${results.length === 1 ? 'person' : 'people'}`);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error importing candidates:', error);
+        toast.error('Import failed');
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsFetching(false);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsFetching(false);
+    // Rows still waiting go back to not fetched
+    setFetched(current => Object.fromEntries(Object.entries(current).filter(([, result]) => !result.loading)));
+  };
+
+  const handleOpenComparison = () => {
+    if (people.length > MAX_COMPARISON_PEOPLE) {
+      toast.warning(`Comparing the first ${MAX_COMPARISON_PEOPLE} imported people`);
+    }
+    loadComparison(people.slice(0, MAX_COMPARISON_PEOPLE));
+    onOpenComparison();
+  };
+
+  const handleSaveShortlist = () => {
+    const shortlist = createShortlist(listName.trim() || defaultListName, people);
+    toast.success(`Saved ${people.length} people to "${shortlist.name}"`);
+    onOpenShortlist(shortlist.id);
+  };
+
+  const handleOpenTeam = () => {
+    loadTeam(listName.trim() || defaultListName, people);
+    onOpenTeam();
+  };
+
+  const rowStatus = (row) => {
+    if (row.error) return { tone: 'error', text: row.error };
+    const result = fetched[row.username];
+    if (!result) return { tone: 'muted', text: 'Not fetched yet' };
+    if (result.loading) return { tone: 'muted', text: 'Fetching...' };
+    if (result.error) return { tone: 'error', text: result.error };
+    return { tone: 'success', text: result.person.professionalHeadline || 'Found' };
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center gap-3">
+        <Upload size={24} style={{ color: 'var(--torre-accent)' }} />
+        <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+          Import candidates
+        </h2>
+      </div>
+
+      {/* Input */}
+      <motion.section
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card-iconoir p-6 space-y-4"
+      >
+        <p className="text-sm" style={{ color: 'var(--torre-text-secondary)' }}>
+          Paste Torre usernames or profile links (torre.ai/username), one per line, or choose a CSV or TSV file.
+          Files with a header row use the column named username, profile or url, and a name column if there is one.
+        </p>
+
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setFileName(null);
+            handleTextChange(e.target.value);
+          }}
+          rows={6}
+          placeholder={'janedoe\nhttps://torre.ai/johnsmith\n@alex'}
+          className="input-iconoir w-full text-sm font-mono"
+          aria-label="Usernames or profile links"
+        />
+
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+            className="hidden"
+            onChange={(e) => {
+              handleFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          <button onClick={() => fileInputRef.current.click()} className="btn-iconoir px-4 py-3">
+            <FileUp size={16} />
+            Choose file
+          </button>
+          {fileName && (
+            <span className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>{fileName}</span>
+          )}
+          {text && (
+            <button
+              onClick={() => {
+                setFileName(null);
+                handleTextChange('');
+              }}
+              className="text-sm font-medium"
+              style={{ color: 'var(--torre-text-muted)' }}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </motion.section>
+
+      {/* Rows */}
+      {rows.length > 0 && (
+        <section className="card-iconoir p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm font-medium" style={{ color: 'var(--torre-text-primary)' }}>
+              {readableRows.length} {readableRows.length === 1 ? 'username' : 'usernames'}
+              {rows.length > readableRows.length && ` · ${rows.length - readableRows.length} skipped`}
+            </p>
+            {isFetching ? (
+              <button onClick={handleCancel} className="btn-iconoir px-4 py-3">
+                <X size={16} />
+                Cancel
+              </button>
+            ) : failedRows.length > 0 ? (
+              <button onClick={() => fetchRows(failedRows)} className="btn-iconoir px-4 py-3">
+                <RefreshCw size={16} />
+                Retry {failedRows.length} failed
+              </button>
+            ) : doneCount < readableRows.length && (
+              <button
+                onClick={() => fetchRows(readableRows.filter(row => !fetched[row.username]))}
+                className="btn-iconoir px-4 py-3"
+              >
+                <Download size={16} />
+                Fetch {readableRows.length - doneCount} {readableRows.length - doneCount === 1 ? 'profile' : 'profiles'}
+              </button>
+            )}
+          </div>
+
+          {/* Progress */}
+          {(isFetching || doneCount > 0) && readableRows.length > 0 && (
+            <div>
+              <div className="h-2 rounded-full overflow-hidden" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                <motion.div
+                  className="h-full rounded-full"
+                  style={{ backgroundColor: 'var(--torre-accent)' }}
+                  animate={{ width: `${(doneCount / readableRows.length) * 100}%` }}
+                  transition={{ duration: 0.3 }}
+                />
+              </div>
+              <p className="text-xs mt-1" style={{ color: 'var(--torre-text-muted)' }}>
+                {doneCount} of {readableRows.length} done · {people.length} found · {failedRows.length} failed
+              </p>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                  <th className="px-2 py-2 font-semibold">Line</th>
+                  <th className="px-2 py-2 font-semibold">Entry</th>
+                  <th className="px-2 py-2 font-semibold">Person</th>
+                  <th className="px-2 py-2 font-semibold">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => {
+                  const status = rowStatus(row);
+                  const person = !row.error && fetched[row.username]?.person;
+                  const StatusIcon = status.tone === 'success' ? CheckCircle : status.tone === 'error' ? AlertCircle : null;
+                  return (
+                    <tr key={`${row.line}-${index}`} style={{ borderTop: '1px solid var(--torre-border)' }}>
+                      <td className="px-2 py-2" style={{ color: 'var(--torre-text-muted)' }}>{row.line}</td>
+                      <td className="px-2 py-2 font-mono truncate max-w-[14rem]" style={{ color: 'var(--torre-text-secondary)' }}>
+                        {row.input || '—'}
+                      </td>
+                      <td className="px-2 py-2">
+                        {person ? (
+                          <button
+                            onClick={() => onViewGenome(person)}
+                            className="flex items-center gap-2 text-left"
+                            style={{ color: 'var(--torre-text-primary)' }}
+                          >
+                            <Avatar person={person} size="xs" />
+                            <span className="truncate">{person.name}</span>
+                          </button>
+                        ) : (
+                          <span style={{ color: 'var(--torre-text-muted)' }}>{row.name || row.username || '—'}</span>
+                        )}
+                      </td>
+                      <td
+                        className="px-2 py-2"
+                        style={{
+                          color: status.tone === 'error' ? 'var(--torre-red)'
+                            : status.tone === 'success' ? 'var(--torre-text-secondary)'
+                              : 'var(--torre-text-muted)'
+                        }}
+                      >
+                        <span className="flex items-center gap-1">
+                          {StatusIcon && <StatusIcon size={14} className="flex-shrink-0" />}
+                          <span className="truncate max-w-[18rem]">{status.text}</span>
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {/* Destinations */}
+      {people.length > 0 && !isFetching && (
+        <section className="card-iconoir p-6 space-y-4">
+          <h3 className="text-lg font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+            Use {people.length} imported {people.length === 1 ? 'person' : 'people'}
+          </h3>
+          <label className="block space-y-1 max-w-sm">
+            <span className="text-sm font-medium" style={{ color: 'var(--torre-text-secondary)' }}>
+              Shortlist or team name
+            </span>
+            <input
+              type="text"
+              value={listName}
+              onChange={(e) => setListName(e.target.value)}
+              placeholder={defaultListName}
+              className="input-iconoir w-full text-sm"
+            />
+          </label>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleOpenComparison}
+              disabled={people.length < 2}
+              className="btn-iconoir px-4 py-3 disabled:opacity-50"
+            >
+              <Users size={16} />
+              Compare
+            </button>
+            <button onClick={handleSaveShortlist} className="btn-iconoir px-4 py-3">
+              <Bookmark size={16} />
+              Save as shortlist
+            </button>
+            <button onClick={handleOpenTeam} className="btn-iconoir px-4 py-3">
+              <UsersRound size={16} />
+              Open as team
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportView;
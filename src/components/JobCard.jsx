@@ -0,0 +1,150 @@
+import React from 'react';
+import { MapPin, Globe, Building2, DollarSign, Clock } from 'lucide-react';
+import { motion } from 'framer-motion';
+
+/**
+ * JobCard component to display an individual job opportunity
+ * @param {Object} props - Component props
+ * @param {Object} props.job - Formatted job data
+ * @param {Function} props.onClick - Click handler
+ * @param {number} props.index - Card index for animation delay
+ */
+const JobCard = ({ job, onClick, index = 0 }) => {
+  if (!job) return null;
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onClick(job);
+    }
+  };
+
+  // Get top skills (limit to 4 for card display)
+  const topSkills = job.skills.slice(0, 4);
+  const remainingSkillsCount = Math.max(0, job.skills.length - 4);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{
+        duration: 0.2,
+        delay: Math.min(index * 0.03, 0.5),
+        ease: "easeOut"
+      }}
+      whileHover={{
+        y: -4,
+        transition: { duration: 0.2 }
+      }}
+      className="card-iconoir cursor-pointer overflow-hidden"
+      onClick={() => onClick(job)}
+      onKeyPress={handleKeyPress}
+      tabIndex={0}
+      role="button"
+      aria-label={`View job ${job.title}`}
+    >
+      <div className="p-4 sm:p-6 h-full flex flex-col">
+        {/* Organization */}
+        <div className="flex items-center gap-3 mb-3">
+          {job.organization?.picture ? (
+            <img
+              src={job.organization.picture}
+              alt={`${job.organization.name} logo`}
+              className="w-10 h-10 rounded-lg object-cover border"
+              style={{ borderColor: 'var(--torre-border)' }}
+            />
+          ) : (
+            <div
+              className="w-10 h-10 rounded-lg flex items-center justify-center"
+              style={{ background: 'var(--torre-accent)', color: '#2d3748' }}
+            >
+              <Building2 className="h-5 w-5" />
+            </div>
+          )}
+          <span className="text-sm font-medium truncate" style={{ color: 'var(--torre-text-secondary)' }}>
+            {job.organization?.name || 'Unknown organization'}
+          </span>
+        </div>
+
+        {/* Title */}
+        <h3 className="text-base sm:text-lg font-semibold mb-2 line-clamp-2" style={{ color: 'var(--torre-text-primary)' }}>
+          {job.title}
+        </h3>
+
+        {job.tagline && (
+          <p className="text-sm mb-3 line-clamp-2" style={{ color: 'var(--torre-text-secondary)' }}>
+            {job.tagline}
+          </p>
+        )}
+
+        {/* Location, remote and compensation */}
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+          {job.remote && (
+            <div className="flex items-center gap-1" style={{ color: 'var(--torre-green)' }}>
+              <Globe className="h-4 w-4" />
+              <span>Remote</span>
+            </div>
+          )}
+          {job.locations.length > 0 && (
+            <div className="flex items-center gap-1 min-w-0">
+              <MapPin className="h-4 w-4 flex-shrink-0" />
+              <span className="truncate">{job.locations[0]}</span>
+            </div>
+          )}
+          {job.commitment && (
+            <div className="flex items-center gap-1">
+              <Clock className="h-4 w-4" />
+              <span className="capitalize">{job.commitment.replace(/-/g, ' ')}</span>
+            </div>
+          )}
+          {job.compensation && (
+            <div className="flex items-center gap-1" style={{ color: 'var(--torre-accent)' }}>
+              <DollarSign className="h-4 w-4" />
+              <span>{job.compensation.label}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Required skills */}
+        <div className="flex-1">
+          {topSkills.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {topSkills.map((skill) => (
+                <span
+                  key={skill.name}
+                  className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium"
+                  style={{
+                    backgroundColor: 'var(--torre-accent-light)',
+                    color: 'var(--torre-accent)',
+                    border: '1px solid var(--torre-accent)'
+                  }}
+                >
+                  {skill.name}
+                </span>
+              ))}
+              {remainingSkillsCount > 0 && (
+                <span
+                  className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium"
+                  style={{
+                    backgroundColor: 'var(--torre-bg-tertiary)',
+                    color: 'var(--torre-text-muted)'
+                  }}
+                >
+                  +{remainingSkillsCount} more
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end pt-4 mt-4" style={{ borderTop: '1px solid var(--torre-border)' }}>
+          <span className="font-medium text-sm" style={{ color: 'var(--torre-accent)' }}>
+            View Job
+          </span>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default JobCard;
@@ -0,0 +1,194 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import JobCard from './JobCard';
+import LoadingSpinner, { SkeletonGrid } from './LoadingSpinner';
+import ErrorMessage, { NetworkError } from './ErrorMessage';
+import { API_ERROR_KINDS, isConnectivityError } from '../services/apiClient';
+import { ChevronDown, Briefcase } from 'lucide-react';
+
+/**
+ * JobResults component to display job search results with pagination
+ * @param {Object} props - Component props
+ * @param {Array} props.results - Formatted jobs
+ * @param {boolean} props.loading - Loading state
+ * @param {Error} props.error - Search error, typed by services/apiClient
+ * @param {string} props.query - Current search query
+ * @param {boolean} props.hasSearched - Whether a search has been performed
+ * @param {boolean} props.hasMore - Whether there are more results to load
+ * @param {Function} props.onLoadMore - Function to load more results
+ * @param {Function} props.onJobClick - Function to handle job card clicks
+ * @param {Function} props.onRetry - Function to retry search
+ * @param {Function} props.onClear - Function to clear search
+ */
+const JobResults = ({
+  results = [],
+  loading = false,
+  error = null,
+  query = '',
+  hasSearched = false,
+  hasMore = false,
+  onLoadMore,
+  onJobClick,
+  onRetry,
+  onClear,
+}) => {
+  // Show initial state when no search has been performed
+  if (!hasSearched && !loading) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="text-center py-16"
+      >
+        <div className="max-w-md mx-auto">
+          <div className="w-24 h-24 mx-auto mb-6 rounded-full flex items-center justify-center"
+               style={{ background: 'var(--torre-accent)' }}>
+            <Briefcase className="h-12 w-12" style={{ color: '#2d3748' }} />
+          </div>
+          <h2 className="text-2xl font-bold mb-4" style={{ color: 'var(--torre-text-primary)' }}>
+            Discover Torre Jobs
+          </h2>
+          <p className="mb-6" style={{ color: 'var(--torre-text-secondary)' }}>
+            Search open opportunities on Torre and match them against professionals in the network.
+          </p>
+        </div>
+      </motion.div>
+    );
+  }
+
+  // Show loading skeleton on initial search
+  if (loading && results.length === 0) {
+    return (
+      <div className="space-y-6">
+        <div className="text-center">
+          <LoadingSpinner size="lg" text={`Searching jobs for "${query}"...`} />
+        </div>
+        <SkeletonGrid count={6} />
+      </div>
+    );
+  }
+
+  // Show error state
+  if (error && results.length === 0) {
+    if (isConnectivityError(error) || error.kind === API_ERROR_KINDS.rateLimited) {
+      return (
+        <div className="py-8">
+          <NetworkError error={error} onRetry={onRetry} onDismiss={onClear} />
+        </div>
+      );
+    }
+
+    return (
+      <div className="py-8">
+        <ErrorMessage
+          type="error"
+          title="Job Search Failed"
+          message={`Unable to search jobs for "${query}". ${error.message}`}
+          onRetry={onRetry}
+          onDismiss={onClear}
+          dismissible={!!onClear}
+        />
+      </div>
+    );
+  }
+
+  // Show no results state
+  if (hasSearched && results.length === 0 && !loading) {
+    return (
+      <div className="py-8">
+        <ErrorMessage
+          type="info"
+          title="No Jobs Found"
+          message={`No opportunities found matching "${query}". Try adjusting your search terms.`}
+          onRetry={onClear}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Results Header */}
+      <motion.div
+        initial={{ opacity: 0, y: -10 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex items-center justify-between py-4"
+        style={{ borderBottom: '1px solid var(--g6)' }}
+      >
+        <div>
+          <h2 className="text-xl font-semibold" style={{ color: 'var(--g0)' }}>
+            Job Results
+          </h2>
+          <p className="text-sm mt-1" style={{ color: 'var(--g2)' }}>
+            Showing {results.length} jobs for "{query}"
+          </p>
+        </div>
+      </motion.div>
+
+      {/* Results Grid */}
+      <AnimatePresence mode="wait">
+        <motion.div
+          key={`jobs-${query}`}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 items-stretch"
+        >
+          {results.map((job, index) => (
+            <JobCard
+              key={job.id}
+              job={job}
+              onClick={onJobClick}
+              index={index}
+            />
+          ))}
+        </motion.div>
+      </AnimatePresence>
+
+      {/* Load More Button */}
+      {hasMore && !loading && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center py-8"
+        >
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onLoadMore}
+            className="btn-iconoir"
+          >
+            <ChevronDown className="h-5 w-5" />
+            Load More Jobs
+          </motion.button>
+        </motion.div>
+      )}
+
+      {/* Loading More Indicator */}
+      {loading && results.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="text-center py-8"
+        >
+          <LoadingSpinner size="md" text="Loading more jobs..." />
+        </motion.div>
+      )}
+
+      {/* Error during load more */}
+      {error && results.length > 0 && (
+        <div className="py-4">
+          <ErrorMessage
+            type="error"
+            title="Failed to load more jobs"
+            message={error.message}
+            onRetry={onLoadMore}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobResults;
@@ -0,0 +1,48 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { NetworkError } from './ErrorMessage';
+import { useToast } from './Toast';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import { API_ERROR_KINDS } from '../services/apiClient';
+import { subscribeToOfflineQueue, replayOfflineActions } from '../services/offlineQueue';
+
+const OFFLINE_ERROR = { kind: API_ERROR_KINDS.offline };
+
+/**
+ * OfflineBanner component - tells the user they're offline and what is waiting to sync
+ */
+const OfflineBanner = () => {
+  const isOnline = useOnlineStatus();
+  const [queuedCount, setQueuedCount] = useState(0);
+  const toast = useToast();
+  const wasOnlineRef = useRef(isOnline);
+
+  useEffect(() => subscribeToOfflineQueue(setQueuedCount), []);
+
+  // Catch up on anything left from an earlier offline session
+  useEffect(() => {
+    if (navigator.onLine) replayOfflineActions();
+  }, []);
+
+  useEffect(() => {
+    if (isOnline && !wasOnlineRef.current) {
+      toast.success('Back online');
+    }
+    wasOnlineRef.current = isOnline;
+  }, [isOnline, toast]);
+
+  if (isOnline) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[1000] w-[calc(100%-2rem)] max-w-xl" role="status">
+      <NetworkError error={OFFLINE_ERROR} className="shadow-lg">
+        {queuedCount > 0 && (
+          <p className="text-sm" style={{ color: 'var(--torre-text-secondary)' }}>
+            {queuedCount} shortlisted {queuedCount === 1 ? 'genome' : 'genomes'} will download when you're back online.
+          </p>
+        )}
+      </NetworkError>
+    </div>
+  );
+};
+
+export default OfflineBanner;
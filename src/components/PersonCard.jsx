@@ -1,7 +1,12 @@
 import React from 'react';
-import { MapPin, Star, Users, Eye, CheckCircle, Globe, Briefcase } from 'lucide-react';
+import { MapPin, Star, Users, Eye, CheckCircle, Globe, Briefcase, TrendingUp, Clock } from 'lucide-react';
 import { motion } from 'framer-motion';
 import ComparisonButton from './ComparisonButton.jsx';
+import TeamButton from './TeamButton.jsx';
+import ShortlistButton from './ShortlistButton.jsx';
+import { formatDuration } from '../services/careerMetrics.js';
+import { formatHours } from '../services/timezones.js';
+import useCachedCareerMetrics from '../hooks/useCachedCareerMetrics';
 
 /**
  * PersonCard component to display individual person information
@@ -19,6 +24,8 @@ const PersonCard = ({
   selectButtonText = "View Genome",
   isExcluded = false
 }) => {
+  const careerMetrics = useCachedCareerMetrics(person?.username, person?.careerMetrics);
+
   if (!person || isExcluded) return null;
 
   const handleClick = () => {
@@ -138,6 +145,28 @@ const PersonCard = ({
           )}
         </div>
 
+        {/* Career metrics, from career filters or an already cached genome */}
+        {careerMetrics && (
+          <div className="flex items-center justify-center gap-1.5 mb-4 text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+            <TrendingUp className="h-4 w-4" style={{ color: 'var(--torre-accent)' }} />
+            <span>
+              {[
+                careerMetrics.totalMonths > 0 && `${formatDuration(careerMetrics.totalMonths)} exp.`,
+                careerMetrics.seniority.current?.label,
+                careerMetrics.tenure.averageMonths > 0 && `${formatDuration(careerMetrics.tenure.averageMonths)} avg. tenure`
+              ].filter(Boolean).join(' · ')}
+            </span>
+          </div>
+        )}
+
+        {/* Shared working hours, present once the genome has been checked (timezone filter) */}
+        {person.timezoneOverlap?.available && (
+          <div className="flex items-center justify-center gap-1.5 mb-4 text-xs" style={{ color: 'var(--torre-text-secondary)' }}>
+            <Clock className="h-4 w-4" style={{ color: person.timezoneOverlap.meetsMinimum ? 'var(--torre-green)' : 'var(--torre-red)' }} />
+            <span>{formatHours(person.timezoneOverlap.hours)} overlap with your working hours</span>
+          </div>
+        )}
+
         {/* Skills */}
         <div className="flex-1">
           {topSkills.length > 0 && (
@@ -186,6 +215,8 @@ const PersonCard = ({
           {/* Action Buttons on the left */}
           <div className="flex items-center gap-2">
             <ComparisonButton person={person} size="sm" showLabel={showAddButton ? true : false} />
+            <TeamButton person={person} size="sm" />
+            <ShortlistButton person={person} size="sm" />
           </div>
 
           {/* Stats in the center */}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Sparkles, 
@@ -19,13 +19,27 @@ import {
 } from 'lucide-react';
 import { useComparison } from '../contexts/ComparisonContext.jsx';
 import ComparisonButton from './ComparisonButton.jsx';
+import TeamButton from './TeamButton.jsx';
+import ShortlistButton from './ShortlistButton.jsx';
+import ScoringProfileSelect from './ScoringProfileSelect.jsx';
 import Avatar from './Avatar.jsx';
 
-const RecommendationsView = ({ onViewGenome, onSwitchToCompare }) => {
+/**
+ * RecommendationsView component
+ * @param {Object} props - Component props
+ * @param {string} props.username - Username from the URL to load recommendations for
+ * @param {Function} props.onSelectPerson - Called when the target person changes
+ * @param {Function} props.onViewGenome - Open a recommended person's genome
+ * @param {Function} props.onSwitchToCompare - Switch to the compare view
+ */
+const RecommendationsView = ({ username, onSelectPerson, onViewGenome, onSwitchToCompare }) => {
   const { 
     recommendations, 
     getRecommendationsForPerson, 
+    cancelRecommendations,
     selectedPeople,
+    addPersonToComparison,
+    isPersonSelected,
     isLoading,
     error,
     compareSelectedPeople,
@@ -35,14 +49,41 @@ const RecommendationsView = ({ onViewGenome, onSwitchToCompare }) => {
   const [selectedPerson, setSelectedPerson] = useState(null);
   const [isComparing, setIsComparing] = useState(false);
 
-  const handleGetRecommendations = async (person) => {
+  // The minimum match score comes from the scoring profile
+  const handleGetRecommendations = useCallback(async (person, profile) => {
     setSelectedPerson(person);
+    if (onSelectPerson) {
+      onSelectPerson(person);
+    }
     await getRecommendationsForPerson(person, {
       limit: 20, // Increased from 12 to 20
-      minSimilarityScore: 0.1 // Lowered from 0.2 to 0.1 for more results
+      ...(profile && { profile })
     });
+  }, [onSelectPerson, getRecommendationsForPerson]);
+
+  // Rerun the current recommendations with a newly picked profile
+  const handleProfileChange = (profile) => {
+    if (selectedPerson && !isLoading) {
+      handleGetRecommendations(selectedPerson, profile);
+    }
   };
 
+  // Load recommendations for the person named in the URL; once they're selected
+  // the guard keeps selection changes from loading them again
+  const selectedUsername = selectedPerson?.username;
+  useEffect(() => {
+    if (!username || selectedUsername === username) return;
+
+    const person = selectedPeople.find(p => p.username === username) || { username, name: username };
+    if (!isPersonSelected(username)) {
+      addPersonToComparison(person);
+    }
+    handleGetRecommendations(person);
+  }, [username, selectedUsername, selectedPeople, isPersonSelected, addPersonToComparison, handleGetRecommendations]);
+
+  // Stop searching and fetching genomes for recommendations nobody will see
+  useEffect(() => cancelRecommendations, [cancelRecommendations]);
+
   const displayedRecommendations = recommendations.recommendations || [];
 
   if (selectedPeople.length === 0) {
@@ -106,6 +147,7 @@ const RecommendationsView = ({ onViewGenome, onSwitchToCompare }) => {
           </div>
           
           <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
+            <ScoringProfileSelect onChange={handleProfileChange} />
             {selectedPeople.length >= 2 ? (
               <motion.button
                 whileHover={{ scale: 1.05 }}
@@ -300,6 +342,7 @@ const RecommendationsView = ({ onViewGenome, onSwitchToCompare }) => {
                       </h3>
                       <p className="text-gray-600 dark:text-gray-400">
                         Based on skills, experience, and professional background
+                        {recommendations.profile && ` • scored with the ${recommendations.profile.name} profile`}
                       </p>
                     </div>
                   </div>
@@ -444,7 +487,11 @@ const RecommendationCard = ({ recommendation, index, onViewGenome }) => {
 
         {/* Actions */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
-          <ComparisonButton person={person} size="md" />
+          <div className="flex items-center gap-2">
+            <ComparisonButton person={person} size="md" />
+            <TeamButton person={person} size="md" />
+            <ShortlistButton person={person} size="md" />
+          </div>
           <motion.button 
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BookmarkCheck,
+  Pencil,
+  Trash2,
+  Play,
+  Search,
+  UserPlus,
+  UserMinus,
+  RefreshCw,
+  Eye,
+  ArrowRight
+} from 'lucide-react';
+import { useSavedSearches } from '../contexts/SavedSearchContext.jsx';
+import { diffSnapshots, SNAPSHOT_LIMIT, MAX_SNAPSHOTS } from '../services/savedSearches.js';
+import { countActiveFilters } from '../utils/searchFilters';
+import useSearch from '../hooks/useSearch';
+import { useToast } from './Toast';
+import Avatar from './Avatar.jsx';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const formatRunDate = (iso) => new Date(iso).toLocaleString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatFieldValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value || 'None';
+};
+
+/**
+ * SavedSearchesView component - re-run saved searches and see who joined,
+ * left or changed since the previous run
+ * @param {Object} props - Component props
+ * @param {string} props.savedSearchId - Id of the open saved search
+ * @param {Function} props.onSelectSavedSearch - Open a saved search by id
+ * @param {Function} props.onOpenSearch - Run a saved search on the search tab
+ * @param {Function} props.onViewGenome - Open a person's genome
+ */
+const SavedSearchesView = ({ savedSearchId, onSelectSavedSearch, onOpenSearch, onViewGenome }) => {
+  const {
+    savedSearches,
+    isLoading,
+    error,
+    renameSavedSearch,
+    recordSnapshot,
+    deleteSavedSearch,
+    getSavedSearch
+  } = useSavedSearches();
+  const { runSearch, loading: running } = useSearch();
+  const toast = useToast();
+
+  const selected = getSavedSearch(savedSearchId) || savedSearches[0] || null;
+  const snapshots = selected?.snapshots || [];
+  // Which run's changes are shown; the latest unless one is picked from the history
+  const [runIndex, setRunIndex] = useState(null);
+  const shownIndex = runIndex ?? snapshots.length - 1;
+  const shown = snapshots[shownIndex] || null;
+  const diff = shown ? diffSnapshots(snapshots[shownIndex - 1] || null, shown) : null;
+
+  useEffect(() => {
+    setRunIndex(null);
+  }, [selected?.id]);
+
+  const handleRun = async () => {
+    // The people search reports who is open to work, which the snapshots track
+    const run = await runSearch(selected.query, selected.filters, SNAPSHOT_LIMIT, { structured: true });
+    if (run?.aborted) return; // Cancelled or replaced by another search; nothing went wrong
+    if (!run) {
+      toast.error(`"${selected.name}" could not be run`);
+      return;
+    }
+    if (run.savedAt) {
+      toast.warning('You are offline; runs are only recorded with a connection');
+      return;
+    }
+    recordSnapshot(selected.id, run.results);
+    setRunIndex(null);
+  };
+
+  const handleRename = (savedSearch) => {
+    const name = window.prompt('Rename saved search', savedSearch.name);
+    if (name?.trim()) {
+      renameSavedSearch(savedSearch.id, name.trim());
+    }
+  };
+
+  const handleDelete = (savedSearch) => {
+    if (!window.confirm(`Delete "${savedSearch.name}" and its ${savedSearch.snapshots.length} recorded runs? This cannot be undone.`)) return;
+    deleteSavedSearch(savedSearch.id);
+    if (savedSearch.id === selected?.id) {
+      onSelectSavedSearch(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" text="Loading saved searches..." />
+      </div>
+    );
+  }
+
+  const filterCount = selected ? countActiveFilters(selected.filters) : 0;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      {/* Saved Search List */}
+      <aside className="card-iconoir p-4 space-y-4 lg:col-span-1 h-fit">
+        <h3 className="text-lg font-bold flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+          <BookmarkCheck size={18} />
+          Saved searches
+        </h3>
+
+        {savedSearches.length === 0 ? (
+          <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+            No saved searches yet.
+          </p>
+        ) : (
+          <ul className="space-y-1">
+            {savedSearches.map((savedSearch) => {
+              const isActive = savedSearch.id === selected?.id;
+              return (
+                <li key={savedSearch.id} className="group flex items-center gap-1">
+                  <button
+                    onClick={() => onSelectSavedSearch(savedSearch.id)}
+                    className={`flex-1 min-w-0 flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+                      isActive
+                        ? 'bg-[var(--torre-accent-light)] text-[var(--torre-accent)] font-semibold'
+                        : 'text-[var(--torre-text-secondary)] hover:bg-[var(--torre-bg-tertiary)]'
+                    }`}
+                  >
+                    <span className="truncate">{savedSearch.name}</span>
+                    <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                      {savedSearch.snapshots[savedSearch.snapshots.length - 1]?.total ?? '–'}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => handleRename(savedSearch)}
+                    className="p-1 rounded-md"
+                    style={{ color: 'var(--torre-text-muted)' }}
+                    aria-label={`Rename ${savedSearch.name}`}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(savedSearch)}
+                    className="p-1 rounded-md"
+                    style={{ color: 'var(--torre-text-muted)' }}
+                    aria-label={`Delete ${savedSearch.name}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </aside>
+
+      {/* Selected Saved Search */}
+      <section className="lg:col-span-3 space-y-4">
+        {error && (
+          <ErrorMessage type="warning" title="Saved searches" message={error} />
+        )}
+
+        {!selected ? (
+          <div className="text-center py-12">
+            <h3 className="text-2xl font-bold mb-3" style={{ color: 'var(--torre-text-primary)' }}>
+              Watch a talent pool
+            </h3>
+            <p style={{ color: 'var(--torre-text-secondary)' }}>
+              Run a search, then use Save search next to the filters. Re-run it here to see who joined, left or changed.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+              <div className="min-w-0">
+                <h2 className="text-2xl font-bold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+                  {selected.name}
+                </h2>
+                <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                  "{selected.query}"
+                  {filterCount > 0 && ` · ${filterCount} ${filterCount === 1 ? 'filter' : 'filters'}`}
+                  {' · '}
+                  {snapshots.length} {snapshots.length === 1 ? 'run' : 'runs'} recorded
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handleRun}
+                  disabled={running}
+                  className="btn-iconoir px-4 py-3 disabled:opacity-50"
+                >
+                  {running ? <RefreshCw size={16} className="animate-spin" /> : <Play size={16} />}
+                  {running ? 'Running...' : 'Run now'}
+                </button>
+                <button
+                  onClick={() => onOpenSearch(selected)}
+                  className="btn-iconoir px-4 py-3"
+                >
+                  <Search size={16} />
+                  Open in search
+                </button>
+              </div>
+            </div>
+
+            {!shown ? (
+              <p className="text-center py-12" style={{ color: 'var(--torre-text-secondary)' }}>
+                Not run yet. Run it now to record who it finds.
+              </p>
+            ) : (
+              <>
+                <div className="card-iconoir p-4">
+                  <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+                    <h3 className="font-semibold" style={{ color: 'var(--torre-text-primary)' }}>
+                      {shownIndex === 0 ? 'First run' : 'Changes since the previous run'}
+                    </h3>
+                    <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                      {shownIndex > 0 && `${formatRunDate(snapshots[shownIndex - 1].takenAt)} → `}
+                      {formatRunDate(shown.takenAt)}
+                    </span>
+                  </div>
+
+                  {shownIndex === 0 ? (
+                    <DiffGroup
+                      title={`${shown.total} ${shown.total === 1 ? 'person' : 'people'} found`}
+                      people={shown.people}
+                      icon={UserPlus}
+                      color="var(--torre-text-secondary)"
+                      onViewGenome={onViewGenome}
+                    />
+                  ) : (
+                    <div className="space-y-5">
+                      {diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0 && (
+                        <p className="text-sm" style={{ color: 'var(--torre-text-secondary)' }}>
+                          No changes: the same {diff.unchanged} {diff.unchanged === 1 ? 'person' : 'people'} as before.
+                        </p>
+                      )}
+                      <DiffGroup
+                        title={`${diff.added.length} new`}
+                        people={diff.added}
+                        icon={UserPlus}
+                        color="var(--torre-green)"
+                        onViewGenome={onViewGenome}
+                      />
+                      <DiffGroup
+                        title={`${diff.removed.length} dropped out`}
+                        people={diff.removed}
+                        icon={UserMinus}
+                        color="var(--torre-red)"
+                        onViewGenome={onViewGenome}
+                      />
+                      {diff.changed.length > 0 && (
+                        <div>
+                          <h4 className="flex items-center gap-2 text-sm font-semibold mb-2" style={{ color: 'var(--torre-blue)' }}>
+                            <RefreshCw size={14} />
+                            {diff.changed.length} changed
+                          </h4>
+                          <ul className="space-y-2">
+                            {diff.changed.map(person => (
+                              <li key={person.username} className="flex items-start gap-3">
+                                <Avatar src={person.picture} name={person.name} size="w-8 h-8" />
+                                <div className="flex-1 min-w-0 text-sm">
+                                  <button
+                                    onClick={() => onViewGenome(person)}
+                                    className="font-medium hover:underline"
+                                    style={{ color: 'var(--torre-text-primary)' }}
+                                  >
+                                    {person.name}
+                                  </button>
+                                  {person.changes.map(change => (
+                                    <div key={change.field} className="flex flex-wrap items-center gap-1 text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                                      <span className="font-medium">{change.label}:</span>
+                                      <span className="line-through">{formatFieldValue(change.before)}</span>
+                                      <ArrowRight size={12} />
+                                      <span style={{ color: 'var(--torre-text-secondary)' }}>{formatFieldValue(change.after)}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {/* Run history */}
+                <div className="card-iconoir p-4">
+                  <h3 className="font-semibold mb-3" style={{ color: 'var(--torre-text-primary)' }}>
+                    Runs
+                    <span className="ml-2 text-xs font-normal" style={{ color: 'var(--torre-text-muted)' }}>
+                      the last {MAX_SNAPSHOTS} are kept
+                    </span>
+                  </h3>
+                  <ul className="space-y-1">
+                    {snapshots.map((snapshot, index) => ({ snapshot, index })).reverse().map(({ snapshot, index }) => {
+                      const runDiff = index > 0 ? diffSnapshots(snapshots[index - 1], snapshot) : null;
+                      return (
+                        <li key={snapshot.takenAt}>
+                          <button
+                            onClick={() => setRunIndex(index)}
+                            className={`w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+                              index === shownIndex
+                                ? 'bg-[var(--torre-accent-light)] text-[var(--torre-accent)] font-semibold'
+                                : 'text-[var(--torre-text-secondary)] hover:bg-[var(--torre-bg-tertiary)]'
+                            }`}
+                          >
+                            <span>{formatRunDate(snapshot.takenAt)}</span>
+                            <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                              {snapshot.total} {snapshot.total === 1 ? 'person' : 'people'}
+                              {runDiff && ` · +${runDiff.added.length} −${runDiff.removed.length} ~${runDiff.changed.length}`}
+                            </span>
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+/**
+ * People who joined or left between two runs
+ */
+const DiffGroup = ({ title, people, icon, color, onViewGenome }) => {
+  if (people.length === 0) return null;
+  const Icon = icon;
+
+  return (
+    <div>
+      <h4 className="flex items-center gap-2 text-sm font-semibold mb-2" style={{ color }}>
+        <Icon size={14} />
+        {title}
+      </h4>
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {people.map(person => (
+          <li key={person.username} className="flex items-center gap-3 min-w-0">
+            <Avatar src={person.picture} name={person.name} size="w-8 h-8" />
+            <div className="flex-1 min-w-0 text-sm">
+              <div className="truncate font-medium" style={{ color: 'var(--torre-text-primary)' }}>
+                {person.name}
+                {person.openToWork && (
+                  <span className="ml-2 text-xs font-normal" style={{ color: 'var(--torre-green)' }}>Open to work</span>
+                )}
+              </div>
+              <div className="truncate text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                {person.professionalHeadline || `@${person.username}`}
+              </div>
+            </div>
+            <button
+              onClick={() => onViewGenome(person)}
+              className="p-1 rounded-md"
+              style={{ color: 'var(--torre-accent)' }}
+              aria-label={`View ${person.name}'s genome`}
+            >
+              <Eye size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SavedSearchesView;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { useComparison } from '../contexts/ComparisonContext.jsx';
+
+/**
+ * ScoringProfileSelect component - pick the scoring profile used for comparisons and recommendations
+ * The choice is kept in ComparisonContext and remembered between sessions.
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called with the new profile after it is applied
+ */
+const ScoringProfileSelect = ({ onChange }) => {
+  const { scoringProfile, scoringProfiles, setScoringProfile } = useComparison();
+
+  const handleChange = (e) => {
+    setScoringProfile(e.target.value);
+    if (onChange) {
+      onChange(scoringProfiles.find(profile => profile.id === e.target.value));
+    }
+  };
+
+  return (
+    <label
+      className="inline-flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-white/20 text-white backdrop-blur-sm"
+      title={scoringProfile.description}
+    >
+      <SlidersHorizontal size={16} />
+      <span className="sr-only sm:not-sr-only">Scoring</span>
+      <select
+        value={scoringProfile.id}
+        onChange={handleChange}
+        className="bg-transparent font-semibold outline-none cursor-pointer"
+        aria-label="Scoring profile"
+      >
+        {scoringProfiles.map((profile) => (
+          <option key={profile.id} value={profile.id} className="text-gray-900">
+            {profile.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ScoringProfileSelect;
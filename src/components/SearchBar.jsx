@@ -1,7 +1,14 @@
-import React from 'react';
-import { Search, X, Loader2 } from 'lucide-react';
+import React, { useState, useId } from 'react';
+import { Search, X, Loader2, Clock, Pin, PinOff, Tag } from 'lucide-react';
 import { motion } from 'framer-motion';
 
+// Icon and label per suggestion type
+const SUGGESTION_TYPES = {
+  pinned: { icon: Pin, label: 'Pinned' },
+  recent: { icon: Clock, label: 'Recent' },
+  skill: { icon: Tag, label: 'Skill' },
+};
+
 /**
  * SearchBar component for Torre Xplor
  * @param {Object} props - Component props
@@ -11,6 +18,9 @@ import { motion } from 'framer-motion';
  * @param {Function} props.onClear - Function to clear search
  * @param {string} props.placeholder - Placeholder text
  * @param {boolean} props.disabled - Disabled state
+ * @param {string} props.hint - Hint shown under an empty search bar
+ * @param {Object} props.history - Search history from useSearchHistory; enables the
+ *   dropdown of pinned and recent queries and skill suggestions
  */
 const SearchBar = ({
   query,
@@ -19,18 +29,65 @@ const SearchBar = ({
   onClear,
   placeholder = "Search for people on Torre...",
   disabled = false,
+  hint = 'Search for names',
+  history = null,
 }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const listId = useId();
+  const suggestions = history && isOpen ? history.getSuggestions(query) : [];
+  const showSuggestions = suggestions.length > 0;
+
   const handleInputChange = (e) => {
     onQueryChange(e.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
   };
 
   const handleClear = () => {
     onClear();
   };
 
+  const selectSuggestion = (suggestion) => {
+    onQueryChange(suggestion.query);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  // Recent queries are forgotten; pinned ones are unpinned
+  const removeSuggestion = (suggestion) => {
+    if (suggestion.type === 'recent') {
+      history.removeQuery(suggestion.query);
+    } else if (suggestion.type === 'pinned') {
+      history.togglePin(suggestion.query);
+    }
+    setActiveIndex(index => Math.min(index, suggestions.length - 2));
+  };
+
   const handleKeyPress = (e) => {
-    if (e.key === 'Escape') {
-      handleClear();
+    const active = suggestions[activeIndex];
+
+    if (e.key === 'ArrowDown' && history) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (suggestions.length === 0 ? -1 : (index + 1) % suggestions.length));
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && active) {
+      e.preventDefault();
+      selectSuggestion(active);
+    } else if (e.key === 'Delete' && active && active.type !== 'skill') {
+      e.preventDefault();
+      removeSuggestion(active);
+    } else if (e.key === 'Escape') {
+      // The first Escape closes the suggestions, the next clears the search
+      if (showSuggestions) {
+        setIsOpen(false);
+        setActiveIndex(-1);
+      } else {
+        handleClear();
+      }
     }
   };
 
@@ -69,6 +126,16 @@ const SearchBar = ({
           value={query}
           onChange={handleInputChange}
           onKeyDown={handleKeyPress}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => {
+            setIsOpen(false);
+            setActiveIndex(-1);
+          }}
+          role={history ? 'combobox' : undefined}
+          aria-expanded={history ? showSuggestions : undefined}
+          aria-controls={history ? listId : undefined}
+          aria-autocomplete={history ? 'list' : undefined}
+          aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
           placeholder={placeholder}
           disabled={disabled || loading}
           className="input-iconoir w-full py-4 text-lg"
@@ -112,6 +179,83 @@ const SearchBar = ({
         )}
       </motion.div>
 
+      {/* History and suggestions; mouse down is prevented so the input keeps focus */}
+      {showSuggestions && (
+        <div
+          className="absolute left-0 right-0 mt-2 z-20 rounded-lg shadow-lg overflow-hidden"
+          style={{ backgroundColor: 'var(--torre-bg-secondary)', border: '1px solid var(--torre-border)' }}
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          <ul id={listId} role="listbox" aria-label="Search suggestions" className="py-1">
+            {suggestions.map((suggestion, index) => {
+              const { icon: TypeIcon, label } = SUGGESTION_TYPES[suggestion.type];
+              const isActive = index === activeIndex;
+              return (
+                <li
+                  key={`${suggestion.type}-${suggestion.query}`}
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={isActive}
+                  onClick={() => selectSuggestion(suggestion)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className="flex items-center gap-3 px-4 py-2 cursor-pointer text-sm"
+                  style={{
+                    backgroundColor: isActive ? 'var(--torre-bg-tertiary)' : 'transparent',
+                    color: 'var(--torre-text-primary)'
+                  }}
+                >
+                  <TypeIcon className="h-4 w-4 flex-shrink-0" style={{ color: suggestion.type === 'pinned' ? 'var(--torre-accent)' : 'var(--torre-text-muted)' }} />
+                  <span className="flex-1 truncate">{suggestion.query}</span>
+                  <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>{label}</span>
+                  {suggestion.type !== 'skill' && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        history.togglePin(suggestion.query);
+                      }}
+                      className="p-1 rounded-md"
+                      style={{ color: 'var(--torre-text-muted)' }}
+                      aria-label={suggestion.type === 'pinned' ? `Unpin ${suggestion.query}` : `Pin ${suggestion.query}`}
+                      title={suggestion.type === 'pinned' ? 'Unpin' : 'Pin'}
+                    >
+                      {suggestion.type === 'pinned' ? <PinOff className="h-3.5 w-3.5" /> : <Pin className="h-3.5 w-3.5" />}
+                    </button>
+                  )}
+                  {suggestion.type === 'recent' && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeSuggestion(suggestion);
+                      }}
+                      className="p-1 rounded-md"
+                      style={{ color: 'var(--torre-text-muted)' }}
+                      aria-label={`Remove ${suggestion.query} from history`}
+                      title="Remove (Delete)"
+                    >
+                      <X className="h-3.5 w-3.5" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {history.recent.length > 0 && (
+            <div className="flex justify-end px-4 py-2 border-t" style={{ borderColor: 'var(--torre-border)' }}>
+              <button
+                onClick={() => {
+                  history.clearHistory();
+                  setActiveIndex(-1);
+                }}
+                className="text-xs font-medium"
+                style={{ color: 'var(--torre-text-muted)' }}
+              >
+                Clear history
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Search Suggestions/Hints */}
       {!query && !loading && (
         <motion.div
@@ -121,7 +265,7 @@ const SearchBar = ({
           className="mt-4 text-center"
         >
           <p className="text-sm font-medium" style={{ color: 'var(--torre-text-muted)' }}>
-            Search for names
+            {hint}
           </p>
         </motion.div>
       )}
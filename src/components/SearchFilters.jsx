@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SlidersHorizontal, MapPin, Globe, Briefcase, CheckCircle, X, Languages, Plus, BookmarkPlus } from 'lucide-react';
+import { countActiveFilters } from '../utils/searchFilters';
+import { SENIORITY_SCALE } from '../services/careerMetrics';
+import { MIN_OVERLAP_HOURS } from '../services/timezones';
+import { FLUENCY_SCALE, LANGUAGES, toLanguageKey, getLanguageName, formatLanguageRequirement } from '../utils/languageFluency';
+
+// Fluency a new language requirement starts at
+const DEFAULT_REQUIRED_FLUENCY = 'fully-fluent';
+
+/**
+ * Minimum profile completion choices (as 0-1 fractions)
+ */
+const COMPLETION_OPTIONS = [
+  { value: 0, label: 'Any completion' },
+  { value: 0.5, label: '50%+ complete' },
+  { value: 0.7, label: '70%+ complete' },
+  { value: 0.9, label: '90%+ complete' },
+];
+
+/**
+ * Career and timezone filter choices; these are checked against each person's genome
+ */
+const GENOME_FILTERS = [
+  {
+    key: 'minYears',
+    label: 'Minimum years of experience',
+    options: [
+      { value: 0, label: 'Any experience' },
+      { value: 2, label: '2+ years' },
+      { value: 5, label: '5+ years' },
+      { value: 10, label: '10+ years' },
+    ],
+  },
+  {
+    key: 'minSeniority',
+    label: 'Minimum seniority',
+    options: [
+      { value: 0, label: 'Any seniority' },
+      ...SENIORITY_SCALE.filter(level => level.level > 0).map(level => ({
+        value: level.level,
+        label: level.level === SENIORITY_SCALE[SENIORITY_SCALE.length - 1].level ? level.label : `${level.label} or above`,
+      })),
+    ],
+  },
+  {
+    key: 'minTenure',
+    label: 'Minimum average tenure per employer',
+    options: [
+      { value: 0, label: 'Any tenure' },
+      { value: 1, label: '1+ year per employer' },
+      { value: 2, label: '2+ years per employer' },
+      { value: 4, label: '4+ years per employer' },
+    ],
+  },
+  {
+    key: 'minOverlap',
+    label: 'Minimum working hours shared with your timezone',
+    options: [
+      { value: 0, label: 'Any timezone' },
+      { value: 2, label: '2+ hours overlap' },
+      { value: MIN_OVERLAP_HOURS, label: `${MIN_OVERLAP_HOURS}+ hours overlap` },
+      { value: 6, label: '6+ hours overlap' },
+    ],
+  },
+];
+
+/**
+ * SearchFilters component - filter panel shown with the search bar
+ * Text fields apply on Enter or blur so typing doesn't trigger a search per keystroke.
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters (see utils/searchFilters)
+ * @param {Function} props.onChange - Called with the updated filters
+ * @param {Function} props.onClear - Function to reset all filters
+ * @param {Function} props.onSave - Function to save the current search and filters (no button without it)
+ * @param {boolean} props.disabled - Disabled state
+ */
+const SearchFilters = ({ filters, onChange, onClear, onSave, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [locationDraft, setLocationDraft] = useState(filters.location);
+  const [skillDraft, setSkillDraft] = useState('');
+  const [languageDraft, setLanguageDraft] = useState('');
+  const [fluencyDraft, setFluencyDraft] = useState(DEFAULT_REQUIRED_FLUENCY);
+  const activeCount = countActiveFilters(filters);
+
+  // Keep the location field in step when filters are reset
+  useEffect(() => {
+    setLocationDraft(filters.location);
+  }, [filters.location]);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const applyLocation = () => {
+    if (locationDraft.trim() !== filters.location) {
+      update({ location: locationDraft.trim() });
+    }
+  };
+
+  const addSkill = () => {
+    const skill = skillDraft.trim();
+    setSkillDraft('');
+    if (!skill || filters.skills.some(s => s.toLowerCase() === skill.toLowerCase())) return;
+    update({ skills: [...filters.skills, skill] });
+  };
+
+  const removeSkill = (skill) => {
+    update({ skills: filters.skills.filter(s => s !== skill) });
+  };
+
+  // A language can be required once; adding it again replaces its fluency
+  const addLanguage = () => {
+    const language = getLanguageName(languageDraft);
+    setLanguageDraft('');
+    if (!language) return;
+    const key = toLanguageKey(language);
+    update({
+      languages: [
+        ...filters.languages.filter(requirement => toLanguageKey(requirement.language) !== key),
+        { language, fluency: fluencyDraft }
+      ]
+    });
+  };
+
+  const removeLanguage = (language) => {
+    update({ languages: filters.languages.filter(requirement => requirement.language !== language) });
+  };
+
+  const toggles = [
+    { key: 'remote', label: 'Remote', icon: Globe },
+    { key: 'openToWork', label: 'Open to work', icon: Briefcase },
+    { key: 'verified', label: 'Verified', icon: CheckCircle },
+  ];
+
+  return (
+    <div className="w-full max-w-2xl mx-auto mt-3">
+      <div className="flex items-center justify-end gap-3">
+        {activeCount > 0 && (
+          <button
+            onClick={onClear}
+            disabled={disabled}
+            className="text-sm font-medium"
+            style={{ color: 'var(--torre-text-muted)' }}
+          >
+            Clear filters
+          </button>
+        )}
+        {onSave && (
+          <button
+            onClick={onSave}
+            disabled={disabled}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-semibold transition-all duration-200"
+            style={{
+              backgroundColor: 'var(--torre-bg-secondary)',
+              color: 'var(--torre-text-secondary)',
+              border: '1px solid var(--torre-border)'
+            }}
+          >
+            <BookmarkPlus className="h-4 w-4" />
+            Save search
+          </button>
+        )}
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-semibold transition-all duration-200"
+          style={{
+            backgroundColor: isOpen || activeCount > 0 ? 'var(--torre-accent-light)' : 'var(--torre-bg-secondary)',
+            color: isOpen || activeCount > 0 ? 'var(--torre-accent)' : 'var(--torre-text-secondary)',
+            border: '1px solid var(--torre-border)'
+          }}
+          aria-expanded={isOpen}
+        >
+          <SlidersHorizontal className="h-4 w-4" />
+          Filters
+          {activeCount > 0 && (
+            <span
+              className="inline-flex items-center justify-center w-5 h-5 rounded-full text-xs"
+              style={{ backgroundColor: 'var(--torre-accent)', color: '#2d3748' }}
+            >
+              {activeCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+            className="overflow-hidden"
+          >
+            <div
+              className="mt-3 p-4 rounded-2xl space-y-4"
+              style={{
+                backgroundColor: 'var(--torre-bg-secondary)',
+                border: '1px solid var(--torre-border)'
+              }}
+            >
+              {/* Location and completion */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <label className="relative flex items-center">
+                  <MapPin className="absolute left-3 h-4 w-4" style={{ color: 'var(--torre-text-muted)' }} />
+                  <input
+                    type="text"
+                    value={locationDraft}
+                    onChange={(e) => setLocationDraft(e.target.value)}
+                    onBlur={applyLocation}
+                    onKeyDown={(e) => e.key === 'Enter' && applyLocation()}
+                    placeholder="Location"
+                    disabled={disabled}
+                    className="input-iconoir w-full text-sm"
+                    style={{ paddingLeft: '36px' }}
+                    aria-label="Location"
+                  />
+                </label>
+                <select
+                  value={filters.minCompletion}
+                  onChange={(e) => update({ minCompletion: Number(e.target.value) })}
+                  disabled={disabled}
+                  className="input-iconoir w-full text-sm"
+                  aria-label="Minimum profile completion"
+                >
+                  {COMPLETION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Career and timezone, from each person's genome */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {GENOME_FILTERS.map(({ key, label, options }) => (
+                  <select
+                    key={key}
+                    value={filters[key]}
+                    onChange={(e) => update({ [key]: Number(e.target.value) })}
+                    disabled={disabled}
+                    className="input-iconoir w-full text-sm"
+                    aria-label={label}
+                    title={`${label} (checks each person's genome, so results take longer)`}
+                  >
+                    {options.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+
+              {/* Toggles */}
+              <div className="flex flex-wrap gap-2">
+                {toggles.map(({ key, label, icon }) => {
+                  const Icon = icon;
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => update({ [key]: !filters[key] })}
+                      disabled={disabled}
+                      className="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium transition-all duration-200"
+                      style={{
+                        backgroundColor: filters[key] ? 'var(--torre-accent)' : 'var(--torre-bg-tertiary)',
+                        color: filters[key] ? '#2d3748' : 'var(--torre-text-secondary)'
+                      }}
+                      aria-pressed={filters[key]}
+                    >
+                      <Icon className="h-4 w-4" />
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Required skills */}
+              <div>
+                <input
+                  type="text"
+                  value={skillDraft}
+                  onChange={(e) => setSkillDraft(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addSkill()}
+                  placeholder="Required skill, then Enter"
+                  disabled={disabled}
+                  className="input-iconoir w-full text-sm"
+                  aria-label="Required skill"
+                />
+                {filters.skills.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {filters.skills.map(skill => (
+                      <span
+                        key={skill}
+                        className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium"
+                        style={{
+                          backgroundColor: 'var(--torre-accent-light)',
+                          color: 'var(--torre-accent)',
+                          border: '1px solid var(--torre-accent)'
+                        }}
+                      >
+                        {skill}
+                        <button
+                          onClick={() => removeSkill(skill)}
+                          disabled={disabled}
+                          aria-label={`Remove ${skill} filter`}
+                        >
+                          <X className="h-3 w-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Required languages, from each person's genome */}
+              <div>
+                <div className="flex gap-2">
+                  <label className="relative flex items-center flex-1">
+                    <Languages className="absolute left-3 h-4 w-4" style={{ color: 'var(--torre-text-muted)' }} />
+                    <input
+                      type="text"
+                      value={languageDraft}
+                      onChange={(e) => setLanguageDraft(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && addLanguage()}
+                      placeholder="Required language"
+                      disabled={disabled}
+                      list="search-filter-languages"
+                      className="input-iconoir w-full text-sm"
+                      style={{ paddingLeft: '36px' }}
+                      aria-label="Required language"
+                    />
+                    <datalist id="search-filter-languages">
+                      {LANGUAGES.map(language => <option key={language.id} value={language.name} />)}
+                    </datalist>
+                  </label>
+                  <select
+                    value={fluencyDraft}
+                    onChange={(e) => setFluencyDraft(e.target.value)}
+                    disabled={disabled}
+                    className="input-iconoir text-sm"
+                    aria-label="Minimum fluency"
+                    title="Minimum fluency (checks each person's genome, so results take longer)"
+                  >
+                    {FLUENCY_SCALE.map(fluency => (
+                      <option key={fluency.id} value={fluency.id}>{fluency.label}+</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={addLanguage}
+                    disabled={disabled || !languageDraft.trim()}
+                    className="btn-iconoir px-3 disabled:opacity-50"
+                    aria-label="Add language requirement"
+                  >
+                    <Plus className="h-4 w-4" />
+                  </button>
+                </div>
+                {filters.languages.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {filters.languages.map(requirement => (
+                      <span
+                        key={requirement.language}
+                        className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium"
+                        style={{
+                          backgroundColor: 'var(--torre-accent-light)',
+                          color: 'var(--torre-accent)',
+                          border: '1px solid var(--torre-accent)'
+                        }}
+                      >
+                        {formatLanguageRequirement(requirement)}
+                        <button
+                          onClick={() => removeLanguage(requirement.language)}
+                          disabled={disabled}
+                          aria-label={`Remove ${requirement.language} filter`}
+                        >
+                          <X className="h-3 w-3" />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default SearchFilters;
@@ -2,7 +2,10 @@ import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import PersonCard from './PersonCard';
 import LoadingSpinner, { SkeletonGrid } from './LoadingSpinner';
-import ErrorMessage, { NoResults, SearchError } from './ErrorMessage';
+import ErrorMessage, { NoResults, SearchError, ValidationError } from './ErrorMessage';
+import ExportMenu from './ExportMenu';
+import { buildSearchReport, searchResultsToCsv } from '../services/reports';
+import { SearchQueryError } from '../utils/searchQuery';
 import { ChevronDown, Users, TrendingUp } from 'lucide-react';
 
 /**
@@ -10,7 +13,7 @@ import { ChevronDown, Users, TrendingUp } from 'lucide-react';
  * @param {Object} props - Component props
  * @param {Array} props.results - Search results array
  * @param {boolean} props.loading - Loading state
- * @param {string} props.error - Error message
+ * @param {Error} props.error - Search error, typed by services/apiClient, or a SearchQueryError for a query that can't be parsed
  * @param {string} props.query - Current search query
  * @param {boolean} props.hasSearched - Whether a search has been performed
  * @param {boolean} props.hasMore - Whether there are more results to load
@@ -19,6 +22,9 @@ import { ChevronDown, Users, TrendingUp } from 'lucide-react';
  * @param {Function} props.onRetry - Function to retry search
  * @param {Function} props.onClear - Function to clear search
  * @param {number} props.totalResults - Total number of results
+ * @param {number} props.activeFilterCount - Number of search filters applied
+ * @param {number} props.savedAt - When the results were saved, if shown offline from an earlier search
+ * @param {boolean} props.showExport - Offer CSV, Markdown and PDF exports of the loaded results
  */
 const SearchResults = ({
   results = [],
@@ -32,11 +38,23 @@ const SearchResults = ({
   onRetry,
   onClear,
   totalResults = 0,
+  activeFilterCount = 0,
+  savedAt = null,
+  showExport = false,
   showAddButton = false,
   compact = false,
   selectButtonText = "View Genome",
   excludeUsernames = []
 }) => {
+  // A query that can't be parsed replaces whatever was shown for the previous one
+  if (error instanceof SearchQueryError) {
+    return (
+      <div className="py-8">
+        <ValidationError message={error.message} />
+      </div>
+    );
+  }
+
   // Show initial state when no search has been performed
   if (!hasSearched && !loading) {
     return (
@@ -95,6 +113,7 @@ const SearchResults = ({
       <div className="py-8">
         <SearchError
           query={query}
+          error={error}
           onRetry={onRetry}
           onDismiss={onClear}
         />
@@ -106,7 +125,7 @@ const SearchResults = ({
   if (hasSearched && results.length === 0 && !loading && !error) {
     return (
       <div className="py-8">
-        <NoResults query={query} onClear={onClear} />
+        <NoResults query={query} onClear={onClear} hasFilters={activeFilterCount > 0} />
       </div>
     );
   }
@@ -136,10 +155,22 @@ const SearchResults = ({
                   Showing {results.length} results for "{query}"
                 </>
               )}
+              {activeFilterCount > 0 && ` with ${activeFilterCount} filter${activeFilterCount === 1 ? '' : 's'}`}
             </p>
+            {savedAt && (
+              <p className="text-xs mt-1 font-medium" style={{ color: 'var(--torre-accent)' }}>
+                Offline – showing results saved {new Date(savedAt).toLocaleString()}
+              </p>
+            )}
           </div>
 
-          {/* Optional: Add sorting/filtering controls here */}
+          {showExport && (
+            <ExportMenu
+              name={`search ${query}`}
+              getReport={() => buildSearchReport({ query, totalResults, results })}
+              getCsv={() => searchResultsToCsv(results)}
+            />
+          )}
         </motion.div>
       )}
 
@@ -172,6 +203,8 @@ const SearchResults = ({
                 username: result.person?.username || result.username,
                 verified: result.person?.verified || result.verified,
                 location: result.person?.location || result.location,
+                careerMetrics: result.careerMetrics,
+                timezoneOverlap: result.timezoneOverlap,
               }}
               onClick={(personData) => {
                 // Pass the original result structure with person nested
@@ -247,7 +280,7 @@ const SearchResults = ({
           <ErrorMessage
             type="error"
             title="Failed to load more results"
-            message={error}
+            message={error.message}
             onRetry={onLoadMore}
             dismissible={true}
           />
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Settings, Database, Trash2, RefreshCw } from 'lucide-react';
+import { useToast } from './Toast';
+import LoadingSpinner from './LoadingSpinner';
+import {
+  GENOME_CACHE_TTL_OPTIONS,
+  GENOME_CACHE_SIZE_OPTIONS,
+  getGenomeCacheSettings,
+  saveGenomeCacheSettings,
+  getGenomeCacheStats,
+  purgeGenomeCache
+} from '../services/genomeStore';
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "1.2 MB"
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * SettingsView component - app settings, currently the genome cache
+ */
+const SettingsView = () => {
+  const toast = useToast();
+  const [settings, setSettings] = useState(getGenomeCacheSettings);
+  const [stats, setStats] = useState(null);
+  const [isPurging, setIsPurging] = useState(false);
+
+  const refreshStats = useCallback(async () => {
+    setStats(await getGenomeCacheStats());
+  }, []);
+
+  useEffect(() => {
+    refreshStats();
+  }, [refreshStats]);
+
+  const handleSettingChange = async (changes) => {
+    setSettings(await saveGenomeCacheSettings(changes));
+    refreshStats();
+  };
+
+  const handlePurge = async () => {
+    setIsPurging(true);
+    try {
+      await purgeGenomeCache();
+      toast.success('Genome cache cleared');
+    } catch (error) {
+      console.error('Error clearing genome cache:', error);
+      toast.error('Failed to clear the genome cache');
+    } finally {
+      setIsPurging(false);
+      refreshStats();
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div className="flex items-center gap-3">
+        <Settings size={24} style={{ color: 'var(--torre-accent)' }} />
+        <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+          Settings
+        </h2>
+      </div>
+
+      <motion.section
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card-iconoir p-6 space-y-6"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-bold flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+              <Database size={18} />
+              Genome cache
+            </h3>
+            <p className="text-sm mt-1" style={{ color: 'var(--torre-text-secondary)' }}>
+              Genomes are kept on this device so profiles, comparisons and teams open without downloading them again.
+              Older genomes are shown right away and refreshed in the background.
+            </p>
+          </div>
+          <button
+            onClick={refreshStats}
+            className="p-2 rounded-md flex-shrink-0"
+            style={{ color: 'var(--torre-text-muted)' }}
+            aria-label="Refresh cache size"
+          >
+            <RefreshCw size={16} />
+          </button>
+        </div>
+
+        {/* Usage */}
+        {!stats ? (
+          <LoadingSpinner size="sm" text="Measuring cache..." />
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="rounded-lg p-4" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+              <div className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+                {stats.entries}
+                <span className="text-sm font-normal" style={{ color: 'var(--torre-text-muted)' }}>
+                  {' '}/ {settings.maxEntries}
+                </span>
+              </div>
+              <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>Genomes cached</div>
+            </div>
+            <div className="rounded-lg p-4" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+              <div className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+                {formatBytes(stats.bytes)}
+              </div>
+              <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>Approximate size</div>
+            </div>
+            <div className="rounded-lg p-4" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+              <div className="text-sm font-semibold" style={{ color: 'var(--torre-text-primary)' }}>
+                {stats.oldestFetchedAt ? new Date(stats.oldestFetchedAt).toLocaleString() : '—'}
+              </div>
+              <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>Oldest download</div>
+            </div>
+          </div>
+        )}
+
+        {stats && !stats.persistent && (
+          <p className="text-sm" style={{ color: 'var(--torre-accent)' }}>
+            This browser can't store the cache, so it is only kept until the page is closed.
+          </p>
+        )}
+
+        {/* Options */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="block space-y-1">
+            <span className="text-sm font-medium" style={{ color: 'var(--torre-text-secondary)' }}>
+              Refresh genomes older than
+            </span>
+            <select
+              value={settings.ttl}
+              onChange={(e) => handleSettingChange({ ttl: Number(e.target.value) })}
+              className="input-iconoir w-full text-sm"
+            >
+              {GENOME_CACHE_TTL_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="text-sm font-medium" style={{ color: 'var(--torre-text-secondary)' }}>
+              Keep at most
+            </span>
+            <select
+              value={settings.maxEntries}
+              onChange={(e) => handleSettingChange({ maxEntries: Number(e.target.value) })}
+              className="input-iconoir w-full text-sm"
+            >
+              {GENOME_CACHE_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>{size} genomes</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <button
+          onClick={handlePurge}
+          disabled={isPurging || stats?.entries === 0}
+          className="btn-iconoir px-4 py-3 disabled:opacity-50"
+        >
+          <Trash2 size={16} />
+          {isPurging ? 'Clearing...' : 'Clear genome cache'}
+        </button>
+      </motion.section>
+    </div>
+  );
+};
+
+export default SettingsView;
@@ -0,0 +1,188 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bookmark, BookmarkCheck, Check, Plus } from 'lucide-react';
+import { useShortlists } from '../contexts/ShortlistContext.jsx';
+
+/**
+ * ShortlistButton component - add a person to or remove them from saved shortlists
+ * @param {Object} props - Component props
+ * @param {Object} props.person - Person with at least a username
+ * @param {string} props.size - Button size (xs, sm, md, lg)
+ * @param {boolean} props.showLabel - Show a text label next to the icon
+ */
+const ShortlistButton = ({ person, size = 'sm', showLabel = false }) => {
+  const {
+    shortlists,
+    createShortlist,
+    addToShortlist,
+    removeFromShortlist,
+    isShortlisted
+  } = useShortlists();
+
+  const [menuPosition, setMenuPosition] = useState(null);
+  const [newName, setNewName] = useState('');
+  const buttonRef = useRef(null);
+  const menuRef = useRef(null);
+  const isOpen = menuPosition !== null;
+  const saved = isShortlisted(person.username);
+
+  // The menu is portalled to the body so cards with overflow-hidden don't clip it
+  const toggleMenu = () => {
+    if (isOpen) {
+      setMenuPosition(null);
+      return;
+    }
+    const rect = buttonRef.current.getBoundingClientRect();
+    setMenuPosition({
+      top: rect.bottom + 8,
+      left: Math.max(8, Math.min(rect.left, window.innerWidth - 248))
+    });
+  };
+
+  // Close the menu on outside clicks, scrolling or resizing
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (!buttonRef.current?.contains(e.target) && !menuRef.current?.contains(e.target)) {
+        setMenuPosition(null);
+      }
+    };
+    const close = () => setMenuPosition(null);
+
+    document.addEventListener('mousedown', handleClickOutside);
+    window.addEventListener('scroll', close, true);
+    window.addEventListener('resize', close);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      window.removeEventListener('scroll', close, true);
+      window.removeEventListener('resize', close);
+    };
+  }, [isOpen]);
+
+  const toggleShortlist = (shortlist) => {
+    if (isShortlisted(person.username, shortlist.id)) {
+      removeFromShortlist(shortlist.id, person.username);
+    } else {
+      addToShortlist(shortlist.id, person);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    createShortlist(newName, [person]);
+    setNewName('');
+  };
+
+  const sizeStyles = {
+    xs: 'w-6 h-6',
+    sm: 'w-8 h-8',
+    md: 'w-10 h-10',
+    lg: 'w-12 h-12'
+  };
+  const iconSize = size === 'xs' ? 12 : size === 'sm' ? 14 : size === 'md' ? 16 : 18;
+  const Icon = saved ? BookmarkCheck : Bookmark;
+
+  return (
+    <div
+      onClick={(e) => e.stopPropagation()} // Keep clicks from reaching parent cards
+      onKeyPress={(e) => e.stopPropagation()}
+    >
+      <motion.button
+        ref={buttonRef}
+        onClick={toggleMenu}
+        className={`flex items-center justify-center gap-2 transition-all duration-200 ${
+          showLabel ? 'px-4 py-2 rounded-lg font-medium text-sm' : `rounded-full ${sizeStyles[size]}`
+        }`}
+        style={{
+          backgroundColor: saved ? 'var(--torre-accent)' : 'var(--torre-bg-tertiary)',
+          color: saved ? '#2d3748' : 'var(--torre-text-secondary)',
+          border: 'none'
+        }}
+        title={saved ? 'Saved to a shortlist' : 'Save to shortlist'}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        <Icon size={iconSize} />
+        {showLabel && (saved ? 'Shortlisted' : 'Shortlist')}
+      </motion.button>
+
+      {createPortal(
+        <AnimatePresence>
+          {isOpen && (
+            <motion.div
+              ref={menuRef}
+              initial={{ opacity: 0, y: 4 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 4 }}
+              transition={{ duration: 0.15 }}
+              className="fixed z-[100] w-60 rounded-xl shadow-xl p-2"
+              style={{
+                top: menuPosition.top,
+                left: menuPosition.left,
+                backgroundColor: 'var(--torre-bg-secondary)',
+                border: '1px solid var(--torre-border)'
+              }}
+              role="menu"
+            >
+              {shortlists.length > 0 && (
+                <ul className="max-h-48 overflow-auto mb-2">
+                  {shortlists.map((shortlist) => {
+                    const included = isShortlisted(person.username, shortlist.id);
+                    return (
+                      <li key={shortlist.id}>
+                        <button
+                          onClick={() => toggleShortlist(shortlist)}
+                          className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm text-left hover:bg-[var(--torre-bg-tertiary)]"
+                          style={{ color: 'var(--torre-text-primary)' }}
+                          role="menuitemcheckbox"
+                          aria-checked={included}
+                        >
+                          <span className="w-4 flex-shrink-0" style={{ color: 'var(--torre-accent)' }}>
+                            {included && <Check size={14} />}
+                          </span>
+                          <span className="truncate flex-1">{shortlist.name}</span>
+                          <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                            {shortlist.entries.length}
+                          </span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <form onSubmit={handleCreate} className="flex items-center gap-1">
+                <input
+                  type="text"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="New shortlist"
+                  className="input-iconoir flex-1 min-w-0 text-sm"
+                  style={{ padding: '6px 10px' }}
+                  aria-label="New shortlist name"
+                />
+                <button
+                  type="submit"
+                  disabled={!newName.trim()}
+                  className="p-2 rounded-lg disabled:opacity-50"
+                  style={{ backgroundColor: 'var(--torre-accent)', color: '#2d3748' }}
+                  aria-label="Create shortlist"
+                >
+                  <Plus size={14} />
+                </button>
+              </form>
+            </motion.div>
+          )}
+        </AnimatePresence>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default ShortlistButton;
@@ -0,0 +1,373 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Bookmark,
+  Plus,
+  Pencil,
+  Trash2,
+  ChevronUp,
+  ChevronDown,
+  X,
+  Users,
+  UsersRound,
+  Eye,
+  Upload
+} from 'lucide-react';
+import { useShortlists } from '../contexts/ShortlistContext.jsx';
+import { useComparison } from '../contexts/ComparisonContext.jsx';
+import { useTeam } from '../contexts/TeamContext.jsx';
+import { useToast } from './Toast';
+import Avatar from './Avatar.jsx';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+// The comparison view handles up to four people at once
+const MAX_COMPARISON_PEOPLE = 4;
+
+/**
+ * ShortlistsView component - manage saved shortlists and their entries
+ * @param {Object} props - Component props
+ * @param {string} props.shortlistId - Id of the open shortlist
+ * @param {Function} props.onSelectShortlist - Open a shortlist by id
+ * @param {Function} props.onViewGenome - Open a person's genome
+ * @param {Function} props.onOpenComparison - Switch to the compare view
+ * @param {Function} props.onOpenTeam - Switch to the team builder
+ * @param {Function} props.onOpenImport - Switch to the candidate import
+ */
+const ShortlistsView = ({ shortlistId, onSelectShortlist, onViewGenome, onOpenComparison, onOpenTeam, onOpenImport }) => {
+  const {
+    shortlists,
+    isLoading,
+    error,
+    createShortlist,
+    renameShortlist,
+    deleteShortlist,
+    getShortlist
+  } = useShortlists();
+  const { loadComparison } = useComparison();
+  const { loadTeam } = useTeam();
+  const toast = useToast();
+
+  const [newName, setNewName] = useState('');
+  const selected = getShortlist(shortlistId) || shortlists[0] || null;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const shortlist = createShortlist(newName);
+    setNewName('');
+    onSelectShortlist(shortlist.id);
+  };
+
+  const handleRename = (shortlist) => {
+    const name = window.prompt('Rename shortlist', shortlist.name);
+    if (name?.trim()) {
+      renameShortlist(shortlist.id, name.trim());
+    }
+  };
+
+  const handleDelete = (shortlist) => {
+    if (!window.confirm(`Delete "${shortlist.name}"? This cannot be undone.`)) return;
+    deleteShortlist(shortlist.id);
+    if (shortlist.id === selected?.id) {
+      onSelectShortlist(null);
+    }
+  };
+
+  const handleOpenComparison = () => {
+    if (selected.entries.length > MAX_COMPARISON_PEOPLE) {
+      toast.warning(`Comparing the first ${MAX_COMPARISON_PEOPLE} people on this shortlist`);
+    }
+    loadComparison(selected.entries.slice(0, MAX_COMPARISON_PEOPLE));
+    onOpenComparison();
+  };
+
+  const handleOpenTeam = () => {
+    loadTeam(selected.name, selected.entries);
+    onOpenTeam();
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" text="Loading shortlists..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      {/* Shortlist List */}
+      <aside className="card-iconoir p-4 space-y-4 lg:col-span-1 h-fit">
+        <h3 className="text-lg font-bold flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+          <Bookmark size={18} />
+          Shortlists
+        </h3>
+
+        <form onSubmit={handleCreate} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New shortlist"
+            className="input-iconoir flex-1 min-w-0 text-sm"
+            aria-label="New shortlist name"
+          />
+          <button type="submit" className="btn-iconoir px-3 py-3" disabled={!newName.trim()} aria-label="Create shortlist">
+            <Plus size={16} />
+          </button>
+        </form>
+
+        <button onClick={onOpenImport} className="btn-iconoir w-full px-3 py-3 text-sm">
+          <Upload size={16} />
+          Import from CSV or usernames
+        </button>
+
+        {shortlists.length === 0 ? (
+          <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+            No shortlists yet.
+          </p>
+        ) : (
+          <ul className="space-y-1">
+            {shortlists.map((shortlist) => {
+              const isActive = shortlist.id === selected?.id;
+              return (
+                <li key={shortlist.id} className="group flex items-center gap-1">
+                  <button
+                    onClick={() => onSelectShortlist(shortlist.id)}
+                    className={`flex-1 min-w-0 flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors duration-200 ${
+                      isActive
+                        ? 'bg-[var(--torre-accent-light)] text-[var(--torre-accent)] font-semibold'
+                        : 'text-[var(--torre-text-secondary)] hover:bg-[var(--torre-bg-tertiary)]'
+                    }`}
+                  >
+                    <span className="truncate">{shortlist.name}</span>
+                    <span className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                      {shortlist.entries.length}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => handleRename(shortlist)}
+                    className="p-1 rounded-md"
+                    style={{ color: 'var(--torre-text-muted)' }}
+                    aria-label={`Rename ${shortlist.name}`}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(shortlist)}
+                    className="p-1 rounded-md"
+                    style={{ color: 'var(--torre-text-muted)' }}
+                    aria-label={`Delete ${shortlist.name}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </aside>
+
+      {/* Selected Shortlist */}
+      <section className="lg:col-span-3 space-y-4">
+        {error && (
+          <ErrorMessage type="warning" title="Shortlists" message={error} />
+        )}
+
+        {!selected ? (
+          <div className="text-center py-12">
+            <h3 className="text-2xl font-bold mb-3" style={{ color: 'var(--torre-text-primary)' }}>
+              Keep track of candidates
+            </h3>
+            <p style={{ color: 'var(--torre-text-secondary)' }}>
+              Create a shortlist, or use the bookmark button on any search result or genome.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+              <div>
+                <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+                  {selected.name}
+                </h2>
+                <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                  {selected.entries.length} {selected.entries.length === 1 ? 'person' : 'people'}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handleOpenComparison}
+                  disabled={selected.entries.length < 2}
+                  className="btn-iconoir px-4 py-3 disabled:opacity-50"
+                >
+                  <Users size={16} />
+                  Open as comparison
+                </button>
+                <button
+                  onClick={handleOpenTeam}
+                  disabled={selected.entries.length === 0}
+                  className="btn-iconoir px-4 py-3 disabled:opacity-50"
+                >
+                  <UsersRound size={16} />
+                  Open as team
+                </button>
+              </div>
+            </div>
+
+            {selected.entries.length === 0 ? (
+              <p className="text-center py-12" style={{ color: 'var(--torre-text-secondary)' }}>
+                This shortlist is empty. Add people with the bookmark button on their card or genome.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {selected.entries.map((entry, index) => (
+                  <ShortlistEntry
+                    key={`${selected.id}-${entry.username}`}
+                    shortlistId={selected.id}
+                    entry={entry}
+                    index={index}
+                    isLast={index === selected.entries.length - 1}
+                    onViewGenome={onViewGenome}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+/**
+ * One person on a shortlist, with their note, tags and ordering controls
+ */
+const ShortlistEntry = ({ shortlistId, entry, index, isLast, onViewGenome }) => {
+  const { updateEntry, moveEntry, removeFromShortlist } = useShortlists();
+  const [note, setNote] = useState(entry.note);
+  const [tagDraft, setTagDraft] = useState('');
+
+  const saveNote = () => {
+    if (note !== entry.note) {
+      updateEntry(shortlistId, entry.username, { note });
+    }
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const tag = tagDraft.trim().toLowerCase();
+    if (tag && !entry.tags.includes(tag)) {
+      updateEntry(shortlistId, entry.username, { tags: [...entry.tags, tag] });
+    }
+    setTagDraft('');
+  };
+
+  const removeTag = (tag) => {
+    updateEntry(shortlistId, entry.username, { tags: entry.tags.filter(t => t !== tag) });
+  };
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card-iconoir p-4 flex flex-col md:flex-row gap-4"
+    >
+      {/* Ordering */}
+      <div className="flex md:flex-col items-center gap-1">
+        <button
+          onClick={() => moveEntry(shortlistId, index, index - 1)}
+          disabled={index === 0}
+          className="p-1 rounded-md disabled:opacity-30"
+          style={{ color: 'var(--torre-text-muted)' }}
+          aria-label={`Move ${entry.name} up`}
+        >
+          <ChevronUp size={16} />
+        </button>
+        <span className="text-xs font-semibold" style={{ color: 'var(--torre-text-muted)' }}>
+          {index + 1}
+        </span>
+        <button
+          onClick={() => moveEntry(shortlistId, index, index + 1)}
+          disabled={isLast}
+          className="p-1 rounded-md disabled:opacity-30"
+          style={{ color: 'var(--torre-text-muted)' }}
+          aria-label={`Move ${entry.name} down`}
+        >
+          <ChevronDown size={16} />
+        </button>
+      </div>
+
+      {/* Person */}
+      <div className="flex items-start gap-3 md:w-64 flex-shrink-0">
+        <Avatar src={entry.picture} name={entry.name} size="w-12 h-12" />
+        <div className="flex-1 min-w-0">
+          <h4 className="font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+            {entry.name}
+          </h4>
+          <p className="text-xs line-clamp-2" style={{ color: 'var(--torre-text-muted)' }}>
+            {entry.professionalHeadline || `@${entry.username}`}
+          </p>
+          <button
+            onClick={() => onViewGenome(entry)}
+            className="mt-2 flex items-center gap-1 text-xs font-medium"
+            style={{ color: 'var(--torre-accent)' }}
+          >
+            <Eye size={12} />
+            View Genome
+          </button>
+        </div>
+      </div>
+
+      {/* Note and Tags */}
+      <div className="flex-1 space-y-2">
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onBlur={saveNote}
+          placeholder="Add a note"
+          rows={2}
+          className="input-iconoir w-full text-sm resize-y"
+          aria-label={`Note about ${entry.name}`}
+        />
+        <div className="flex flex-wrap items-center gap-2">
+          {entry.tags.map((tag) => (
+            <span
+              key={tag}
+              className="flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium"
+              style={{ backgroundColor: 'var(--torre-accent-light)', color: 'var(--torre-accent)' }}
+            >
+              {tag}
+              <button onClick={() => removeTag(tag)} aria-label={`Remove tag ${tag}`}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <input
+            type="text"
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            placeholder="Add tag"
+            className="bg-transparent text-xs outline-none w-24"
+            style={{ color: 'var(--torre-text-secondary)' }}
+            aria-label={`Add a tag for ${entry.name}`}
+          />
+        </div>
+      </div>
+
+      <button
+        onClick={() => removeFromShortlist(shortlistId, entry.username)}
+        className="self-start p-1 rounded-md"
+        style={{ color: 'var(--torre-text-muted)' }}
+        aria-label={`Remove ${entry.name} from shortlist`}
+      >
+        <X size={16} />
+      </button>
+    </motion.div>
+  );
+};
+
+export default ShortlistsView;
@@ -0,0 +1,413 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+  UsersRound,
+  UserPlus,
+  X,
+  Sparkles,
+  ShieldCheck,
+  AlertTriangle,
+  Fingerprint,
+  RefreshCw,
+  CheckCircle,
+  Upload,
+  Clock,
+  Languages
+} from 'lucide-react';
+import { useTeam } from '../contexts/TeamContext.jsx';
+import Avatar from './Avatar.jsx';
+import TeamButton from './TeamButton.jsx';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import { parseProfileReference } from '../services/candidateImport.js';
+import { getLocation, formatHours } from '../services/timezones.js';
+import TimezoneOverlap from './TimezoneOverlap.jsx';
+
+/**
+ * TeamBuilderView component - assemble a team and see where its skills are thin
+ * @param {Object} props - Component props
+ * @param {Function} props.onViewGenome - Open a person's genome
+ * @param {Function} props.onOpenImport - Switch to the candidate import
+ */
+const TeamBuilderView = ({ onViewGenome, onOpenImport }) => {
+  const {
+    teamName,
+    members,
+    analysis,
+    recommendations,
+    isRecommending,
+    error,
+    addTeamMember,
+    removeTeamMember,
+    setTeamName,
+    clearTeam,
+    getGapRecommendations,
+    cancelGapRecommendations,
+    isLoadingMembers,
+    canAnalyze
+  } = useTeam();
+
+  const [usernameDraft, setUsernameDraft] = useState('');
+
+  // Stop searching and fetching genomes for recommendations nobody will see
+  useEffect(() => cancelGapRecommendations, [cancelGapRecommendations]);
+
+  const handleAddByUsername = (e) => {
+    e.preventDefault();
+    // Accept a bare username, an @handle or a torre.ai profile link
+    const username = parseProfileReference(usernameDraft);
+    if (!username) return;
+
+    addTeamMember({ username, name: username });
+    setUsernameDraft('');
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Team Header */}
+      <div className="card-iconoir">
+        <div className="p-6 flex flex-col md:flex-row md:items-center gap-4">
+          <div className="flex items-center gap-3 flex-1 min-w-0">
+            <div className="w-12 h-12 rounded-2xl flex items-center justify-center flex-shrink-0"
+                 style={{ background: 'var(--torre-accent)', color: '#2d3748' }}>
+              <UsersRound size={24} />
+            </div>
+            <div className="flex-1 min-w-0">
+              <input
+                type="text"
+                value={teamName}
+                onChange={(e) => setTeamName(e.target.value)}
+                className="w-full bg-transparent text-2xl font-bold outline-none"
+                style={{ color: 'var(--torre-text-primary)' }}
+                aria-label="Team name"
+              />
+              <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                {members.length} {members.length === 1 ? 'member' : 'members'}
+              </p>
+            </div>
+          </div>
+
+          <form onSubmit={handleAddByUsername} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={usernameDraft}
+              onChange={(e) => setUsernameDraft(e.target.value)}
+              placeholder="Torre username"
+              className="input-iconoir text-sm"
+              aria-label="Torre username to add"
+            />
+            <button type="submit" className="btn-iconoir px-4 py-3" disabled={!usernameDraft.trim()}>
+              <UserPlus size={16} />
+              Add
+            </button>
+            <button type="button" onClick={onOpenImport} className="btn-iconoir px-4 py-3" title="Import a list of people">
+              <Upload size={16} />
+              Import
+            </button>
+          </form>
+
+          {members.length > 0 && (
+            <button
+              onClick={clearTeam}
+              className="text-sm font-medium"
+              style={{ color: 'var(--torre-text-muted)' }}
+            >
+              Clear team
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <ErrorMessage type="warning" title="Team" message={error} />
+      )}
+
+      {/* Members */}
+      {members.length === 0 ? (
+        <div className="text-center py-12">
+          <h3 className="text-2xl font-bold mb-3" style={{ color: 'var(--torre-text-primary)' }}>
+            Start building your team
+          </h3>
+          <p style={{ color: 'var(--torre-text-secondary)' }}>
+            Add people by username above, or with the team button on any search result.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {members.map((member) => (
+            <motion.div
+              key={member.username}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="card-iconoir p-4 flex items-center gap-3 cursor-pointer"
+              onClick={() => onViewGenome(member)}
+            >
+              <Avatar src={member.picture} name={member.name} size="w-12 h-12" />
+              <div className="flex-1 min-w-0">
+                <h4 className="font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+                  {member.name}
+                </h4>
+                <p className="text-xs truncate" style={{ color: 'var(--torre-text-muted)' }}>
+                  {member.status === 'loading' || member.status === 'pending'
+                    ? 'Loading genome...'
+                    : member.status === 'error'
+                      ? 'Genome unavailable'
+                      : member.professionalHeadline || `@${member.username}`}
+                </p>
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeTeamMember(member.username);
+                }}
+                className="p-1 rounded-md"
+                style={{ color: 'var(--torre-text-muted)' }}
+                aria-label={`Remove ${member.name} from team`}
+              >
+                <X size={16} />
+              </button>
+            </motion.div>
+          ))}
+        </div>
+      )}
+
+      {members.length > 0 && !canAnalyze && (
+        <p className="text-center text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+          {isLoadingMembers ? 'Loading member genomes...' : 'Add at least two people to analyze skill coverage.'}
+        </p>
+      )}
+
+      {/* Coverage */}
+      {analysis && !analysis.error && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <CoverageColumn
+            icon={ShieldCheck}
+            title="Well covered"
+            description="Held by at least half the team"
+            color="var(--torre-green)"
+            items={analysis.wellCoveredSkills.map(s => ({
+              name: s.skill,
+              detail: `${s.coverage} of ${analysis.teamSize}`
+            }))}
+          />
+          <CoverageColumn
+            icon={AlertTriangle}
+            title="Poorly covered"
+            description="Held by a few people only"
+            color="#f59e0b"
+            items={analysis.poorlyCoveredSkills.map(s => ({
+              name: s.skill,
+              detail: `${s.coverage} of ${analysis.teamSize}`
+            }))}
+          />
+          <CoverageColumn
+            icon={Fingerprint}
+            title="Unique"
+            description="Only one person has these"
+            color="var(--torre-accent)"
+            items={analysis.uniqueSkills.map(s => ({
+              name: s.skill,
+              detail: s.owner
+            }))}
+          />
+        </div>
+      )}
+
+      {/* Working hours the whole team shares */}
+      {analysis && !analysis.error && (
+        <div className="card-iconoir p-6">
+          <h3 className="text-lg font-bold flex items-center gap-2 mb-4" style={{ color: 'var(--torre-text-primary)' }}>
+            <Clock size={20} />
+            Working hours
+          </h3>
+          <TimezoneOverlap
+            members={members
+              .filter(member => member.status === 'ready')
+              .map(member => ({ username: member.username, name: member.name, location: getLocation(member.genome) }))}
+          />
+        </div>
+      )}
+
+      {/* Languages the team speaks */}
+      {analysis && !analysis.error && analysis.languages.length > 0 && (
+        <div className="card-iconoir p-6">
+          <h3 className="text-lg font-bold flex items-center gap-2" style={{ color: 'var(--torre-text-primary)' }}>
+            <Languages size={20} />
+            Languages
+          </h3>
+          <p className="text-xs mb-4" style={{ color: analysis.commonLanguages.length > 0 ? 'var(--torre-text-muted)' : 'var(--torre-red)' }}>
+            {analysis.commonLanguages.length > 0
+              ? `Everyone works fluently in ${analysis.commonLanguages.join(', ')}`
+              : 'No language everyone speaks fluently'}
+          </p>
+          <div className="space-y-2">
+            {analysis.languages.map(language => (
+              <div key={language.key} className="flex items-center gap-3 text-sm">
+                <div className="w-32 shrink-0 truncate font-medium" style={{ color: 'var(--torre-text-primary)' }}>
+                  {language.language}
+                </div>
+                <div className="flex-1 h-2 rounded-full" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                  <div
+                    className="h-2 rounded-full"
+                    style={{
+                      width: `${(language.workingSpeakers / analysis.teamSize) * 100}%`,
+                      backgroundColor: 'var(--torre-accent)'
+                    }}
+                  />
+                </div>
+                <div
+                  className="w-48 shrink-0 text-right text-xs truncate"
+                  style={{ color: 'var(--torre-text-muted)' }}
+                  title={language.speakers.map(speaker => `${speaker.name}${speaker.fluency ? ` (${speaker.fluency})` : ''}`).join(', ')}
+                >
+                  {language.workingSpeakers} of {analysis.teamSize} fluent
+                  {language.speakers.length > language.workingSpeakers && `, ${language.speakers.length - language.workingSpeakers} partial`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Gap Suggestions */}
+      {canAnalyze && (
+        <div className="card-iconoir">
+          <div className="p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+              <div>
+                <h3 className="text-xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+                  <Sparkles className="inline-block mr-2 h-5 w-5" />
+                  Fill the gaps
+                </h3>
+                <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                  Candidates who bring the skills the team is thinnest in
+                </p>
+              </div>
+              <button
+                onClick={() => getGapRecommendations()}
+                disabled={isRecommending}
+                className="btn-iconoir px-4 py-3 disabled:opacity-50"
+              >
+                <RefreshCw size={16} className={isRecommending ? 'animate-spin' : ''} />
+                {recommendations ? 'Refresh suggestions' : 'Suggest candidates'}
+              </button>
+            </div>
+
+            {isRecommending && (
+              <LoadingSpinner size="md" text="Searching for people who fill the gaps..." />
+            )}
+
+            {recommendations && !isRecommending && (
+              <>
+                <p className="text-sm mb-4" style={{ color: 'var(--torre-text-muted)' }}>
+                  Searched for: {recommendations.searchQueries.join(', ')}
+                </p>
+
+                {recommendations.candidates.length === 0 ? (
+                  <p style={{ color: 'var(--torre-text-secondary)' }}>
+                    None of the {recommendations.totalCandidates} people found covered these gaps.
+                  </p>
+                ) : (
+                  <div className="space-y-3">
+                    {recommendations.candidates.map((candidate) => (
+                      <div
+                        key={candidate.person.username}
+                        className="p-4 rounded-lg border flex flex-col md:flex-row md:items-center gap-4"
+                        style={{
+                          backgroundColor: 'var(--torre-bg-primary)',
+                          borderColor: 'var(--torre-border)'
+                        }}
+                      >
+                        <div className="flex items-center gap-3 md:w-64 flex-shrink-0 min-w-0">
+                          <Avatar src={candidate.person.picture} name={candidate.person.name} size="w-12 h-12" />
+                          <div className="min-w-0">
+                            <h4 className="font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+                              {candidate.person.name}
+                            </h4>
+                            <p className="text-sm truncate" style={{ color: 'var(--torre-text-muted)' }}>
+                              {candidate.person.professionalHeadline || `@${candidate.person.username}`}
+                            </p>
+                          </div>
+                        </div>
+
+                        <div className="flex-1 min-w-0 space-y-1 text-sm">
+                          <div className="flex items-start gap-2" style={{ color: 'var(--torre-green)' }}>
+                            <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                            <span>Fills {candidate.matchedSkills.join(', ')}</span>
+                          </div>
+                          {candidate.teamOverlap?.available && (
+                            <div
+                              className="flex items-center gap-2"
+                              style={{ color: candidate.teamOverlap.meetsMinimum ? 'var(--torre-text-secondary)' : 'var(--torre-red)' }}
+                            >
+                              <Clock className="h-4 w-4 flex-shrink-0" />
+                              <span>{formatHours(candidate.teamOverlap.hours)} shared with the team</span>
+                            </div>
+                          )}
+                        </div>
+
+                        <div className="flex items-center gap-4 flex-shrink-0">
+                          <div className="text-right">
+                            <div className="text-2xl font-bold" style={{ color: 'var(--torre-accent)' }}>
+                              {Math.round(candidate.coverage * 100)}%
+                            </div>
+                            <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+                              of gaps
+                            </div>
+                          </div>
+                          <TeamButton person={candidate.person} size="md" />
+                          <button
+                            onClick={() => onViewGenome(candidate.person)}
+                            className="btn-iconoir"
+                          >
+                            View Genome
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A list of skills in one coverage bucket
+const CoverageColumn = ({ icon, title, description, color, items }) => {
+  const Icon = icon;
+
+  return (
+    <div className="card-iconoir p-6">
+      <h3 className="text-lg font-bold flex items-center gap-2" style={{ color }}>
+        <Icon size={20} />
+        {title}
+        <span className="ml-auto text-sm font-medium" style={{ color: 'var(--torre-text-muted)' }}>
+          {items.length}
+        </span>
+      </h3>
+      <p className="text-xs mb-4" style={{ color: 'var(--torre-text-muted)' }}>
+        {description}
+      </p>
+      {items.length === 0 ? (
+        <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>None</p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-auto">
+          {items.map((item, index) => (
+            <li key={`${item.name}-${index}`} className="flex items-center justify-between gap-3 text-sm">
+              <span className="truncate" style={{ color: 'var(--torre-text-primary)' }}>{item.name}</span>
+              <span className="flex-shrink-0 truncate max-w-[45%]" style={{ color: 'var(--torre-text-muted)' }}>
+                {item.detail}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TeamBuilderView;
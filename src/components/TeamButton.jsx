@@ -0,0 +1,54 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { UsersRound, UserCheck } from 'lucide-react';
+import { useTeam } from '../contexts/TeamContext.jsx';
+
+/**
+ * TeamButton component - toggles a person's membership of the team being built
+ * @param {Object} props - Component props
+ * @param {Object} props.person - Person with at least a username
+ * @param {string} props.size - Button size (xs, sm, md, lg)
+ */
+const TeamButton = ({ person, size = 'sm' }) => {
+  const { addTeamMember, removeTeamMember, isTeamMember } = useTeam();
+  const isMember = isTeamMember(person.username);
+
+  const handleClick = (e) => {
+    e.stopPropagation(); // Prevent triggering parent click events
+
+    if (isMember) {
+      removeTeamMember(person.username);
+    } else {
+      addTeamMember(person);
+    }
+  };
+
+  const sizeStyles = {
+    xs: 'w-6 h-6',
+    sm: 'w-8 h-8',
+    md: 'w-10 h-10',
+    lg: 'w-12 h-12'
+  };
+  const iconSize = size === 'xs' ? 12 : size === 'sm' ? 14 : size === 'md' ? 16 : 18;
+  const Icon = isMember ? UserCheck : UsersRound;
+
+  return (
+    <motion.button
+      onClick={handleClick}
+      className={`rounded-full flex items-center justify-center transition-all duration-200 ${sizeStyles[size]}`}
+      style={{
+        backgroundColor: isMember ? 'var(--torre-accent)' : 'var(--torre-bg-tertiary)',
+        color: isMember ? '#2d3748' : 'var(--torre-text-secondary)',
+        border: 'none'
+      }}
+      title={isMember ? 'Remove from team' : 'Add to team'}
+      aria-pressed={isMember}
+      whileHover={{ scale: 1.05 }}
+      whileTap={{ scale: 0.95 }}
+    >
+      <Icon size={iconSize} />
+    </motion.button>
+  );
+};
+
+export default TeamButton;
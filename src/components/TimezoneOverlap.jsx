@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { Clock, AlertCircle } from 'lucide-react';
+import {
+  teamOverlap,
+  getWorkingWindow,
+  formatUtcOffset,
+  formatClockTime,
+  formatHours,
+  MIN_OVERLAP_HOURS
+} from '../services/timezones.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Axis labels, in UTC hours
+const AXIS_HOURS = [0, 3, 6, 9, 12, 15, 18, 21, 24];
+
+/**
+ * Split a UTC window into the parts that fall within one day, so a window
+ * running past midnight shows at both ends of the axis
+ * @param {Object} window - `{ start, end }` in UTC minutes
+ * @returns {Array} `{ start, end }` segments between 0 and MINUTES_PER_DAY
+ */
+const toDaySegments = (window) => {
+  const start = ((window.start % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const end = start + (window.end - window.start);
+  return end > MINUTES_PER_DAY
+    ? [{ start, end: MINUTES_PER_DAY }, { start: 0, end: end - MINUTES_PER_DAY }]
+    : [{ start, end }];
+};
+
+const segmentStyle = (segment) => ({
+  left: `${(segment.start / MINUTES_PER_DAY) * 100}%`,
+  width: `${((segment.end - segment.start) / MINUTES_PER_DAY) * 100}%`
+});
+
+/**
+ * TimezoneOverlap component - each person's working hours on a 24-hour UTC
+ * axis with the band everyone shares highlighted
+ * @param {Object} props - Component props
+ * @param {Array} props.members - `{ name, location }` per person (location from the genome)
+ */
+const TimezoneOverlap = ({ members }) => {
+  const overlap = useMemo(() => teamOverlap(members), [members]);
+  const bandColor = overlap.meetsMinimum ? 'var(--torre-green)' : 'var(--torre-red)';
+  const band = overlap.window ? toDaySegments(overlap.window) : [];
+
+  return (
+    <div>
+      {overlap.available ? (
+        <>
+          <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-4 text-sm">
+            <span className="flex items-center gap-1.5 font-semibold" style={{ color: bandColor }}>
+              <Clock size={16} />
+              {overlap.hours > 0 ? `${formatHours(overlap.hours)} shared working hours` : 'No shared working hours'}
+            </span>
+            {overlap.window && (
+              <span style={{ color: 'var(--torre-text-muted)' }}>
+                {formatClockTime(overlap.window.start)}–{formatClockTime(overlap.window.end)} UTC
+              </span>
+            )}
+            <span style={{ color: 'var(--torre-text-muted)' }}>
+              {overlap.meetsMinimum ? `Meets the ${MIN_OVERLAP_HOURS}h minimum` : `Below the ${MIN_OVERLAP_HOURS}h minimum`}
+            </span>
+          </div>
+
+          <div className="space-y-2">
+            {overlap.members.map((member, index) => {
+              const window = getWorkingWindow(member.offset);
+              return (
+                <div key={member.username || `${member.name}-${index}`} className="flex items-center gap-3">
+                  <div className="w-40 shrink-0 text-sm min-w-0">
+                    <div className="truncate font-medium" style={{ color: 'var(--torre-text-primary)' }} title={member.name}>
+                      {member.name}
+                    </div>
+                    <div className="text-xs truncate" style={{ color: 'var(--torre-text-muted)' }}>
+                      {formatUtcOffset(member.offset)}
+                      {overlap.window && ` · shared ${formatClockTime(overlap.window.start + member.offset)}–${formatClockTime(overlap.window.end + member.offset)} local`}
+                    </div>
+                  </div>
+                  <div className="relative flex-1 h-6 rounded-md overflow-hidden" style={{ backgroundColor: 'var(--torre-bg-tertiary)' }}>
+                    {band.map(segment => (
+                      <div
+                        key={`band-${segment.start}`}
+                        className="absolute inset-y-0"
+                        style={{ ...segmentStyle(segment), backgroundColor: `color-mix(in srgb, ${bandColor} 25%, transparent)` }}
+                      />
+                    ))}
+                    {toDaySegments(window).map(segment => (
+                      <div
+                        key={`hours-${segment.start}`}
+                        className="absolute top-1.5 bottom-1.5 rounded-sm"
+                        style={{ ...segmentStyle(segment), backgroundColor: 'var(--torre-blue)' }}
+                        title={`${formatClockTime(window.start + member.offset)}–${formatClockTime(window.end + member.offset)} local`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex items-center gap-3 mt-1">
+            <div className="w-40 shrink-0" />
+            <div className="relative flex-1 h-4 text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+              {AXIS_HOURS.map(hour => (
+                <span
+                  key={hour}
+                  className={`absolute ${hour === 0 ? '' : hour === 24 ? '-translate-x-full' : '-translate-x-1/2'}`}
+                  style={{ left: `${(hour / 24) * 100}%` }}
+                >
+                  {formatClockTime(hour * 60)}
+                </span>
+              ))}
+            </div>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+          Not enough timezone information to compare working hours.
+        </p>
+      )}
+
+      {overlap.unknown.length > 0 && (
+        <p className="flex items-center gap-1.5 mt-3 text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+          <AlertCircle size={14} />
+          No timezone listed for {overlap.unknown.map(member => member.name).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TimezoneOverlap;
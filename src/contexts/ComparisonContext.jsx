@@ -1,7 +1,21 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useRef } from 'react';
 import { calculateSimilarity } from '../services/comparison.js';
 import { findSimilarProfessionals } from '../services/recommendations.js';
-import { getUserGenome } from '../services/api.js';
+import { getGenome } from '../services/genomeStore.js';
+import { isAbortError } from '../services/apiClient.js';
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE_ID, getScoringProfile } from '../services/scoringProfiles.js';
+
+const PROFILE_STORAGE_KEY = 'torre-explorer-scoring-profile';
+
+// Restore the scoring profile picked in an earlier session
+const loadSavedProfileId = () => {
+  try {
+    return getScoringProfile(localStorage.getItem(PROFILE_STORAGE_KEY)).id;
+  } catch (error) {
+    console.warn('Could not restore scoring profile:', error);
+    return DEFAULT_SCORING_PROFILE_ID;
+  }
+};
 
 // Helper functions to extract data from genome
 const extractSkillsFromGenome = (genomeData) => {
@@ -59,7 +73,8 @@ const initialState = {
   recommendations: [],
   isLoading: false,
   error: null,
-  activeComparison: null
+  activeComparison: null,
+  scoringProfileId: DEFAULT_SCORING_PROFILE_ID
 };
 
 // Action types
@@ -67,11 +82,13 @@ const ACTIONS = {
   ADD_PERSON: 'ADD_PERSON',
   REMOVE_PERSON: 'REMOVE_PERSON',
   CLEAR_SELECTION: 'CLEAR_SELECTION',
+  SET_SELECTION: 'SET_SELECTION',
   SET_COMPARISONS: 'SET_COMPARISONS',
   SET_RECOMMENDATIONS: 'SET_RECOMMENDATIONS',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
-  SET_ACTIVE_COMPARISON: 'SET_ACTIVE_COMPARISON'
+  SET_ACTIVE_COMPARISON: 'SET_ACTIVE_COMPARISON',
+  SET_SCORING_PROFILE: 'SET_SCORING_PROFILE'
 };
 
 // Reducer function
@@ -117,10 +134,22 @@ const comparisonReducer = (state, action) => {
         error: null
       };
 
+    case ACTIONS.SET_SELECTION:
+      return {
+        ...state,
+        selectedPeople: action.payload.slice(0, 4),
+        comparisons: [],
+        activeComparison: null,
+        error: null
+      };
+
     case ACTIONS.SET_COMPARISONS:
       return {
         ...state,
         comparisons: action.payload,
+        activeComparison: state.activeComparison
+          ? action.payload.find(c => c.id === state.activeComparison.id) || null
+          : null,
         error: null
       };
 
@@ -150,6 +179,16 @@ const comparisonReducer = (state, action) => {
         activeComparison: action.payload
       };
 
+    case ACTIONS.SET_SCORING_PROFILE:
+      return {
+        ...state,
+        scoringProfileId: action.payload.id,
+        comparisons: action.payload.comparisons,
+        activeComparison: state.activeComparison
+          ? action.payload.comparisons.find(c => c.id === state.activeComparison.id) || null
+          : null
+      };
+
     default:
       return state;
   }
@@ -160,7 +199,19 @@ const ComparisonContext = createContext();
 
 // Provider component
 export const ComparisonProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(comparisonReducer, initialState);
+  const [state, dispatch] = useReducer(
+    comparisonReducer,
+    initialState,
+    (initial) => ({ ...initial, scoringProfileId: loadSavedProfileId() })
+  );
+  const scoringProfile = getScoringProfile(state.scoringProfileId);
+  const recommendationsControllerRef = useRef(null); // Cancels the recommendations in progress
+  const comparisonControllerRef = useRef(null); // Cancels the genomes being fetched for a comparison
+
+  // Remember the scoring profile between sessions
+  useEffect(() => {
+    localStorage.setItem(PROFILE_STORAGE_KEY, state.scoringProfileId);
+  }, [state.scoringProfileId]);
 
   // Add person to comparison
   const addPersonToComparison = useCallback((person) => {
@@ -177,13 +228,17 @@ export const ComparisonProvider = ({ children }) => {
     dispatch({ type: ACTIONS.CLEAR_SELECTION });
   }, []);
 
-  // Compare selected people
-  const compareSelectedPeople = useCallback(async () => {
-    if (state.selectedPeople.length < 2) {
+  // Compare a list of people, cancelling any earlier comparison
+  const comparePeople = useCallback(async (people) => {
+    if (people.length < 2) {
       dispatch({ type: ACTIONS.SET_ERROR, payload: 'At least 2 people are required for comparison' });
       return;
     }
 
+    comparisonControllerRef.current?.abort();
+    const controller = new AbortController();
+    comparisonControllerRef.current = controller;
+
     dispatch({ type: ACTIONS.SET_LOADING, payload: true });
     dispatch({ type: ACTIONS.SET_ERROR, payload: null }); // Clear any previous errors
 
@@ -192,9 +247,9 @@ export const ComparisonProvider = ({ children }) => {
       const peopleWithGenome = [];
 
       // Get genome data for all selected people
-      for (const person of state.selectedPeople) {
+      for (const person of people) {
         try {
-          const genomeResponse = await getUserGenome(person.username);
+          const genomeResponse = await getGenome(person.username, { signal: controller.signal });
           const genomeData = genomeResponse.data;
           
           // Extract skills and strengths from genome data
@@ -215,12 +270,13 @@ export const ComparisonProvider = ({ children }) => {
             genome: genomeData,
             skills: skills,
             strengths: strengths,
-            professionalHeadline: genomeData.professionalHeadline || genomeData.headline || person.professionalHeadline || person.headline,
-            picture: genomeData.picture || person.picture,
-            name: genomeData.name || person.name,
-            verified: genomeData.verified || person.verified
+            professionalHeadline: genomeData.professionalHeadline || genomeData.headline || genomeData.person?.professionalHeadline || person.professionalHeadline || person.headline,
+            picture: genomeData.picture || genomeData.person?.picture || person.picture,
+            name: genomeData.name || genomeData.person?.name || person.name,
+            verified: genomeData.verified || genomeData.person?.verified || person.verified
           });
         } catch (error) {
+          if (isAbortError(error)) throw error;
           console.warn(`Could not fetch genome for ${person.username}:`, error);
           peopleWithGenome.push({
             ...person,
@@ -237,7 +293,7 @@ export const ComparisonProvider = ({ children }) => {
           const person1 = peopleWithGenome[i];
           const person2 = peopleWithGenome[j];
           
-          const similarity = calculateSimilarity(person1.genome, person2.genome);
+          const similarity = calculateSimilarity(person1.genome, person2.genome, scoringProfile);
           
           console.log(`Similarity between ${person1.username} and ${person2.username}:`, {
             overallScore: similarity.overallScore,
@@ -268,21 +324,61 @@ export const ComparisonProvider = ({ children }) => {
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
 
     } catch (error) {
+      // A newer comparison, or cancelComparison, has taken over
+      if (isAbortError(error)) return;
       console.error('Error comparing people:', error);
       dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
+    } finally {
+      if (comparisonControllerRef.current === controller) {
+        comparisonControllerRef.current = null;
+      }
     }
-  }, [state.selectedPeople]);
+  }, [scoringProfile]);
+
+  // Compare selected people
+  const compareSelectedPeople = useCallback(() => {
+    return comparePeople(state.selectedPeople);
+  }, [comparePeople, state.selectedPeople]);
+
+  // Replace the selection and compare it, e.g. when opening a shared compare link
+  const loadComparison = useCallback((people) => {
+    dispatch({ type: ACTIONS.SET_SELECTION, payload: people });
+    return comparePeople(people);
+  }, [comparePeople]);
+
+  // Cancel the comparison whose genomes are still being fetched
+  const cancelComparison = useCallback(() => {
+    if (comparisonControllerRef.current) {
+      comparisonControllerRef.current.abort();
+      comparisonControllerRef.current = null;
+      dispatch({ type: ACTIONS.SET_LOADING, payload: false });
+    }
+  }, []);
 
-  // Get recommendations for a specific person
+  // Cancel the recommendations still being worked out
+  const cancelRecommendations = useCallback(() => {
+    if (recommendationsControllerRef.current) {
+      recommendationsControllerRef.current.abort();
+      recommendationsControllerRef.current = null;
+      dispatch({ type: ACTIONS.SET_LOADING, payload: false });
+    }
+  }, []);
+
+  // Get recommendations for a specific person, cancelling any earlier request
   const getRecommendationsForPerson = useCallback(async (person, options = {}) => {
+    recommendationsControllerRef.current?.abort();
+    const controller = new AbortController();
+    recommendationsControllerRef.current = controller;
+
     dispatch({ type: ACTIONS.SET_LOADING, payload: true });
 
     try {
       const recommendationsResponse = await findSimilarProfessionals(person, {
         limit: 8,
-        minSimilarityScore: 0.3,
+        profile: scoringProfile,
         excludeUsernames: state.selectedPeople.map(p => p.username),
-        ...options
+        ...options,
+        signal: controller.signal
       });
 
       if (recommendationsResponse.success) {
@@ -292,7 +388,8 @@ export const ComparisonProvider = ({ children }) => {
             targetPerson: person,
             recommendations: recommendationsResponse.data,
             searchQueries: recommendationsResponse.searchQueries,
-            totalCandidates: recommendationsResponse.totalCandidates
+            totalCandidates: recommendationsResponse.totalCandidates,
+            profile: recommendationsResponse.profile
           }
         });
       } else {
@@ -302,10 +399,26 @@ export const ComparisonProvider = ({ children }) => {
       dispatch({ type: ACTIONS.SET_LOADING, payload: false });
 
     } catch (error) {
+      // A newer request, or cancelRecommendations, has taken over
+      if (isAbortError(error)) return;
       console.error('Error getting recommendations:', error);
       dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
+    } finally {
+      if (recommendationsControllerRef.current === controller) {
+        recommendationsControllerRef.current = null;
+      }
     }
-  }, [state.selectedPeople]);
+  }, [state.selectedPeople, scoringProfile]);
+
+  // Switch scoring profile and rescore the current comparisons with it
+  const setScoringProfile = useCallback((profileId) => {
+    const profile = getScoringProfile(profileId);
+    const comparisons = state.comparisons.map(comparison => ({
+      ...comparison,
+      similarity: calculateSimilarity(comparison.person1.genome, comparison.person2.genome, profile)
+    }));
+    dispatch({ type: ACTIONS.SET_SCORING_PROFILE, payload: { id: profile.id, comparisons } });
+  }, [state.comparisons]);
 
   // Set active comparison
   const setActiveComparison = useCallback((comparisonId) => {
@@ -334,16 +447,22 @@ export const ComparisonProvider = ({ children }) => {
     isLoading: state.isLoading,
     error: state.error,
     activeComparison: state.activeComparison,
+    scoringProfile,
+    scoringProfiles: SCORING_PROFILES,
 
     // Actions
     addPersonToComparison,
     removePersonFromComparison,
     clearComparison,
     compareSelectedPeople,
+    loadComparison,
+    cancelComparison,
     getRecommendationsForPerson,
+    cancelRecommendations,
     setActiveComparison,
     isPersonSelected,
     getComparisonBetween,
+    setScoringProfile,
 
     // Computed values
     canCompare: state.selectedPeople.length >= 2,
@@ -0,0 +1,154 @@
+import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
+import {
+  createSavedSearch,
+  createSnapshot,
+  addSnapshot,
+  loadSavedSearches,
+  saveSavedSearch,
+  removeSavedSearch
+} from '../services/savedSearches.js';
+
+// Initial state
+const initialState = {
+  savedSearches: [],
+  isLoading: true,
+  error: null
+};
+
+// Action types
+const ACTIONS = {
+  SET_SAVED_SEARCHES: 'SET_SAVED_SEARCHES',
+  UPSERT_SAVED_SEARCH: 'UPSERT_SAVED_SEARCH',
+  DELETE_SAVED_SEARCH: 'DELETE_SAVED_SEARCH',
+  SET_ERROR: 'SET_ERROR'
+};
+
+// Reducer function
+const savedSearchReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.SET_SAVED_SEARCHES:
+      return { ...state, savedSearches: action.payload, isLoading: false };
+
+    case ACTIONS.UPSERT_SAVED_SEARCH: {
+      const exists = state.savedSearches.some(s => s.id === action.payload.id);
+      return {
+        ...state,
+        savedSearches: exists
+          ? state.savedSearches.map(s => s.id === action.payload.id ? action.payload : s)
+          : [...state.savedSearches, action.payload],
+        error: null
+      };
+    }
+
+    case ACTIONS.DELETE_SAVED_SEARCH:
+      return {
+        ...state,
+        savedSearches: state.savedSearches.filter(s => s.id !== action.payload),
+        error: null
+      };
+
+    case ACTIONS.SET_ERROR:
+      return { ...state, error: action.payload, isLoading: false };
+
+    default:
+      return state;
+  }
+};
+
+// Create context
+const SavedSearchContext = createContext();
+
+// Provider component
+export const SavedSearchProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(savedSearchReducer, initialState);
+
+  // Load saved searches once
+  useEffect(() => {
+    loadSavedSearches()
+      .then(savedSearches => dispatch({ type: ACTIONS.SET_SAVED_SEARCHES, payload: savedSearches }))
+      .catch(error => {
+        console.error('Error loading saved searches:', error);
+        dispatch({ type: ACTIONS.SET_ERROR, payload: 'Saved searches could not be loaded from this browser' });
+      });
+  }, []);
+
+  // Show a change straight away and save it in the background
+  const commit = useCallback(async (savedSearch) => {
+    dispatch({ type: ACTIONS.UPSERT_SAVED_SEARCH, payload: savedSearch });
+    try {
+      await saveSavedSearch(savedSearch);
+    } catch (error) {
+      console.error('Error saving search:', error);
+      dispatch({ type: ACTIONS.SET_ERROR, payload: `Could not save "${savedSearch.name}"` });
+    }
+  }, []);
+
+  // Save a query and its filters, optionally with the results on screen as the first snapshot
+  const saveSearch = useCallback((name, query, filters, results = null) => {
+    let savedSearch = createSavedSearch(name, query, filters);
+    if (results) {
+      savedSearch = addSnapshot(savedSearch, createSnapshot(results));
+    }
+    commit(savedSearch);
+    return savedSearch;
+  }, [commit]);
+
+  const renameSavedSearch = useCallback((id, name) => {
+    const savedSearch = state.savedSearches.find(s => s.id === id);
+    if (savedSearch) commit({ ...savedSearch, name });
+  }, [state.savedSearches, commit]);
+
+  // Record the results of a run; returns the snapshot
+  const recordSnapshot = useCallback((id, results) => {
+    const savedSearch = state.savedSearches.find(s => s.id === id);
+    if (!savedSearch) return null;
+    const snapshot = createSnapshot(results);
+    commit(addSnapshot(savedSearch, snapshot));
+    return snapshot;
+  }, [state.savedSearches, commit]);
+
+  const deleteSavedSearch = useCallback(async (id) => {
+    dispatch({ type: ACTIONS.DELETE_SAVED_SEARCH, payload: id });
+    try {
+      await removeSavedSearch(id);
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      dispatch({ type: ACTIONS.SET_ERROR, payload: 'Could not delete saved search' });
+    }
+  }, []);
+
+  const getSavedSearch = useCallback((id) => {
+    return state.savedSearches.find(s => s.id === id) || null;
+  }, [state.savedSearches]);
+
+  const value = {
+    // State
+    savedSearches: state.savedSearches,
+    isLoading: state.isLoading,
+    error: state.error,
+
+    // Actions
+    saveSearch,
+    renameSavedSearch,
+    recordSnapshot,
+    deleteSavedSearch,
+    getSavedSearch
+  };
+
+  return (
+    <SavedSearchContext.Provider value={value}>
+      {children}
+    </SavedSearchContext.Provider>
+  );
+};
+
+// Hook to use saved search context
+export const useSavedSearches = () => {
+  const context = useContext(SavedSearchContext);
+  if (!context) {
+    throw new Error('useSavedSearches must be used within a SavedSearchProvider');
+  }
+  return context;
+};
+
+export default SavedSearchContext;
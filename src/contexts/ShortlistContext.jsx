@@ -0,0 +1,214 @@
+import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
+import {
+  createShortlist as buildShortlist,
+  toShortlistEntry,
+  loadShortlists,
+  saveShortlist,
+  removeShortlist
+} from '../services/shortlists.js';
+import { getGenome } from '../services/genomeStore.js';
+import { registerOfflineAction, runOrQueueAction } from '../services/offlineQueue.js';
+
+// Shortlist edits are saved to IndexedDB only and never touch Torre, so they
+// work offline without queueing. What does need Torre is each shortlisted
+// person's genome, cached so the shortlist still opens as a comparison or team
+// offline; without a connection that download waits in the queue
+const CACHE_GENOME_ACTION = 'shortlist:cache-genome';
+registerOfflineAction(CACHE_GENOME_ACTION, ({ username }) => getGenome(username));
+
+const cacheGenomes = (entries) => {
+  entries.forEach(({ username }) => {
+    runOrQueueAction(CACHE_GENOME_ACTION, { username })
+      .catch(error => console.warn(`Could not cache genome for ${username}:`, error));
+  });
+};
+
+// Initial state
+const initialState = {
+  shortlists: [],
+  isLoading: true,
+  error: null
+};
+
+// Action types
+const ACTIONS = {
+  SET_SHORTLISTS: 'SET_SHORTLISTS',
+  UPSERT_SHORTLIST: 'UPSERT_SHORTLIST',
+  DELETE_SHORTLIST: 'DELETE_SHORTLIST',
+  SET_ERROR: 'SET_ERROR'
+};
+
+// Reducer function
+const shortlistReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.SET_SHORTLISTS:
+      return { ...state, shortlists: action.payload, isLoading: false };
+
+    case ACTIONS.UPSERT_SHORTLIST: {
+      const exists = state.shortlists.some(s => s.id === action.payload.id);
+      return {
+        ...state,
+        shortlists: exists
+          ? state.shortlists.map(s => s.id === action.payload.id ? action.payload : s)
+          : [...state.shortlists, action.payload],
+        error: null
+      };
+    }
+
+    case ACTIONS.DELETE_SHORTLIST:
+      return {
+        ...state,
+        shortlists: state.shortlists.filter(s => s.id !== action.payload),
+        error: null
+      };
+
+    case ACTIONS.SET_ERROR:
+      return { ...state, error: action.payload, isLoading: false };
+
+    default:
+      return state;
+  }
+};
+
+// Create context
+const ShortlistContext = createContext();
+
+// Provider component
+export const ShortlistProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(shortlistReducer, initialState);
+
+  // Load saved shortlists once
+  useEffect(() => {
+    loadShortlists()
+      .then(shortlists => dispatch({ type: ACTIONS.SET_SHORTLISTS, payload: shortlists }))
+      .catch(error => {
+        console.error('Error loading shortlists:', error);
+        dispatch({ type: ACTIONS.SET_ERROR, payload: 'Shortlists could not be loaded from this browser' });
+      });
+  }, []);
+
+  // Show a change straight away and save it in the background
+  const commit = useCallback(async (shortlist) => {
+    dispatch({ type: ACTIONS.UPSERT_SHORTLIST, payload: shortlist });
+    try {
+      await saveShortlist(shortlist);
+    } catch (error) {
+      console.error('Error saving shortlist:', error);
+      dispatch({ type: ACTIONS.SET_ERROR, payload: `Could not save "${shortlist.name}"` });
+    }
+  }, []);
+
+  // Apply a change to one shortlist
+  const updateShortlist = useCallback((id, update) => {
+    const shortlist = state.shortlists.find(s => s.id === id);
+    if (!shortlist) return;
+    commit(update(shortlist));
+  }, [state.shortlists, commit]);
+
+  // Create a shortlist, optionally seeded with people
+  const createShortlist = useCallback((name, people = []) => {
+    const shortlist = buildShortlist(name);
+    shortlist.entries = people.map(toShortlistEntry).filter(entry => entry.username);
+    commit(shortlist);
+    cacheGenomes(shortlist.entries);
+    return shortlist;
+  }, [commit]);
+
+  const renameShortlist = useCallback((id, name) => {
+    updateShortlist(id, shortlist => ({ ...shortlist, name }));
+  }, [updateShortlist]);
+
+  const deleteShortlist = useCallback(async (id) => {
+    dispatch({ type: ACTIONS.DELETE_SHORTLIST, payload: id });
+    try {
+      await removeShortlist(id);
+    } catch (error) {
+      console.error('Error deleting shortlist:', error);
+      dispatch({ type: ACTIONS.SET_ERROR, payload: 'Could not delete shortlist' });
+    }
+  }, []);
+
+  // Add a person to a shortlist
+  const addToShortlist = useCallback((id, person) => {
+    const entry = toShortlistEntry(person);
+    updateShortlist(id, shortlist => (
+      shortlist.entries.some(e => e.username === entry.username)
+        ? shortlist
+        : { ...shortlist, entries: [...shortlist.entries, entry] }
+    ));
+    cacheGenomes([entry]);
+  }, [updateShortlist]);
+
+  // Remove a person from a shortlist
+  const removeFromShortlist = useCallback((id, username) => {
+    updateShortlist(id, shortlist => ({
+      ...shortlist,
+      entries: shortlist.entries.filter(e => e.username !== username)
+    }));
+  }, [updateShortlist]);
+
+  // Update an entry's note or tags
+  const updateEntry = useCallback((id, username, changes) => {
+    updateShortlist(id, shortlist => ({
+      ...shortlist,
+      entries: shortlist.entries.map(e => e.username === username ? { ...e, ...changes } : e)
+    }));
+  }, [updateShortlist]);
+
+  // Move an entry to a new position
+  const moveEntry = useCallback((id, fromIndex, toIndex) => {
+    updateShortlist(id, shortlist => {
+      if (toIndex < 0 || toIndex >= shortlist.entries.length) return shortlist;
+      const entries = [...shortlist.entries];
+      const [entry] = entries.splice(fromIndex, 1);
+      entries.splice(toIndex, 0, entry);
+      return { ...shortlist, entries };
+    });
+  }, [updateShortlist]);
+
+  // Check whether a person is on a shortlist (any shortlist when no id is given)
+  const isShortlisted = useCallback((username, id = null) => {
+    return state.shortlists.some(s =>
+      (!id || s.id === id) && s.entries.some(e => e.username === username)
+    );
+  }, [state.shortlists]);
+
+  const getShortlist = useCallback((id) => {
+    return state.shortlists.find(s => s.id === id) || null;
+  }, [state.shortlists]);
+
+  const value = {
+    // State
+    shortlists: state.shortlists,
+    isLoading: state.isLoading,
+    error: state.error,
+
+    // Actions
+    createShortlist,
+    renameShortlist,
+    deleteShortlist,
+    addToShortlist,
+    removeFromShortlist,
+    updateEntry,
+    moveEntry,
+    isShortlisted,
+    getShortlist
+  };
+
+  return (
+    <ShortlistContext.Provider value={value}>
+      {children}
+    </ShortlistContext.Provider>
+  );
+};
+
+// Hook to use shortlist context
+export const useShortlists = () => {
+  const context = useContext(ShortlistContext);
+  if (!context) {
+    throw new Error('useShortlists must be used within a ShortlistProvider');
+  }
+  return context;
+};
+
+export default ShortlistContext;
@@ -0,0 +1,314 @@
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useMemo, useRef } from 'react';
+import { analyzeTeamComposition } from '../services/comparison.js';
+import { getTeamRecommendations } from '../services/recommendations.js';
+import { getGenome } from '../services/genomeStore.js';
+import { isAbortError } from '../services/apiClient.js';
+
+const STORAGE_KEY = 'torre-explorer-team';
+
+// Restore the saved team; genomes are fetched again rather than stored
+const loadSavedTeam = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.members)) {
+      return {
+        name: saved.name || 'My Team',
+        members: saved.members.map(member => ({ ...member, genome: null, status: 'pending' }))
+      };
+    }
+  } catch (error) {
+    console.warn('Could not restore saved team:', error);
+  }
+  return { name: 'My Team', members: [] };
+};
+
+// Basic member fields from a search result, genome or recommendation
+const toMember = (person) => ({
+  username: person.username || person.person?.username,
+  name: person.name || person.person?.name || person.username,
+  picture: person.picture || person.person?.picture,
+  professionalHeadline: person.professionalHeadline || person.headline || person.person?.professionalHeadline,
+  genome: null,
+  status: 'pending'
+});
+
+// The genome shape analyzeTeamComposition and getTeamRecommendations expect
+const toTeamGenome = (member) => ({
+  ...member.genome,
+  username: member.username,
+  name: member.name
+});
+
+// Action types
+const ACTIONS = {
+  SET_NAME: 'SET_NAME',
+  ADD_MEMBER: 'ADD_MEMBER',
+  REMOVE_MEMBER: 'REMOVE_MEMBER',
+  SET_TEAM: 'SET_TEAM',
+  SET_MEMBER_STATUS: 'SET_MEMBER_STATUS',
+  SET_MEMBER_GENOME: 'SET_MEMBER_GENOME',
+  SET_RECOMMENDATIONS: 'SET_RECOMMENDATIONS',
+  SET_RECOMMENDING: 'SET_RECOMMENDING',
+  SET_ERROR: 'SET_ERROR'
+};
+
+// Reducer function
+const teamReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.SET_NAME:
+      return { ...state, name: action.payload };
+
+    case ACTIONS.ADD_MEMBER:
+      if (state.members.some(m => m.username === action.payload.username)) {
+        return { ...state, error: 'Person is already on the team' };
+      }
+      return {
+        ...state,
+        members: [...state.members, action.payload],
+        recommendations: null,
+        error: null
+      };
+
+    case ACTIONS.REMOVE_MEMBER:
+      return {
+        ...state,
+        members: state.members.filter(m => m.username !== action.payload),
+        recommendations: null,
+        error: null
+      };
+
+    case ACTIONS.SET_TEAM:
+      return {
+        ...state,
+        name: action.payload.name,
+        members: action.payload.members,
+        recommendations: null,
+        error: null
+      };
+
+    case ACTIONS.SET_MEMBER_STATUS:
+      return {
+        ...state,
+        members: state.members.map(m =>
+          m.username === action.payload.username ? { ...m, status: action.payload.status } : m
+        )
+      };
+
+    case ACTIONS.SET_MEMBER_GENOME: {
+      const { username, genome } = action.payload;
+      return {
+        ...state,
+        members: state.members.map(m => m.username === username ? {
+          ...m,
+          genome,
+          status: 'ready',
+          name: genome.person?.name || m.name,
+          picture: genome.person?.picture || m.picture,
+          professionalHeadline: genome.person?.professionalHeadline || m.professionalHeadline
+        } : m)
+      };
+    }
+
+    case ACTIONS.SET_RECOMMENDATIONS:
+      return {
+        ...state,
+        recommendations: action.payload,
+        isRecommending: false,
+        error: null
+      };
+
+    case ACTIONS.SET_RECOMMENDING:
+      return { ...state, isRecommending: action.payload };
+
+    case ACTIONS.SET_ERROR:
+      return { ...state, error: action.payload, isRecommending: false };
+
+    default:
+      return state;
+  }
+};
+
+// Create context
+const TeamContext = createContext();
+
+// Provider component
+export const TeamProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(teamReducer, null, () => ({
+    ...loadSavedTeam(),
+    recommendations: null,
+    isRecommending: false,
+    error: null
+  }));
+  const requestedRef = useRef(new Set()); // Usernames whose genome has been requested
+  const recommendationsControllerRef = useRef(null); // Cancels the gap recommendations in progress
+
+  // Persist the team's name and members
+  useEffect(() => {
+    const members = state.members.map(({ username, name, picture, professionalHeadline }) => (
+      { username, name, picture, professionalHeadline }
+    ));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ name: state.name, members }));
+  }, [state.name, state.members]);
+
+  // Fetch the genome of every member that doesn't have one yet
+  useEffect(() => {
+    state.members
+      .filter(member => member.status === 'pending' && !requestedRef.current.has(member.username))
+      .forEach(async (member) => {
+        requestedRef.current.add(member.username);
+        dispatch({ type: ACTIONS.SET_MEMBER_STATUS, payload: { username: member.username, status: 'loading' } });
+
+        try {
+          // A stale cached genome shows at once and is swapped for the refreshed one
+          const setGenome = (genome) => dispatch({
+            type: ACTIONS.SET_MEMBER_GENOME,
+            payload: { username: member.username, genome }
+          });
+          const response = await getGenome(member.username, { onUpdate: setGenome });
+          setGenome(response.data);
+        } catch (error) {
+          console.warn(`Could not fetch genome for ${member.username}:`, error);
+          dispatch({ type: ACTIONS.SET_MEMBER_STATUS, payload: { username: member.username, status: 'error' } });
+        } finally {
+          requestedRef.current.delete(member.username);
+        }
+      });
+  }, [state.members]);
+
+  // Add a person to the team
+  const addTeamMember = useCallback((person) => {
+    dispatch({ type: ACTIONS.ADD_MEMBER, payload: toMember(person) });
+  }, []);
+
+  // Remove a person from the team
+  const removeTeamMember = useCallback((username) => {
+    dispatch({ type: ACTIONS.REMOVE_MEMBER, payload: username });
+  }, []);
+
+  // Rename the team
+  const setTeamName = useCallback((name) => {
+    dispatch({ type: ACTIONS.SET_NAME, payload: name });
+  }, []);
+
+  // Replace the whole team, e.g. when opening a saved list of people as a team
+  const loadTeam = useCallback((name, people) => {
+    const members = [];
+    people.map(toMember).forEach(member => {
+      if (member.username && !members.some(m => m.username === member.username)) {
+        members.push(member);
+      }
+    });
+    dispatch({ type: ACTIONS.SET_TEAM, payload: { name, members } });
+  }, []);
+
+  // Remove everyone from the team
+  const clearTeam = useCallback(() => {
+    dispatch({ type: ACTIONS.SET_TEAM, payload: { name: state.name, members: [] } });
+  }, [state.name]);
+
+  const readyMembers = useMemo(
+    () => state.members.filter(member => member.status === 'ready'),
+    [state.members]
+  );
+
+  // Skill coverage for members whose genome has loaded
+  const analysis = useMemo(() => {
+    if (readyMembers.length < 2) return null;
+    return analyzeTeamComposition(readyMembers.map(toTeamGenome));
+  }, [readyMembers]);
+
+  // Find candidates who fill the team's skill gaps, cancelling any earlier request
+  const getGapRecommendations = useCallback(async (options = {}) => {
+    recommendationsControllerRef.current?.abort();
+    const controller = new AbortController();
+    recommendationsControllerRef.current = controller;
+
+    dispatch({ type: ACTIONS.SET_RECOMMENDING, payload: true });
+
+    let response;
+    try {
+      response = await getTeamRecommendations(readyMembers.map(toTeamGenome), {
+        limit: 12,
+        ...options,
+        signal: controller.signal
+      });
+    } catch (error) {
+      // A newer request, or cancelGapRecommendations, has taken over
+      if (isAbortError(error)) return;
+      throw error;
+    } finally {
+      if (recommendationsControllerRef.current === controller) {
+        recommendationsControllerRef.current = null;
+      }
+    }
+
+    if (response.success) {
+      dispatch({
+        type: ACTIONS.SET_RECOMMENDATIONS,
+        payload: {
+          candidates: response.data,
+          gaps: response.gaps,
+          searchQueries: response.searchQueries,
+          totalCandidates: response.totalCandidates
+        }
+      });
+    } else {
+      dispatch({ type: ACTIONS.SET_ERROR, payload: response.error || 'Failed to get team recommendations' });
+    }
+  }, [readyMembers]);
+
+  // Cancel the gap recommendations still being worked out
+  const cancelGapRecommendations = useCallback(() => {
+    if (recommendationsControllerRef.current) {
+      recommendationsControllerRef.current.abort();
+      recommendationsControllerRef.current = null;
+      dispatch({ type: ACTIONS.SET_RECOMMENDING, payload: false });
+    }
+  }, []);
+
+  // Check if person is on the team
+  const isTeamMember = useCallback((username) => {
+    return state.members.some(m => m.username === username);
+  }, [state.members]);
+
+  const value = {
+    // State
+    teamName: state.name,
+    members: state.members,
+    analysis,
+    recommendations: state.recommendations,
+    isRecommending: state.isRecommending,
+    error: state.error,
+
+    // Actions
+    addTeamMember,
+    removeTeamMember,
+    setTeamName,
+    loadTeam,
+    clearTeam,
+    getGapRecommendations,
+    cancelGapRecommendations,
+    isTeamMember,
+
+    // Computed values
+    isLoadingMembers: state.members.some(m => m.status === 'pending' || m.status === 'loading'),
+    canAnalyze: readyMembers.length >= 2
+  };
+
+  return (
+    <TeamContext.Provider value={value}>
+      {children}
+    </TeamContext.Provider>
+  );
+};
+
+// Hook to use team context
+export const useTeam = () => {
+  const context = useContext(TeamContext);
+  if (!context) {
+    throw new Error('useTeam must be used within a TeamProvider');
+  }
+  return context;
+};
+
+export default TeamContext;
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { readCachedGenome } from '../services/genomeStore';
+import { getCareerMetrics } from '../services/careerMetrics';
+
+/**
+ * Custom hook for the career metrics of someone whose genome is already cached
+ * Cards get metrics from career filters only; this fills them in for anyone
+ * opened or compared before, without downloading genomes for a whole result list.
+ * @param {string} username - Torre username
+ * @param {Object|null} known - Metrics the caller already has; the cache isn't read then
+ * @returns {Object|null} Career metrics (see services/careerMetrics.js), or null
+ */
+export const useCachedCareerMetrics = (username, known = null) => {
+  const [cached, setCached] = useState(null);
+
+  useEffect(() => {
+    if (known || !username) return;
+
+    let cancelled = false;
+    readCachedGenome(username)
+      .then(genome => {
+        if (cancelled || !genome) return;
+        const metrics = getCareerMetrics(genome);
+        // Nothing to show for genomes without job history
+        if (metrics.totalMonths > 0) setCached({ username, metrics });
+      })
+      .catch(error => console.warn('Could not read cached genome:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [username, known]);
+
+  return known || (cached?.username === username ? cached.metrics : null);
+};
+
+export default useCachedCareerMetrics;
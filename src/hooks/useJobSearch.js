@@ -0,0 +1,284 @@
+import { useState, useCallback, useMemo, useRef } from 'react';
+import { searchJobs, getJobDetails } from '../services/api';
+import { isAbortError } from '../services/apiClient';
+import { formatJobData, debounce, validateSearchQuery } from '../utils/dataProcessing';
+
+const initialJobSearchState = {
+  query: '',
+  results: [],
+  loading: false,
+  error: null,
+  hasSearched: false,
+  totalResults: 0,
+  currentPage: 1,
+  limit: 15,
+};
+
+/**
+ * Custom hook for managing job search functionality
+ * Mirrors useSearch: debounced, cached and streamed, plus job detail loading
+ * @returns {Object} Job search state and functions
+ */
+export const useJobSearch = () => {
+  const [searchState, setSearchState] = useState(initialJobSearchState);
+
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [jobLoading, setJobLoading] = useState(false);
+  const [jobError, setJobError] = useState(null);
+
+  const abortControllerRef = useRef(null);
+  const searchCacheRef = useRef(new Map()); // Cache for search results
+  const resultsRef = useRef(searchState.results); // Latest results, for appending pages
+  resultsRef.current = searchState.results;
+
+  /**
+   * Perform job search with caching, showing each job as it streams in
+   */
+  const performSearch = useCallback(async (query, page = 1, limit = 15) => {
+    const validation = validateSearchQuery(query);
+    if (!validation.isValid) {
+      setSearchState(prev => ({
+        ...prev,
+        error: new Error(validation.error),
+        loading: false,
+      }));
+      return;
+    }
+
+    const cacheKey = `${query.trim()}-${page}-${limit}`;
+
+    if (searchCacheRef.current.has(cacheKey)) {
+      const cachedResult = searchCacheRef.current.get(cacheKey);
+      setSearchState(prev => ({
+        ...prev,
+        ...cachedResult,
+        loading: false,
+        query: query.trim(),
+        currentPage: page,
+      }));
+      return;
+    }
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setSearchState(prev => ({
+      ...prev,
+      loading: true,
+      error: null,
+      query: query.trim(),
+      currentPage: page,
+      limit,
+    }));
+
+    // Jobs already on screen that new ones are appended to (none for a new search)
+    const baseResults = page === 1 ? [] : resultsRef.current;
+    const streamedResults = [];
+
+    try {
+      const handleStreamedJob = (job) => {
+        if (abortControllerRef.current !== controller) return; // A newer search has started
+
+        const formatted = formatJobData(job);
+        if (!formatted) return;
+
+        streamedResults.push(formatted);
+        const results = [...baseResults, ...streamedResults];
+        setSearchState(prev => ({
+          ...prev,
+          results,
+          hasSearched: true,
+          totalResults: results.length,
+        }));
+      };
+
+      const response = await searchJobs({
+        query: query.trim(),
+        limit,
+        offset: (page - 1) * limit,
+      }, { onResult: handleStreamedJob, signal: controller.signal });
+
+      if (abortControllerRef.current !== controller) return;
+
+      if (!response.success) {
+        throw new Error('Job search failed');
+      }
+
+      const formattedResults = response.data.map(formatJobData).filter(Boolean);
+      const results = [...baseResults, ...formattedResults];
+
+      // A full page means Torre may have more jobs for this query
+      const newState = {
+        results,
+        loading: false,
+        hasSearched: true,
+        totalResults: formattedResults.length >= limit ? results.length + 1 : results.length,
+      };
+
+      searchCacheRef.current.set(cacheKey, {
+        results: newState.results,
+        hasSearched: true,
+        totalResults: newState.totalResults,
+      });
+
+      // Limit cache size to prevent memory issues
+      if (searchCacheRef.current.size > 50) {
+        const firstKey = searchCacheRef.current.keys().next().value;
+        searchCacheRef.current.delete(firstKey);
+      }
+
+      setSearchState(prev => ({
+        ...prev,
+        ...newState,
+      }));
+    } catch (error) {
+      if (!isAbortError(error) && abortControllerRef.current === controller) {
+        console.error('Job search error:', error);
+        setSearchState(prev => ({
+          ...prev,
+          loading: false,
+          error,
+        }));
+      }
+    }
+  }, []);
+
+  /**
+   * Debounced search function
+   */
+  const debouncedSearch = useMemo(
+    () => debounce((query) => {
+      if (query.trim()) {
+        performSearch(query);
+      }
+    }, 400),
+    [performSearch]
+  );
+
+  /**
+   * Handle search input change
+   */
+  const handleSearchChange = useCallback((query) => {
+    setSearchState(prev => ({
+      ...prev,
+      query,
+      error: null,
+    }));
+
+    if (query.trim().length >= 3) {
+      debouncedSearch(query);
+    } else if (query.trim().length === 0) {
+      setSearchState(prev => ({
+        ...prev,
+        results: [],
+        hasSearched: false,
+        totalResults: 0,
+        currentPage: 1,
+      }));
+    }
+  }, [debouncedSearch]);
+
+  /**
+   * Load the next page of jobs
+   */
+  const loadMore = useCallback(() => {
+    if (!searchState.loading && searchState.query) {
+      performSearch(searchState.query, searchState.currentPage + 1, searchState.limit);
+    }
+  }, [performSearch, searchState.loading, searchState.query, searchState.currentPage, searchState.limit]);
+
+  /**
+   * Clear job search results
+   */
+  const clearSearch = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+
+    setSearchState(initialJobSearchState);
+  }, []);
+
+  /**
+   * Retry job search
+   */
+  const retrySearch = useCallback(() => {
+    if (searchState.query) {
+      performSearch(searchState.query);
+    }
+  }, [performSearch, searchState.query]);
+
+  /**
+   * Fetch full job details, showing the search result straight away when we have it
+   */
+  const fetchJobDetails = useCallback(async (jobId) => {
+    if (!jobId) return;
+
+    const listed = resultsRef.current.find(job => job.id === jobId) || null;
+    setSelectedJob(listed);
+    setJobLoading(!listed);
+    setJobError(null);
+
+    try {
+      const response = await getJobDetails(jobId);
+
+      if (response.success) {
+        const details = formatJobData(response.data);
+        // Keep search-result fields the opportunity API leaves out
+        setSelectedJob(listed ? {
+          ...listed,
+          ...details,
+          skills: details.skills.length > 0 ? details.skills : listed.skills,
+          organization: details.organization || listed.organization,
+        } : details);
+      } else {
+        throw new Error('Failed to fetch job details');
+      }
+    } catch (error) {
+      console.error('Error fetching job details:', error);
+      if (!listed) {
+        setJobError(error);
+      }
+    } finally {
+      setJobLoading(false);
+    }
+  }, []);
+
+  /**
+   * Clear selected job
+   */
+  const clearSelectedJob = useCallback(() => {
+    setSelectedJob(null);
+    setJobError(null);
+  }, []);
+
+  return {
+    // Search state
+    query: searchState.query,
+    results: searchState.results,
+    loading: searchState.loading,
+    error: searchState.error,
+    hasSearched: searchState.hasSearched,
+    totalResults: searchState.totalResults,
+    currentPage: searchState.currentPage,
+    hasMore: searchState.results.length < searchState.totalResults,
+
+    // Job detail state
+    selectedJob,
+    jobLoading,
+    jobError,
+
+    // Actions
+    handleSearchChange,
+    loadMore,
+    clearSearch,
+    retrySearch,
+    fetchJobDetails,
+    clearSelectedJob,
+  };
+};
+
+export default useJobSearch;
@@ -1,6 +1,46 @@
-import { useState, useCallback, useRef } from 'react';
-import { searchEntities, getUserGenome } from '../services/api';
-import { formatUserData, debounce, validateSearchQuery } from '../utils/dataProcessing';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { searchEntities } from '../services/api';
+import { getGenome } from '../services/genomeStore';
+import { isAbortError, isConnectivityError } from '../services/apiClient';
+import { cacheSearchResults, getCachedSearchResults } from '../services/cachedSearches';
+import { formatUserData, debounce } from '../utils/dataProcessing';
+import { parseSearchQuery, matchesSearchQuery } from '../utils/searchQuery';
+import { getCareerMetrics } from '../services/careerMetrics';
+import { getLocation, getLocalLocation, workingHoursOverlap } from '../services/timezones';
+import {
+  DEFAULT_SEARCH_FILTERS,
+  toFilterList,
+  getFiltersKey,
+  isGenomeFilter,
+  matchesGenomeFilter,
+} from '../utils/searchFilters';
+
+// People whose genome facts are kept for genome filters, across pages and searches
+const MAX_GENOME_CHECKS = 500;
+
+// What a search resolves to when it is cancelled, so callers can tell it from a failure
+const ABORTED_SEARCH = Object.freeze({ aborted: true });
+
+/**
+ * Format a search result from the API into the shape used by the UI
+ * @param {Object} item - Search result item
+ * @returns {Object|null} Formatted user data
+ */
+const formatSearchResult = (item) => {
+  if (!item || (!item.person && !item.name)) return null; // Filter out invalid entries
+
+  // Handle different response formats
+  if (item.person) {
+    return formatUserData({
+      ...item.person,
+      id: item.person.publicId || item.person.id,
+      username: item.person.publicId || item.person.username,
+      skills: item.skills === undefined ? [] : item.skills, // null: not reported by the source
+      strengths: item.strengths || [],
+    });
+  }
+  return formatUserData(item);
+};
 
 /**
  * Custom hook for managing search functionality
@@ -14,8 +54,11 @@ export const useSearch = () => {
     error: null,
     hasSearched: false,
     totalResults: 0,
+    hasMore: false,
     currentPage: 1,
     limit: 15, // Reduced from 20 to 15 for faster loading
+    filters: DEFAULT_SEARCH_FILTERS,
+    savedAt: null, // Set when offline results come from an earlier search
   });
 
   const [selectedUser, setSelectedUser] = useState(null);
@@ -23,27 +66,46 @@ export const useSearch = () => {
   const [userGenomeError, setUserGenomeError] = useState(null);
 
   const abortControllerRef = useRef(null);
+  const genomeControllerRef = useRef(null); // Cancels the genome being fetched
+  const genomeUsernameRef = useRef(null); // Whose genome is on screen
   const searchCacheRef = useRef(new Map()); // Cache for search results
+  const genomeFactsRef = useRef(new Map()); // What genome filters check, by username
+  const resultsRef = useRef(searchState.results); // Latest results, for appending pages
+  resultsRef.current = searchState.results;
+  const filtersRef = useRef(searchState.filters); // Latest filters, read by every search
+  filtersRef.current = searchState.filters;
+
+  // Nothing still running should land after the hook is gone
+  useEffect(() => () => {
+    abortControllerRef.current?.abort();
+    genomeControllerRef.current?.abort();
+  }, []);
 
   /**
-   * Perform search with debouncing and caching
+   * Perform search with debouncing and caching, using the current filters
+   * Resolves to `{ results, totalResults, savedAt }` once the search lands, to
+   * `{ aborted: true }` when it is cancelled or a newer search replaces it, or to
+   * null when it fails. `fresh` skips the in-memory cache;
+   * `structured` runs Torre's people search, whose results report open to work and skills.
    */
-  const performSearch = useCallback(async (query, page = 1, limit = 20) => {
-    // Validate query
-    const validation = validateSearchQuery(query);
-    if (!validation.isValid) {
+  const performSearch = useCallback(async (query, page = 1, limit = 20, { fresh = false, structured = false } = {}) => {
+    // Parse the query: Torre searches the free text and applies the field terms it can,
+    // the other field terms filter the results here
+    const parsed = parseSearchQuery(query);
+    if (!parsed.isValid) {
       setSearchState(prev => ({
         ...prev,
-        error: validation.error,
+        error: parsed.error,
         loading: false,
       }));
-      return;
+      return null;
     }
 
-    const cacheKey = `${query.trim()}-${page}-${limit}`;
+    const filterList = toFilterList(filtersRef.current);
+    const cacheKey = `${query.trim()}-${page}-${limit}-${getFiltersKey(filterList)}${structured ? '-structured' : ''}`;
     
     // Check cache first
-    if (searchCacheRef.current.has(cacheKey)) {
+    if (!fresh && searchCacheRef.current.has(cacheKey)) {
       const cachedResult = searchCacheRef.current.get(cacheKey);
       setSearchState(prev => ({
         ...prev,
@@ -51,7 +113,7 @@ export const useSearch = () => {
         loading: false,
         query: query.trim(),
       }));
-      return;
+      return cachedResult;
     }
 
     // Cancel previous request if it exists
@@ -60,7 +122,8 @@ export const useSearch = () => {
     }
 
     // Create new abort controller
-    abortControllerRef.current = new AbortController();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     setSearchState(prev => ({
       ...prev,
@@ -68,44 +131,133 @@ export const useSearch = () => {
       error: null,
       query: query.trim(),
       currentPage: page,
+      limit,
     }));
 
+    // Results already on screen that new ones are appended to (none for a new search)
+    const baseResults = page === 1 ? [] : resultsRef.current;
+    const streamedResults = [];
+
+    // Career, timezone and language filters need each person's genome, so those results only
+    // show once it's checked. Passing results keep their metrics and overlap for the cards.
+    const genomeFilters = filterList.filter(isGenomeFilter);
+    const localLocation = getLocalLocation();
+
+    // The facts are kept across pages and searches so nobody's genome is read twice;
+    // a read cut short by a cancelled search is dropped so the next search redoes it
+    const getGenomeFacts = (username) => {
+      const facts = genomeFactsRef.current;
+      if (!facts.has(username)) {
+        const pending = getGenome(username, { signal: controller.signal })
+          .then(response => ({
+            careerMetrics: getCareerMetrics(response.data),
+            location: getLocation(response.data),
+            languages: response.data?.languages || []
+          }))
+          .catch(error => {
+            if (!isAbortError(error)) return null;
+            if (facts.get(username) === pending) facts.delete(username);
+            throw error;
+          });
+        facts.set(username, pending);
+        if (facts.size > MAX_GENOME_CHECKS) facts.delete(facts.keys().next().value);
+      }
+      return facts.get(username);
+    };
+
+    const checkGenome = async (result) => {
+      const username = result.person?.username;
+      let facts;
+      try {
+        facts = await getGenomeFacts(username);
+      } catch (error) {
+        // Started by an earlier search that has since been cancelled; read it again for this one
+        if (!isAbortError(error) || controller.signal.aborted) throw error;
+        facts = await getGenomeFacts(username);
+      }
+      if (!facts) return null;
+
+      const checked = {
+        careerMetrics: facts.careerMetrics,
+        timezoneOverlap: workingHoursOverlap(facts.location, localLocation),
+        languages: facts.languages
+      };
+      const passes = genomeFilters.every(filter => matchesGenomeFilter(checked, filter));
+      return passes
+        ? { ...result, careerMetrics: checked.careerMetrics, timezoneOverlap: checked.timezoneOverlap }
+        : null;
+    };
+
     try {
       const offset = (page - 1) * limit;
       const searchParams = {
-        query: query.trim(),
+        query: parsed.text,
         limit,
         offset,
-        filters: [],
+        filters: [...filterList.filter(filter => !isGenomeFilter(filter)), ...parsed.searchFilters],
+        // Terms on skills, remote or open to work need results that report them
+        structured: structured || parsed.structured,
+      };
+
+      const showStreamedResult = (formatted) => {
+        if (abortControllerRef.current !== controller) return; // A newer search has started
+
+        streamedResults.push(formatted);
+        const results = [...baseResults, ...streamedResults];
+        setSearchState(prev => ({
+          ...prev,
+          results,
+          hasSearched: true,
+          totalResults: results.length,
+        }));
       };
 
-      const response = await searchEntities(searchParams);
+      // Show each person as soon as the stream delivers it (and their genome passes)
+      const handleStreamedResult = (item) => {
+        if (abortControllerRef.current !== controller) return;
+
+        const formatted = formatSearchResult(item);
+        if (!formatted || !matchesSearchQuery(formatted, parsed)) return;
+
+        if (genomeFilters.length === 0) {
+          showStreamedResult(formatted);
+        } else {
+          checkGenome(formatted)
+            .then(checked => checked && showStreamedResult(checked))
+            .catch(() => {}); // Aborted along with the search
+        }
+      };
+
+      const response = await searchEntities(searchParams, {
+        onResult: handleStreamedResult,
+        signal: controller.signal,
+      });
+
+      if (abortControllerRef.current !== controller) return ABORTED_SEARCH;
 
       if (response.success) {
         // Format the results
-        const formattedResults = response.data
-          .filter(item => item.person || item.name) // Filter out invalid entries
-          .map(item => {
-            // Handle different response formats
-            if (item.person) {
-              return formatUserData({
-                ...item.person,
-                id: item.person.publicId || item.person.id,
-                username: item.person.publicId || item.person.username,
-                skills: item.skills || [],
-                strengths: item.strengths || [],
-              });
-            } else {
-              return formatUserData(item);
-            }
-          })
-          .filter(Boolean); // Remove null entries
+        let formattedResults = response.data
+          .map(formatSearchResult)
+          .filter(result => result && matchesSearchQuery(result, parsed)); // Remove null entries and query misses
 
+        if (genomeFilters.length > 0) {
+          formattedResults = (await Promise.all(formattedResults.map(checkGenome))).filter(Boolean);
+          if (abortControllerRef.current !== controller) return ABORTED_SEARCH;
+        }
+
+        // Torre's total can't account for genome filters or the query's field terms, so with
+        // those the count is what's loaded and paging goes on until Torre returns an empty page
+        const filteredHere = genomeFilters.length > 0 || Boolean(parsed.filter);
+        const results = [...baseResults, ...formattedResults];
+        const totalResults = filteredHere ? results.length : response.total || formattedResults.length;
         const newState = {
-          results: page === 1 ? formattedResults : [...searchState.results, ...formattedResults],
+          results,
           loading: false,
           hasSearched: true,
-          totalResults: response.total || formattedResults.length,
+          totalResults,
+          hasMore: filteredHere ? response.data.length > 0 : results.length < totalResults,
+          savedAt: null,
         };
 
         // Cache the result
@@ -113,6 +265,14 @@ export const useSearch = () => {
           results: newState.results,
           hasSearched: true,
           totalResults: newState.totalResults,
+          hasMore: newState.hasMore,
+          savedAt: null,
+        });
+        // And keep it on this device for when the connection drops
+        cacheSearchResults(cacheKey, {
+          query: query.trim(),
+          results: newState.results,
+          totalResults: newState.totalResults,
         });
 
         // Limit cache size to prevent memory issues
@@ -125,18 +285,40 @@ export const useSearch = () => {
           ...prev,
           ...newState,
         }));
+        return newState;
       } else {
         throw new Error('Search failed');
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
+      if (isAbortError(error) || abortControllerRef.current !== controller) return ABORTED_SEARCH;
+
+      // Without a connection, fall back to the results saved the last time this search ran
+      if (isConnectivityError(error)) {
+        const saved = await getCachedSearchResults(cacheKey);
+        if (saved && abortControllerRef.current === controller) {
+          setSearchState(prev => ({
+            ...prev,
+            results: saved.results,
+            totalResults: saved.totalResults,
+            hasMore: saved.results.length < saved.totalResults,
+            hasSearched: true,
+            loading: false,
+            error: null,
+            savedAt: saved.savedAt,
+          }));
+          return saved;
+        }
+      }
+
+      if (abortControllerRef.current === controller) {
         console.error('Search error:', error);
         setSearchState(prev => ({
           ...prev,
           loading: false,
-          error: error.message || 'An error occurred while searching',
+          error,
         }));
       }
+      return null;
     }
   }, []);
 
@@ -170,11 +352,47 @@ export const useSearch = () => {
         results: [],
         hasSearched: false,
         totalResults: 0,
+        hasMore: false,
         currentPage: 1,
       }));
     }
   }, [debouncedSearch]);
 
+  /**
+   * Update the search filters and rerun the current search with them
+   */
+  const setFilters = useCallback((filters) => {
+    filtersRef.current = filters;
+    setSearchState(prev => ({ ...prev, filters }));
+
+    if (searchState.query.trim().length >= 3) {
+      performSearch(searchState.query);
+    }
+  }, [performSearch, searchState.query]);
+
+  /**
+   * Run a query with a set of filters straight away, bypassing the in-memory cache
+   * @param {string} query - Search query
+   * @param {Object} filters - Filters object
+   * @param {number} limit - Page size
+   * @param {Object} options - `structured` runs Torre's people search (see performSearch)
+   * @returns {Promise<Object|null>} `{ results, totalResults, savedAt }`, savedAt set when
+   *   the results come from the offline cache; `{ aborted: true }` when the search was
+   *   cancelled or replaced; null when it failed
+   */
+  const runSearch = useCallback((query, filters, limit = 20, { structured = false } = {}) => {
+    filtersRef.current = filters;
+    setSearchState(prev => ({ ...prev, query, filters, error: null }));
+    return performSearch(query, 1, limit, { fresh: true, structured });
+  }, [performSearch]);
+
+  /**
+   * Reset every filter
+   */
+  const clearFilters = useCallback(() => {
+    setFilters(DEFAULT_SEARCH_FILTERS);
+  }, [setFilters]);
+
   /**
    * Load more results (pagination)
    */
@@ -199,8 +417,11 @@ export const useSearch = () => {
       error: null,
       hasSearched: false,
       totalResults: 0,
+      hasMore: false,
       currentPage: 1,
       limit: 20,
+      filters: filtersRef.current,
+      savedAt: null,
     });
     setSelectedUser(null);
   }, []);
@@ -211,11 +432,25 @@ export const useSearch = () => {
   const fetchUserGenome = useCallback(async (username) => {
     if (!username) return;
 
+    // Only the latest genome matters
+    genomeControllerRef.current?.abort();
+    const controller = new AbortController();
+    genomeControllerRef.current = controller;
+    genomeUsernameRef.current = username;
+
     setUserGenomeLoading(true);
     setUserGenomeError(null);
 
     try {
-      const response = await getUserGenome(username);
+      // A stale cached genome shows at once; replace it when the refresh lands, unless the user moved on
+      const response = await getGenome(username, {
+        signal: controller.signal,
+        onUpdate: (genome) => {
+          if (genomeUsernameRef.current === username) {
+            setSelectedUser(formatUserData(genome));
+          }
+        },
+      });
 
       if (response.success) {
         const formattedUser = formatUserData(response.data);
@@ -224,10 +459,14 @@ export const useSearch = () => {
         throw new Error('Failed to fetch user details');
       }
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('Error fetching user genome:', error);
-      setUserGenomeError(error.message || 'Failed to fetch user details');
+      setUserGenomeError(error);
     } finally {
-      setUserGenomeLoading(false);
+      if (genomeControllerRef.current === controller) {
+        genomeControllerRef.current = null;
+        setUserGenomeLoading(false);
+      }
     }
   }, []);
 
@@ -248,6 +487,12 @@ export const useSearch = () => {
    * Clear selected user
    */
   const clearSelectedUser = useCallback(() => {
+    if (genomeControllerRef.current) {
+      genomeControllerRef.current.abort();
+      genomeControllerRef.current = null;
+      setUserGenomeLoading(false);
+    }
+    genomeUsernameRef.current = null;
     setSelectedUser(null);
     setUserGenomeError(null);
   }, []);
@@ -270,7 +515,9 @@ export const useSearch = () => {
     hasSearched: searchState.hasSearched,
     totalResults: searchState.totalResults,
     currentPage: searchState.currentPage,
-    hasMore: searchState.results.length < searchState.totalResults,
+    hasMore: searchState.hasMore,
+    filters: searchState.filters,
+    savedAt: searchState.savedAt,
 
     // User genome state
     selectedUser,
@@ -279,6 +526,9 @@ export const useSearch = () => {
 
     // Actions
     handleSearchChange,
+    runSearch,
+    setFilters,
+    clearFilters,
     loadMore,
     clearSearch,
     selectUser,
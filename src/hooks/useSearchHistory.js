@@ -0,0 +1,69 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  loadSearchHistory,
+  saveSearchHistory,
+  addRecentQuery,
+  addSeenSkills,
+  removeRecentQuery,
+  togglePinnedQuery,
+  clearSearchHistory,
+  getQuerySuggestions
+} from '../services/searchHistory';
+
+/**
+ * Custom hook for the people-search history kept in this browser
+ * @returns {Object} Recent and pinned queries and functions to update them
+ */
+export const useSearchHistory = () => {
+  const [history, setHistory] = useState(loadSearchHistory);
+  const savedHistoryRef = useRef(history); // What localStorage already holds
+
+  // Save every change; the history as loaded is already saved
+  useEffect(() => {
+    if (history === savedHistoryRef.current) return;
+    savedHistoryRef.current = history;
+    saveSearchHistory(history);
+  }, [history]);
+
+  /**
+   * Remember a search that returned results, and the skills listed on them
+   */
+  const recordSearch = useCallback((query, results = []) => {
+    const skills = results.flatMap(result => result.skills || []);
+    setHistory(prev => addSeenSkills(addRecentQuery(prev, query), skills));
+  }, []);
+
+  /**
+   * Remember the skills of an opened genome
+   */
+  const recordSkills = useCallback((skills = []) => {
+    setHistory(prev => addSeenSkills(prev, skills));
+  }, []);
+
+  const removeQuery = useCallback((query) => {
+    setHistory(prev => removeRecentQuery(prev, query));
+  }, []);
+
+  const togglePin = useCallback((query) => {
+    setHistory(prev => togglePinnedQuery(prev, query));
+  }, []);
+
+  const clearHistory = useCallback(() => {
+    setHistory(clearSearchHistory);
+  }, []);
+
+  const getSuggestions = useCallback((input) => getQuerySuggestions(history, input), [history]);
+
+  return {
+    recent: history.recent,
+    pinned: history.pinned,
+    getSuggestions,
+    recordSearch,
+    recordSkills,
+    removeQuery,
+    togglePin,
+    clearHistory,
+  };
+};
+
+export default useSearchHistory;
@@ -6,3 +6,12 @@ import App from './App.jsx'
 createRoot(document.getElementById('root')).render(
   <App />
 )
+
+// Offline support, only in builds: the dev server's modules aren't precached
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
@@ -1,5 +1,9 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import ShortlistButton from '../components/ShortlistButton.jsx';
+import ExportMenu from '../components/ExportMenu.jsx';
+import CareerTimeline from '../components/CareerTimeline.jsx';
+import CareerMetrics from '../components/CareerMetrics.jsx';
 import {
   ArrowLeft,
   MapPin,
@@ -25,6 +29,9 @@ import {
 } from 'lucide-react';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { formatDateRange } from '../utils/dataProcessing';
+import { resolveFluency, FLUENCY_SCALE } from '../utils/languageFluency';
+import { API_ERROR_KINDS } from '../services/apiClient';
+import { buildGenomeReport } from '../services/reports';
 
 /**
  * Get the appropriate icon component for a social platform
@@ -50,7 +57,7 @@ const getPlatformIcon = (platform) => {
  * @param {Object} props - Component props
  * @param {Object} props.user - User genome data to display
  * @param {boolean} props.loading - Loading state
- * @param {string} props.error - Error message
+ * @param {Error} props.error - Error loading the genome, typed by services/apiClient
  * @param {Function} props.onBack - Function to go back to search results
  */
 const GenomePage = ({ user, loading, error, onBack }) => {
@@ -67,10 +74,10 @@ const GenomePage = ({ user, loading, error, onBack }) => {
       <div className="min-h-screen flex items-center justify-center" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
         <div className="text-center">
           <h2 className="text-2xl font-bold mb-4" style={{ color: 'var(--torre-text-primary)' }}>
-            Error Loading Genome
+            {error.kind === API_ERROR_KINDS.notFound ? 'Genome Not Found' : 'Error Loading Genome'}
           </h2>
           <p className="text-lg mb-6" style={{ color: 'var(--torre-text-secondary)' }}>
-            {error}
+            {error.message}
           </p>
           <button
             onClick={onBack}
@@ -131,6 +138,17 @@ const GenomePage = ({ user, loading, error, onBack }) => {
           <h1 className="text-xl font-semibold" style={{ color: 'var(--torre-text-primary)' }}>
             {user.person?.name || 'Unknown User'}'s Genome
           </h1>
+          {user.person?.username && (
+            <div className="ml-auto flex items-center gap-2">
+              <ExportMenu
+                name={`genome ${user.person.username}`}
+                getReport={() => buildGenomeReport(user)}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm"
+                style={{ backgroundColor: 'var(--torre-bg-tertiary)', color: 'var(--torre-text-secondary)' }}
+              />
+              <ShortlistButton person={user.person} showLabel />
+            </div>
+          )}
         </div>
       </div>
 
@@ -337,6 +355,10 @@ const GenomePage = ({ user, loading, error, onBack }) => {
             </div>
           )}
 
+          {/* Career Metrics and Timeline */}
+          <CareerMetrics experiences={user.experiences || []} />
+          <CareerTimeline experiences={user.experiences || []} education={user.education || []} />
+
           {/* Experience Section */}
           {((user.experiences && user.experiences.length > 0) || (user.jobs && user.jobs.length > 0)) && (
             <div className="card-iconoir mb-8">
@@ -550,9 +572,24 @@ const GenomePage = ({ user, loading, error, onBack }) => {
                       </h3>
                       {language.fluency && (
                         <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
-                          {language.fluency}
+                          {resolveFluency(language.fluency)?.label || language.fluency}
                         </p>
                       )}
+                      {resolveFluency(language.fluency) && (
+                        <div className="flex gap-1 mt-2" aria-hidden="true">
+                          {FLUENCY_SCALE.map(fluency => (
+                            <span
+                              key={fluency.id}
+                              className="h-1.5 flex-1 rounded-full"
+                              style={{
+                                backgroundColor: fluency.level <= resolveFluency(language.fluency).level
+                                  ? 'var(--torre-accent)'
+                                  : 'var(--torre-bg-tertiary)'
+                              }}
+                            />
+                          ))}
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
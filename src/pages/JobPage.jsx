@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeft,
+  MapPin,
+  Globe,
+  Clock,
+  DollarSign,
+  Building2,
+  Award,
+  Languages,
+  Sparkles,
+  ExternalLink,
+  CheckCircle,
+  XCircle
+} from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+import Avatar from '../components/Avatar.jsx';
+import ComparisonButton from '../components/ComparisonButton.jsx';
+import TeamButton from '../components/TeamButton.jsx';
+import { findCandidatesForJob } from '../services/recommendations';
+import { API_ERROR_KINDS, isAbortError } from '../services/apiClient';
+import { capitalizeText } from '../utils/dataProcessing';
+
+/**
+ * JobPage component for displaying a job opportunity and the people who fit it
+ * @param {Object} props - Component props
+ * @param {Object} props.job - Formatted job data to display
+ * @param {boolean} props.loading - Loading state
+ * @param {Error} props.error - Error loading the job, typed by services/apiClient
+ * @param {Function} props.onBack - Function to go back to job results
+ * @param {Function} props.onViewGenome - Function to open a matched person's genome
+ */
+const JobPage = ({ job, loading, error, onBack, onViewGenome }) => {
+  const [matches, setMatches] = useState(null);
+  const [matching, setMatching] = useState(false);
+  const [matchError, setMatchError] = useState(null);
+  const matchControllerRef = useRef(null); // Cancels the matching in progress
+
+  // Matches belong to one job; drop them, and stop finding them, when another job is opened
+  useEffect(() => {
+    setMatches(null);
+    setMatchError(null);
+    return () => {
+      matchControllerRef.current?.abort();
+      matchControllerRef.current = null;
+      setMatching(false);
+    };
+  }, [job?.id]);
+
+  const handleFindMatches = async () => {
+    matchControllerRef.current?.abort();
+    const controller = new AbortController();
+    matchControllerRef.current = controller;
+    setMatching(true);
+    setMatchError(null);
+
+    try {
+      const result = await findCandidatesForJob(job, { signal: controller.signal });
+      if (result.success) {
+        setMatches(result);
+      } else {
+        setMatchError(result.error || 'Failed to find matching people');
+      }
+      setMatching(false);
+    } catch (error) {
+      // Another job was opened, or the page closed
+      if (!isAbortError(error)) throw error;
+    } finally {
+      if (matchControllerRef.current === controller) {
+        matchControllerRef.current = null;
+      }
+    }
+  };
+
+  const backButton = (
+    <button
+      onClick={onBack}
+      className="btn-iconoir"
+    >
+      <ArrowLeft size={16} />
+      Back to Jobs
+    </button>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !job) {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
+        <div className="text-center">
+          <h2 className="text-2xl font-bold mb-4" style={{ color: 'var(--torre-text-primary)' }}>
+            {error && error.kind !== API_ERROR_KINDS.notFound ? 'Error Loading Job' : 'Job Not Found'}
+          </h2>
+          {error && (
+            <p className="text-lg mb-6" style={{ color: 'var(--torre-text-secondary)' }}>
+              {error.message}
+            </p>
+          )}
+          {backButton}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
+      {/* Header with Back Button */}
+      <div className="sticky top-0 z-50 py-4 px-6" style={{ backgroundColor: 'var(--torre-bg-primary)', borderBottom: '1px solid var(--torre-border)' }}>
+        <div className="max-w-6xl mx-auto flex items-center gap-4">
+          <button
+            onClick={onBack}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg transition-all duration-200"
+            style={{
+              color: '#000000',
+              backgroundColor: '#CDDC39',
+              border: 'none'
+            }}
+            onMouseEnter={(e) => {
+              e.target.style.backgroundColor = '#C0CA33';
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.backgroundColor = '#CDDC39';
+            }}
+          >
+            <ArrowLeft size={16} />
+            Back to Jobs
+          </button>
+          <h1 className="text-xl font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+            {job.title}
+          </h1>
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="max-w-6xl mx-auto px-6 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          {/* Job Header */}
+          <div className="card-iconoir mb-8">
+            <div className="p-8">
+              <div className="flex flex-col md:flex-row gap-6">
+                <div className="flex-shrink-0">
+                  {job.organization?.picture ? (
+                    <img
+                      src={job.organization.picture}
+                      alt={`${job.organization.name} logo`}
+                      className="w-24 h-24 rounded-xl object-cover border-4"
+                      style={{ borderColor: 'var(--torre-accent)' }}
+                    />
+                  ) : (
+                    <div
+                      className="w-24 h-24 rounded-xl flex items-center justify-center"
+                      style={{ background: 'var(--torre-accent)', color: '#2d3748' }}
+                    >
+                      <Building2 className="h-10 w-10" />
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex-1">
+                  <p className="text-lg mb-1" style={{ color: 'var(--torre-text-secondary)' }}>
+                    {job.organization?.name || 'Unknown organization'}
+                  </p>
+                  <h1 className="text-3xl font-bold mb-4" style={{ color: 'var(--torre-text-primary)' }}>
+                    {job.title}
+                  </h1>
+
+                  {job.tagline && (
+                    <p className="text-lg mb-6" style={{ color: 'var(--torre-text-secondary)' }}>
+                      {job.tagline}
+                    </p>
+                  )}
+
+                  {/* Quick Facts */}
+                  <div className="flex flex-wrap gap-6 text-sm">
+                    {job.remote && (
+                      <div className="flex items-center gap-2" style={{ color: 'var(--torre-green)' }}>
+                        <Globe className="h-4 w-4" />
+                        <span>Remote</span>
+                      </div>
+                    )}
+
+                    {job.locations.length > 0 && (
+                      <div className="flex items-center gap-2" style={{ color: 'var(--torre-text-muted)' }}>
+                        <MapPin className="h-4 w-4" />
+                        <span>{job.locations.join(', ')}</span>
+                      </div>
+                    )}
+
+                    {job.commitment && (
+                      <div className="flex items-center gap-2" style={{ color: 'var(--torre-text-muted)' }}>
+                        <Clock className="h-4 w-4" />
+                        <span className="capitalize">{job.commitment.replace(/-/g, ' ')}</span>
+                      </div>
+                    )}
+
+                    {job.compensation && (
+                      <div className="flex items-center gap-2" style={{ color: 'var(--torre-accent)' }}>
+                        <DollarSign className="h-4 w-4" />
+                        <span>{job.compensation.label}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="mt-6">
+                    <a
+                      href={`https://torre.ai/post/${job.id}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 px-4 py-2 rounded-lg transition-all duration-200"
+                      style={{
+                        backgroundColor: 'var(--torre-accent)',
+                        color: '#2d3748',
+                        textDecoration: 'none'
+                      }}
+                    >
+                      <ExternalLink size={16} />
+                      View on Torre
+                    </a>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Required Skills */}
+          {job.skills.length > 0 && (
+            <div className="card-iconoir mb-8">
+              <div className="p-6">
+                <h2 className="text-2xl font-bold mb-6" style={{ color: 'var(--torre-text-primary)' }}>
+                  <Award className="inline-block mr-2 h-6 w-6" />
+                  Required Skills
+                </h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {job.skills.map((skill) => (
+                    <div
+                      key={skill.name}
+                      className="p-4 rounded-lg border"
+                      style={{
+                        backgroundColor: 'var(--torre-bg-primary)',
+                        borderColor: 'var(--torre-border)'
+                      }}
+                    >
+                      <h3 className="font-semibold mb-1" style={{ color: 'var(--torre-text-primary)' }}>
+                        {skill.name}
+                      </h3>
+                      {skill.proficiency && (
+                        <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                          {capitalizeText(skill.proficiency.replace(/-/g, ' '))}
+                          {skill.experience && ` • ${skill.experience.replace(/-/g, ' ')}`}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Languages */}
+          {job.languages.length > 0 && (
+            <div className="card-iconoir mb-8">
+              <div className="p-6">
+                <h2 className="text-2xl font-bold mb-6" style={{ color: 'var(--torre-text-primary)' }}>
+                  <Languages className="inline-block mr-2 h-6 w-6" />
+                  Languages
+                </h2>
+                <div className="flex flex-wrap gap-3">
+                  {job.languages.map((language) => (
+                    <span
+                      key={language.language}
+                      className="px-3 py-2 rounded-lg text-sm"
+                      style={{
+                        backgroundColor: 'var(--torre-bg-tertiary)',
+                        color: 'var(--torre-text-secondary)',
+                        border: '1px solid var(--torre-border)'
+                      }}
+                    >
+                      {language.language} • {language.fluency.replace(/-/g, ' ')}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Details */}
+          {job.details.length > 0 && (
+            <div className="card-iconoir mb-8">
+              <div className="p-6 space-y-6">
+                {job.details.map((detail) => (
+                  <div key={detail.code}>
+                    <h3 className="text-lg font-semibold mb-2 capitalize" style={{ color: 'var(--torre-text-primary)' }}>
+                      {detail.code.replace(/-/g, ' ')}
+                    </h3>
+                    <p className="whitespace-pre-line" style={{ color: 'var(--torre-text-secondary)' }}>
+                      {detail.content}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* People Matching */}
+          <div className="card-iconoir mb-8">
+            <div className="p-6">
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+                <h2 className="text-2xl font-bold" style={{ color: 'var(--torre-text-primary)' }}>
+                  <Sparkles className="inline-block mr-2 h-6 w-6" />
+                  Matching People
+                </h2>
+                <button
+                  onClick={handleFindMatches}
+                  disabled={matching || job.skills.length === 0}
+                  className="btn-iconoir disabled:opacity-50"
+                >
+                  <Sparkles size={16} />
+                  {matches ? 'Refresh Matches' : 'Match people to this job'}
+                </button>
+              </div>
+
+              {job.skills.length === 0 && (
+                <p style={{ color: 'var(--torre-text-muted)' }}>
+                  This job does not list any skills, so there is nothing to match people against.
+                </p>
+              )}
+
+              {matching && (
+                <LoadingSpinner size="md" text="Searching and scoring candidates..." />
+              )}
+
+              {matchError && !matching && (
+                <ErrorMessage
+                  type="error"
+                  title="Matching Failed"
+                  message={matchError}
+                  onRetry={handleFindMatches}
+                />
+              )}
+
+              {matches && !matching && (
+                matches.data.length === 0 ? (
+                  <p style={{ color: 'var(--torre-text-muted)' }}>
+                    No one among {matches.totalCandidates} candidates covered this job's skills.
+                  </p>
+                ) : (
+                  <div className="space-y-4">
+                    <p className="text-sm" style={{ color: 'var(--torre-text-muted)' }}>
+                      Ranked {matches.data.length} of {matches.totalCandidates} candidates by skill coverage
+                    </p>
+                    {matches.data.map((match) => (
+                      <JobMatchRow
+                        key={match.person.username}
+                        match={match}
+                        onViewGenome={onViewGenome}
+                      />
+                    ))}
+                  </div>
+                )
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+// A ranked candidate with the job skills they do and don't cover
+const JobMatchRow = ({ match, onViewGenome }) => {
+  const { person, coverage, matchedSkills, missingSkills, similarity } = match;
+
+  return (
+    <div
+      className="p-4 rounded-lg border flex flex-col md:flex-row md:items-center gap-4"
+      style={{
+        backgroundColor: 'var(--torre-bg-primary)',
+        borderColor: 'var(--torre-border)'
+      }}
+    >
+      <div className="flex items-center gap-3 md:w-64 flex-shrink-0 min-w-0">
+        <Avatar src={person.picture} name={person.name} size="w-12 h-12" />
+        <div className="min-w-0">
+          <h4 className="font-semibold truncate" style={{ color: 'var(--torre-text-primary)' }}>
+            {person.name}
+          </h4>
+          <p className="text-sm truncate" style={{ color: 'var(--torre-text-muted)' }}>
+            {person.professionalHeadline || `@${person.username}`}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex-1 min-w-0 space-y-2 text-sm">
+        {matchedSkills.length > 0 && (
+          <div className="flex items-start gap-2" style={{ color: 'var(--torre-green)' }}>
+            <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>{matchedSkills.join(', ')}</span>
+          </div>
+        )}
+        {missingSkills.length > 0 && (
+          <div className="flex items-start gap-2" style={{ color: 'var(--torre-text-muted)' }}>
+            <XCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>{missingSkills.join(', ')}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-4 flex-shrink-0">
+        <div className="text-right">
+          <div className="text-2xl font-bold" style={{ color: 'var(--torre-accent)' }}>
+            {Math.round(coverage * 100)}%
+          </div>
+          <div className="text-xs" style={{ color: 'var(--torre-text-muted)' }}>
+            coverage • {Math.round(similarity.overallScore * 100)}% match
+          </div>
+        </div>
+        <ComparisonButton person={person} size="md" showLabel={false} />
+        <TeamButton person={person} size="md" />
+        <button
+          onClick={() => onViewGenome(person)}
+          className="btn-iconoir"
+        >
+          View Genome
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default JobPage;
@@ -1,18 +1,35 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate, useLocation, useMatch, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import SearchBar from '../components/SearchBar';
+import SearchFilters from '../components/SearchFilters';
 import SearchResults from '../components/SearchResults';
+import JobResults from '../components/JobResults';
 import GenomePage from './GenomePage';
+import JobPage from './JobPage';
 import ComparisonView from '../components/ComparisonView';
 import RecommendationsView from '../components/RecommendationsView';
+import TeamBuilderView from '../components/TeamBuilderView';
+import ShortlistsView from '../components/ShortlistsView';
+import SettingsView from '../components/SettingsView';
+import ImportView from '../components/ImportView';
+import GenomeDiffView from '../components/GenomeDiffView';
+import SavedSearchesView from '../components/SavedSearchesView';
 import { ComparisonPanel } from '../components/ComparisonButton.jsx';
 import useSearch from '../hooks/useSearch';
+import useJobSearch from '../hooks/useJobSearch';
+import useSearchHistory from '../hooks/useSearchHistory';
 import useScrollPosition from '../hooks/useScrollPosition';
 import { useToast } from '../components/Toast';
-import { BarChart3, Users, Sparkles } from 'lucide-react';
+import { useComparison } from '../contexts/ComparisonContext.jsx';
+import { useSavedSearches } from '../contexts/SavedSearchContext.jsx';
+import { countActiveFilters } from '../utils/searchFilters';
+import { ROUTES, searchPath, genomePath, comparePath, recommendationsPath, jobsPath, jobPath, shortlistsPath, diffPath, savedSearchesPath } from '../utils/routes';
+import { BarChart3, Users, Sparkles, Briefcase, UsersRound, Bookmark, BookmarkCheck } from 'lucide-react';
 
 /**
  * Main search page component
+ * The active view is driven by the URL (see utils/routes.js)
  */
 const SearchPage = () => {
   const {
@@ -26,20 +43,176 @@ const SearchPage = () => {
     userGenomeLoading,
     userGenomeError,
     handleSearchChange,
+    runSearch,
     loadMore,
     clearSearch,
-    selectUser,
     clearSelectedUser,
     retrySearch,
+    fetchUserGenome,
     totalResults,
+    filters,
+    setFilters,
+    clearFilters,
+    savedAt,
   } = useSearch();
+  const jobSearch = useJobSearch();
+  const searchHistory = useSearchHistory();
+  const { recordSearch, recordSkills } = searchHistory;
+  const {
+    handleSearchChange: handleJobSearchChange,
+    clearSearch: clearJobSearch,
+    fetchJobDetails,
+    clearSelectedJob,
+  } = jobSearch;
+
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchMatch = useMatch(ROUTES.search);
+  const genomeMatch = useMatch(ROUTES.genome);
+  const compareMatch = useMatch(ROUTES.compare);
+  const recommendationsMatch = useMatch(ROUTES.recommendations);
+  const jobsMatch = useMatch(ROUTES.jobs);
+  const jobMatch = useMatch(ROUTES.job);
+  const teamMatch = useMatch(ROUTES.team);
+  const shortlistsMatch = useMatch(ROUTES.shortlists);
+  const settingsMatch = useMatch(ROUTES.settings);
+  const importMatch = useMatch(ROUTES.import);
+  const diffMatch = useMatch(ROUTES.diff);
+  const savedSearchesMatch = useMatch(ROUTES.savedSearches);
+  const { comparisons, isLoading: comparisonLoading, loadComparison, cancelComparison, recommendations } = useComparison();
+  const { saveSearch } = useSavedSearches();
 
-  const [activeTab, setActiveTab] = useState('search');
-  const [viewingGenome, setViewingGenome] = useState(false);
+  const activeTab = compareMatch ? 'compare'
+    : recommendationsMatch ? 'recommendations'
+    : jobsMatch ? 'jobs'
+    : teamMatch ? 'team'
+    : shortlistsMatch ? 'shortlists'
+    : settingsMatch ? 'settings'
+    : importMatch ? 'import'
+    : diffMatch ? 'diff'
+    : savedSearchesMatch ? 'savedSearches'
+    : 'search';
+  const genomeUsername = genomeMatch?.params.username;
+  const jobId = jobMatch?.params.jobId;
+  const urlQuery = searchParams.get('q') || '';
   const [tabIndicator, setTabIndicator] = useState({ left: 0, width: 0 });
   const { showScrollToTop, scrollToTop } = useScrollPosition();
   const toast = useToast();
   const tabRefs = useRef({});
+  const syncedQueryRef = useRef('');
+  const syncedJobQueryRef = useRef('');
+  const syncedPairRef = useRef(null);
+  const recordedQueryRef = useRef('');
+  const recordedGenomeRef = useRef(null);
+  const wasLoadingRef = useRef(false);
+
+  // Run the search in the URL when it changes from outside the search bar (shared link, back button).
+  // Only /search carries the query: genome and job pages also show the search tab but have no ?q=
+  const isSearchRoute = Boolean(searchMatch);
+  useEffect(() => {
+    if (!isSearchRoute || urlQuery === syncedQueryRef.current) return;
+
+    syncedQueryRef.current = urlQuery;
+    if (urlQuery) {
+      handleSearchChange(urlQuery);
+    } else {
+      clearSearch();
+    }
+  }, [isSearchRoute, urlQuery, handleSearchChange, clearSearch]);
+
+  // Same for the job search, which keeps its own query in /jobs?q=
+  useEffect(() => {
+    if (activeTab !== 'jobs' || urlQuery === syncedJobQueryRef.current) return;
+
+    syncedJobQueryRef.current = urlQuery;
+    if (urlQuery) {
+      handleJobSearchChange(urlQuery);
+    } else {
+      clearJobSearch();
+    }
+  }, [activeTab, urlQuery, handleJobSearchChange, clearJobSearch]);
+
+  // Remember each people search when it lands with results; pages loaded later don't count again
+  useEffect(() => {
+    const finished = wasLoadingRef.current && !loading;
+    wasLoadingRef.current = loading;
+    if (!finished || error || results.length === 0 || query.trim() === recordedQueryRef.current) return;
+
+    recordedQueryRef.current = query.trim();
+    recordSearch(query, results);
+  }, [loading, error, results, query, recordSearch]);
+
+  // Genome skills feed the suggestions too, since most search results list none
+  useEffect(() => {
+    const username = selectedUser?.person?.username;
+    if (!username || username === recordedGenomeRef.current) return;
+
+    recordedGenomeRef.current = username;
+    recordSkills(selectedUser.skills || []);
+  }, [selectedUser, recordSkills]);
+
+  // Load the genome named in the URL
+  useEffect(() => {
+    if (genomeUsername) {
+      fetchUserGenome(genomeUsername);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } else {
+      clearSelectedUser();
+    }
+  }, [genomeUsername, fetchUserGenome, clearSelectedUser]);
+
+  // Load the job named in the URL
+  useEffect(() => {
+    if (jobId) {
+      fetchJobDetails(jobId);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } else {
+      clearSelectedJob();
+    }
+  }, [jobId, fetchJobDetails, clearSelectedJob]);
+
+  // Leaving the compare view stops the genomes it was fetching; the link is synced again on return
+  const isCompareRoute = activeTab === 'compare';
+  useEffect(() => {
+    if (!isCompareRoute) return;
+    return () => {
+      cancelComparison();
+      syncedPairRef.current = null;
+    };
+  }, [isCompareRoute, cancelComparison]);
+
+  // Keep /compare/:a/:b and the active comparison in step with each other
+  const compareA = compareMatch?.params.a;
+  const compareB = compareMatch?.params.b;
+  const currentPair = comparisons[0]
+    ? `${comparisons[0].person1.username}/${comparisons[0].person2.username}`
+    : null;
+
+  useEffect(() => {
+    if (activeTab !== 'compare' || comparisonLoading) return;
+
+    const urlPair = compareA && compareB ? `${compareA}/${compareB}` : null;
+
+    if (urlPair && urlPair !== syncedPairRef.current) {
+      // The link changed: load the pair it names
+      syncedPairRef.current = urlPair;
+      if (urlPair !== currentPair) {
+        loadComparison([
+          { username: compareA, name: compareA },
+          { username: compareB, name: compareB },
+        ]);
+      }
+      return;
+    }
+
+    if (currentPair !== syncedPairRef.current) {
+      // The comparison changed in the UI: reflect it in the link
+      syncedPairRef.current = currentPair;
+      const [a, b] = currentPair ? currentPair.split('/') : [];
+      navigate(comparePath(a, b), { replace: true });
+    }
+  }, [activeTab, comparisonLoading, compareA, compareB, currentPair, loadComparison, navigate]);
 
   // Update tab indicator position when active tab changes or when layout changes
   useEffect(() => {
@@ -67,7 +240,7 @@ const SearchPage = () => {
       clearTimeout(timeoutId);
       window.removeEventListener('resize', updateIndicator);
     };
-  }, [activeTab, hasSearched, results.length]);
+  }, [activeTab, hasSearched, results.length, jobSearch.results.length]);
 
   // Handle floating action button actions
   const handleRefresh = () => {
@@ -77,46 +250,6 @@ const SearchPage = () => {
     }
   };
 
-  const handleExport = () => {
-    if (results.length === 0) {
-      toast.warning('No data to export');
-      return;
-    }
-
-    try {
-      const dataToExport = {
-        query,
-        totalResults,
-        results: results.map(person => ({
-          name: person.name,
-          username: person.username,
-          headline: person.headline,
-          location: person.location?.name,
-          skills: person.skills?.slice(0, 5).map(s => s.name),
-          verified: person.verified,
-          openToWork: person.openToWork,
-        })),
-        exportedAt: new Date().toISOString(),
-      };
-
-      const blob = new Blob([JSON.stringify(dataToExport, null, 2)], {
-        type: 'application/json',
-      });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `torre-search-${query.replace(/\s+/g, '-')}-${Date.now()}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      toast.success('Data exported successfully!');
-    } catch (error) {
-      toast.error('Failed to export data');
-    }
-  };
-
   const handleShare = () => {
     if (results.length === 0) {
       toast.warning('No results to share');
@@ -126,7 +259,7 @@ const SearchPage = () => {
     const shareData = {
       title: `Torre Search Results for "${query}"`,
       text: `Found ${totalResults} professionals matching "${query}" on Torre`,
-      url: window.location.href,
+      url: `${window.location.origin}${searchPath(query.trim())}`,
     };
 
     if (navigator.share) {
@@ -147,22 +280,100 @@ const SearchPage = () => {
     });
   };
 
+  const handleQueryChange = (newQuery) => {
+    handleSearchChange(newQuery);
+    syncedQueryRef.current = newQuery;
+    setSearchParams(newQuery ? { q: newQuery } : {}, { replace: true });
+  };
+
+  const handleClearSearch = () => {
+    clearSearch();
+    syncedQueryRef.current = '';
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleJobQueryChange = (newQuery) => {
+    handleJobSearchChange(newQuery);
+    syncedJobQueryRef.current = newQuery;
+    setSearchParams(newQuery ? { q: newQuery } : {}, { replace: true });
+  };
+
+  const handleClearJobSearch = () => {
+    clearJobSearch();
+    syncedJobQueryRef.current = '';
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleTabChange = (tabId) => {
+    if (tabId === 'jobs') {
+      navigate(jobsPath(jobSearch.query));
+    } else if (tabId === 'compare') {
+      const [a, b] = currentPair ? currentPair.split('/') : [];
+      navigate(comparePath(a, b));
+    } else if (tabId === 'recommendations') {
+      navigate(recommendationsPath(recommendations.targetPerson?.username));
+    } else if (tabId === 'team') {
+      navigate(ROUTES.team);
+    } else if (tabId === 'shortlists') {
+      navigate(shortlistsPath());
+    } else if (tabId === 'savedSearches') {
+      navigate(savedSearchesPath());
+    } else {
+      navigate(searchPath(query));
+    }
+  };
+
+  // Keep the query and filters under a name; results already on screen become the first run
+  const handleSaveSearch = () => {
+    const name = window.prompt('Name this search', query.trim());
+    if (name === null) return;
+
+    const hasFreshResults = hasSearched && !loading && !error && !savedAt;
+    const savedSearch = saveSearch(name, query, filters, hasFreshResults ? results : null);
+    toast.success(`Saved "${savedSearch.name}"`, {
+      action: { label: 'View', onClick: () => navigate(savedSearchesPath(savedSearch.id)) }
+    });
+  };
+
+  // Show a saved search's query and filters on the search tab
+  const handleOpenSavedSearch = (savedSearch) => {
+    syncedQueryRef.current = savedSearch.query;
+    runSearch(savedSearch.query, savedSearch.filters);
+    navigate(searchPath(savedSearch.query));
+  };
+
   const handleViewGenome = (person) => {
-    selectUser(person);
-    setViewingGenome(true);
-    // Scroll to top when viewing genome
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    const username = person.person?.username || person.username;
+    if (!username) return;
+
+    navigate(genomePath(username), { state: { from: location.pathname } });
   };
 
   const handleBackToSearch = () => {
-    setViewingGenome(false);
-    clearSelectedUser();
+    // Go back to whichever view opened the genome, or to the search when landing from a link
+    if (location.state?.from) {
+      navigate(-1);
+    } else {
+      navigate(searchPath(query));
+    }
     // Re-enable body scroll
     document.body.style.overflow = 'unset';
   };
 
+  const handleViewJob = (job) => {
+    navigate(jobPath(job.id), { state: { from: location.pathname } });
+  };
+
+  const handleBackToJobs = () => {
+    if (location.state?.from) {
+      navigate(-1);
+    } else {
+      navigate(jobsPath(jobSearch.query));
+    }
+  };
+
   // Show GenomePage if viewing a genome
-  if (viewingGenome) {
+  if (genomeUsername) {
     return (
       <GenomePage
         user={selectedUser}
@@ -173,24 +384,44 @@ const SearchPage = () => {
     );
   }
 
+  // Show JobPage if viewing a job
+  if (jobId) {
+    return (
+      <JobPage
+        job={jobSearch.selectedJob}
+        loading={jobSearch.jobLoading}
+        error={jobSearch.jobError}
+        onBack={handleBackToJobs}
+        onViewGenome={handleViewGenome}
+      />
+    );
+  }
+
+  // Whichever list the search bar drives has content to make room for
+  const showSearchBar = activeTab === 'search' || activeTab === 'jobs';
+  const listActive = activeTab === 'jobs'
+    ? jobSearch.hasSearched || jobSearch.results.length > 0
+    : hasSearched || results.length > 0;
+  const listHasResults = activeTab === 'jobs' ? jobSearch.results.length > 0 : results.length > 0;
+
   return (
     <div className="min-h-screen flex flex-col h-full" style={{ backgroundColor: 'var(--torre-bg-primary)' }}>
       {/* Search Section with Conditional Animation */}
       <motion.div 
-        className={`flex flex-col items-center px-4 sm:px-6 lg:px-8 ${hasSearched || results.length > 0 ? 'pt-8 sm:pt-10 lg:pt-12' : 'flex-1 justify-center pt-16 sm:pt-20 lg:pt-24'}`}
+        className={`flex flex-col items-center px-4 sm:px-6 lg:px-8 ${listActive ? 'pt-8 sm:pt-10 lg:pt-12' : 'flex-1 justify-center pt-16 sm:pt-20 lg:pt-24'}`}
         animate={{
-          y: hasSearched || results.length > 0 ? 0 : 0,
+          y: 0,
           transition: { duration: 0.6, ease: [0.4, 0, 0.2, 1] }
         }}
       >
-        {/* Search Bar - Show only on search tab with smooth animation */}
+        {/* Search Bar - Show only on the search and jobs tabs with smooth animation */}
         <motion.div 
           className="max-w-2xl w-full mx-auto mb-4 sm:mb-6 lg:mb-8 px-4"
           animate={{
-            y: hasSearched || results.length > 0 ? -30 : 0,
-            opacity: activeTab === 'search' ? 1 : 0,
-            height: activeTab === 'search' ? 'auto' : 0,
-            marginBottom: activeTab === 'search' ? 32 : 0,
+            y: listActive ? -30 : 0,
+            opacity: showSearchBar ? 1 : 0,
+            height: showSearchBar ? 'auto' : 0,
+            marginBottom: showSearchBar ? 32 : 0,
             transition: { 
               duration: 0.6, 
               ease: [0.4, 0, 0.2, 1],
@@ -200,16 +431,35 @@ const SearchPage = () => {
             }
           }}
           style={{
-            overflow: activeTab === 'search' ? 'visible' : 'hidden'
+            overflow: showSearchBar ? 'visible' : 'hidden'
           }}
         >
           {activeTab === 'search' && (
             <SearchBar
               query={query}
-              onQueryChange={handleSearchChange}
+              onQueryChange={handleQueryChange}
               loading={loading}
-              onClear={clearSearch}
+              onClear={handleClearSearch}
               placeholder="Search for people on Torre..."
+              hint={'Search for names or skills, and narrow with skill:react location:"Bogotá" -skill:php openToWork:true'}
+              history={searchHistory}
+            />
+          )}
+          {activeTab === 'search' && (
+            <SearchFilters
+              filters={filters}
+              onChange={setFilters}
+              onClear={clearFilters}
+              onSave={query.trim().length >= 3 ? handleSaveSearch : undefined}
+            />
+          )}
+          {activeTab === 'jobs' && (
+            <SearchBar
+              query={jobSearch.query}
+              onQueryChange={handleJobQueryChange}
+              loading={jobSearch.loading}
+              onClear={handleClearJobSearch}
+              placeholder="Search for jobs on Torre..."
             />
           )}
         </motion.div>
@@ -217,7 +467,7 @@ const SearchPage = () => {
 
       {/* Main Content - Takes full screen when there are results */}
       <motion.main 
-        className={`bg-white dark:bg-gray-800 border-t ${results.length > 0 ? 'flex-grow' : ''}`}
+        className={`bg-white dark:bg-gray-800 border-t ${listHasResults ? 'flex-grow' : ''}`}
         style={{ 
           backgroundColor: 'var(--torre-bg-primary)', 
           borderColor: 'var(--torre-border)',
@@ -230,7 +480,7 @@ const SearchPage = () => {
           transition: { duration: 0.5, ease: [0.4, 0, 0.2, 1] }
         }}
       >
-        <div className={`max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:py-8 ${results.length > 0 ? 'h-full' : ''}`}>
+        <div className={`max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:py-8 ${listHasResults ? 'h-full' : ''}`}>
           {/* Navigation Tabs */}
           <div className="mb-4 sm:mb-6 lg:mb-8">
         <div>
@@ -239,15 +489,19 @@ const SearchPage = () => {
               {/* Tab buttons with bubble indicator */}
               {[
                 { id: 'search', label: 'Search', shortLabel: 'Search', icon: BarChart3 },
+                { id: 'jobs', label: 'Jobs', shortLabel: 'Jobs', icon: Briefcase },
                 { id: 'compare', label: 'Compare', shortLabel: 'Compare', icon: Users },
-                { id: 'recommendations', label: 'Recommendations', shortLabel: 'Recommend', icon: Sparkles }
+                { id: 'recommendations', label: 'Recommendations', shortLabel: 'Recommend', icon: Sparkles },
+                { id: 'team', label: 'Team', shortLabel: 'Team', icon: UsersRound },
+                { id: 'shortlists', label: 'Shortlists', shortLabel: 'Lists', icon: Bookmark },
+                { id: 'savedSearches', label: 'Saved', shortLabel: 'Saved', icon: BookmarkCheck }
               ].map((tab, index) => {
               const Icon = tab.icon;
               return (
                 <motion.button
                   key={tab.id}
                   ref={(el) => (tabRefs.current[tab.id] = el)}
-                  onClick={() => setActiveTab(tab.id)}
+                  onClick={() => handleTabChange(tab.id)}
                   title=""
                   className={`flex items-center gap-1 sm:gap-2 py-2 sm:py-3 px-2 sm:px-4 font-semibold text-xs sm:text-sm transition-all duration-200 rounded-full relative min-w-0 flex-shrink-0 ${
                     activeTab === tab.id 
@@ -279,23 +533,108 @@ const SearchPage = () => {
             hasSearched={hasSearched}
             hasMore={hasMore}
             totalResults={totalResults}
+            activeFilterCount={countActiveFilters(filters)}
+            savedAt={savedAt}
+            showExport
             onLoadMore={loadMore}
             onPersonClick={handleViewGenome}
             onRetry={retrySearch}
-            onClear={clearSearch}
+            onClear={handleClearSearch}
+          />
+        </div>
+      )}
+
+      {activeTab === 'jobs' && (
+        <div className={`${listHasResults ? 'h-full' : 'min-h-full'} pb-16 sm:pb-20 lg:pb-24 overflow-auto`}>
+          <JobResults
+            results={jobSearch.results}
+            loading={jobSearch.loading}
+            error={jobSearch.error}
+            query={jobSearch.query}
+            hasSearched={jobSearch.hasSearched}
+            hasMore={jobSearch.hasMore}
+            onLoadMore={jobSearch.loadMore}
+            onJobClick={handleViewJob}
+            onRetry={jobSearch.retrySearch}
+            onClear={handleClearJobSearch}
           />
         </div>
       )}
 
       {activeTab === 'compare' && (
         <div className="min-h-full pb-24 overflow-auto">
-          <ComparisonView />
+          <ComparisonView
+            onOpenDiff={(a, b) => navigate(diffPath(a, b), { state: { from: location.pathname } })}
+          />
         </div>
       )}
 
       {activeTab === 'recommendations' && (
         <div className="min-h-full pb-24 overflow-auto">
-          <RecommendationsView onViewGenome={handleViewGenome} onSwitchToCompare={() => setActiveTab('compare')} />
+          <RecommendationsView
+            username={recommendationsMatch?.params.username}
+            onSelectPerson={(person) => navigate(recommendationsPath(person.username))}
+            onViewGenome={handleViewGenome}
+            onSwitchToCompare={() => handleTabChange('compare')}
+          />
+        </div>
+      )}
+
+      {activeTab === 'team' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <TeamBuilderView onViewGenome={handleViewGenome} onOpenImport={() => navigate(ROUTES.import)} />
+        </div>
+      )}
+
+      {activeTab === 'shortlists' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <ShortlistsView
+            shortlistId={shortlistsMatch?.params.id}
+            onSelectShortlist={(id) => navigate(shortlistsPath(id), { replace: true })}
+            onViewGenome={handleViewGenome}
+            onOpenComparison={() => navigate(comparePath())}
+            onOpenTeam={() => handleTabChange('team')}
+            onOpenImport={() => navigate(ROUTES.import)}
+          />
+        </div>
+      )}
+
+      {activeTab === 'savedSearches' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <SavedSearchesView
+            savedSearchId={savedSearchesMatch?.params.id}
+            onSelectSavedSearch={(id) => navigate(savedSearchesPath(id), { replace: true })}
+            onOpenSearch={handleOpenSavedSearch}
+            onViewGenome={handleViewGenome}
+          />
+        </div>
+      )}
+
+      {activeTab === 'settings' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <SettingsView />
+        </div>
+      )}
+
+      {activeTab === 'import' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <ImportView
+            onViewGenome={handleViewGenome}
+            onOpenComparison={() => navigate(comparePath())}
+            onOpenShortlist={(id) => navigate(shortlistsPath(id))}
+            onOpenTeam={() => handleTabChange('team')}
+          />
+        </div>
+      )}
+
+      {activeTab === 'diff' && (
+        <div className="min-h-full pb-24 overflow-auto">
+          <GenomeDiffView
+            usernameA={diffMatch?.params.a}
+            usernameB={diffMatch?.params.b}
+            onViewGenome={handleViewGenome}
+            onBack={() => location.state?.from ? navigate(-1) : navigate(comparePath(diffMatch?.params.a, diffMatch?.params.b))}
+          />
         </div>
       )}
         </div>
@@ -344,7 +683,7 @@ const SearchPage = () => {
       
       {/* Comparison Panel - only show on search tab */}
       {activeTab === 'search' && (
-        <ComparisonPanel onNavigateToCompare={() => setActiveTab('compare')} />
+        <ComparisonPanel onNavigateToCompare={() => handleTabChange('compare')} />
       )}
     </div>
   );
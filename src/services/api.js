@@ -1,56 +1,135 @@
-import axios from 'axios';
+import { request, postNdjsonStream, ApiError, isAbortError } from './apiClient';
+import { matchesSearchFilter } from '../utils/searchFilters';
+import { resolveSkill, getSkillCategories } from '../utils/skillTaxonomy';
 
 // Torre API endpoints - using proxy paths for CORS handling
 const BASE_URL = '/api';
 const SEARCH_API_URL = '/search-api';
 
-// Configure axios with timeout and headers
-const api = axios.create({
-  timeout: 15000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add request interceptor for debugging
-api.interceptors.request.use(
-  (config) => {
-    console.log(`Making ${config.method?.toUpperCase()} request to:`, config.url);
-    return config;
-  },
-  (error) => {
-    console.error('Request interceptor error:', error);
-    return Promise.reject(error);
-  }
-);
-
-// Add response interceptor for debugging and error handling
-api.interceptors.response.use(
-  (response) => {
-    console.log(`Received response from:`, response.config.url, 'Status:', response.status);
-    return response;
-  },
-  (error) => {
-    console.error('Response interceptor error:', {
-      url: error.config?.url,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data
-    });
-    return Promise.reject(error);
-  }
-);
+const JOB_SERVICE = 'Torre Job API';
+
+/**
+ * Map a raw Torre entity to a person search result
+ * Torre API returns people with username field and organizations without
+ * @param {Object} entity - Raw entity from the entities stream or the people search
+ * @returns {Object|null} Person result, or null for organizations and invalid entries
+ */
+const toPersonResult = (entity) => {
+  if (!entity || !entity.username || entity.organizationId) return null;
+
+  return {
+    person: {
+      id: entity.ardaId || entity.ggId || entity.id,
+      publicId: entity.username,
+      name: entity.name,
+      username: entity.username,
+      picture: entity.imageUrl || entity.picture,
+      professionalHeadline: entity.professionalHeadline,
+      verified: entity.verified || false,
+      weight: entity.weight,
+      completion: entity.completion,
+      // Add location if available (Torre API might not always include this)
+      location: entity.location || (entity.locationName ? { name: entity.locationName } : null),
+      // Only the people search reports these; null means the source didn't say
+      remote: typeof entity.remoter === 'boolean' ? entity.remoter : null,
+      openToWork: Array.isArray(entity.openTo) ? entity.openTo.length > 0 : null,
+    },
+    // The entities stream doesn't include skills/strengths (null: unknown), the people search lists skills
+    // Full skills and strengths are available in the genome endpoint
+    skills: Array.isArray(entity.skills) ? entity.skills.filter(skill => skill?.name) : null,
+    strengths: [],
+  };
+};
+
+/**
+ * Torre opportunity types that count as being open to work
+ */
+const OPEN_TO_WORK_TERMS = ['full-time-employment', 'part-time-employment', 'freelance-gigs'];
+
+/**
+ * Search filters Torre's people search understands, mapped to its query terms
+ * Filters missing here (verified, minimum completion) are applied client-side.
+ */
+const PEOPLE_SEARCH_TERMS = {
+  location: (value) => ({ location: { term: value } }),
+  remote: () => ({ remoter: { term: true } }),
+  openToWork: () => ({ or: OPEN_TO_WORK_TERMS.map(term => ({ opento: { term } })) }),
+  skill: (value) => ({ 'skill/role': { text: value, experience: 'potential-to-develop' } }),
+};
+
+/**
+ * Search people with Torre's structured people search
+ * POST: "https://search.torre.co/api/people/_search"
+ * @param {string} query - Free-text query, matched against names and skills/roles
+ * @param {Array} apiFilters - Filters listed in PEOPLE_SEARCH_TERMS
+ * @param {number} limit - Page size
+ * @param {number} offset - Page offset
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} Person results and the total number of matches
+ */
+const searchPeople = async (query, apiFilters, limit, offset, signal) => {
+  const requestBody = {
+    and: [
+      { or: [{ name: { term: query } }, PEOPLE_SEARCH_TERMS.skill(query)] },
+      ...apiFilters.map(({ field, value }) => PEOPLE_SEARCH_TERMS[field](value)),
+    ],
+  };
+
+  console.log('Searching Torre people with:', requestBody);
+
+  const response = await request({
+    method: 'post',
+    url: `${SEARCH_API_URL}/people/_search/`,
+    params: { size: Math.min(limit, 50), offset },
+    data: requestBody,
+    signal,
+  });
+
+  return {
+    people: (response.data?.results || []).map(toPersonResult).filter(Boolean),
+    total: response.data?.total,
+  };
+};
 
 /**
  * Search for entities (people and organizations) using Torre's stream API
  * POST: "https://torre.ai/api/entities/_searchStream"
+ * When filters Torre can apply are set (see PEOPLE_SEARCH_TERMS) the structured
+ * people search is used instead; the remaining filters are applied to the results here.
+ * @param {Object} searchParams - Query, limit, offset and filters
+ * @param {Array} searchParams.filters - `{ field, value }` filters (see utils/searchFilters)
+ * @param {boolean} searchParams.structured - Use the people search even without such filters,
+ *   for results that report skills, remote and open to work (the stream leaves them null)
+ * @param {Object} options - Stream options
+ * @param {Function} options.onResult - Called with each person result as soon as it is received
+ * @param {AbortSignal} options.signal - Cancels the search
  */
-export const searchEntities = async (searchParams) => {
+export const searchEntities = async (searchParams, { onResult, signal } = {}) => {
   try {
-    const { query, limit = 20, offset = 0, filters = [] } = searchParams;
+    const { query, limit = 20, offset = 0, filters = [], structured = false } = searchParams;
     
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      throw new Error('Search query is required');
+      throw new ApiError('Search query is required');
+    }
+
+    const apiFilters = filters.filter(filter => PEOPLE_SEARCH_TERMS[filter.field]);
+    const clientFilters = filters.filter(filter => !PEOPLE_SEARCH_TERMS[filter.field]);
+    const passesClientFilters = (result) => clientFilters.every(filter => matchesSearchFilter(result, filter));
+
+    if (apiFilters.length > 0 || structured) {
+      const { people, total } = await searchPeople(query.trim(), apiFilters, limit, offset, signal);
+      const peopleResults = people.filter(passesClientFilters);
+      peopleResults.forEach(result => onResult?.(result));
+
+      return {
+        success: true,
+        data: peopleResults,
+        // Torre's total can't account for client-side filters, so only trust it without them
+        total: clientFilters.length === 0 && total ? total : offset + peopleResults.length,
+        query: query.trim(),
+        limit,
+        offset,
+      };
     }
 
     // Use minimal request format that works with Torre API
@@ -68,56 +147,15 @@ export const searchEntities = async (searchParams) => {
 
     console.log('Searching Torre API with:', requestBody);
 
-    // Make the request to Torre's entities search endpoint
-    const response = await api.post(`${BASE_URL}/entities/_searchStream`, requestBody);
-
-    // Process the response data
-    console.log('Raw Torre API response:', response.data);
-
     // Torre API returns a stream of JSON objects, one per line
-    let results = [];
-    if (typeof response.data === 'string') {
-      // Parse line-delimited JSON
-      const lines = response.data.trim().split('\n').filter(line => line.trim());
-      results = lines.map(line => {
-        try {
-          return JSON.parse(line);
-        } catch (e) {
-          console.warn('Failed to parse line:', line);
-          return null;
-        }
-      }).filter(Boolean);
-    } else if (Array.isArray(response.data)) {
-      results = response.data;
-    } else if (response.data && typeof response.data === 'object') {
-      results = [response.data];
-    }
-
-    console.log('Parsed results:', results);
-
-    // Filter results to only include people (not organizations)
-    // Torre API returns people with username field and organizations without
-    const peopleResults = results.filter(item =>
-      item && item.username && item.username !== null && !item.organizationId
-    ).map(person => ({
-      person: {
-        id: person.ardaId || person.ggId || person.id,
-        publicId: person.username,
-        name: person.name,
-        username: person.username,
-        picture: person.imageUrl,
-        professionalHeadline: person.professionalHeadline,
-        verified: person.verified || false,
-        weight: person.weight,
-        completion: person.completion,
-        // Add location if available (Torre API might not always include this)
-        location: person.location || null,
-      },
-      // Torre API doesn't include skills/strengths in search results
-      // These would be available in the genome endpoint
-      skills: [],
-      strengths: [],
-    }));
+    const peopleResults = [];
+    await postNdjsonStream(`${BASE_URL}/entities/_searchStream`, requestBody, (entity) => {
+      const result = toPersonResult(entity);
+      if (result && passesClientFilters(result)) {
+        peopleResults.push(result);
+        onResult?.(result);
+      }
+    }, { signal });
 
     console.log('Filtered people results:', peopleResults);
 
@@ -130,31 +168,31 @@ export const searchEntities = async (searchParams) => {
       offset,
     };
   } catch (error) {
-    console.error('Error searching entities:', error);
-    
-    if (error.response) {
-      throw new Error(`API Error ${error.response.status}: ${error.response.data?.message || 'Unknown error'}`);
-    } else if (error.request) {
-      throw new Error('Network error: Unable to reach Torre API. Please check your internet connection.');
-    } else {
-      throw new Error(`Request error: ${error.message}`);
-    }
+    if (!isAbortError(error)) console.error('Error searching entities:', error);
+    throw error;
   }
 };
 
 /**
  * Get user genome/bio information
  * GET: "https://torre.ai/api/genome/bios/$username"
+ * @param {string} username - Torre username
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  */
-export const getUserGenome = async (username) => {
+export const getUserGenome = async (username, { signal } = {}) => {
   try {
     if (!username || typeof username !== 'string') {
-      throw new Error('Username is required and must be a string');
+      throw new ApiError('Username is required and must be a string');
     }
 
     console.log(`Fetching genome for user: ${username}`);
 
-    const response = await api.get(`${BASE_URL}/genome/bios/${username}`);
+    const response = await request({
+      url: `${BASE_URL}/genome/bios/${username}`,
+      notFound: `User "${username}" not found`,
+      signal,
+    });
     
     return {
       success: true,
@@ -162,33 +200,29 @@ export const getUserGenome = async (username) => {
       username,
     };
   } catch (error) {
-    console.error(`Error fetching genome for ${username}:`, error);
-    
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 404) {
-        throw new Error(`User "${username}" not found`);
-      }
-      const message = error.response.data?.message || error.response.statusText || 'Unknown error';
-      throw new Error(`API Error ${status}: ${message}`);
-    } else if (error.request) {
-      throw new Error('Network error: Unable to reach Torre API. Please check your internet connection.');
-    } else {
-      throw new Error(`Request error: ${error.message}`);
-    }
+    if (!isAbortError(error)) console.error(`Error fetching genome for ${username}:`, error);
+    throw error;
   }
 };
 
 /**
  * Search for jobs using Torre's job search API
- * This would use the search.torre.co endpoint for job searches
+ * POST: "https://search.torre.co/api/jobs/_searchStream"
+ * @param {Object} searchParams - Query, limit, offset and filters
+ * @param {Object} options - Stream options
+ * @param {Function} options.onResult - Called with each job as soon as it is received
+ * @param {AbortSignal} options.signal - Cancels the search
  */
-export const searchJobs = async (searchParams) => {
+export const searchJobs = async (searchParams, { onResult, signal } = {}) => {
   try {
     const { query, limit = 20, offset = 0, filters = [] } = searchParams;
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new ApiError('Search query is required');
+    }
     
     const requestBody = {
-      query,
+      query: query.trim(),
       limit,
       offset,
       filters,
@@ -196,28 +230,59 @@ export const searchJobs = async (searchParams) => {
 
     console.log('Searching jobs with:', requestBody);
 
-    const response = await api.post(`${SEARCH_API_URL}/jobs/_searchStream`, requestBody);
+    // Like the entities endpoint, jobs arrive as one JSON object per line
+    const jobs = [];
+    await postNdjsonStream(`${SEARCH_API_URL}/jobs/_searchStream`, requestBody, (job) => {
+      if (job && job.id) {
+        jobs.push(job);
+        onResult?.(job);
+      }
+    }, { service: JOB_SERVICE, signal });
     
     return {
       success: true,
-      data: response.data || [],
-      total: response.data?.length || 0,
-      query,
+      data: jobs,
+      total: jobs.length,
+      query: query.trim(),
       limit,
       offset,
     };
   } catch (error) {
-    console.error('Error searching jobs:', error);
-    
-    if (error.response) {
-      const status = error.response.status;
-      const message = error.response.data?.message || error.response.statusText || 'Unknown error';
-      throw new Error(`Job API Error ${status}: ${message}`);
-    } else if (error.request) {
-      throw new Error('Network error: Unable to reach Torre Job API. Please check your internet connection.');
-    } else {
-      throw new Error(`Job search error: ${error.message}`);
+    if (!isAbortError(error)) console.error('Error searching jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the full details of a job opportunity
+ * GET: "https://torre.ai/api/suite/opportunities/$id"
+ * @param {string} jobId - Opportunity id
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ */
+export const getJobDetails = async (jobId, { signal } = {}) => {
+  try {
+    if (!jobId || typeof jobId !== 'string') {
+      throw new ApiError('Job id is required and must be a string');
     }
+
+    console.log(`Fetching job details for: ${jobId}`);
+
+    const response = await request({
+      url: `${BASE_URL}/suite/opportunities/${jobId}`,
+      service: JOB_SERVICE,
+      notFound: `Job "${jobId}" not found`,
+      signal,
+    });
+
+    return {
+      success: true,
+      data: response.data,
+      jobId,
+    };
+  } catch (error) {
+    if (!isAbortError(error)) console.error(`Error fetching job ${jobId}:`, error);
+    throw error;
   }
 };
 
@@ -230,14 +295,29 @@ export const searchJobs = async (searchParams) => {
 export const analyzeTrendingSkills = (searchResults) => {
   try {
     const skillsMap = new Map();
+    const categoriesMap = new Map();
     const strengthsMap = new Map();
     
     searchResults.forEach(person => {
-      // Extract skills from person data
+      // Extract skills from person data, counting each person once per skill
+      // however many spellings of it they list
       if (person.skills) {
+        const personSkills = new Map();
         person.skills.forEach(skill => {
-          const skillName = skill.name || skill;
-          skillsMap.set(skillName, (skillsMap.get(skillName) || 0) + 1);
+          const resolved = resolveSkill(skill.name || skill);
+          if (!personSkills.has(resolved.id)) personSkills.set(resolved.id, resolved);
+        });
+
+        const personCategories = new Set();
+        personSkills.forEach(({ id, name, known }) => {
+          const entry = skillsMap.get(id) || { name, count: 0 };
+          if (known) entry.name = name;
+          entry.count += 1;
+          skillsMap.set(id, entry);
+          getSkillCategories(name).forEach(category => personCategories.add(category.name));
+        });
+        personCategories.forEach(category => {
+          categoriesMap.set(category, (categoriesMap.get(category) || 0) + 1);
         });
       }
       
@@ -251,7 +331,11 @@ export const analyzeTrendingSkills = (searchResults) => {
     });
     
     // Convert to sorted arrays
-    const topSkills = Array.from(skillsMap.entries())
+    const topSkills = Array.from(skillsMap.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    const topCategories = Array.from(categoriesMap.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, 10)
       .map(([name, count]) => ({ name, count }));
@@ -263,6 +347,7 @@ export const analyzeTrendingSkills = (searchResults) => {
     
     return {
       topSkills,
+      topCategories,
       topStrengths,
       totalPeople: searchResults.length,
       analysis: {
@@ -276,6 +361,7 @@ export const analyzeTrendingSkills = (searchResults) => {
     console.error('Error analyzing trending skills:', error);
     return {
       topSkills: [],
+      topCategories: [],
       topStrengths: [],
       totalPeople: 0,
       analysis: {},
@@ -288,5 +374,6 @@ export default {
   searchEntities,
   getUserGenome,
   searchJobs,
+  getJobDetails,
   analyzeTrendingSkills,
 };
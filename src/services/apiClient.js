@@ -0,0 +1,606 @@
+import axios from 'axios';
+
+/**
+ * API Client
+ * Every request to Torre goes through here. The client caps how many requests run
+ * at once, retries rate-limited, failing and unreachable requests with exponential
+ * backoff (honouring `Retry-After`), shares identical in-flight requests and turns
+ * failures into typed errors the UI can render. Every request takes an optional
+ * AbortSignal; cancelled requests reject with an error named `AbortError`.
+ */
+
+// Browsers open at most six connections per host, more would only queue there
+const MAX_CONCURRENT_REQUESTS = 6;
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Idle timeout for streamed responses - reset every time a chunk arrives
+ */
+const STREAM_IDLE_TIMEOUT = 15000;
+
+/**
+ * Kinds of API errors, so the UI can pick how to present them
+ */
+export const API_ERROR_KINDS = {
+  offline: 'offline',
+  network: 'network',
+  timeout: 'timeout',
+  rateLimited: 'rate-limited',
+  notFound: 'not-found',
+  server: 'server',
+  request: 'request',
+};
+
+/**
+ * Base class for every error the client throws
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {string} details.kind - One of API_ERROR_KINDS
+   * @param {number} details.status - HTTP status, if the server answered
+   * @param {boolean} details.retryable - Whether trying again may succeed
+   * @param {number} details.retryAfter - Milliseconds the server asked us to wait
+   * @param {string} details.url - Requested URL
+   */
+  constructor(message, { kind = API_ERROR_KINDS.request, status = null, retryable = false, retryAfter = null, url = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.url = url;
+  }
+}
+
+/**
+ * The server could not be reached, or did not answer in time
+ */
+export class NetworkRequestError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { kind: API_ERROR_KINDS.network, retryable: true, ...details });
+    this.name = 'NetworkRequestError';
+  }
+}
+
+/**
+ * The server answered 429 Too Many Requests
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { kind: API_ERROR_KINDS.rateLimited, status: 429, retryable: true, ...details });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The requested resource does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { kind: API_ERROR_KINDS.notFound, status: 404, ...details });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error for a request cancelled through its AbortSignal, named like the DOM's
+ * @returns {Error} Abort error
+ */
+const createAbortError = () => {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Whether an error only means the request was cancelled
+ * @param {Error} error - Any error
+ * @returns {boolean} True for aborted requests
+ */
+export const isAbortError = (error) => error?.name === 'AbortError' || axios.isCancel(error);
+
+/**
+ * Whether an error means Torre could not be reached at all
+ * @param {Error} error - Any error
+ * @returns {boolean} True for being offline, network failures and timeouts
+ */
+export const isConnectivityError = (error) => (
+  error?.kind === API_ERROR_KINDS.offline
+  || error?.kind === API_ERROR_KINDS.network
+  || error?.kind === API_ERROR_KINDS.timeout
+);
+
+/**
+ * Whether the browser knows it has no connection
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const http = axios.create({
+  timeout: REQUEST_TIMEOUT,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add request interceptor for debugging
+http.interceptors.request.use(
+  (config) => {
+    console.log(`Making ${config.method?.toUpperCase()} request to:`, config.url);
+    return config;
+  },
+  (error) => {
+    console.error('Request interceptor error:', error);
+    return Promise.reject(error);
+  }
+);
+
+// Add response interceptor for debugging
+http.interceptors.response.use(
+  (response) => {
+    console.log(`Received response from:`, response.config.url, 'Status:', response.status);
+    return response;
+  },
+  (error) => {
+    console.error('Response interceptor error:', {
+      url: error.config?.url,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data
+    });
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds to wait
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Turn an HTTP error response into a typed error
+ * @param {Object} response - `{ status, statusText, data, headers }`
+ * @param {Object} context - Error context
+ * @param {string} context.service - Name of the API, used in messages
+ * @param {string} context.notFound - Message for a 404
+ * @param {string} url - Requested URL
+ * @returns {ApiError} Typed error
+ */
+const errorFromResponse = (response, { service, notFound }, url) => {
+  const { status } = response;
+
+  if (status === 404) {
+    return new NotFoundError(notFound || `${service}: resource not found`, { url });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    return new RateLimitError(`${service} is receiving too many requests. Please wait a moment.`, { retryAfter, url });
+  }
+
+  const message = response.data?.message || response.statusText || 'Unknown error';
+  const isServerError = status >= 500;
+  return new ApiError(`${service} Error ${status}: ${message}`, {
+    kind: isServerError ? API_ERROR_KINDS.server : API_ERROR_KINDS.request,
+    status,
+    retryable: isServerError || status === 408,
+    url,
+  });
+};
+
+/**
+ * Turn anything thrown while making a request into a typed error
+ * @param {Error} error - Axios, fetch or client error
+ * @param {Object} context - Error context (see errorFromResponse)
+ * @param {string} url - Requested URL
+ * @returns {Error} Typed error, or an AbortError for cancelled requests
+ */
+const toApiError = (error, context, url) => {
+  if (error instanceof ApiError) return error;
+  if (isAbortError(error)) return createAbortError();
+
+  if (error.response) {
+    return errorFromResponse(error.response, context, url);
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new NetworkRequestError(`${context.service} took too long to answer. Please try again.`, {
+      kind: API_ERROR_KINDS.timeout,
+      url,
+    });
+  }
+  return new NetworkRequestError(
+    `Network error: Unable to reach ${context.service}. Please check your internet connection.`,
+    { url }
+  );
+};
+
+// Concurrency limiting and rate-limit pauses shared by every request
+let activeRequests = 0;
+const waitingRequests = [];
+let pausedUntil = 0;
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Wait for a free request slot, leaving the queue if the signal aborts first
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+const acquireSlot = (signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests += 1;
+    resolve();
+    return;
+  }
+
+  const onAbort = () => {
+    const index = waitingRequests.indexOf(grant);
+    if (index !== -1) waitingRequests.splice(index, 1);
+    reject(createAbortError());
+  };
+  const grant = () => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  waitingRequests.push(grant);
+});
+
+/**
+ * Hand the slot to the next waiting request, or free it
+ */
+const releaseSlot = () => {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests -= 1;
+  }
+};
+
+/**
+ * Run a task in a request slot, after any rate-limit pause has passed
+ * @param {Function} task - Async task
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} Task result
+ */
+const runInSlot = async (task, signal) => {
+  await acquireSlot(signal);
+  try {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause, signal);
+    return await task();
+  } finally {
+    releaseSlot();
+  }
+};
+
+/**
+ * Delay before the next attempt: exponential with jitter, or what the server asked for
+ * @param {number} attempt - Attempts made so far, starting at 1
+ * @param {ApiError} error - Error from the last attempt
+ * @returns {number} Milliseconds to wait
+ */
+const getRetryDelay = (attempt, error) => {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter, MAX_RETRY_DELAY);
+  }
+  const exponential = Math.min(BASE_RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Run an attempt until it succeeds, fails for good or runs out of retries
+ * A rate-limited answer pauses every queued request, not only this one.
+ * @param {Function} attempt - Makes one attempt and returns its result
+ * @param {Object} context - Error context (see errorFromResponse)
+ * @param {string} url - Requested URL
+ * @param {number} retries - Retries allowed
+ * @param {AbortSignal} signal - Cancels the attempt and any wait before the next one
+ * @returns {Promise} Attempt result
+ */
+const withRetries = async (attempt, context, url, retries, signal) => {
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    // Backing off is pointless without a connection, so fail straight away
+    if (isOffline()) {
+      throw new NetworkRequestError(`You're offline, so ${context.service} can't be reached.`, {
+        kind: API_ERROR_KINDS.offline,
+        retryable: false,
+        url,
+      });
+    }
+
+    try {
+      return await runInSlot(attempt, signal);
+    } catch (rawError) {
+      const error = toApiError(rawError, context, url);
+      if (!(error instanceof ApiError) || !error.retryable || attemptNumber > retries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attemptNumber, error);
+      if (error instanceof RateLimitError) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      console.warn(`Retrying ${url} in ${Math.round(delay)}ms (attempt ${attemptNumber} of ${retries}):`, error.message);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+// Identical requests currently in flight, keyed by method, URL, params and body
+const inFlightRequests = new Map();
+
+/**
+ * Join a shared in-flight request
+ * The shared request is only cancelled once every caller that joined it has aborted.
+ * @param {Object} entry - In-flight entry `{ promise, controller, callers }`
+ * @param {AbortSignal} signal - The caller's abort signal
+ * @param {Function} onAbandoned - Called when the last caller aborts
+ * @returns {Promise} Shared result, or an AbortError for this caller
+ */
+const joinRequest = (entry, signal, onAbandoned) => {
+  entry.callers += 1;
+  // Without a signal this caller never leaves, so the request always runs to the end
+  if (!signal) return entry.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.callers -= 1;
+      if (entry.callers === 0) onAbandoned();
+      reject(createAbortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Make a JSON request through the shared client
+ * Identical requests made while one is in flight share its result.
+ * @param {Object} config - Request config
+ * @param {string} config.method - HTTP method
+ * @param {string} config.url - Endpoint URL
+ * @param {Object} config.params - Query parameters
+ * @param {Object} config.data - Request body
+ * @param {string} config.service - Name of the API, used in error messages
+ * @param {string} config.notFound - Error message for a 404
+ * @param {number} config.retries - Retries allowed
+ * @param {AbortSignal} config.signal - Cancels the request for this caller
+ * @returns {Promise<Object>} Axios response
+ */
+export const request = ({
+  method = 'get',
+  url,
+  params,
+  data,
+  service = 'Torre API',
+  notFound,
+  retries = MAX_RETRIES,
+  signal,
+}) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  const key = JSON.stringify([method.toLowerCase(), url, params ?? null, data ?? null]);
+  let entry = inFlightRequests.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, callers: 0 };
+    entry.promise = withRetries(
+      () => http.request({ method, url, params, data, signal: controller.signal }),
+      { service, notFound },
+      url,
+      retries,
+      controller.signal
+    ).finally(() => {
+      if (inFlightRequests.get(key) === entry) inFlightRequests.delete(key);
+    });
+    // Callers that joined without a signal handle the outcome themselves
+    entry.promise.catch(() => {});
+    inFlightRequests.set(key, entry);
+  }
+
+  const joined = entry;
+  return joinRequest(joined, signal, () => {
+    // Later identical requests start afresh instead of joining a cancelled one
+    if (inFlightRequests.get(key) === joined) inFlightRequests.delete(key);
+    joined.controller.abort();
+  });
+};
+
+/**
+ * Parse a single NDJSON line, skipping blanks and malformed lines
+ * @param {string} line - Raw line
+ * @returns {Object|null} Parsed object
+ */
+const parseNdjsonLine = (line) => {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    console.warn('Failed to parse line:', line);
+    return null;
+  }
+};
+
+/**
+ * Make one streamed POST and hand each object over as soon as it arrives
+ * Failures mirror axios (`error.response` / `error.request`) so toApiError handles both alike.
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Function} emit - Called with every raw line
+ * @param {AbortSignal} signal - Optional abort signal from the caller
+ */
+const streamOnce = async (url, body, emit, signal) => {
+  const controller = new AbortController();
+  let idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+  };
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  // The caller aborting is a cancellation, our own idle abort is a timeout
+  const asRequestError = (cause) => {
+    if (signal?.aborted) return createAbortError();
+    const error = new Error(cause.message);
+    error.request = { url };
+    if (controller.signal.aborted) error.code = 'ETIMEDOUT';
+    return error;
+  };
+
+  console.log('Making POST stream request to:', url);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (fetchError) {
+      throw asRequestError(fetchError);
+    }
+
+    console.log('Received response from:', url, 'Status:', response.status);
+
+    if (!response.ok) {
+      const error = new Error(`Request failed with status ${response.status}`);
+      error.response = {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'retry-after': response.headers.get('Retry-After') },
+        data: await response.json().catch(() => null),
+      };
+      throw error;
+    }
+
+    // Browsers without streaming bodies get the whole payload at once
+    if (!response.body?.getReader) {
+      (await response.text()).split('\n').forEach(emit);
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (readError) {
+        throw asRequestError(readError);
+      }
+      if (chunk.done) break;
+
+      resetIdleTimer();
+      buffer += decoder.decode(chunk.value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emit);
+    }
+
+    emit(buffer + decoder.decode());
+  } finally {
+    clearTimeout(idleTimer);
+    signal?.removeEventListener('abort', cancel);
+  }
+};
+
+/**
+ * POST to a newline-delimited JSON endpoint and hand each object over as soon as it arrives
+ * A stream is only retried if it failed before delivering anything, so callers never
+ * see an object twice. Streams are not shared between callers since each has its own onItem.
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Function} onItem - Called with every parsed object
+ * @param {Object} options - Stream options
+ * @param {string} options.service - Name of the API, used in error messages
+ * @param {AbortSignal} options.signal - Cancels the stream
+ * @returns {Promise<Array>} All parsed objects once the stream ends
+ */
+export const postNdjsonStream = (url, body, onItem, { service = 'Torre API', signal } = {}) => {
+  const items = [];
+  const emit = (line) => {
+    const item = parseNdjsonLine(line);
+    if (item) {
+      items.push(item);
+      onItem?.(item);
+    }
+  };
+
+  const attempt = async () => {
+    try {
+      await streamOnce(url, body, emit, signal);
+    } catch (error) {
+      if (items.length > 0 && !isAbortError(error)) {
+        // Partial results were already handed over, retrying would repeat them
+        const apiError = toApiError(error, { service }, url);
+        apiError.retryable = false;
+        throw apiError;
+      }
+      throw error;
+    }
+    return items;
+  };
+
+  return withRetries(attempt, { service }, url, MAX_RETRIES, signal);
+};
+
+export default {
+  request,
+  postNdjsonStream,
+  isConnectivityError,
+  isAbortError,
+  isOffline,
+  API_ERROR_KINDS,
+  ApiError,
+  NetworkRequestError,
+  RateLimitError,
+  NotFoundError,
+};
@@ -0,0 +1,48 @@
+/**
+ * Cached Searches
+ * The latest people search results, kept in IndexedDB so a search that was
+ * run before can still be shown without a connection.
+ */
+
+import { STORES, getRecord, putRecord, deleteRecord, countRecords, getKeysByIndex } from './db.js';
+
+const MAX_CACHED_SEARCHES = 30;
+
+/**
+ * Keep the results of a search, dropping the oldest searches beyond the cap
+ * @param {string} key - Search key (query, page, page size and filters)
+ * @param {Object} entry - `{ query, results, totalResults }`
+ */
+export const cacheSearchResults = async (key, entry) => {
+  try {
+    await putRecord(STORES.searches, { ...entry, key, savedAt: Date.now() });
+
+    const count = await countRecords(STORES.searches);
+    if (count > MAX_CACHED_SEARCHES) {
+      // Keys come back oldest first
+      const keys = await getKeysByIndex(STORES.searches, 'savedAt');
+      await Promise.all(keys.slice(0, count - MAX_CACHED_SEARCHES).map(oldKey => deleteRecord(STORES.searches, oldKey)));
+    }
+  } catch (error) {
+    console.warn('Could not cache search results:', error);
+  }
+};
+
+/**
+ * Look up the saved results of a search
+ * @param {string} key - Search key
+ * @returns {Promise<Object|null>} `{ key, query, results, totalResults, savedAt }`
+ */
+export const getCachedSearchResults = async (key) => {
+  try {
+    return (await getRecord(STORES.searches, key)) || null;
+  } catch (error) {
+    console.warn('Could not read cached search results:', error);
+    return null;
+  }
+};
+
+export default {
+  cacheSearchResults,
+  getCachedSearchResults,
+};
@@ -0,0 +1,193 @@
+/**
+ * Candidate Import
+ * Turns a CSV/TSV file or a pasted list of Torre usernames and profile links
+ * into people, fetching each genome through the shared genome cache.
+ */
+
+import { getGenome } from './genomeStore.js';
+import { API_ERROR_KINDS, isAbortError } from './apiClient.js';
+
+// Header cells that name the username column
+const USERNAME_HEADERS = ['username', 'user', 'handle', 'torre', 'torre username', 'profile', 'torre profile', 'profile url', 'url', 'link'];
+// Header cells that name the column with people's names
+const NAME_HEADERS = ['name', 'full name', 'candidate', 'candidate name'];
+
+const PROFILE_URL_PATTERN = /^(https?:\/\/)?(www\.)?torre\.ai\//i;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Read a Torre username from a username, an @handle or a torre.ai profile link
+ * @param {string} value - Text as written
+ * @returns {string|null} Username, or null when the text isn't one
+ */
+export const parseProfileReference = (value) => {
+  const text = (value || '').trim();
+  const username = text.replace(/^@/, '').replace(PROFILE_URL_PATTERN, '').split(/[/?#]/)[0];
+  return USERNAME_PATTERN.test(username) ? username : null;
+};
+
+/**
+ * Split one line of delimited text into cells, honouring double quotes
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<string>} Cells
+ */
+const splitCells = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Guess the delimiter from the first line: tabs, then commas, then semicolons
+ * @param {string} line - First line
+ * @returns {string|null} Delimiter, or null for one value per line
+ */
+const detectDelimiter = (line) => ['\t', ',', ';'].find(delimiter => line.includes(delimiter)) || null;
+
+/**
+ * Parse an imported list into rows, one per candidate
+ * A header row naming a username column (and optionally a name column) is
+ * used when present; otherwise each line's first profile link, or else its
+ * first cell that reads as a username, is taken. A single pasted line is read
+ * as a list. Duplicates and unreadable entries are kept with an error so they
+ * can be reported.
+ * @param {string} text - File contents or pasted text
+ * @returns {Array} Rows `{ line, input, username, name, error }`
+ */
+export const parseCandidateList = (text) => {
+  const lines = (text || '').split(/\r?\n/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(({ content }) => content.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(lines[0].content);
+  const table = lines.map(({ content, line }) => ({
+    line,
+    cells: delimiter ? splitCells(content, delimiter) : [content.trim()]
+  }));
+
+  // Header row
+  const header = table[0].cells.map(cell => cell.toLowerCase());
+  const usernameColumn = header.findIndex(cell => USERNAME_HEADERS.includes(cell));
+  const nameColumn = header.findIndex(cell => NAME_HEADERS.includes(cell));
+  const hasHeader = usernameColumn !== -1;
+  const body = hasHeader ? table.slice(1) : table;
+
+  let entries;
+  if (hasHeader) {
+    entries = body.map(({ line, cells }) => ({
+      line,
+      input: cells[usernameColumn] || '',
+      name: nameColumn !== -1 ? cells[nameColumn] || null : null
+    }));
+  } else if (body.length === 1) {
+    // A pasted line such as "alice, bob, carol" or "alice bob carol"
+    entries = body[0].cells
+      .flatMap(cell => cell.split(/\s+/))
+      .filter(Boolean)
+      .map(input => ({ line: body[0].line, input, name: null }));
+  } else {
+    entries = body.map(({ line, cells }) => ({
+      line,
+      input: cells.find(cell => PROFILE_URL_PATTERN.test(cell)) || cells.find(parseProfileReference) || cells[0] || '',
+      name: null
+    }));
+  }
+
+  const firstLineByUsername = new Map();
+  return entries.map(entry => {
+    const username = parseProfileReference(entry.input);
+    if (!username) {
+      return { ...entry, username: null, error: 'Not a Torre username or profile link' };
+    }
+
+    const key = username.toLowerCase();
+    if (firstLineByUsername.has(key)) {
+      return { ...entry, username, error: `Duplicate of line ${firstLineByUsername.get(key)}` };
+    }
+    firstLineByUsername.set(key, entry.line);
+    return { ...entry, username, error: null };
+  });
+};
+
+/**
+ * Person for an imported username, from their genome
+ * @param {string} username - Torre username
+ * @param {Object} genome - Genome data
+ * @param {string} fallbackName - Name from the imported file
+ * @returns {Object} Person
+ */
+const toImportedPerson = (username, genome, fallbackName) => {
+  const person = genome?.person || genome || {};
+  return {
+    username,
+    name: person.name || fallbackName || username,
+    professionalHeadline: person.professionalHeadline || '',
+    picture: person.picture || null,
+    location: person.location || null,
+    verified: person.verified || false
+  };
+};
+
+/**
+ * Fetch the genome of every readable row
+ * Requests go through the API client, which caps how many run at once.
+ * @param {Array} rows - Rows from parseCandidateList
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with `{ username, person, error }` as each row finishes
+ * @param {AbortSignal} options.signal - Cancels the rows still waiting
+ * @returns {Promise<Array>} `{ username, person, error }` per fetched row, in row order
+ */
+export const fetchCandidateGenomes = async (rows, { onProgress, signal } = {}) => {
+  const pending = rows.filter(row => row.username && !row.error);
+
+  const results = await Promise.all(pending.map(async (row) => {
+    let result;
+    try {
+      const response = await getGenome(row.username, { signal });
+      result = { username: row.username, person: toImportedPerson(row.username, response.data, row.name), error: null };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      result = {
+        username: row.username,
+        person: null,
+        error: error.kind === API_ERROR_KINDS.notFound ? 'No Torre profile with this username' : error.message
+      };
+    }
+    onProgress?.(result);
+    return result;
+  }));
+
+  return results;
+};
+
+export default {
+  parseProfileReference,
+  parseCandidateList,
+  fetchCandidateGenomes,
+};
@@ -0,0 +1,319 @@
+/**
+ * Career Metrics
+ * Figures derived from a person's formatted experiences: total experience
+ * (overlapping roles counted once), tenure per employer, time in the current
+ * role, seniority inferred from titles and how it progressed, and industry mix.
+ */
+
+import { formatExperiences } from '../utils/dataProcessing.js';
+
+/**
+ * Seniority implied by a role title, highest first (unmatched titles count as MID_SENIORITY)
+ */
+export const SENIORITY_LEVELS = [
+  { level: 4, id: 'executive', label: 'Executive', pattern: /\b(chief|c[etfo]o|vp|vice president|head of|director|founder|co-founder|partner)\b/ },
+  { level: 3, id: 'lead', label: 'Lead', pattern: /\b(principal|staff|lead|manager|architect)\b/ },
+  { level: 2, id: 'senior', label: 'Senior', pattern: /\b(senior|sr)\b/ },
+  { level: 0, id: 'entry', label: 'Entry', pattern: /\b(intern|trainee|apprentice|junior|jr)\b/ },
+];
+export const MID_SENIORITY = { level: 1, id: 'mid', label: 'Mid-level' };
+
+/**
+ * Every seniority level, lowest first
+ */
+export const SENIORITY_SCALE = [...SENIORITY_LEVELS, MID_SENIORITY].sort((a, b) => a.level - b.level);
+
+/**
+ * Tenure profiles by average months spent per employer
+ */
+export const TENURE_PROFILES = {
+  short: { id: 'short', label: 'Frequent moves', maxAverageMonths: 18 },
+  moderate: { id: 'moderate', label: 'Moderate tenure', maxAverageMonths: 48 },
+  long: { id: 'long', label: 'Long tenure', maxAverageMonths: Infinity },
+};
+
+// Fewer employers than this isn't enough to call someone a frequent mover
+const MIN_EMPLOYERS_FOR_PROFILE = 2;
+
+/**
+ * Month index (months since year 0) of a year and month
+ * @param {number|string} year - Year
+ * @param {number|string} month - Month (1-12)
+ * @param {number} fallbackMonth - Month used when `month` is missing
+ * @returns {number|null} Month index, or null without a valid year
+ */
+export const toMonthIndex = (year, month, fallbackMonth = 1) => {
+  const y = parseInt(year, 10);
+  if (!y || y < 1900) return null;
+  const m = parseInt(month, 10);
+  return y * 12 + ((m >= 1 && m <= 12 ? m : fallbackMonth) - 1);
+};
+
+/**
+ * Month index of the current month
+ * @returns {number} Month index
+ */
+export const currentMonthIndex = () => {
+  const now = new Date();
+  return now.getFullYear() * 12 + now.getMonth();
+};
+
+/**
+ * Date range of a formatted experience or education entry, in month indexes
+ * Both ends are inclusive. A missing start month counts from January and a
+ * missing end month up to December; entries with no end are current.
+ * @param {Object} entry - Entry from formatExperiences or formatEducation
+ * @param {number} now - Month index of the current month
+ * @returns {Object|null} `{ start, end, current, approximate }`, or null without a start year
+ */
+export const getEntryRange = (entry, now = currentMonthIndex()) => {
+  const start = toMonthIndex(entry.fromYear, entry.fromMonth, 1);
+  if (start === null) return null;
+
+  const current = !entry.toYear;
+  const end = current ? now : toMonthIndex(entry.toYear, entry.toMonth, 12);
+  return {
+    start,
+    // Dates entered the wrong way round still count as one month
+    end: Math.max(start, end ?? now),
+    current,
+    approximate: !entry.fromMonth || (!current && !entry.toMonth)
+  };
+};
+
+/**
+ * Number of months a range covers
+ * @param {Object} range - `{ start, end }` in month indexes
+ * @returns {number} Months
+ */
+export const rangeMonths = (range) => range.end - range.start + 1;
+
+/**
+ * Merge overlapping and touching ranges
+ * @param {Array} ranges - `{ start, end }` ranges
+ * @returns {Array} Merged ranges, earliest first
+ */
+export const mergeRanges = (ranges) => {
+  const merged = [];
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+  return merged;
+};
+
+/**
+ * Format a number of months as "2 yrs 3 mos"
+ * @param {number} months - Months
+ * @returns {string} Duration
+ */
+export const formatDuration = (months) => {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const parts = [];
+  if (years > 0) parts.push(`${years} ${years === 1 ? 'yr' : 'yrs'}`);
+  if (rest > 0 || years === 0) parts.push(`${rest} ${rest === 1 ? 'mo' : 'mos'}`);
+  return parts.join(' ');
+};
+
+/**
+ * Seniority level implied by a role title
+ * @param {string} title - Role title
+ * @returns {Object} `{ level, id, label }` of the matching SENIORITY_LEVELS entry, or MID_SENIORITY
+ */
+export const inferSeniority = (title) => {
+  const lower = (title || '').toLowerCase();
+  const { level, id, label } = SENIORITY_LEVELS.find(({ pattern }) => pattern.test(lower)) || MID_SENIORITY;
+  return { level, id, label };
+};
+
+/**
+ * Whether a formatted experience is a job (Torre also lists studies as experiences)
+ * @param {Object} experience - Formatted experience
+ * @returns {boolean} True for jobs
+ */
+export const isJobExperience = (experience) => (experience.category || '').toLowerCase() !== 'education';
+
+/**
+ * Middle value of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median, or 0 for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Pick the tenure profile for an average tenure
+ * @param {number} averageMonths - Average months per employer
+ * @param {number} employerCount - Number of employers
+ * @returns {Object|null} Entry of TENURE_PROFILES, or null with too few employers
+ */
+const getTenureProfile = (averageMonths, employerCount) => {
+  if (employerCount < MIN_EMPLOYERS_FOR_PROFILE) return null;
+  return Object.values(TENURE_PROFILES).find(profile => averageMonths < profile.maxAverageMonths);
+};
+
+/**
+ * Compute career metrics from formatted experiences
+ * Studies listed as experiences are left out. Jobs without a start year
+ * still count towards employers and seniority, but not towards time.
+ * @param {Array} experiences - Output of formatExperiences
+ * @returns {Object} Metrics:
+ *   - `totalMonths`, `totalYears`: time employed, overlapping roles counted once
+ *   - `employerCount`, `employers`: `{ name, months, roles, current, industry }` per employer, longest first
+ *   - `tenure`: `{ averageMonths, medianMonths, longestMonths, shortestMonths, profile }` per employer
+ *   - `currentRole`: `{ title, organization, months }` of the latest current job, or null
+ *   - `seniority`: `{ current, highest, progression, promotions }`; progression lists each change of level
+ *   - `industries`: `{ name, months, share }` by time spent, largest first
+ *   - `overlappingRoles`: jobs held at the same time as another
+ */
+export const computeCareerMetrics = (experiences = []) => {
+  const now = currentMonthIndex();
+  const jobs = experiences
+    .filter(isJobExperience)
+    .map(experience => ({
+      experience,
+      range: getEntryRange(experience, now),
+      organization: experience.organizations?.[0]?.name?.trim() || null,
+      industry: experience.organizations?.[0]?.industry || null,
+      seniority: inferSeniority(experience.name)
+    }));
+  const dated = jobs
+    .filter(job => job.range)
+    .sort((a, b) => a.range.start - b.range.start);
+
+  const totalMonths = mergeRanges(dated.map(job => job.range))
+    .reduce((sum, range) => sum + rangeMonths(range), 0);
+
+  // Months per employer, not counting the same months twice for concurrent roles there
+  const byEmployer = new Map();
+  jobs.forEach(job => {
+    const name = job.organization || job.experience.name || 'Unknown';
+    const key = name.toLowerCase();
+    if (!byEmployer.has(key)) {
+      byEmployer.set(key, { name, ranges: [], roles: 0, current: false, industry: null });
+    }
+    const employer = byEmployer.get(key);
+    if (job.range) employer.ranges.push(job.range);
+    employer.roles += 1;
+    employer.current = employer.current || Boolean(job.range?.current);
+    employer.industry = employer.industry || job.industry;
+  });
+  const employers = [...byEmployer.values()]
+    .map(({ ranges, ...employer }) => ({
+      ...employer,
+      months: mergeRanges(ranges).reduce((sum, range) => sum + rangeMonths(range), 0)
+    }))
+    .sort((a, b) => b.months - a.months);
+
+  const tenures = employers.filter(employer => employer.months > 0).map(employer => employer.months);
+  const averageMonths = tenures.length > 0
+    ? Math.round(tenures.reduce((sum, months) => sum + months, 0) / tenures.length)
+    : 0;
+
+  // Side roles held within a longer job (advisor, board seat) don't mark a step in the career
+  const isSideRole = (job) => dated.some(other =>
+    other !== job
+    && other.range.start <= job.range.start
+    && other.range.end >= job.range.end
+    && rangeMonths(other.range) > rangeMonths(job.range)
+  );
+  const mainJobs = dated.filter(job => !isSideRole(job));
+  const currentJob = [...mainJobs].reverse().find(job => job.range.current);
+
+  // Seniority over time: the level of each main job, recording only changes
+  const progression = [];
+  mainJobs.forEach(job => {
+    const last = progression[progression.length - 1];
+    if (!last || last.level !== job.seniority.level) {
+      progression.push({
+        level: job.seniority.level,
+        id: job.seniority.id,
+        label: job.seniority.label,
+        title: job.experience.name,
+        start: job.range.start
+      });
+    }
+  });
+  const highest = jobs.reduce((best, job) => (!best || job.seniority.level > best.level ? job.seniority : best), null);
+  const current = currentJob?.seniority || (mainJobs.length > 0 ? mainJobs[mainJobs.length - 1].seniority : highest);
+
+  // Industry mix by time spent
+  const industryMonths = new Map();
+  dated.forEach(job => {
+    if (!job.industry) return;
+    const key = job.industry.toLowerCase();
+    const entry = industryMonths.get(key) || { name: job.industry, months: 0 };
+    entry.months += rangeMonths(job.range);
+    industryMonths.set(key, entry);
+  });
+  const industryTotal = [...industryMonths.values()].reduce((sum, industry) => sum + industry.months, 0);
+  const industries = [...industryMonths.values()]
+    .map(industry => ({ ...industry, share: industry.months / industryTotal }))
+    .sort((a, b) => b.months - a.months);
+
+  return {
+    totalMonths,
+    totalYears: Math.round((totalMonths / 12) * 10) / 10,
+    employerCount: employers.length,
+    employers,
+    tenure: {
+      averageMonths,
+      medianMonths: median(tenures),
+      longestMonths: tenures.length > 0 ? Math.max(...tenures) : 0,
+      shortestMonths: tenures.length > 0 ? Math.min(...tenures) : 0,
+      profile: getTenureProfile(averageMonths, tenures.length)
+    },
+    currentRole: currentJob
+      ? {
+        title: currentJob.experience.name,
+        organization: currentJob.organization,
+        months: rangeMonths(currentJob.range)
+      }
+      : null,
+    seniority: {
+      current: current || null,
+      highest,
+      progression,
+      promotions: progression.filter((step, index) => index > 0 && step.level > progression[index - 1].level).length
+    },
+    industries,
+    overlappingRoles: dated.filter(job => dated.some(other =>
+      other !== job && other.range.start <= job.range.end && job.range.start <= other.range.end
+    )).length
+  };
+};
+
+/**
+ * Career metrics of a raw genome
+ * @param {Object} genome - Genome data
+ * @returns {Object} Metrics from computeCareerMetrics
+ */
+export const getCareerMetrics = (genome) => computeCareerMetrics(formatExperiences(genome?.experiences || []));
+
+export default {
+  SENIORITY_LEVELS,
+  MID_SENIORITY,
+  SENIORITY_SCALE,
+  TENURE_PROFILES,
+  toMonthIndex,
+  currentMonthIndex,
+  getEntryRange,
+  rangeMonths,
+  mergeRanges,
+  formatDuration,
+  inferSeniority,
+  isJobExperience,
+  computeCareerMetrics,
+  getCareerMetrics,
+};
@@ -0,0 +1,89 @@
+/**
+ * Career Timeline
+ * Places formatted experiences and education on a month-based timeline with
+ * overlapping roles on separate lanes and the gaps between jobs, alongside the
+ * career metrics of the jobs (tenure per organization, tenure profile).
+ */
+
+import {
+  currentMonthIndex,
+  getEntryRange,
+  rangeMonths,
+  mergeRanges,
+  isJobExperience,
+  computeCareerMetrics
+} from './careerMetrics.js';
+
+// Breaks between jobs shorter than this aren't reported as gaps
+export const MIN_GAP_MONTHS = 3;
+
+/**
+ * Build the career timeline of a person
+ * @param {Array} experiences - Output of formatExperiences
+ * @param {Array} education - Output of formatEducation
+ * @returns {Object} Timeline:
+ *   - `start`, `end`: month indexes spanned by dated entries (null without any)
+ *   - `entries`: dated jobs and studies with `kind`, `range`, `months` and a `lane` per kind
+ *   - `undated`: entries without a start year
+ *   - `gaps`: breaks of at least MIN_GAP_MONTHS between jobs, as `{ start, end, months }`
+ *   - `metrics`: career metrics of the jobs (see services/careerMetrics.js)
+ */
+export const buildCareerTimeline = (experiences = [], education = []) => {
+  const now = currentMonthIndex();
+  const entries = [];
+  const undated = [];
+
+  const place = (items, kind) => items.forEach((item, index) => {
+    const entry = {
+      id: item.id || `${kind}-${index}`,
+      kind,
+      title: item.name || (kind === 'job' ? 'Position' : 'Studies'),
+      organization: item.organizations?.[0]?.name || null,
+      source: item
+    };
+    const range = getEntryRange(item, now);
+    if (range) {
+      entries.push({ ...entry, range, months: rangeMonths(range) });
+    } else {
+      undated.push(entry);
+    }
+  });
+  const jobExperiences = experiences.filter(isJobExperience);
+  place(jobExperiences, 'job');
+  place(education, 'study');
+
+  // Lanes per kind so overlapping roles sit on separate rows
+  const laneEnds = { job: [], study: [] };
+  entries
+    .sort((a, b) => a.range.start - b.range.start || b.months - a.months)
+    .forEach(entry => {
+      const ends = laneEnds[entry.kind];
+      let lane = ends.findIndex(end => end < entry.range.start);
+      if (lane === -1) lane = ends.length;
+      ends[lane] = entry.range.end;
+      entry.lane = lane;
+    });
+
+  const jobs = entries.filter(entry => entry.kind === 'job');
+  const worked = mergeRanges(jobs.map(job => job.range));
+
+  const gaps = [];
+  for (let i = 1; i < worked.length; i++) {
+    const gap = { start: worked[i - 1].end + 1, end: worked[i].start - 1 };
+    if (rangeMonths(gap) >= MIN_GAP_MONTHS) gaps.push({ ...gap, months: rangeMonths(gap) });
+  }
+
+  return {
+    start: entries.length > 0 ? Math.min(...entries.map(entry => entry.range.start)) : null,
+    end: entries.length > 0 ? Math.max(...entries.map(entry => entry.range.end)) : null,
+    entries,
+    undated,
+    gaps,
+    metrics: computeCareerMetrics(jobExperiences)
+  };
+};
+
+export default {
+  MIN_GAP_MONTHS,
+  buildCareerTimeline,
+};
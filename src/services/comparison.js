@@ -3,26 +3,42 @@
  * Handles comparison logic and recommendation algorithms for Torre professionals
  */
 
+import { formatExperiences, formatEducation } from '../utils/dataProcessing.js';
+import { SKILL_MATCH_MODES, EXPERIENCE_DIRECTIONS, getScoringProfile, toProfileReference } from './scoringProfiles.js';
+import { getSkillId, findRelatedSkill } from '../utils/skillTaxonomy.js';
+import { computeCareerMetrics, formatDuration } from './careerMetrics.js';
+import { getLocation, workingHoursOverlap, teamOverlap, overlapScore, formatHours, MIN_OVERLAP_HOURS } from './timezones.js';
+import { toLanguageLevels, resolveFluency } from '../utils/languageFluency.js';
+
 /**
  * Calculate similarity score between two professionals based on their genome data
  * @param {Object} person1 - First person's genome data
  * @param {Object} person2 - Second person's genome data
+ * @param {Object} profile - Scoring profile (see scoringProfiles.js), balanced by default
  * @returns {Object} Similarity analysis with scores and details
  */
-export const calculateSimilarity = (person1, person2) => {
+export const calculateSimilarity = (person1, person2, profile = getScoringProfile()) => {
   try {
     const analysis = {
+      profile: toProfileReference(profile),
       overallScore: 0,
       skillsScore: 0,
       strengthsScore: 0,
       experienceScore: 0,
       educationScore: 0,
+      timezoneScore: 0,
+      languagesScore: 0,
       details: {
         commonSkills: [],
         uniqueSkills1: [],
         uniqueSkills2: [],
+        relatedSkills: [],
         commonStrengths: [],
         skillGaps: [],
+        experience: null,
+        education: null,
+        timezone: null,
+        languages: null,
         recommendations: []
       }
     };
@@ -36,11 +52,12 @@ export const calculateSimilarity = (person1, person2) => {
     const strengths2 = extractStrengths(person2);
 
     // Calculate skills similarity
-    const skillsAnalysis = compareSkills(skills1, skills2);
+    const skillsAnalysis = compareSkills(skills1, skills2, profile.skillRules);
     analysis.skillsScore = skillsAnalysis.score;
     analysis.details.commonSkills = skillsAnalysis.common;
     analysis.details.uniqueSkills1 = skillsAnalysis.unique1;
     analysis.details.uniqueSkills2 = skillsAnalysis.unique2;
+    analysis.details.relatedSkills = skillsAnalysis.related;
     analysis.details.skillGaps = skillsAnalysis.gaps;
 
     // Calculate strengths similarity
@@ -49,18 +66,36 @@ export const calculateSimilarity = (person1, person2) => {
     analysis.details.commonStrengths = strengthsAnalysis.common;
 
     // Calculate experience similarity
-    analysis.experienceScore = compareExperience(person1, person2);
+    const experienceAnalysis = compareExperience(person1, person2, profile.experienceRules);
+    analysis.experienceScore = experienceAnalysis.score;
+    analysis.details.experience = experienceAnalysis;
 
     // Calculate education similarity
-    analysis.educationScore = compareEducation(person1, person2);
+    const educationAnalysis = compareEducation(person1, person2);
+    analysis.educationScore = educationAnalysis.score;
+    analysis.details.education = educationAnalysis;
+
+    // Working-hours overlap
+    const timezoneAnalysis = compareTimezones(person1, person2);
+    analysis.timezoneScore = timezoneAnalysis.score;
+    analysis.details.timezone = timezoneAnalysis;
+
+    // Calculate languages similarity
+    const languagesAnalysis = compareLanguages(person1, person2);
+    analysis.languagesScore = languagesAnalysis.score;
+    analysis.details.languages = languagesAnalysis;
 
-    // Calculate overall similarity score (weighted average)
-    analysis.overallScore = (
-      analysis.skillsScore * 0.4 +
-      analysis.strengthsScore * 0.3 +
-      analysis.experienceScore * 0.2 +
-      analysis.educationScore * 0.1
-    );
+    // Calculate overall similarity score (weighted average), leaving out
+    // experience, education, timezone or languages when either profile doesn't list any
+    const { weights } = profile;
+    analysis.overallScore = combineFactors([
+      { score: analysis.skillsScore, weight: weights.skills, available: true },
+      { score: analysis.strengthsScore, weight: weights.strengths, available: true },
+      { score: analysis.experienceScore, weight: weights.experience, available: experienceAnalysis.available },
+      { score: analysis.educationScore, weight: weights.education, available: educationAnalysis.available },
+      { score: analysis.timezoneScore, weight: weights.timezone, available: timezoneAnalysis.available },
+      { score: analysis.languagesScore, weight: weights.languages, available: languagesAnalysis.available }
+    ]);
 
     // Generate recommendations
     analysis.details.recommendations = generateComparisonRecommendations(analysis);
@@ -69,17 +104,25 @@ export const calculateSimilarity = (person1, person2) => {
   } catch (error) {
     console.error('Error calculating similarity:', error);
     return {
+      profile: toProfileReference(profile),
       overallScore: 0,
       skillsScore: 0,
       strengthsScore: 0,
       experienceScore: 0,
       educationScore: 0,
+      timezoneScore: 0,
+      languagesScore: 0,
       details: {
         commonSkills: [],
         uniqueSkills1: [],
         uniqueSkills2: [],
+        relatedSkills: [],
         commonStrengths: [],
         skillGaps: [],
+        experience: null,
+        education: null,
+        timezone: null,
+        languages: null,
         recommendations: [],
         error: error.message
       }
@@ -128,7 +171,7 @@ export const extractSkills = (person) => {
         
         skills.push({
           name: skill.name,
-          code: skill.code || skill.name.toLowerCase().replace(/\s+/g, '-'),
+          code: getSkillId(skill.name),
           proficiency: proficiency,
           type: 'skill'
         });
@@ -154,7 +197,7 @@ export const extractSkills = (person) => {
         
         skills.push({
           name: interest.name,
-          code: interest.code || interest.name.toLowerCase().replace(/\s+/g, '-'),
+          code: getSkillId(interest.name),
           proficiency: proficiency,
           type: 'interest'
         });
@@ -168,7 +211,7 @@ export const extractSkills = (person) => {
       if (strength.name) {
         skills.push({
           name: strength.name,
-          code: strength.code || strength.name.toLowerCase().replace(/\s+/g, '-'),
+          code: getSkillId(strength.name),
           proficiency: getProficiency(strength.weight || strength.proficiency),
           type: 'strength'
         });
@@ -206,12 +249,19 @@ export const extractStrengths = (person) => {
 
 /**
  * Compare skills between two professionals
- * @param {Array} skills1 - First person's skills
- * @param {Array} skills2 - Second person's skills
+ * @param {Array} allSkills1 - First person's skills
+ * @param {Array} allSkills2 - Second person's skills
+ * @param {Object} rules - Skill match rules from a scoring profile
  * @returns {Object} Skills comparison analysis
  */
-const compareSkills = (skills1, skills2) => {
+export const compareSkills = (allSkills1, allSkills2, rules = getScoringProfile().skillRules) => {
+  const { mode, minProficiency, gapProficiency } = rules;
+  // Skills below the profile's minimum proficiency don't count as held
+  const skills1 = dedupeSkills(allSkills1.filter(s => s.proficiency >= minProficiency));
+  const skills2 = dedupeSkills(allSkills2.filter(s => s.proficiency >= minProficiency));
+
   const common = [];
+  const related = [];
   const unique1 = [];
   const unique2 = [];
   const gaps = [];
@@ -243,9 +293,34 @@ const compareSkills = (skills1, skills2) => {
     }
   });
 
-  // Identify skill gaps (high proficiency in one, missing in other)
+  // Pair up remaining skills that are related in the skill taxonomy for partial credit,
+  // using each of person2's skills at most once
+  const unpaired2 = [...unique2];
+  unique1.forEach(skill1 => {
+    const match = findRelatedSkill(skill1.code, unpaired2, skill => skill.code);
+    if (match) {
+      const skill2 = match.skill;
+      unpaired2.splice(unpaired2.indexOf(skill2), 1);
+      related.push({
+        name1: skill1.name,
+        name2: skill2.name,
+        proficiency1: skill1.proficiency,
+        proficiency2: skill2.proficiency,
+        relation: match.relation,
+        credit: match.credit
+      });
+    }
+  });
+  const relatedNames1 = new Set(related.map(pair => pair.name1));
+  const relatedNames2 = new Set(related.map(pair => pair.name2));
+  const partialCredit = related.reduce((sum, pair) => sum + pair.credit, 0);
+
+  // Identify skill gaps (high proficiency in one, missing in other with nothing closely related)
+  const isCloselyRelated = (pair) => pair.relation === 'related';
+  const closeNames1 = new Set(related.filter(isCloselyRelated).map(pair => pair.name1));
+  const closeNames2 = new Set(related.filter(isCloselyRelated).map(pair => pair.name2));
   unique1.forEach(skill => {
-    if (skill.proficiency > 0.7) {
+    if (skill.proficiency > gapProficiency && !closeNames1.has(skill.name)) {
       gaps.push({
         skill: skill.name,
         missingIn: 'person2',
@@ -255,7 +330,7 @@ const compareSkills = (skills1, skills2) => {
   });
 
   unique2.forEach(skill => {
-    if (skill.proficiency > 0.7) {
+    if (skill.proficiency > gapProficiency && !closeNames2.has(skill.name)) {
       gaps.push({
         skill: skill.name,
         missingIn: 'person1',
@@ -264,20 +339,49 @@ const compareSkills = (skills1, skills2) => {
     }
   });
 
-  // Calculate similarity score
+  // Calculate similarity score; related skills count for part of a shared skill
   const totalSkills = skills1.length + skills2.length;
-  const commonCount = common.length;
-  const score = totalSkills > 0 ? (commonCount * 2) / totalSkills : 0;
+  const overlap = totalSkills > 0 ? ((common.length + partialCredit) * 2) / totalSkills : 0;
+  let score = overlap;
+
+  if (mode === SKILL_MATCH_MODES.coverage) {
+    // Full credit for each of person1's skills person2 holds at the same level or better
+    const covered = common.reduce((sum, skill) => (
+      sum + (skill.proficiency1 > 0 ? Math.min(1, skill.proficiency2 / skill.proficiency1) : 1)
+    ), 0);
+    score = skills1.length > 0 ? (covered + partialCredit) / skills1.length : 0;
+  } else if (mode === SKILL_MATCH_MODES.complement) {
+    // Mostly what person2 adds, with some shared ground to work from
+    const added = skills2.length > 0 ? (unique2.length - partialCredit) / skills2.length : 0;
+    score = added * 0.7 + overlap * 0.3;
+  }
 
   return {
     score: Math.min(score, 1),
     common,
-    unique1,
-    unique2,
+    related,
+    unique1: unique1.map(skill => ({ ...skill, hasRelated: relatedNames1.has(skill.name) })),
+    unique2: unique2.map(skill => ({ ...skill, hasRelated: relatedNames2.has(skill.name) })),
     gaps
   };
 };
 
+/**
+ * Keep one entry per skill when a profile lists the same skill under several spellings
+ * @param {Array} skills - Skills from extractSkills
+ * @returns {Array} Skills with distinct codes, highest proficiency kept
+ */
+const dedupeSkills = (skills) => {
+  const byCode = new Map();
+  skills.forEach(skill => {
+    const existing = byCode.get(skill.code);
+    if (!existing || skill.proficiency > existing.proficiency) {
+      byCode.set(skill.code, skill);
+    }
+  });
+  return Array.from(byCode.values());
+};
+
 /**
  * Compare strengths between two professionals
  * @param {Array} strengths1 - First person's strengths
@@ -286,7 +390,6 @@ const compareSkills = (skills1, skills2) => {
  */
 const compareStrengths = (strengths1, strengths2) => {
   const common = [];
-  const strengths1Codes = new Set(strengths1.map(s => s.code));
   const strengths2Codes = new Set(strengths2.map(s => s.code));
 
   // Find common strengths
@@ -312,37 +415,382 @@ const compareStrengths = (strengths1, strengths2) => {
   };
 };
 
+// Title words that say nothing about the kind of work
+const TITLE_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'de', 'en', 'for', 'in', 'of', 'on', 'the', 'to', 'y',
+  'senior', 'sr', 'junior', 'jr', 'lead', 'principal', 'staff', 'head', 'chief', 'intern', 'trainee'
+]);
+
+// Degree level implied by an education entry, highest first
+const DEGREE_LEVELS = [
+  { level: 5, label: 'Doctorate', pattern: /\b(ph\.?d|doctorate|doctor)\b/ },
+  { level: 4, label: 'Master', pattern: /\b(master|masters|msc|mba|m\.?s|m\.?a|meng|maestr[ií]a|magister|specialization|especializaci[oó]n)\b/ },
+  { level: 3, label: 'Bachelor', pattern: /\b(bachelor|bachelors|bsc|b\.?s|b\.?a|beng|licenciatura|degree|engineering|ingenier[ií]a|university)\b/ },
+  { level: 2, label: 'Associate', pattern: /\b(associate|technologist|tecn[oó]log[oa]|t[eé]cnic[oa]|technical)\b/ },
+  { level: 1, label: 'Certificate', pattern: /\b(certificate|certification|diploma|bootcamp|course|curso)\b/ },
+];
+
+/**
+ * Split a title or field into comparable lowercase words
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Meaningful words
+ */
+const toWordSet = (text) => new Set(
+  (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9áéíóúñü+#.]+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 1 && !TITLE_STOP_WORDS.has(word))
+);
+
+/**
+ * Dice overlap between two sets (0-1)
+ * @param {Set} set1 - First set
+ * @param {Set} set2 - Second set
+ * @returns {{score: number, shared: Array}} Overlap score and shared values
+ */
+const setOverlap = (set1, set2) => {
+  const shared = [...set1].filter(value => set2.has(value));
+  const total = set1.size + set2.size;
+  return { score: total > 0 ? (shared.length * 2) / total : 0, shared };
+};
+
+/**
+ * Lowercase organization names from a list of experiences or education entries
+ * @param {Array} entries - Formatted entries
+ * @param {string} field - Organization field to read
+ * @returns {Map<string, string>} Normalized value to display value
+ */
+const collectOrganizationValues = (entries, field) => {
+  const values = new Map();
+  entries.forEach(entry => {
+    (entry.organizations || []).forEach(org => {
+      const value = typeof org === 'string' ? (field === 'name' ? org : null) : org?.[field];
+      if (value && typeof value === 'string') {
+        values.set(value.trim().toLowerCase(), value.trim());
+      }
+    });
+  });
+  return values;
+};
+
+/**
+ * Find the level of the first pattern that matches any of the texts
+ * @param {Array<string>} texts - Titles to check
+ * @param {Array} levels - Level definitions, highest first
+ * @param {Object|null} fallback - Level when a text matches nothing
+ * @returns {Object|null} Highest level found
+ */
+const highestLevel = (texts, levels, fallback) => {
+  let best = null;
+  texts.forEach(text => {
+    const lower = (text || '').toLowerCase();
+    const match = levels.find(({ pattern }) => pattern.test(lower)) || fallback;
+    if (match && (!best || match.level > best.level)) {
+      best = match;
+    }
+  });
+  return best;
+};
+
+/**
+ * Split a genome's experiences into jobs and education entries
+ * Torre lists education both on its own and as an experience category.
+ * @param {Object} person - Person's genome data
+ * @returns {{jobs: Array, education: Array}} Formatted entries
+ */
+const getBackground = (person) => {
+  const experiences = person?.experiences || [];
+  const isEducation = exp => (exp.category || '').toLowerCase() === 'education';
+
+  return {
+    jobs: formatExperiences(experiences.filter(exp => !isEducation(exp))),
+    education: formatEducation(person?.education?.length ? person.education : experiences.filter(isEducation)),
+  };
+};
+
+/**
+ * Weighted average of the factors that could be measured
+ * @param {Array} factors - Factors with score, weight and available
+ * @returns {number} Score (0-1)
+ */
+const combineFactors = (factors) => {
+  const measured = factors.filter(factor => factor.available);
+  const totalWeight = measured.reduce((sum, factor) => sum + factor.weight, 0);
+  if (totalWeight === 0) return 0;
+  return measured.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight;
+};
+
 /**
  * Compare experience between two professionals
- * @param {Object} person1 - First person's data
- * @param {Object} person2 - Second person's data
- * @returns {number} Experience similarity score (0-1)
+ * Looks at role titles, organizations and their industries, seniority, total years
+ * and average tenure (see services/careerMetrics.js).
+ * @param {Object} person1 - First person's genome data
+ * @param {Object} person2 - Second person's genome data
+ * @param {Object} rules - Experience rules from the scoring profile; with direction 'more'
+ *   seniority and years favour a second person ahead of the first
+ * @returns {Object} Experience similarity with score (0-1) and the factors behind it
  */
-const compareExperience = (person1, person2) => {
-  // This would be enhanced with actual experience data from genome
-  // For now, use completion and weight as proxies
-  const completion1 = person1.completion || 0;
-  const completion2 = person2.completion || 0;
-  const weight1 = person1.weight || 0;
-  const weight2 = person2.weight || 0;
-
-  const completionSimilarity = 1 - Math.abs(completion1 - completion2);
-  const weightSimilarity = weight1 > 0 && weight2 > 0 ? 
-    Math.min(weight1, weight2) / Math.max(weight1, weight2) : 0;
-
-  return (completionSimilarity + weightSimilarity) / 2;
+const compareExperience = (person1, person2, rules = getScoringProfile().experienceRules) => {
+  // Looking for someone further along: equal scores half, two levels up or twice the years score full
+  const wantsMore = rules?.direction === EXPERIENCE_DIRECTIONS.more;
+  const jobs1 = getBackground(person1).jobs;
+  const jobs2 = getBackground(person2).jobs;
+
+  if (jobs1.length === 0 || jobs2.length === 0) {
+    return {
+      score: 0,
+      available: false,
+      factors: [],
+      summary: 'Not enough experience listed to compare'
+    };
+  }
+
+  // Role titles
+  const titles = setOverlap(
+    toWordSet(jobs1.map(exp => exp.name).join(' ')),
+    toWordSet(jobs2.map(exp => exp.name).join(' '))
+  );
+
+  // Organizations, falling back to shared industries
+  const orgs1 = collectOrganizationValues(jobs1, 'name');
+  const orgs2 = collectOrganizationValues(jobs2, 'name');
+  const sharedOrgs = [...orgs1.keys()].filter(org => orgs2.has(org)).map(org => orgs1.get(org));
+  const industries1 = collectOrganizationValues(jobs1, 'industry');
+  const industries2 = collectOrganizationValues(jobs2, 'industry');
+  const industries = setOverlap(new Set(industries1.keys()), new Set(industries2.keys()));
+  const sharedIndustries = industries.shared.map(industry => industries1.get(industry));
+
+  // Seniority from titles, years and tenure
+  const metrics1 = computeCareerMetrics(jobs1);
+  const metrics2 = computeCareerMetrics(jobs2);
+  const seniority1 = metrics1.seniority.highest;
+  const seniority2 = metrics2.seniority.highest;
+  const years1 = metrics1.totalYears;
+  const years2 = metrics2.totalYears;
+  const tenure1 = metrics1.tenure.averageMonths;
+  const tenure2 = metrics2.tenure.averageMonths;
+
+  const factors = [
+    {
+      key: 'titles',
+      label: 'Role titles',
+      weight: 0.35,
+      score: titles.score,
+      available: true,
+      detail: titles.shared.length > 0
+        ? `Shared terms: ${titles.shared.slice(0, 5).join(', ')}`
+        : 'No overlapping role titles'
+    },
+    {
+      key: 'organizations',
+      label: 'Organizations & industry',
+      weight: 0.2,
+      score: sharedOrgs.length > 0 ? 1 : industries.score,
+      available: sharedOrgs.length > 0 || (industries1.size > 0 && industries2.size > 0) || (orgs1.size > 0 && orgs2.size > 0),
+      detail: sharedOrgs.length > 0
+        ? `Both worked at ${sharedOrgs.slice(0, 3).join(', ')}`
+        : sharedIndustries.length > 0
+          ? `Shared industries: ${sharedIndustries.slice(0, 3).join(', ')}`
+          : 'No organizations in common'
+    },
+    {
+      key: 'seniority',
+      label: 'Seniority',
+      weight: 0.2,
+      score: wantsMore
+        ? Math.min(1, Math.max(0, (seniority2.level - seniority1.level + 2) / 4))
+        : 1 - Math.abs(seniority1.level - seniority2.level) / 4,
+      available: true,
+      detail: seniority1.level === seniority2.level
+        ? `Both ${seniority1.label.toLowerCase()}`
+        : `${seniority1.label} vs ${seniority2.label.toLowerCase()}`
+    },
+    {
+      key: 'years',
+      label: 'Years of experience',
+      weight: 0.25,
+      score: years1 > 0 && years2 > 0
+        ? wantsMore ? Math.min(1, years2 / years1 / 2) : Math.min(years1, years2) / Math.max(years1, years2)
+        : 0,
+      available: years1 > 0 && years2 > 0,
+      detail: years1 > 0 && years2 > 0 ? `${years1} vs ${years2} years` : 'Dates missing'
+    },
+    {
+      key: 'tenure',
+      label: 'Tenure per employer',
+      weight: 0.15,
+      score: tenure1 > 0 && tenure2 > 0 ? Math.min(tenure1, tenure2) / Math.max(tenure1, tenure2) : 0,
+      available: tenure1 > 0 && tenure2 > 0,
+      detail: tenure1 > 0 && tenure2 > 0
+        ? `${formatDuration(tenure1)} vs ${formatDuration(tenure2)} on average`
+        : 'Dates missing'
+    }
+  ];
+
+  return {
+    score: combineFactors(factors),
+    available: true,
+    factors,
+    years: [years1, years2],
+    seniority: [seniority1.label, seniority2.label],
+    metrics: [metrics1, metrics2]
+  };
 };
 
 /**
  * Compare education between two professionals
- * @param {Object} person1 - First person's data
- * @param {Object} person2 - Second person's data
- * @returns {number} Education similarity score (0-1)
+ * Looks at institutions, degree level and field of study.
+ * @param {Object} person1 - First person's genome data
+ * @param {Object} person2 - Second person's genome data
+ * @returns {Object} Education similarity with score (0-1) and the factors behind it
  */
 const compareEducation = (person1, person2) => {
-  // This would be enhanced with actual education data from genome
-  // For now, return a base score
-  return 0.5;
+  const education1 = getBackground(person1).education;
+  const education2 = getBackground(person2).education;
+
+  if (education1.length === 0 || education2.length === 0) {
+    return {
+      score: 0,
+      available: false,
+      factors: [],
+      summary: 'Not enough education listed to compare'
+    };
+  }
+
+  // Institutions
+  const schools1 = collectOrganizationValues(education1, 'name');
+  const schools2 = collectOrganizationValues(education2, 'name');
+  const sharedSchools = [...schools1.keys()].filter(school => schools2.has(school)).map(school => schools1.get(school));
+
+  // Degree level from the degree name
+  const degree1 = highestLevel(education1.map(edu => edu.name), DEGREE_LEVELS, null);
+  const degree2 = highestLevel(education2.map(edu => edu.name), DEGREE_LEVELS, null);
+
+  // Field of study, using the degree name when no field is given
+  const fields = setOverlap(
+    toWordSet(education1.map(edu => edu.field || edu.name).join(' ')),
+    toWordSet(education2.map(edu => edu.field || edu.name).join(' '))
+  );
+
+  const factors = [
+    {
+      key: 'institutions',
+      label: 'Institutions',
+      weight: 0.3,
+      score: sharedSchools.length > 0 ? 1 : 0,
+      available: schools1.size > 0 && schools2.size > 0,
+      detail: sharedSchools.length > 0
+        ? `Both studied at ${sharedSchools.slice(0, 2).join(', ')}`
+        : 'Different institutions'
+    },
+    {
+      key: 'degree',
+      label: 'Degree level',
+      weight: 0.3,
+      score: degree1 && degree2 ? 1 - Math.abs(degree1.level - degree2.level) / 5 : 0,
+      available: Boolean(degree1 && degree2),
+      detail: degree1 && degree2
+        ? degree1.level === degree2.level
+          ? `Both hold a ${degree1.label.toLowerCase()} level degree`
+          : `${degree1.label} vs ${degree2.label.toLowerCase()}`
+        : 'Degree level unclear'
+    },
+    {
+      key: 'field',
+      label: 'Field of study',
+      weight: 0.4,
+      score: fields.score,
+      available: true,
+      detail: fields.shared.length > 0
+        ? `Shared terms: ${fields.shared.slice(0, 5).join(', ')}`
+        : 'Different fields'
+    }
+  ];
+
+  return {
+    score: combineFactors(factors),
+    available: true,
+    factors,
+    degrees: [degree1?.label || null, degree2?.label || null]
+  };
+};
+
+/**
+ * Compare when two professionals work, from the timezones on their genomes
+ * Assumes the same local working hours for both (see services/timezones.js).
+ * @param {Object} person1 - First person's genome data
+ * @param {Object} person2 - Second person's genome data
+ * @returns {Object} Timezone fit with score (0-1), overlapping hours and the shared UTC window
+ */
+const compareTimezones = (person1, person2) => {
+  const overlap = workingHoursOverlap(getLocation(person1), getLocation(person2));
+
+  if (!overlap.available) {
+    return {
+      ...overlap,
+      score: 0,
+      summary: 'Timezone not listed on both profiles'
+    };
+  }
+
+  return {
+    ...overlap,
+    score: overlapScore(overlap.hours),
+    summary: overlap.hours > 0
+      ? `${formatHours(overlap.hours)} of shared working hours`
+      : 'No shared working hours'
+  };
+};
+
+/**
+ * Compare the languages two professionals speak
+ * Each language either lists counts once; a shared language scores the lower
+ * fluency over the higher one (see utils/languageFluency.js), a language only
+ * one of them speaks scores nothing.
+ * @param {Object} person1 - First person's genome data
+ * @param {Object} person2 - Second person's genome data
+ * @returns {Object} Languages similarity with score (0-1) and the shared and unique languages
+ */
+const compareLanguages = (person1, person2) => {
+  const levels1 = toLanguageLevels(person1?.languages || []);
+  const levels2 = toLanguageLevels(person2?.languages || []);
+
+  if (levels1.size === 0 || levels2.size === 0) {
+    return {
+      score: 0,
+      available: false,
+      shared: [],
+      unique1: [],
+      unique2: [],
+      summary: 'Languages not listed on both profiles'
+    };
+  }
+
+  // Languages listed without a known fluency count as the lowest level
+  const levelOf = (held) => held.level || 1;
+  const shared = [...levels1.keys()]
+    .filter(key => levels2.has(key))
+    .map(key => ({
+      key,
+      name: levels1.get(key).name,
+      fluency1: levels1.get(key).fluency?.label || null,
+      fluency2: levels2.get(key).fluency?.label || null,
+      score: Math.min(levelOf(levels1.get(key)), levelOf(levels2.get(key)))
+        / Math.max(levelOf(levels1.get(key)), levelOf(levels2.get(key)))
+    }));
+  const unionSize = new Set([...levels1.keys(), ...levels2.keys()]).size;
+
+  return {
+    score: shared.reduce((sum, language) => sum + language.score, 0) / unionSize,
+    available: true,
+    shared,
+    unique1: [...levels1.keys()].filter(key => !levels2.has(key)).map(key => levels1.get(key).name),
+    unique2: [...levels2.keys()].filter(key => !levels1.has(key)).map(key => levels2.get(key).name),
+    summary: shared.length > 0
+      ? `Both speak ${shared.map(language => language.name).join(', ')}`
+      : 'No language in common'
+  };
 };
 
 /**
@@ -394,7 +842,7 @@ const generateComparisonRecommendations = (analysis) => {
   }
 
   // Mentorship recommendations
-  if (analysis.experienceScore < 0.4) {
+  if (analysis.details.experience?.available && analysis.experienceScore < 0.4) {
     recommendations.push({
       type: 'mentorship',
       title: 'Mentorship Opportunity',
@@ -403,6 +851,26 @@ const generateComparisonRecommendations = (analysis) => {
     });
   }
 
+  // Language recommendations
+  if (analysis.details.languages?.available && analysis.details.languages.shared.length === 0) {
+    recommendations.push({
+      type: 'language',
+      title: 'No Common Language',
+      description: 'Their profiles list no language in common; check how they would work together',
+      priority: 'high'
+    });
+  }
+
+  // Timezone recommendations
+  if (analysis.details.timezone?.available && !analysis.details.timezone.meetsMinimum) {
+    recommendations.push({
+      type: 'timezone',
+      title: 'Limited Working-Hours Overlap',
+      description: `${analysis.details.timezone.summary}, below the ${MIN_OVERLAP_HOURS}h a distributed team needs`,
+      priority: 'medium'
+    });
+  }
+
   // Skills overlap recommendations
   if (analysis.skillsScore > 0.6 && analysis.details.commonSkills.length > 5) {
     recommendations.push({
@@ -434,8 +902,8 @@ const generateComparisonRecommendations = (analysis) => {
  */
 export const calculateComplementarity = (person1, person2) => {
   try {
-    const skills1 = extractSkills(person1);
-    const skills2 = extractSkills(person2);
+    const skills1 = dedupeSkills(extractSkills(person1));
+    const skills2 = dedupeSkills(extractSkills(person2));
 
     const skills1Map = new Map(skills1.map(s => [s.code, s]));
     const skills2Map = new Map(skills2.map(s => [s.code, s]));
@@ -443,18 +911,22 @@ export const calculateComplementarity = (person1, person2) => {
     let complementaryPairs = [];
     let totalComplementarity = 0;
 
+    // A missing skill complements less when the other person has a related one
+    const relatedCredit = (skill, others) => findRelatedSkill(skill.code, others, other => other.code)?.credit || 0;
+
     // Find skills where one person is strong and the other is weak/missing
     skills1.forEach(skill1 => {
       const skill2 = skills2Map.get(skill1.code);
       if (!skill2 && skill1.proficiency > 0.7) {
         // Person1 has skill, Person2 doesn't
+        const score = skill1.proficiency * (1 - relatedCredit(skill1, skills2));
         complementaryPairs.push({
           skill: skill1.name,
           person1Proficiency: skill1.proficiency,
           person2Proficiency: 0,
-          complementarityScore: skill1.proficiency
+          complementarityScore: score
         });
-        totalComplementarity += skill1.proficiency;
+        totalComplementarity += score;
       } else if (skill2 && Math.abs(skill1.proficiency - skill2.proficiency) > 0.4) {
         // Significant proficiency difference
         const stronger = skill1.proficiency > skill2.proficiency ? 'person1' : 'person2';
@@ -472,13 +944,14 @@ export const calculateComplementarity = (person1, person2) => {
     // Check skills unique to person2
     skills2.forEach(skill2 => {
       if (!skills1Map.has(skill2.code) && skill2.proficiency > 0.7) {
+        const score = skill2.proficiency * (1 - relatedCredit(skill2, skills1));
         complementaryPairs.push({
           skill: skill2.name,
           person1Proficiency: 0,
           person2Proficiency: skill2.proficiency,
-          complementarityScore: skill2.proficiency
+          complementarityScore: score
         });
-        totalComplementarity += skill2.proficiency;
+        totalComplementarity += score;
       }
     });
 
@@ -501,8 +974,138 @@ export const calculateComplementarity = (person1, person2) => {
   }
 };
 
+// Proficiency lead on a shared skill that makes one person a mentor for it
+const MENTOR_PROFICIENCY_LEAD = 0.3;
+// Skills listed per insight
+const INSIGHT_SKILL_LIMIT = 5;
+
+/**
+ * Turn a pairwise comparison into insights, each backed by the skills behind it
+ * Covers collaboration potential, mentorship direction, skill gaps and
+ * complementary pairs. People are referred to as 'person1' and 'person2'.
+ * @param {Object} person1 - First person's genome data
+ * @param {Object} person2 - Second person's genome data
+ * @param {Object} similarity - Result of calculateSimilarity for the pair
+ * @returns {Object} `{ collaboration, mentorship, skillGaps, complementaryPairs, recommendations }`
+ */
+export const generateComparisonInsights = (person1, person2, similarity) => {
+  const details = similarity?.details || {};
+  const commonSkills = details.commonSkills || [];
+  const relatedSkills = details.relatedSkills || [];
+  const complementarity = calculateComplementarity(person1, person2);
+
+  // Collaboration potential: shared ground to work from plus what each adds
+  const signals = [];
+  const sharedCore = [...commonSkills]
+    .sort((a, b) => Math.min(b.proficiency1, b.proficiency2) - Math.min(a.proficiency1, a.proficiency2))
+    .slice(0, INSIGHT_SKILL_LIMIT);
+  if (sharedCore.length > 0) {
+    signals.push({
+      type: 'shared',
+      title: commonSkills.length === 1 ? 'One shared skill' : `${commonSkills.length} shared skills`,
+      description: 'Common ground to work from',
+      skills: sharedCore.map(skill => skill.name)
+    });
+  }
+  if (relatedSkills.length > 0) {
+    signals.push({
+      type: 'related',
+      title: 'Related skills',
+      description: 'Different tools in the same area',
+      skills: relatedSkills.slice(0, INSIGHT_SKILL_LIMIT).map(pair => `${pair.name1} ↔ ${pair.name2}`)
+    });
+  }
+  if (complementarity.totalPairs > 0) {
+    signals.push({
+      type: 'complementary',
+      title: 'Complementary skill sets',
+      description: 'Strong skills one has and the other lacks',
+      skills: complementarity.complementaryPairs.slice(0, INSIGHT_SKILL_LIMIT).map(pair => pair.skill)
+    });
+  }
+  if ((details.commonStrengths || []).length > 0) {
+    signals.push({
+      type: 'strengths',
+      title: 'Shared strengths',
+      description: 'Similar ways of working',
+      skills: details.commonStrengths.slice(0, INSIGHT_SKILL_LIMIT).map(strength => strength.name)
+    });
+  }
+  const backgroundFactors = [
+    ...(details.experience?.factors || []),
+    ...(details.education?.factors || [])
+  ].filter(factor => factor.available && factor.score >= 0.5 && factor.key !== 'years');
+  backgroundFactors.forEach(factor => {
+    signals.push({ type: 'background', title: factor.label, description: factor.detail, skills: [] });
+  });
+
+  const collaborationScore = Math.min(1,
+    (similarity?.skillsScore || 0) * 0.4 +
+    complementarity.complementarityScore * 0.4 +
+    (similarity?.strengthsScore || 0) * 0.2
+  );
+
+  // Mentorship: who leads on which shared or related skills
+  const mentorship = ['person1', 'person2'].map(mentor => {
+    const leads = (proficiency1, proficiency2) => (mentor === 'person1'
+      ? proficiency1 - proficiency2
+      : proficiency2 - proficiency1) >= MENTOR_PROFICIENCY_LEAD;
+    const skills = [
+      ...commonSkills
+        .filter(skill => leads(skill.proficiency1, skill.proficiency2))
+        .map(skill => ({
+          name: skill.name,
+          mentorProficiency: mentor === 'person1' ? skill.proficiency1 : skill.proficiency2,
+          learnerProficiency: mentor === 'person1' ? skill.proficiency2 : skill.proficiency1
+        })),
+      ...relatedSkills
+        .filter(pair => leads(pair.proficiency1, pair.proficiency2))
+        .map(pair => ({
+          name: mentor === 'person1' ? pair.name1 : pair.name2,
+          relatedTo: mentor === 'person1' ? pair.name2 : pair.name1,
+          mentorProficiency: mentor === 'person1' ? pair.proficiency1 : pair.proficiency2,
+          learnerProficiency: mentor === 'person1' ? pair.proficiency2 : pair.proficiency1
+        }))
+    ].sort((a, b) => (b.mentorProficiency - b.learnerProficiency) - (a.mentorProficiency - a.learnerProficiency));
+
+    return { mentor, learner: mentor === 'person1' ? 'person2' : 'person1', skills };
+  }).filter(direction => direction.skills.length > 0)
+    .sort((a, b) => b.skills.length - a.skills.length);
+
+  const experience = details.experience;
+  const experienceLead = experience?.available && experience.years[0] !== experience.years[1]
+    ? {
+      person: experience.years[0] > experience.years[1] ? 'person1' : 'person2',
+      years: experience.years,
+      seniority: experience.seniority
+    }
+    : null;
+
+  // Skill gaps: strong skills the other person lacks, strongest first
+  const gaps = [...(details.skillGaps || [])].sort((a, b) => b.proficiency - a.proficiency);
+
+  return {
+    collaboration: {
+      score: collaborationScore,
+      level: collaborationScore >= 0.6 ? 'strong' : collaborationScore >= 0.35 ? 'moderate' : 'limited',
+      signals
+    },
+    mentorship: { directions: mentorship, experienceLead },
+    skillGaps: {
+      person1: gaps.filter(gap => gap.missingIn === 'person1'),
+      person2: gaps.filter(gap => gap.missingIn === 'person2')
+    },
+    complementaryPairs: complementarity.complementaryPairs.slice(0, INSIGHT_SKILL_LIMIT * 2),
+    recommendations: details.recommendations || []
+  };
+};
+
+// Lowest fluency a team can work in together
+const WORKING_FLUENCY = resolveFluency('fully-fluent');
+
 /**
  * Generate team composition recommendations
+ * Covers skills, the working hours everyone shares and the languages the team speaks.
  * @param {Array} people - Array of people to analyze for team composition
  * @returns {Object} Team composition analysis
  */
@@ -516,12 +1119,13 @@ export const analyzeTeamComposition = (people) => {
     }
 
     const allSkills = new Map();
-    const skillCoverage = new Map();
     const recommendations = [];
 
+    const getName = (person) => person.name || person.person?.name || person.username;
+
     // Collect all skills and their coverage
-    people.forEach((person, index) => {
-      const skills = extractSkills(person);
+    const skillsByPerson = people.map(person => dedupeSkills(extractSkills(person)));
+    skillsByPerson.forEach((skills, index) => {
       skills.forEach(skill => {
         if (!allSkills.has(skill.code)) {
           allSkills.set(skill.code, {
@@ -537,6 +1141,14 @@ export const analyzeTeamComposition = (people) => {
       });
     });
 
+    // Members without a skill who hold a related one cover it in part
+    allSkills.forEach((skillData, skillCode) => {
+      const holders = new Set(skillData.coverage.map(c => c.personIndex));
+      skillData.partialCoverage = skillsByPerson.reduce((sum, skills, index) => (
+        holders.has(index) ? sum : sum + (findRelatedSkill(skillCode, skills, skill => skill.code)?.credit || 0)
+      ), 0);
+    });
+
     // Analyze skill coverage
     const wellCoveredSkills = [];
     const poorlyCoveredSkills = [];
@@ -546,8 +1158,10 @@ export const analyzeTeamComposition = (people) => {
       if (skillData.coverage.length === 1) {
         uniqueSkills.push({
           skill: skillData.name,
-          owner: people[skillData.coverage[0].personIndex].name,
-          proficiency: skillData.coverage[0].proficiency
+          code: skillCode,
+          owner: getName(people[skillData.coverage[0].personIndex]),
+          proficiency: skillData.coverage[0].proficiency,
+          partialCoverage: skillData.partialCoverage
         });
       } else if (skillData.coverage.length >= people.length * 0.5) {
         wellCoveredSkills.push({
@@ -558,12 +1172,28 @@ export const analyzeTeamComposition = (people) => {
       } else {
         poorlyCoveredSkills.push({
           skill: skillData.name,
+          code: skillCode,
           coverage: skillData.coverage.length,
+          partialCoverage: skillData.partialCoverage,
           maxProficiency: skillData.maxProficiency
         });
       }
     });
 
+    // Skills the team is thinnest in: few holders (counting related skills in part)
+    // and low proficiency rank first
+    const depth = (skill) => (skill.coverage + skill.partialCoverage) * skill.maxProficiency;
+    const skillGaps = [
+      ...poorlyCoveredSkills,
+      ...uniqueSkills.map(s => ({
+        skill: s.skill,
+        code: s.code,
+        coverage: 1,
+        partialCoverage: s.partialCoverage,
+        maxProficiency: s.proficiency
+      }))
+    ].sort((a, b) => depth(a) - depth(b));
+
     // Generate recommendations
     if (wellCoveredSkills.length > 0) {
       recommendations.push({
@@ -592,11 +1222,59 @@ export const analyzeTeamComposition = (people) => {
       });
     }
 
+    // Languages: who speaks each one, and which ones everyone can work in
+    const languageLevelsByPerson = people.map(person => toLanguageLevels(person.languages || []));
+    const languageCoverage = new Map();
+    languageLevelsByPerson.forEach((levels, index) => {
+      levels.forEach((held, key) => {
+        if (!languageCoverage.has(key)) {
+          languageCoverage.set(key, { key, language: held.name, speakers: [], workingSpeakers: 0, maxLevel: 0 });
+        }
+        const entry = languageCoverage.get(key);
+        entry.speakers.push({ name: getName(people[index]), fluency: held.fluency?.label || null, level: held.level });
+        entry.workingSpeakers += held.level >= WORKING_FLUENCY.level ? 1 : 0;
+        entry.maxLevel = Math.max(entry.maxLevel, held.level);
+      });
+    });
+    const languages = [...languageCoverage.values()]
+      .sort((a, b) => b.workingSpeakers - a.workingSpeakers || b.speakers.length - a.speakers.length);
+    const commonLanguages = languages
+      .filter(language => language.workingSpeakers === people.length)
+      .map(language => language.language);
+    if (languages.length > 0 && commonLanguages.length === 0) {
+      recommendations.push({
+        type: 'language',
+        title: 'No Shared Working Language',
+        description: `No language is spoken at ${WORKING_FLUENCY.label.toLowerCase()} level or above by everyone`,
+        priority: 'high'
+      });
+    }
+
+    // Working hours everyone shares
+    const timezones = teamOverlap(people.map(person => ({
+      username: person.username,
+      name: getName(person),
+      location: getLocation(person)
+    })));
+    if (timezones.available && !timezones.meetsMinimum) {
+      recommendations.push({
+        type: 'timezone',
+        title: 'Limited Shared Hours',
+        description: `The team shares ${formatHours(timezones.hours)} of working hours, below the ${MIN_OVERLAP_HOURS}h it needs`,
+        priority: 'high'
+      });
+    }
+
     return {
       wellCoveredSkills,
       poorlyCoveredSkills,
       uniqueSkills,
+      skillGaps,
+      timezones,
+      languages,
+      commonLanguages,
       recommendations,
+      teamSize: people.length,
       totalSkills: allSkills.size,
       averageSkillsPerPerson: Array.from(allSkills.values()).reduce((sum, skill) => sum + skill.coverage.length, 0) / people.length
     };
@@ -609,10 +1287,47 @@ export const analyzeTeamComposition = (people) => {
   }
 };
 
+/**
+ * Skills-by-person grid for an N-way comparison
+ * Each skill held by anyone in the group gets one row with every person's
+ * proficiency (0 when they don't list it). Strengths are left out, they are
+ * compared separately.
+ * @param {Array} people - People with `username` and `genome`
+ * @returns {Array} Rows `{ code, name, proficiencies: { [username]: number }, holders, average }`,
+ *   most widely held skills first
+ */
+export const buildSkillMatrix = (people) => {
+  const rows = new Map();
+
+  people.forEach(person => {
+    const skills = dedupeSkills(extractSkills(person.genome).filter(skill => skill.type !== 'strength'));
+    skills.forEach(skill => {
+      if (!rows.has(skill.code)) {
+        rows.set(skill.code, { code: skill.code, name: skill.name, proficiencies: {} });
+      }
+      rows.get(skill.code).proficiencies[person.username] = skill.proficiency;
+    });
+  });
+
+  return Array.from(rows.values())
+    .map(row => {
+      const values = people.map(person => row.proficiencies[person.username] || 0);
+      return {
+        ...row,
+        holders: values.filter(value => value > 0).length,
+        average: values.reduce((sum, value) => sum + value, 0) / (people.length || 1)
+      };
+    })
+    .sort((a, b) => b.holders - a.holders || b.average - a.average);
+};
+
 export default {
   calculateSimilarity,
   extractSkills,
   extractStrengths,
+  compareSkills,
   calculateComplementarity,
-  analyzeTeamComposition
+  generateComparisonInsights,
+  analyzeTeamComposition,
+  buildSkillMatrix
 };
@@ -0,0 +1,165 @@
+/**
+ * IndexedDB access for data TorreDex keeps between sessions
+ * One database holds every object store; bump DB_VERSION and extend
+ * upgradeDatabase when adding a store.
+ */
+
+const DB_NAME = 'torre-dex';
+const DB_VERSION = 4;
+
+/**
+ * Object store names
+ */
+export const STORES = {
+  shortlists: 'shortlists',
+  genomes: 'genomes',
+  searches: 'searches',
+  offlineActions: 'offlineActions',
+  savedSearches: 'savedSearches',
+};
+
+let dbPromise = null;
+
+/**
+ * Create or migrate object stores
+ * @param {IDBDatabase} db - Database being upgraded
+ */
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(STORES.shortlists)) {
+    db.createObjectStore(STORES.shortlists, { keyPath: 'id' });
+  }
+  // Version 2: cached genomes, indexed by last use for LRU eviction
+  if (!db.objectStoreNames.contains(STORES.genomes)) {
+    const genomes = db.createObjectStore(STORES.genomes, { keyPath: 'username' });
+    genomes.createIndex('accessedAt', 'accessedAt');
+  }
+  // Version 3: search results for offline use, and actions waiting for the network
+  if (!db.objectStoreNames.contains(STORES.searches)) {
+    const searches = db.createObjectStore(STORES.searches, { keyPath: 'key' });
+    searches.createIndex('savedAt', 'savedAt');
+  }
+  if (!db.objectStoreNames.contains(STORES.offlineActions)) {
+    db.createObjectStore(STORES.offlineActions, { keyPath: 'id' });
+  }
+  // Version 4: saved searches with snapshots of their results
+  if (!db.objectStoreNames.contains(STORES.savedSearches)) {
+    db.createObjectStore(STORES.savedSearches, { keyPath: 'id' });
+  }
+};
+
+/**
+ * Open the database once and share the connection
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => upgradeDatabase(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    dbPromise = null; // Allow a later retry
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Store from STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const runRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  return promisifyRequest(makeRequest(transaction.objectStore(storeName)));
+};
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Store from STORES
+ * @returns {Promise<Array>} Records
+ */
+export const getAllRecords = (storeName) => runRequest(storeName, 'readonly', store => store.getAll());
+
+/**
+ * Read one record by key
+ * @param {string} storeName - Store from STORES
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} Record
+ */
+export const getRecord = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key));
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Store from STORES
+ * @param {Object} record - Record including its key
+ * @returns {Promise<*>} Record key
+ */
+export const putRecord = (storeName, record) => runRequest(storeName, 'readwrite', store => store.put(record));
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Store from STORES
+ * @param {*} key - Record key
+ * @returns {Promise<undefined>}
+ */
+export const deleteRecord = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key));
+
+/**
+ * Count the records in a store
+ * @param {string} storeName - Store from STORES
+ * @returns {Promise<number>} Record count
+ */
+export const countRecords = (storeName) => runRequest(storeName, 'readonly', store => store.count());
+
+/**
+ * Read every key in a store, ordered by one of its indexes
+ * @param {string} storeName - Store from STORES
+ * @param {string} indexName - Index to order by
+ * @returns {Promise<Array>} Primary keys in index order
+ */
+export const getKeysByIndex = (storeName, indexName) => runRequest(
+  storeName,
+  'readonly',
+  store => store.index(indexName).getAllKeys()
+);
+
+/**
+ * Delete every record in a store
+ * @param {string} storeName - Store from STORES
+ * @returns {Promise<undefined>}
+ */
+export const clearStore = (storeName) => runRequest(storeName, 'readwrite', store => store.clear());
+
+export default {
+  STORES,
+  openDatabase,
+  getAllRecords,
+  getRecord,
+  putRecord,
+  deleteRecord,
+  countRecords,
+  getKeysByIndex,
+  clearStore,
+};
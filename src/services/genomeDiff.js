@@ -0,0 +1,162 @@
+/**
+ * Genome Diff
+ * Lines two genomes up section by section for a side-by-side review:
+ * experiences on a shared timeline, education, languages, strengths,
+ * interests and skills. Each item is marked as shared or unique to one person.
+ */
+
+import { formatUserData } from '../utils/dataProcessing.js';
+import { extractSkills, compareSkills } from './comparison.js';
+import { getFluencyLevel, toLanguageKey } from '../utils/languageFluency.js';
+
+/**
+ * Lowercase key for matching names across genomes
+ * @param {string} value - Name
+ * @returns {string} Key
+ */
+const toKey = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Pair up two lists by key: shared items first, then each person's own
+ * @param {Array} items1 - First person's items
+ * @param {Array} items2 - Second person's items
+ * @param {Function} getKey - Returns the match key of an item
+ * @returns {Array} Rows `{ key, item1, item2, status }` with status 'shared', 'only1' or 'only2'
+ */
+const alignByKey = (items1, items2, getKey) => {
+  const byKey2 = new Map();
+  items2.forEach(item => {
+    const key = getKey(item);
+    if (key && !byKey2.has(key)) byKey2.set(key, item);
+  });
+
+  const shared = [];
+  const only1 = [];
+  const seen = new Set();
+  items1.forEach(item => {
+    const key = getKey(item);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    if (byKey2.has(key)) {
+      shared.push({ key, item1: item, item2: byKey2.get(key), status: 'shared' });
+    } else {
+      only1.push({ key, item1: item, item2: null, status: 'only1' });
+    }
+  });
+
+  const only2 = [...byKey2.entries()]
+    .filter(([key]) => !seen.has(key))
+    .map(([key, item]) => ({ key, item1: null, item2: item, status: 'only2' }));
+
+  return [...shared, ...only1, ...only2];
+};
+
+/**
+ * Organization names of an experience or education entry, as match keys
+ * @param {Object} entry - Formatted experience or education
+ * @returns {Set<string>} Keys
+ */
+const organizationKeys = (entry) => new Set((entry.organizations || []).map(org => toKey(org.name)).filter(Boolean));
+
+/**
+ * Point in time of a month, in fractional years
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12), January when missing
+ * @returns {number|null} Fractional year
+ */
+const toYearPoint = (year, month) => {
+  const y = parseInt(year, 10);
+  if (!y) return null;
+  const m = parseInt(month, 10);
+  return y + ((m >= 1 && m <= 12 ? m : 1) - 1) / 12;
+};
+
+/**
+ * Put both people's experiences on one timeline
+ * An experience is shared when the other person also worked at one of its organizations.
+ * @param {Array} experiences1 - First person's formatted experiences
+ * @param {Array} experiences2 - Second person's formatted experiences
+ * @returns {Object} `{ start, end, experiences1, experiences2 }`; entries get `start`, `end` and `shared`
+ */
+const buildTimeline = (experiences1, experiences2) => {
+  const now = new Date();
+  const nowPoint = now.getFullYear() + now.getMonth() / 12;
+  const orgs1 = new Set(experiences1.flatMap(exp => [...organizationKeys(exp)]));
+  const orgs2 = new Set(experiences2.flatMap(exp => [...organizationKeys(exp)]));
+
+  const place = (experiences, otherOrgs) => experiences.map(exp => {
+    const start = toYearPoint(exp.fromYear, exp.fromMonth);
+    const end = exp.toYear ? toYearPoint(exp.toYear, exp.toMonth) + 1 / 12 : nowPoint;
+    return {
+      ...exp,
+      start,
+      end: start !== null ? Math.max(start + 1 / 12, end) : null,
+      shared: [...organizationKeys(exp)].some(org => otherOrgs.has(org))
+    };
+  });
+
+  const placed1 = place(experiences1, orgs2);
+  const placed2 = place(experiences2, orgs1);
+  const dated = [...placed1, ...placed2].filter(exp => exp.start !== null);
+
+  return {
+    start: dated.length > 0 ? Math.floor(Math.min(...dated.map(exp => exp.start))) : null,
+    end: dated.length > 0 ? Math.ceil(Math.max(...dated.map(exp => exp.end))) : null,
+    experiences1: placed1,
+    experiences2: placed2
+  };
+};
+
+/**
+ * Line up education: shared when both studied at the same institution
+ * @param {Array} education1 - First person's formatted education
+ * @param {Array} education2 - Second person's formatted education
+ * @returns {Object} `{ education1, education2 }` with `shared` on each entry
+ */
+const diffEducation = (education1, education2) => {
+  const schools1 = new Set(education1.flatMap(edu => [...organizationKeys(edu)]));
+  const schools2 = new Set(education2.flatMap(edu => [...organizationKeys(edu)]));
+  return {
+    education1: education1.map(edu => ({ ...edu, shared: [...organizationKeys(edu)].some(school => schools2.has(school)) })),
+    education2: education2.map(edu => ({ ...edu, shared: [...organizationKeys(edu)].some(school => schools1.has(school)) }))
+  };
+};
+
+/**
+ * Diff two genomes section by section
+ * @param {Object} genome1 - First person's genome data
+ * @param {Object} genome2 - Second person's genome data
+ * @returns {Object} `{ user1, user2, timeline, education, languages, strengths, interests, skills }`
+ */
+export const diffGenomes = (genome1, genome2) => {
+  const user1 = formatUserData(genome1);
+  const user2 = formatUserData(genome2);
+
+  const languages = alignByKey(user1.languages, user2.languages, lang => toLanguageKey(lang.language)).map(row => {
+    const level1 = row.item1 ? getFluencyLevel(row.item1.fluency) : 0;
+    const level2 = row.item2 ? getFluencyLevel(row.item2.fluency) : 0;
+    return {
+      ...row,
+      stronger: row.status !== 'shared' || level1 === level2 ? null : level1 > level2 ? 'person1' : 'person2'
+    };
+  });
+
+  return {
+    user1,
+    user2,
+    timeline: buildTimeline(user1.experiences, user2.experiences),
+    education: diffEducation(user1.education, user2.education),
+    languages,
+    strengths: alignByKey(user1.strengths, user2.strengths, strength => toKey(strength.name)),
+    interests: alignByKey(user1.interests, user2.interests, interest => toKey(interest.name)),
+    // Interests have their own section
+    skills: compareSkills(
+      extractSkills(genome1).filter(skill => skill.type !== 'interest'),
+      extractSkills(genome2).filter(skill => skill.type !== 'interest')
+    )
+  };
+};
+
+export default {
+  diffGenomes,
+};
@@ -0,0 +1,274 @@
+/**
+ * Genome Store
+ * One cache of Torre genomes shared by every view, kept in IndexedDB so it
+ * survives reloads. Fresh genomes are served from the cache; stale ones are
+ * served at once and refreshed in the background (stale-while-revalidate).
+ * The least recently used genomes are evicted once the cache is full.
+ */
+
+import { getUserGenome } from './api.js';
+import { isAbortError, isConnectivityError } from './apiClient.js';
+import {
+  STORES,
+  getRecord,
+  getAllRecords,
+  putRecord,
+  deleteRecord,
+  countRecords,
+  getKeysByIndex,
+  clearStore
+} from './db.js';
+
+const SETTINGS_STORAGE_KEY = 'torre-explorer-genome-cache';
+
+// Reading a genome rewrites its record, so skip that when it was used moments ago
+const ACCESS_TOUCH_INTERVAL = 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * How long a cached genome counts as fresh
+ */
+export const GENOME_CACHE_TTL_OPTIONS = [
+  { value: HOUR, label: '1 hour' },
+  { value: 6 * HOUR, label: '6 hours' },
+  { value: 24 * HOUR, label: '1 day' },
+  { value: 7 * 24 * HOUR, label: '1 week' },
+];
+
+/**
+ * How many genomes the cache keeps
+ */
+export const GENOME_CACHE_SIZE_OPTIONS = [50, 100, 200, 500];
+
+export const DEFAULT_GENOME_CACHE_SETTINGS = {
+  ttl: 24 * HOUR,
+  maxEntries: 200,
+};
+
+/**
+ * Read the cache settings, falling back to the defaults
+ * @returns {{ttl: number, maxEntries: number}} Cache settings
+ */
+export const getGenomeCacheSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return { ...DEFAULT_GENOME_CACHE_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_GENOME_CACHE_SETTINGS };
+  }
+};
+
+// Records read or written this session, so repeat reads skip IndexedDB
+const memoryCache = new Map();
+// Background refreshes in flight, by username, so callers share one
+const revalidating = new Map();
+// Cleared once IndexedDB fails, after which the cache only lives in memory
+let persistent = true;
+
+/**
+ * Run an IndexedDB operation, falling back to the memory cache if it fails
+ * @param {Function} operation - Async operation
+ * @param {*} fallback - Result when IndexedDB is unavailable
+ * @returns {Promise<*>} Operation result
+ */
+const withDatabase = async (operation, fallback) => {
+  if (!persistent) return fallback;
+  try {
+    return await operation();
+  } catch (error) {
+    console.warn('Genome cache is not persistent, keeping it in memory:', error);
+    persistent = false;
+    return fallback;
+  }
+};
+
+/**
+ * Find a cached genome record
+ * @param {string} username - Torre username
+ * @returns {Promise<Object|null>} `{ username, data, fetchedAt, accessedAt, size }`
+ */
+const readRecord = async (username) => {
+  if (memoryCache.has(username)) return memoryCache.get(username);
+  const record = await withDatabase(() => getRecord(STORES.genomes, username), null);
+  if (record) memoryCache.set(username, record);
+  return record || null;
+};
+
+/**
+ * Save a genome record in memory and in IndexedDB
+ * @param {Object} record - Genome record
+ */
+const writeRecord = async (record) => {
+  memoryCache.set(record.username, record);
+  await withDatabase(() => putRecord(STORES.genomes, record));
+};
+
+/**
+ * Mark a record as just used, for LRU eviction
+ * @param {Object} record - Genome record
+ */
+const touchRecord = (record) => {
+  const now = Date.now();
+  if (now - record.accessedAt < ACCESS_TOUCH_INTERVAL) return;
+  writeRecord({ ...record, accessedAt: now });
+};
+
+/**
+ * Drop the least recently used genomes until the cache fits its size cap
+ */
+const evictLeastRecentlyUsed = async () => {
+  const { maxEntries } = getGenomeCacheSettings();
+
+  if (!persistent) {
+    const byAccess = [...memoryCache.values()].sort((a, b) => a.accessedAt - b.accessedAt);
+    byAccess.slice(0, Math.max(0, byAccess.length - maxEntries))
+      .forEach(record => memoryCache.delete(record.username));
+    return;
+  }
+
+  await withDatabase(async () => {
+    const count = await countRecords(STORES.genomes);
+    if (count <= maxEntries) return;
+
+    // Keys come back oldest access first
+    const usernames = await getKeysByIndex(STORES.genomes, 'accessedAt');
+    await Promise.all(usernames.slice(0, count - maxEntries).map((username) => {
+      memoryCache.delete(username);
+      return deleteRecord(STORES.genomes, username);
+    }));
+  });
+};
+
+/**
+ * Change the cache settings; a smaller size cap evicts right away
+ * @param {Object} changes - `ttl` and/or `maxEntries`
+ * @returns {Promise<Object>} The new settings
+ */
+export const saveGenomeCacheSettings = async (changes) => {
+  const settings = { ...getGenomeCacheSettings(), ...changes };
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  await evictLeastRecentlyUsed();
+  return settings;
+};
+
+/**
+ * Download a genome and cache it
+ * @param {string} username - Torre username
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} Cached record
+ */
+const fetchAndStore = async (username, signal) => {
+  const response = await getUserGenome(username, { signal });
+  const now = Date.now();
+  const record = {
+    username,
+    data: response.data,
+    fetchedAt: now,
+    accessedAt: now,
+    size: JSON.stringify(response.data ?? null).length,
+  };
+  await writeRecord(record);
+  await evictLeastRecentlyUsed();
+  return record;
+};
+
+/**
+ * Refresh a stale genome in the background
+ * A refresh already running for the username is joined, so every caller's
+ * `onUpdate` gets the fresh genome.
+ * @param {string} username - Torre username
+ * @param {Function} onUpdate - Called with the fresh genome
+ * @returns {Promise<Object|null>} Fresh genome, or null when it couldn't be refreshed
+ */
+const revalidate = async (username, onUpdate) => {
+  if (!revalidating.has(username)) {
+    const refresh = fetchAndStore(username)
+      .then(record => record.data)
+      .catch(error => {
+        // Offline the cached copy simply stays in use
+        if (!isAbortError(error) && !isConnectivityError(error)) {
+          console.warn(`Could not refresh cached genome for ${username}:`, error);
+        }
+        return null;
+      })
+      .finally(() => revalidating.delete(username));
+    revalidating.set(username, refresh);
+  }
+
+  const data = await revalidating.get(username);
+  if (data !== null) {
+    try {
+      onUpdate?.(data);
+    } catch (error) {
+      console.warn(`Could not apply refreshed genome for ${username}:`, error);
+    }
+  }
+  return data;
+};
+
+/**
+ * Get a genome through the cache
+ * Answers like getUserGenome, plus `stale` and `cachedAt`. A stale genome is
+ * returned straight away and refreshed in the background; `onUpdate` receives
+ * the refreshed genome.
+ * @param {string} username - Torre username
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels a download (background refreshes are never cancelled)
+ * @param {Function} options.onUpdate - Called with the fresh genome after a background refresh
+ * @returns {Promise<Object>} `{ success, data, username, stale, cachedAt }`
+ */
+export const getGenome = async (username, { signal, onUpdate } = {}) => {
+  const record = await readRecord(username);
+
+  if (record) {
+    const stale = Date.now() - record.fetchedAt >= getGenomeCacheSettings().ttl;
+    touchRecord(record);
+    if (stale) revalidate(username, onUpdate);
+    return { success: true, data: record.data, username, stale, cachedAt: record.fetchedAt };
+  }
+
+  const fetched = await fetchAndStore(username, signal);
+  return { success: true, data: fetched.data, username, stale: false, cachedAt: fetched.fetchedAt };
+};
+
+/**
+ * Read a genome only if it's already cached; nothing is downloaded or refreshed
+ * @param {string} username - Torre username
+ * @returns {Promise<Object|null>} Genome data, possibly stale, or null when it isn't cached
+ */
+export const readCachedGenome = async (username) => (await readRecord(username))?.data || null;
+
+/**
+ * Summarize what the cache holds
+ * @returns {Promise<Object>} `{ entries, bytes, oldestFetchedAt, persistent }`
+ */
+export const getGenomeCacheStats = async () => {
+  const records = await withDatabase(() => getAllRecords(STORES.genomes), [...memoryCache.values()]);
+  return {
+    entries: records.length,
+    bytes: records.reduce((sum, record) => sum + (record.size || 0), 0),
+    oldestFetchedAt: records.length > 0 ? Math.min(...records.map(record => record.fetchedAt)) : null,
+    persistent,
+  };
+};
+
+/**
+ * Delete every cached genome
+ */
+export const purgeGenomeCache = async () => {
+  memoryCache.clear();
+  await withDatabase(() => clearStore(STORES.genomes));
+};
+
+export default {
+  GENOME_CACHE_TTL_OPTIONS,
+  GENOME_CACHE_SIZE_OPTIONS,
+  DEFAULT_GENOME_CACHE_SETTINGS,
+  getGenomeCacheSettings,
+  saveGenomeCacheSettings,
+  getGenome,
+  readCachedGenome,
+  getGenomeCacheStats,
+  purgeGenomeCache,
+};
@@ -0,0 +1,134 @@
+/**
+ * Offline Queue
+ * Actions that need Torre but were taken without a connection. They are kept
+ * in IndexedDB and replayed, oldest first, once the browser is back online.
+ * Each action type has one handler, registered with registerOfflineAction.
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './db.js';
+import { isConnectivityError, isOffline } from './apiClient.js';
+
+const handlers = new Map();
+const listeners = new Set();
+let replaying = null;
+
+/**
+ * Tell subscribers how many actions are waiting
+ */
+const notifyListeners = async () => {
+  const count = await getQueuedActionCount();
+  listeners.forEach(listener => listener(count));
+};
+
+/**
+ * Register the handler that replays one type of action
+ * @param {string} type - Action type
+ * @param {Function} handler - Async function receiving the action payload
+ */
+export const registerOfflineAction = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Run an action now when online, or queue it for when the connection is back
+ * @param {string} type - Registered action type
+ * @param {Object} payload - Data the handler needs
+ * @returns {Promise<boolean>} True when the action ran, false when it was queued
+ */
+export const runOrQueueAction = async (type, payload) => {
+  if (!isOffline()) {
+    try {
+      await handlers.get(type)(payload);
+      return true;
+    } catch (error) {
+      if (!isConnectivityError(error)) throw error;
+    }
+  }
+
+  await putRecord(STORES.offlineActions, {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    queuedAt: new Date().toISOString(),
+  });
+  notifyListeners();
+  return false;
+};
+
+/**
+ * Count the actions waiting for a connection
+ * @returns {Promise<number>} Number of queued actions
+ */
+export const getQueuedActionCount = async () => {
+  try {
+    return (await getAllRecords(STORES.offlineActions)).length;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Replay queued actions in the order they were taken
+ * Stops at the first connection failure so the rest wait for the next attempt;
+ * actions that fail for any other reason are dropped.
+ * @returns {Promise<number>} Number of actions replayed
+ */
+export const replayOfflineActions = () => {
+  if (replaying) return replaying;
+
+  replaying = (async () => {
+    let replayed = 0;
+    try {
+      const actions = (await getAllRecords(STORES.offlineActions))
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+      for (const action of actions) {
+        const handler = handlers.get(action.type);
+        try {
+          if (handler) {
+            await handler(action.payload);
+            replayed += 1;
+          } else {
+            console.warn(`No handler for queued action "${action.type}", dropping it`);
+          }
+        } catch (error) {
+          if (isConnectivityError(error)) break;
+          console.warn(`Queued action "${action.type}" failed, dropping it:`, error);
+        }
+        await deleteRecord(STORES.offlineActions, action.id);
+      }
+    } catch (error) {
+      console.warn('Could not replay queued actions:', error);
+    } finally {
+      replaying = null;
+      notifyListeners();
+    }
+    return replayed;
+  })();
+
+  return replaying;
+};
+
+/**
+ * Follow the number of queued actions
+ * @param {Function} listener - Called with the count now and after every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToOfflineQueue = (listener) => {
+  listeners.add(listener);
+  getQueuedActionCount().then(listener);
+  return () => listeners.delete(listener);
+};
+
+// Replay as soon as the connection comes back
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => replayOfflineActions());
+}
+
+export default {
+  registerOfflineAction,
+  runOrQueueAction,
+  getQueuedActionCount,
+  replayOfflineActions,
+  subscribeToOfflineQueue,
+};
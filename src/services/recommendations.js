@@ -3,36 +3,26 @@
  * Generates recommendations for similar professionals based on genome analysis
  */
 
-import { searchEntities, getUserGenome } from './api.js';
-import { calculateSimilarity, extractSkills, extractStrengths } from './comparison.js';
-
-// Simple in-memory cache for genome data
-const genomeCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+import { searchEntities } from './api.js';
+import { getGenome } from './genomeStore.js';
+import { isAbortError } from './apiClient.js';
+import { calculateSimilarity, extractSkills, extractStrengths, analyzeTeamComposition } from './comparison.js';
+import { SKILL_MATCH_MODES, getScoringProfile, toProfileReference } from './scoringProfiles.js';
+import { findRelatedSkill } from '../utils/skillTaxonomy.js';
+import { getLocation, teamOverlap } from './timezones.js';
 
 /**
- * Get genome data with caching
+ * Get genome data through the shared genome store
+ * Returns null when the genome can't be fetched; cancellation is rethrown.
+ * @param {string} username - Torre username
+ * @param {AbortSignal} signal - Optional abort signal
  */
-const getCachedGenome = async (username) => {
-  const cacheKey = username;
-  const cached = genomeCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  
+const getCachedGenome = async (username, signal) => {
   try {
-    const genomeResponse = await getUserGenome(username);
-    const genomeData = genomeResponse.data;
-    
-    // Cache the result
-    genomeCache.set(cacheKey, {
-      data: genomeData,
-      timestamp: Date.now()
-    });
-    
-    return genomeData;
+    const genomeResponse = await getGenome(username, { signal });
+    return genomeResponse.data;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.warn(`Could not fetch genome for ${username}`);
     return null;
   }
@@ -40,24 +30,29 @@ const getCachedGenome = async (username) => {
 
 /**
  * Process candidates in parallel batches
+ * Aborting the signal cancels the genome fetches in flight and stops before the next batch.
  */
-const processCandidatesInBatches = async (candidates, targetGenome, minSimilarityScore, batchSize = 5) => {
+const processCandidatesInBatches = async (candidates, targetGenome, minSimilarityScore, batchSize = 5, profile = getScoringProfile(), signal) => {
   const recommendations = [];
   const candidateArray = Array.from(candidates.values());
   
   for (let i = 0; i < candidateArray.length; i += batchSize) {
+    signal?.throwIfAborted();
     const batch = candidateArray.slice(i, i + batchSize);
     
     const batchPromises = batch.map(async (candidate) => {
       try {
-        const candidateGenome = await getCachedGenome(candidate.username);
+        const candidateGenome = await getCachedGenome(candidate.username, signal);
         if (!candidateGenome) return null;
 
-        // Quick similarity check - only calculate full similarity if basic score is promising
-        const basicSimilarity = calculateBasicSimilarity(targetGenome, candidateGenome);
-        if (basicSimilarity < minSimilarityScore - 0.1) return null;
+        // Quick similarity check - only calculate full similarity if basic score is promising.
+        // Skipped when looking for complementary skills, where little overlap is the point.
+        if (profile.skillRules.mode !== SKILL_MATCH_MODES.complement) {
+          const basicSimilarity = calculateBasicSimilarity(targetGenome, candidateGenome);
+          if (basicSimilarity < minSimilarityScore - 0.1) return null;
+        }
 
-        const similarity = calculateSimilarity(targetGenome, candidateGenome);
+        const similarity = calculateSimilarity(targetGenome, candidateGenome, profile);
         
         if (similarity.overallScore >= minSimilarityScore) {
           return {
@@ -69,6 +64,7 @@ const processCandidatesInBatches = async (candidates, targetGenome, minSimilarit
         }
         return null;
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Error processing candidate ${candidate.username}:`, error);
         return null;
       }
@@ -95,28 +91,73 @@ const calculateBasicSimilarity = (person1, person2) => {
   
   if (skills1.length === 0 || skills2.length === 0) return 0;
   
-  const skillNames1 = new Set(skills1.map(s => s.name.toLowerCase()));
-  const skillNames2 = new Set(skills2.map(s => s.name.toLowerCase()));
+  // Codes are taxonomy ids, so different spellings of a skill already match
+  const skillCodes1 = new Set(skills1.map(s => s.code));
+  const skillCodes2 = new Set(skills2.map(s => s.code));
   
-  const intersection = [...skillNames1].filter(skill => skillNames2.has(skill));
-  const union = new Set([...skillNames1, ...skillNames2]);
+  const intersection = [...skillCodes1].filter(skill => skillCodes2.has(skill));
+  const union = new Set([...skillCodes1, ...skillCodes2]);
+
+  // Related skills count for part of a match
+  const unmatched2 = [...skillCodes2].filter(skill => !skillCodes1.has(skill));
+  const partialCredit = [...skillCodes1]
+    .filter(skill => !skillCodes2.has(skill))
+    .reduce((sum, skill) => sum + (findRelatedSkill(skill, unmatched2, code => code)?.credit || 0), 0);
+  
+  return Math.min(1, (intersection.length + partialCredit) / union.size);
+};
+
+/**
+ * Search Torre with several queries in parallel and collect the distinct people found
+ * @param {Array} queries - Search query strings
+ * @param {Array} excludeUsernames - Usernames to leave out
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Map>} Candidates keyed by username
+ */
+const searchCandidates = async (queries, excludeUsernames = [], signal) => {
+  const searchPromises = queries.map(query => 
+    searchEntities({ query, limit: 25 }, { signal }) // Increased from 15 to 25
+      .then(response => response?.success ? response.data : [])
+      .catch(error => {
+        if (isAbortError(error)) throw error;
+        console.warn(`Search failed for query "${query}":`, error);
+        return [];
+      })
+  );
+
+  const searchResults = await Promise.all(searchPromises);
   
-  return intersection.length / union.size;
+  // Combine and deduplicate candidates
+  const candidates = new Map();
+  searchResults.forEach(results => {
+    results.forEach(result => {
+      const person = result.person;
+      if (person && person.username && !excludeUsernames.includes(person.username)) {
+        candidates.set(person.username, person);
+      }
+    });
+  });
+
+  return candidates;
 };
 
 /**
  * Find similar professionals based on a target person's genome
  * @param {Object} targetPerson - The person to find recommendations for
- * @param {Object} options - Search options
+ * @param {Object} options - Search options; `profile` sets the scoring profile and default minimum score,
+ *   `signal` cancels every search and genome fetch still running
  * @returns {Promise<Array>} Array of recommended professionals with similarity scores
+ * @throws {Error} AbortError when cancelled
  */
 export const findSimilarProfessionals = async (targetPerson, options = {}) => {
   try {
+    const profile = options.profile || getScoringProfile();
     const {
       limit = 10,
-      minSimilarityScore = 0.3,
+      minSimilarityScore = profile.minSimilarityScore,
       searchQueries = [],
-      excludeUsernames = []
+      excludeUsernames = [],
+      signal
     } = options;
 
     console.log('Finding similar professionals for:', targetPerson.username);
@@ -124,8 +165,9 @@ export const findSimilarProfessionals = async (targetPerson, options = {}) => {
     // Get target person's full genome data
     let targetGenome;
     try {
-      targetGenome = await getCachedGenome(targetPerson.username);
+      targetGenome = await getCachedGenome(targetPerson.username, signal);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.warn('Could not fetch target genome, using basic data:', error);
       targetGenome = targetPerson;
     }
@@ -139,30 +181,7 @@ export const findSimilarProfessionals = async (targetPerson, options = {}) => {
     
     console.log('Generated search queries:', queries);
 
-    // Search for candidates using parallel queries
-    const searchPromises = queries.map(query => 
-      searchEntities({ query, limit: 25 }) // Increased from 15 to 25
-        .then(response => response?.success ? response.data : [])
-        .catch(error => {
-          console.warn(`Search failed for query "${query}":`, error);
-          return [];
-        })
-    );
-
-    const searchResults = await Promise.all(searchPromises);
-    
-    // Combine and deduplicate candidates
-    const candidates = new Map();
-    searchResults.forEach(results => {
-      results.forEach(result => {
-        const person = result.person;
-        if (person && person.username && 
-            person.username !== targetPerson.username &&
-            !excludeUsernames.includes(person.username)) {
-          candidates.set(person.username, person);
-        }
-      });
-    });
+    const candidates = await searchCandidates(queries, [targetPerson.username, ...excludeUsernames], signal);
 
     console.log(`Found ${candidates.size} candidate professionals`);
 
@@ -171,7 +190,9 @@ export const findSimilarProfessionals = async (targetPerson, options = {}) => {
       candidates, 
       targetGenome, 
       minSimilarityScore,
-      8 // Increased batch size from 6 to 8 for better throughput
+      8, // Increased batch size from 6 to 8 for better throughput
+      profile,
+      signal
     );
 
     // Sort by similarity score and return top results
@@ -186,10 +207,12 @@ export const findSimilarProfessionals = async (targetPerson, options = {}) => {
       data: sortedRecommendations,
       targetPerson: targetPerson.username,
       totalCandidates: candidates.size,
-      searchQueries: queries
+      searchQueries: queries,
+      profile: toProfileReference(profile)
     };
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error finding similar professionals:', error);
     return {
       success: false,
@@ -199,6 +222,95 @@ export const findSimilarProfessionals = async (targetPerson, options = {}) => {
   }
 };
 
+/**
+ * Turn a formatted job into a genome-shaped profile so it can be scored with calculateSimilarity
+ * @param {Object} job - Formatted job data (see formatJobData)
+ * @returns {Object} Genome-like object with the job's required skills
+ */
+const jobToGenome = (job) => ({
+  name: job.title,
+  professionalHeadline: job.title,
+  skills: (job.skills || []).map(skill => ({
+    name: skill.name,
+    weight: skill.weight
+  })),
+  strengths: []
+});
+
+/**
+ * Rank scored candidates by how many of the required skills they cover
+ * @param {Array} matches - Candidates from processCandidatesInBatches
+ * @param {Array} requiredSkills - Skills from extractSkills
+ * @param {number} limit - Maximum number of candidates to keep
+ * @returns {Array} Candidates with matchedSkills, missingSkills and coverage
+ */
+const rankBySkillCoverage = (matches, requiredSkills, limit) => matches
+  .map(match => {
+    const matchedSkills = match.similarity.details.commonSkills.map(skill => skill.name);
+    const matchedNames = new Set(matchedSkills.map(name => name.toLowerCase()));
+    return {
+      ...match,
+      matchedSkills,
+      missingSkills: requiredSkills
+        .filter(skill => !matchedNames.has(skill.name.toLowerCase()))
+        .map(skill => skill.name),
+      coverage: matchedSkills.length / requiredSkills.length
+    };
+  })
+  .sort((a, b) => (b.coverage - a.coverage) || (b.similarity.overallScore - a.similarity.overallScore))
+  .slice(0, limit);
+
+/**
+ * Find people whose genomes match a job's required skills
+ * @param {Object} job - Formatted job data (see formatJobData)
+ * @param {Object} options - Search options; `signal` cancels every search and genome fetch still running
+ * @returns {Promise<Object>} Matching people ranked by required-skill coverage
+ * @throws {Error} AbortError when cancelled
+ */
+export const findCandidatesForJob = async (job, options = {}) => {
+  try {
+    const {
+      limit = 10,
+      minSimilarityScore = 0.05,
+      excludeUsernames = [],
+      signal
+    } = options;
+
+    const jobGenome = jobToGenome(job);
+    const jobSkills = extractSkills(jobGenome);
+
+    if (jobSkills.length === 0) {
+      throw new Error('This job does not list any required skills to match against');
+    }
+
+    const queries = generateSearchQueries(jobGenome, jobSkills, []);
+    console.log('Generated job match queries:', queries);
+
+    const candidates = await searchCandidates(queries, excludeUsernames, signal);
+    console.log(`Found ${candidates.size} candidates for job ${job.id}`);
+
+    const matches = await processCandidatesInBatches(candidates, jobGenome, minSimilarityScore, 8, getScoringProfile(), signal);
+
+    const rankedMatches = rankBySkillCoverage(matches, jobSkills, limit);
+
+    return {
+      success: true,
+      data: rankedMatches,
+      jobId: job.id,
+      totalCandidates: candidates.size,
+      searchQueries: queries
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error('Error finding candidates for job:', error);
+    return {
+      success: false,
+      error: error.message,
+      data: []
+    };
+  }
+};
+
 /**
  * Generate search queries based on target person's profile
  * @param {Object} targetPerson - Target person's basic data
@@ -334,6 +446,16 @@ const generateRecommendationReasons = (similarity, targetPerson, candidate) => {
     reasons.push('Similar experience level and professional maturity');
   }
 
+  // Languages
+  if (similarity.languagesScore >= 0.5) {
+    reasons.push(similarity.details.languages.summary);
+  }
+
+  // Working hours
+  if (similarity.details.timezone?.meetsMinimum) {
+    reasons.push(similarity.details.timezone.summary);
+  }
+
   // Complementary skills
   if (similarity.details.uniqueSkills2.length > 0) {
     const complementarySkills = similarity.details.uniqueSkills2
@@ -354,45 +476,74 @@ const generateRecommendationReasons = (similarity, targetPerson, candidate) => {
 
 /**
  * Get recommendations for team building
- * @param {Array} teamMembers - Current team members
- * @param {Object} options - Search options
- * @returns {Promise<Array>} Recommended professionals for the team
+ * Searches for the skills the team is thinnest in (see analyzeTeamComposition)
+ * and ranks candidates by how many of those gaps they fill. Candidates who would
+ * leave the team fewer shared working hours than it needs rank last (see services/timezones.js).
+ * @param {Array} teamMembers - Current team members' genomes, each with a username
+ * @param {Object} options - Search options; `signal` cancels every search and genome fetch still running
+ * @returns {Promise<Object>} Recommended professionals for the team and the gaps searched for
+ * @throws {Error} AbortError when cancelled
  */
 export const getTeamRecommendations = async (teamMembers, options = {}) => {
   try {
-    // Analyze team skills and find gaps
-    const teamSkills = new Map();
-    const teamStrengths = new Map();
-
-    for (const member of teamMembers) {
-      const skills = extractSkills(member);
-      const strengths = extractStrengths(member);
+    const {
+      limit = 10,
+      maxGaps = 6,
+      minSimilarityScore = 0.05,
+      excludeUsernames = [],
+      signal
+    } = options;
 
-      skills.forEach(skill => {
-        teamSkills.set(skill.code, (teamSkills.get(skill.code) || 0) + skill.proficiency);
-      });
+    const analysis = analyzeTeamComposition(teamMembers);
+    if (analysis.error) {
+      throw new Error(analysis.error);
+    }
 
-      strengths.forEach(strength => {
-        teamStrengths.set(strength.code, (teamStrengths.get(strength.code) || 0) + strength.proficiency);
-      });
+    const gaps = analysis.skillGaps.slice(0, maxGaps);
+    if (gaps.length === 0) {
+      throw new Error('Every team skill is already well covered');
     }
 
-    // Find skill gaps and generate search queries
-    const gapQueries = ['full stack', 'backend', 'frontend', 'devops', 'data science', 'design'];
-    
-    // Search for candidates that fill team gaps
-    const recommendations = await findSimilarProfessionals(
-      teamMembers[0], // Use first team member as base
-      {
-        ...options,
-        searchQueries: gapQueries,
-        excludeUsernames: teamMembers.map(m => m.username)
-      }
-    );
+    // Score candidates against a profile made of the gaps, weakest gaps weighing most
+    const gapGenome = {
+      name: 'Team gaps',
+      skills: gaps.map(gap => ({ name: gap.skill, code: gap.code, weight: 1 - gap.maxProficiency / 2 })),
+      strengths: []
+    };
+    const gapSkills = extractSkills(gapGenome);
+    const gapQueries = gaps.map(gap => gap.skill);
+
+    console.log('Team gap queries:', gapQueries);
+
+    const candidates = await searchCandidates(gapQueries, [
+      ...teamMembers.map(member => member.username),
+      ...excludeUsernames
+    ], signal);
+
+    const matches = await processCandidatesInBatches(candidates, gapGenome, minSimilarityScore, 8, getScoringProfile(), signal);
 
-    return recommendations;
+    // Working hours each candidate would share with the whole team; those known
+    // to fall short of the minimum rank after everyone else
+    const teamLocations = teamMembers.map(member => ({ name: member.name, location: getLocation(member) }));
+    const withOverlap = matches.map(match => ({
+      ...match,
+      teamOverlap: teamOverlap([...teamLocations, { name: match.person.name, location: getLocation(match.genome) }])
+    }));
+    const outsideHours = (match) => match.teamOverlap.available && !match.teamOverlap.meetsMinimum;
+
+    return {
+      success: true,
+      data: [
+        ...rankBySkillCoverage(withOverlap.filter(match => !outsideHours(match)), gapSkills, limit),
+        ...rankBySkillCoverage(withOverlap.filter(outsideHours), gapSkills, limit)
+      ].slice(0, limit),
+      gaps,
+      totalCandidates: candidates.size,
+      searchQueries: gapQueries
+    };
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error getting team recommendations:', error);
     return {
       success: false,
@@ -404,5 +555,6 @@ export const getTeamRecommendations = async (teamMembers, options = {}) => {
 
 export default {
   findSimilarProfessionals,
+  findCandidatesForJob,
   getTeamRecommendations
 };
@@ -0,0 +1,452 @@
+/**
+ * Reports
+ * Client-side exports of genomes, comparisons and search results. A report
+ * is a title plus sections of text, lists and tables, rendered to Markdown
+ * for pasting into tickets or to HTML that the browser prints or saves as PDF.
+ */
+
+import { formatDateRange, getLocationName } from '../utils/dataProcessing.js';
+import { buildSkillMatrix } from './comparison.js';
+
+const TORRE_PROFILE_URL = 'https://torre.ai';
+
+// Rows per table before a report cuts it short
+const MAX_TABLE_ROWS = 25;
+
+/**
+ * Whole-number percentage for a 0-1 score
+ * @param {number} value - Score (0-1)
+ * @returns {string} Percentage such as "72%"
+ */
+const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+/**
+ * Public Torre profile link for a username
+ * @param {string} username - Torre username
+ * @returns {string} Profile URL
+ */
+export const profileUrl = (username) => `${TORRE_PROFILE_URL}/${username}`;
+
+/**
+ * File name for an export, e.g. "torre-genome-jdoe-2025-01-31.md"
+ * @param {string} name - What the file holds
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const reportFileName = (name, extension) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  return `torre-${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+// --- Report builders -------------------------------------------------------
+
+/**
+ * One-page report of a genome
+ * @param {Object} user - Genome as formatted by formatUserData
+ * @returns {Object} Report `{ title, subtitle, sections }`
+ */
+export const buildGenomeReport = (user) => {
+  const person = user.person || {};
+  const sections = [];
+
+  const facts = [
+    getLocationName(person.location) && `Location: ${getLocationName(person.location)}`,
+    person.verified && 'Verified profile',
+    person.openToWork && 'Open to work',
+    person.remote && 'Open to remote work',
+    person.username && `Torre profile: ${profileUrl(person.username)}`
+  ].filter(Boolean);
+  sections.push({ heading: 'Summary', text: person.summaryOfBio, items: facts });
+
+  if (user.skills?.length > 0) {
+    sections.push({
+      heading: 'Skills',
+      table: {
+        columns: ['Skill', 'Weight', 'Recommendations'],
+        rows: user.skills.map(skill => [skill.name, Math.round(skill.weight || 0), skill.recommendations || 0])
+      }
+    });
+  }
+
+  if (user.strengths?.length > 0) {
+    sections.push({ heading: 'Strengths', items: user.strengths.map(strength => strength.name) });
+  }
+
+  if (user.experiences?.length > 0) {
+    sections.push({
+      heading: 'Experience',
+      table: {
+        columns: ['Role', 'Organization', 'Dates'],
+        rows: user.experiences.map(exp => [
+          exp.name,
+          exp.organizations?.map(org => org.name).filter(Boolean).join(', ') || '',
+          formatDateRange(exp.fromMonth, exp.fromYear, exp.toMonth, exp.toYear)
+        ])
+      }
+    });
+  }
+
+  if (user.education?.length > 0) {
+    sections.push({
+      heading: 'Education',
+      table: {
+        columns: ['Degree', 'Institution', 'Dates'],
+        rows: user.education.map(edu => [
+          [edu.name, edu.field].filter(Boolean).join(' – '),
+          edu.organizations?.map(org => org.name).filter(Boolean).join(', ') || '',
+          formatDateRange(edu.fromMonth, edu.fromYear, edu.toMonth, edu.toYear)
+        ])
+      }
+    });
+  }
+
+  if (user.languages?.length > 0) {
+    sections.push({ heading: 'Languages', items: user.languages.map(lang => `${lang.language} (${lang.fluency})`) });
+  }
+
+  return {
+    title: person.name || person.username || 'Torre genome',
+    subtitle: person.professionalHeadline,
+    sections
+  };
+};
+
+/**
+ * Display name of a person
+ * @param {Object} person - Person
+ * @returns {string} Name, or username when the name is missing
+ */
+const nameOf = (person) => person.name || person.username;
+
+/**
+ * Everyone in a set of comparisons, in the order they were selected
+ * @param {Array} comparisons - Pairwise comparisons
+ * @returns {Array} People
+ */
+const comparedPeople = (comparisons) => {
+  const people = [];
+  comparisons.forEach(({ person1, person2 }) => {
+    [person1, person2].forEach(person => {
+      if (!people.some(p => p.username === person.username)) people.push(person);
+    });
+  });
+  return people;
+};
+
+/**
+ * Skills-by-person table with each person's proficiency
+ * @param {Array} people - People with `username` and `genome`
+ * @param {string} missing - Cell text for a skill the person doesn't list
+ * @returns {{columns: Array, rows: Array}} Table
+ */
+const buildSkillsTable = (people, missing = '—') => ({
+  columns: ['Skill', ...people.map(nameOf), 'Held by'],
+  rows: buildSkillMatrix(people).map(row => [
+    row.name,
+    ...people.map(person => (row.proficiencies[person.username] ? percent(row.proficiencies[person.username]) : missing)),
+    `${row.holders}/${people.length}`
+  ])
+});
+
+/**
+ * Report of a comparison: scores for every pair, a skills-by-person table
+ * and the shared and distinct skills of each pair
+ * @param {Array} comparisons - Pairwise comparisons from ComparisonContext
+ * @returns {Object} Report `{ title, subtitle, sections }`
+ */
+export const buildComparisonReport = (comparisons) => {
+  const people = comparedPeople(comparisons);
+  const profile = comparisons[0]?.similarity?.profile;
+
+  const sections = [
+    {
+      heading: 'People',
+      items: people.map(person => [
+        nameOf(person),
+        person.professionalHeadline,
+        profileUrl(person.username)
+      ].filter(Boolean).join(' – '))
+    },
+    {
+      heading: 'Scores',
+      text: profile ? `Scored with the ${profile.name} profile.` : null,
+      table: {
+        columns: ['Pair', 'Overall', 'Skills', 'Strengths', 'Experience', 'Education', 'Working hours', 'Languages'],
+        rows: comparisons.map(({ person1, person2, similarity }) => [
+          `${nameOf(person1)} & ${nameOf(person2)}`,
+          percent(similarity?.overallScore),
+          percent(similarity?.skillsScore),
+          percent(similarity?.strengthsScore),
+          similarity?.details?.experience?.available ? percent(similarity.experienceScore) : 'n/a',
+          similarity?.details?.education?.available ? percent(similarity.educationScore) : 'n/a',
+          similarity?.details?.timezone?.available ? percent(similarity.timezoneScore) : 'n/a',
+          similarity?.details?.languages?.available ? percent(similarity.languagesScore) : 'n/a'
+        ])
+      }
+    }
+  ];
+
+  const skillsTable = buildSkillsTable(people);
+  if (skillsTable.rows.length > 0) {
+    sections.push({ heading: 'Skills by person', table: skillsTable });
+  }
+
+  comparisons.forEach(({ person1, person2, similarity }) => {
+    const details = similarity?.details || {};
+    sections.push({
+      heading: `${nameOf(person1)} & ${nameOf(person2)}`,
+      items: [
+        `Shared skills: ${(details.commonSkills || []).map(skill => skill.name).join(', ') || 'none'}`,
+        `Related skills: ${(details.relatedSkills || []).map(pair => `${pair.name1} ↔ ${pair.name2}`).join(', ') || 'none'}`,
+        `Only ${nameOf(person1)}: ${(details.uniqueSkills1 || []).map(skill => skill.name).join(', ') || 'none'}`,
+        `Only ${nameOf(person2)}: ${(details.uniqueSkills2 || []).map(skill => skill.name).join(', ') || 'none'}`,
+        ...(details.recommendations || []).map(rec => `${rec.title}: ${rec.description}`)
+      ]
+    });
+  });
+
+  return {
+    title: `Comparison of ${people.map(nameOf).join(', ')}`,
+    subtitle: `${people.length} professionals, ${comparisons.length} pair${comparisons.length === 1 ? '' : 's'}`,
+    sections
+  };
+};
+
+/**
+ * Summary of a people search
+ * @param {Object} search - `{ query, totalResults, results }` with results as returned by the search
+ * @returns {Object} Report `{ title, subtitle, sections }`
+ */
+export const buildSearchReport = ({ query, totalResults, results }) => ({
+  title: `Torre search: "${query}"`,
+  subtitle: `${results.length} of ${Math.max(totalResults, results.length)} results`,
+  sections: [{
+    heading: 'Results',
+    table: {
+      columns: ['Name', 'Headline', 'Location', 'Top skills', 'Profile'],
+      rows: results.map(({ person = {}, skills }) => [
+        person.name || person.username,
+        person.professionalHeadline || '',
+        getLocationName(person.location) || '',
+        // Skills are null when the search didn't report them
+        skills ? skills.slice(0, 3).map(skill => skill.name).join(', ') : '—',
+        profileUrl(person.username)
+      ])
+    }
+  }]
+});
+
+// --- Renderers -------------------------------------------------------------
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Report from one of the builders
+ * @returns {string} Markdown
+ */
+export const reportToMarkdown = (report) => {
+  const lines = [`# ${report.title}`];
+  if (report.subtitle) lines.push('', `_${report.subtitle}_`);
+
+  report.sections.forEach(section => {
+    lines.push('', `## ${section.heading}`);
+    if (section.text) lines.push('', section.text);
+    if (section.items?.length > 0) {
+      lines.push('', ...section.items.map(item => `- ${item}`));
+    }
+    if (section.table) {
+      const { columns, rows } = section.table;
+      lines.push(
+        '',
+        `| ${columns.map(markdownCell).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.slice(0, MAX_TABLE_ROWS).map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+      );
+      if (rows.length > MAX_TABLE_ROWS) lines.push('', `_…and ${rows.length - MAX_TABLE_ROWS} more_`);
+    }
+  });
+
+  lines.push('', `_Exported from TorreDex on ${new Date().toLocaleDateString()}_`, '');
+  return lines.join('\n');
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, -apple-system, sans-serif; color: #1a202c; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 20px 0 8px; border-bottom: 2px solid #9aaa00; padding-bottom: 4px; }
+  .subtitle { color: #4a5568; margin: 0 0 12px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 6px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { background: #f7fafc; }
+  ul { margin: 6px 0; padding-left: 18px; }
+  footer { margin-top: 24px; color: #718096; font-size: 10px; }
+  section { break-inside: avoid; }
+`;
+
+/**
+ * Render a report as a standalone, printable HTML document
+ * Tables are printed in full.
+ * @param {Object} report - Report from one of the builders
+ * @returns {string} HTML document
+ */
+export const reportToHtml = (report) => {
+  const sections = report.sections.map(section => {
+    const parts = [`<h2>${escapeHtml(section.heading)}</h2>`];
+    if (section.text) parts.push(`<p>${escapeHtml(section.text)}</p>`);
+    if (section.items?.length > 0) {
+      parts.push(`<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    }
+    if (section.table) {
+      const { columns, rows } = section.table;
+      parts.push(
+        '<table><thead><tr>' +
+        columns.map(column => `<th>${escapeHtml(column)}</th>`).join('') +
+        '</tr></thead><tbody>' +
+        rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+        '</tbody></table>'
+      );
+    }
+    return `<section>${parts.join('')}</section>`;
+  }).join('');
+
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title>` +
+    `<style>${PRINT_STYLES}</style></head><body>` +
+    `<h1>${escapeHtml(report.title)}</h1>` +
+    (report.subtitle ? `<p class="subtitle">${escapeHtml(report.subtitle)}</p>` : '') +
+    sections +
+    `<footer>Exported from TorreDex on ${escapeHtml(new Date().toLocaleString())}</footer>` +
+    '</body></html>';
+};
+
+/**
+ * Build a CSV document, quoting values where needed
+ * Text starting like a formula (=, +, -, @) gets a leading ' so spreadsheets
+ * show it instead of running it; a headline such as "=HYPERLINK(...)" stays text.
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV text
+ */
+export const toCsv = (columns, rows) => {
+  const cell = (value) => {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map(row => row.map(cell).join(',')).join('\r\n');
+};
+
+/**
+ * "yes" or "no", or an empty cell when the value isn't known
+ * @param {boolean|null} value - Flag, null when the source didn't report it
+ * @returns {string} Cell text
+ */
+const yesNo = (value) => (value === null || value === undefined ? '' : value ? 'yes' : 'no');
+
+/**
+ * Every field of a people search as CSV
+ * Fields the search didn't report (see toPersonResult in services/api.js) are left empty.
+ * @param {Array} results - Results as returned by the search
+ * @returns {string} CSV text
+ */
+export const searchResultsToCsv = (results) => toCsv(
+  ['Name', 'Username', 'Headline', 'Location', 'Verified', 'Open to work', 'Remote', 'Weight', 'Completion', 'Skills', 'Profile'],
+  results.map(({ person = {}, skills }) => [
+    person.name,
+    person.username,
+    person.professionalHeadline,
+    getLocationName(person.location),
+    yesNo(Boolean(person.verified)),
+    yesNo(person.openToWork),
+    yesNo(person.remote),
+    person.weight ?? '',
+    person.completion ?? '',
+    (skills || []).map(skill => skill.name).join('; '),
+    profileUrl(person.username)
+  ])
+);
+
+/**
+ * Skills-by-person table of a comparison as CSV
+ * @param {Array} comparisons - Pairwise comparisons from ComparisonContext
+ * @returns {string} CSV text
+ */
+export const comparisonToCsv = (comparisons) => {
+  const { columns, rows } = buildSkillsTable(comparedPeople(comparisons), '');
+  return toCsv(columns, rows);
+};
+
+// --- Output ----------------------------------------------------------------
+
+/**
+ * Save text as a file through the browser
+ * @param {string} content - File contents
+ * @param {string} fileName - File name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Open the browser's print dialog for a report, where it can also be saved as PDF
+ * The report is printed from a hidden frame so the app itself is left alone.
+ * @param {Object} report - Report from one of the builders
+ */
+export const printReport = (report) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(frame);
+
+  const frameWindow = frame.contentWindow;
+  frameWindow.document.open();
+  frameWindow.document.write(reportToHtml(report));
+  frameWindow.document.close();
+
+  // The frame can go once the dialog closes
+  frameWindow.addEventListener('afterprint', () => frame.remove());
+  frameWindow.focus();
+  frameWindow.print();
+};
+
+export default {
+  profileUrl,
+  reportFileName,
+  buildGenomeReport,
+  buildComparisonReport,
+  buildSearchReport,
+  reportToMarkdown,
+  reportToHtml,
+  toCsv,
+  searchResultsToCsv,
+  comparisonToCsv,
+  downloadFile,
+  printReport,
+};
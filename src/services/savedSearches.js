@@ -0,0 +1,169 @@
+/**
+ * Saved Searches
+ * A query and its filters kept in IndexedDB under a name, with snapshots of
+ * the people each run returned so runs can be diffed to watch a talent pool.
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './db.js';
+
+/**
+ * Snapshots kept per saved search; older ones are dropped
+ */
+export const MAX_SNAPSHOTS = 12;
+
+/**
+ * People fetched per run, Torre's largest page
+ * Runs use Torre's people search, which reports who is open to work.
+ */
+export const SNAPSHOT_LIMIT = 50;
+
+/**
+ * Person fields compared between snapshots
+ */
+export const TRACKED_FIELDS = [
+  { field: 'professionalHeadline', label: 'Headline' },
+  { field: 'openToWork', label: 'Open to work' },
+];
+
+/**
+ * Create a new, unsaved search
+ * @param {string} name - Saved search name
+ * @param {string} query - Search query
+ * @param {Object} filters - Filters object (see utils/searchFilters.js)
+ * @returns {Object} Saved search
+ */
+export const createSavedSearch = (name, query, filters) => {
+  const now = new Date().toISOString();
+  return {
+    id: `saved-search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim() || query.trim() || 'Untitled search',
+    query: query.trim(),
+    filters,
+    snapshots: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Turn a search result into the part of it a snapshot keeps
+ * @param {Object} result - Formatted search result (`{ person }`)
+ * @returns {Object} `{ username, name, picture, professionalHeadline, openToWork }`,
+ *   openToWork null when the search didn't report it
+ */
+export const toSnapshotEntry = (result) => {
+  const person = result.person || result;
+  return {
+    username: person.username,
+    name: person.name || person.username,
+    picture: person.picture || null,
+    professionalHeadline: person.professionalHeadline || '',
+    openToWork: typeof person.openToWork === 'boolean' ? person.openToWork : null,
+  };
+};
+
+/**
+ * Record the people a run returned
+ * @param {Array} results - Formatted search results
+ * @returns {Object} `{ takenAt, total, people }`
+ */
+export const createSnapshot = (results = []) => {
+  const people = results.map(toSnapshotEntry).filter(entry => entry.username);
+  return {
+    takenAt: new Date().toISOString(),
+    total: people.length,
+    people,
+  };
+};
+
+/**
+ * Add a snapshot to a saved search, newest last, keeping at most MAX_SNAPSHOTS
+ * @param {Object} savedSearch - Saved search
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Object} Updated saved search
+ */
+export const addSnapshot = (savedSearch, snapshot) => ({
+  ...savedSearch,
+  snapshots: [...savedSearch.snapshots, snapshot].slice(-MAX_SNAPSHOTS),
+});
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+/**
+ * Compare two snapshots of the same search
+ * A field that either run didn't report (null) doesn't count as a change.
+ * @param {Object|null} previous - Earlier snapshot (null for a first run)
+ * @param {Object} current - Later snapshot
+ * @returns {Object} `{ added, removed, changed, unchanged }`: added and removed are
+ *   snapshot entries, changed is `{ username, name, picture, changes }` with each change
+ *   `{ field, label, before, after }`, unchanged is a count
+ */
+export const diffSnapshots = (previous, current) => {
+  const before = new Map((previous?.people || []).map(person => [person.username, person]));
+  const after = new Map((current?.people || []).map(person => [person.username, person]));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  after.forEach((person, username) => {
+    const earlier = before.get(username);
+    if (!earlier) {
+      added.push(person);
+      return;
+    }
+
+    const changes = TRACKED_FIELDS
+      .filter(({ field }) => isKnown(earlier[field]) && isKnown(person[field]) && earlier[field] !== person[field])
+      .map(({ field, label }) => ({ field, label, before: earlier[field], after: person[field] }));
+    if (changes.length > 0) {
+      changed.push({ username, name: person.name, picture: person.picture, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  const removed = [...before.values()].filter(person => !after.has(person.username));
+
+  return { added, removed, changed, unchanged };
+};
+
+/**
+ * Load every saved search, oldest first
+ * @returns {Promise<Array>} Saved searches
+ */
+export const loadSavedSearches = async () => {
+  const savedSearches = await getAllRecords(STORES.savedSearches);
+  return savedSearches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Save a saved search, stamping its update time
+ * @param {Object} savedSearch - Saved search to save
+ * @returns {Promise<Object>} Saved search as stored
+ */
+export const saveSavedSearch = async (savedSearch) => {
+  const saved = { ...savedSearch, updatedAt: new Date().toISOString() };
+  await putRecord(STORES.savedSearches, saved);
+  return saved;
+};
+
+/**
+ * Delete a saved search and its snapshots
+ * @param {string} id - Saved search id
+ * @returns {Promise<undefined>}
+ */
+export const removeSavedSearch = (id) => deleteRecord(STORES.savedSearches, id);
+
+export default {
+  MAX_SNAPSHOTS,
+  SNAPSHOT_LIMIT,
+  TRACKED_FIELDS,
+  createSavedSearch,
+  toSnapshotEntry,
+  createSnapshot,
+  addSnapshot,
+  diffSnapshots,
+  loadSavedSearches,
+  saveSavedSearch,
+  removeSavedSearch,
+};
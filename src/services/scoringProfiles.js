@@ -0,0 +1,98 @@
+/**
+ * Scoring Profiles
+ * Named presets that decide how two professionals are scored against each other:
+ * the weight of each sub-score, the minimum score a recommendation needs and
+ * how skills and experience are matched.
+ */
+
+/**
+ * Skill match modes
+ * - overlap: how much the two skill sets share, in both directions
+ * - coverage: how much of the first person's skills the second covers at the same level or better
+ * - complement: how much the second person adds that the first lacks
+ */
+export const SKILL_MATCH_MODES = {
+  overlap: 'overlap',
+  coverage: 'coverage',
+  complement: 'complement',
+};
+
+/**
+ * Experience directions
+ * - similar: seniority and years close to the first person's, either way
+ * - more: the second person more senior and longer in work than the first
+ */
+export const EXPERIENCE_DIRECTIONS = {
+  similar: 'similar',
+  more: 'more',
+};
+
+/**
+ * Built-in scoring profiles
+ */
+export const SCORING_PROFILES = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'General similarity across skills, strengths and background',
+    weights: { skills: 0.4, strengths: 0.3, experience: 0.2, education: 0.1, timezone: 0.1, languages: 0.1 },
+    minSimilarityScore: 0.1,
+    skillRules: { mode: SKILL_MATCH_MODES.overlap, minProficiency: 0, gapProficiency: 0.7 },
+    experienceRules: { direction: EXPERIENCE_DIRECTIONS.similar },
+  },
+  {
+    id: 'peer-replacement',
+    name: 'Peer replacement',
+    description: 'Someone who could step into the same role',
+    weights: { skills: 0.5, strengths: 0.15, experience: 0.3, education: 0.05, timezone: 0.1, languages: 0.1 },
+    minSimilarityScore: 0.25,
+    skillRules: { mode: SKILL_MATCH_MODES.overlap, minProficiency: 0.3, gapProficiency: 0.6 },
+    experienceRules: { direction: EXPERIENCE_DIRECTIONS.similar },
+  },
+  {
+    id: 'mentor',
+    name: 'Mentor',
+    description: 'Someone who knows what they know, at least as well, with more experience',
+    weights: { skills: 0.45, strengths: 0.1, experience: 0.4, education: 0.05, timezone: 0.05, languages: 0.05 },
+    minSimilarityScore: 0.1,
+    skillRules: { mode: SKILL_MATCH_MODES.coverage, minProficiency: 0, gapProficiency: 0.7 },
+    experienceRules: { direction: EXPERIENCE_DIRECTIONS.more },
+  },
+  {
+    id: 'complementary-hire',
+    name: 'Complementary hire',
+    description: 'Someone who brings the skills they are missing',
+    weights: { skills: 0.6, strengths: 0.25, experience: 0.1, education: 0.05, timezone: 0.1, languages: 0.05 },
+    minSimilarityScore: 0.05,
+    skillRules: { mode: SKILL_MATCH_MODES.complement, minProficiency: 0.3, gapProficiency: 0.5 },
+    experienceRules: { direction: EXPERIENCE_DIRECTIONS.similar },
+  },
+];
+
+export const DEFAULT_SCORING_PROFILE_ID = 'balanced';
+
+/**
+ * Look up a scoring profile, falling back to the default
+ * @param {string} id - Profile id
+ * @returns {Object} Scoring profile
+ */
+export const getScoringProfile = (id) => (
+  SCORING_PROFILES.find(profile => profile.id === id)
+  || SCORING_PROFILES.find(profile => profile.id === DEFAULT_SCORING_PROFILE_ID)
+);
+
+/**
+ * Short description of a profile to keep alongside results it produced
+ * @param {Object} profile - Scoring profile
+ * @returns {{id: string, name: string}} Profile reference
+ */
+export const toProfileReference = (profile) => ({ id: profile.id, name: profile.name });
+
+export default {
+  SKILL_MATCH_MODES,
+  EXPERIENCE_DIRECTIONS,
+  SCORING_PROFILES,
+  DEFAULT_SCORING_PROFILE_ID,
+  getScoringProfile,
+  toProfileReference,
+};
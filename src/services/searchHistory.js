@@ -0,0 +1,207 @@
+/**
+ * Search History
+ * Recent and pinned people-search queries, plus the skills seen in results and
+ * opened genomes, kept in localStorage to suggest queries as the user types.
+ * Results from Torre's entities stream list no skills; those from its people
+ * search (filtered or field-scoped queries) and every genome do.
+ */
+
+import { SKILL_TAXONOMY, toSkillKey } from '../utils/skillTaxonomy.js';
+
+const STORAGE_KEY = 'torre-explorer-search-history';
+
+/**
+ * Recent queries kept; pinned queries don't count towards it
+ */
+export const MAX_RECENT_QUERIES = 10;
+
+/**
+ * Distinct skills remembered, most seen first
+ */
+export const MAX_SEEN_SKILLS = 200;
+
+/**
+ * Suggestions shown at once
+ */
+export const MAX_SUGGESTIONS = 8;
+
+// Searches run in quick succession that extend each other ("reac", "react") are one search being typed
+const REFINE_WINDOW_MS = 60 * 1000;
+
+const EMPTY_HISTORY = { recent: [], pinned: [], skills: [] };
+
+/**
+ * Key queries are compared by: trimmed, lowercase, single spaces
+ * @param {string} query - Search query
+ * @returns {string} Query key
+ */
+export const toQueryKey = (query) => (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Read the saved history
+ * @returns {Object} `{ recent, pinned, skills }`: recent is `{ query, searchedAt }` newest
+ *   first, pinned a list of queries, skills `{ name, count }` most seen first
+ */
+export const loadSearchHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      recent: Array.isArray(saved?.recent) ? saved.recent : [],
+      pinned: Array.isArray(saved?.pinned) ? saved.pinned : [],
+      skills: Array.isArray(saved?.skills) ? saved.skills : [],
+    };
+  } catch {
+    return { ...EMPTY_HISTORY };
+  }
+};
+
+/**
+ * Save the history
+ * @param {Object} history - History from loadSearchHistory
+ */
+export const saveSearchHistory = (history) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.warn('Could not save search history:', error);
+  }
+};
+
+/**
+ * Add a query to the recent queries, newest first
+ * A query that refines the latest one shortly after it replaces it, so
+ * searches fired while typing don't fill the history.
+ * @param {Object} history - Search history
+ * @param {string} query - Query that was searched
+ * @param {number} now - Time of the search
+ * @returns {Object} Updated history
+ */
+export const addRecentQuery = (history, query, now = Date.now()) => {
+  const key = toQueryKey(query);
+  if (!key) return history;
+
+  const [latest] = history.recent;
+  const latestKey = toQueryKey(latest?.query);
+  const isRefinement = latest
+    && now - latest.searchedAt < REFINE_WINDOW_MS
+    && (key.startsWith(latestKey) || latestKey.startsWith(key));
+
+  const recent = history.recent.filter((entry, index) =>
+    toQueryKey(entry.query) !== key && !(isRefinement && index === 0)
+  );
+  return {
+    ...history,
+    recent: [{ query: query.trim(), searchedAt: now }, ...recent].slice(0, MAX_RECENT_QUERIES),
+  };
+};
+
+/**
+ * Remove a query from the recent queries
+ * @param {Object} history - Search history
+ * @param {string} query - Query to forget
+ * @returns {Object} Updated history
+ */
+export const removeRecentQuery = (history, query) => ({
+  ...history,
+  recent: history.recent.filter(entry => toQueryKey(entry.query) !== toQueryKey(query)),
+});
+
+/**
+ * Pin a query, or unpin it when it's already pinned
+ * @param {Object} history - Search history
+ * @param {string} query - Query to pin or unpin
+ * @returns {Object} Updated history
+ */
+export const togglePinnedQuery = (history, query) => {
+  const key = toQueryKey(query);
+  if (!key) return history;
+  const isPinned = history.pinned.some(pinned => toQueryKey(pinned) === key);
+  return {
+    ...history,
+    pinned: isPinned
+      ? history.pinned.filter(pinned => toQueryKey(pinned) !== key)
+      : [...history.pinned, query.trim()],
+  };
+};
+
+/**
+ * Count skills seen on search results or genomes
+ * @param {Object} history - Search history
+ * @param {Array} skills - Skills (`{ name }`)
+ * @returns {Object} Updated history
+ */
+export const addSeenSkills = (history, skills = []) => {
+  if (skills.length === 0) return history;
+
+  const counts = new Map(history.skills.map(skill => [toSkillKey(skill.name), { ...skill }]));
+  skills.forEach(({ name }) => {
+    const key = toSkillKey(name);
+    if (!key) return;
+    const skill = counts.get(key) || { name: name.trim(), count: 0 };
+    skill.count += 1;
+    counts.set(key, skill);
+  });
+  return {
+    ...history,
+    skills: [...counts.values()].sort((a, b) => b.count - a.count).slice(0, MAX_SEEN_SKILLS),
+  };
+};
+
+/**
+ * Forget recent queries and seen skills; pinned queries stay
+ * @param {Object} history - Search history
+ * @returns {Object} Updated history
+ */
+export const clearSearchHistory = (history) => ({ ...history, recent: [], skills: [] });
+
+/**
+ * Suggestions for what's typed so far
+ * With nothing typed these are the pinned then the recent queries. Otherwise
+ * pinned and recent queries containing the input come first, then skills
+ * starting with it: those seen in results, then the local skill vocabulary.
+ * @param {Object} history - Search history
+ * @param {string} input - Text in the search bar
+ * @param {number} limit - Most suggestions returned
+ * @returns {Array} `{ type, query }` with type 'pinned', 'recent' or 'skill'
+ */
+export const getQuerySuggestions = (history, input = '', limit = MAX_SUGGESTIONS) => {
+  const inputKey = toQueryKey(input);
+  const inputSkillKey = toSkillKey(input);
+  const suggestions = [];
+  const seen = new Set([inputKey]);
+
+  const add = (type, query) => {
+    const key = toQueryKey(query);
+    if (suggestions.length >= limit || seen.has(key)) return;
+    seen.add(key);
+    suggestions.push({ type, query });
+  };
+  const containsInput = (query) => toQueryKey(query).includes(inputKey);
+  const startsWithInput = (name) => toSkillKey(name).startsWith(inputSkillKey);
+
+  history.pinned.filter(containsInput).forEach(query => add('pinned', query));
+  history.recent.map(entry => entry.query).filter(containsInput).forEach(query => add('recent', query));
+  if (!inputSkillKey) return suggestions;
+
+  history.skills.filter(skill => startsWithInput(skill.name)).forEach(skill => add('skill', skill.name));
+  // Skills whose name matches before those matched by another spelling ("golang" for Go)
+  SKILL_TAXONOMY.filter(skill => startsWithInput(skill.name)).forEach(skill => add('skill', skill.name));
+  SKILL_TAXONOMY.filter(skill => skill.aliases.some(startsWithInput)).forEach(skill => add('skill', skill.name));
+
+  return suggestions;
+};
+
+export default {
+  MAX_RECENT_QUERIES,
+  MAX_SEEN_SKILLS,
+  MAX_SUGGESTIONS,
+  toQueryKey,
+  loadSearchHistory,
+  saveSearchHistory,
+  addRecentQuery,
+  removeRecentQuery,
+  togglePinnedQuery,
+  addSeenSkills,
+  clearSearchHistory,
+  getQuerySuggestions,
+};
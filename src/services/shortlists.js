@@ -0,0 +1,72 @@
+/**
+ * Shortlist Service
+ * Named lists of people kept in IndexedDB, each entry with a note and tags
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './db.js';
+
+/**
+ * Create a new, unsaved shortlist
+ * @param {string} name - Shortlist name
+ * @returns {Object} Shortlist
+ */
+export const createShortlist = (name) => {
+  const now = new Date().toISOString();
+  return {
+    id: `shortlist-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim() || 'Untitled shortlist',
+    entries: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Turn a person from a search result, genome or recommendation into a shortlist entry
+ * @param {Object} person - Person data
+ * @returns {Object} Shortlist entry
+ */
+export const toShortlistEntry = (person) => ({
+  username: person.username || person.person?.username,
+  name: person.name || person.person?.name || person.username,
+  picture: person.picture || person.person?.picture || null,
+  professionalHeadline: person.professionalHeadline || person.headline || person.person?.professionalHeadline || '',
+  note: '',
+  tags: [],
+  addedAt: new Date().toISOString(),
+});
+
+/**
+ * Load every saved shortlist, oldest first
+ * @returns {Promise<Array>} Shortlists
+ */
+export const loadShortlists = async () => {
+  const shortlists = await getAllRecords(STORES.shortlists);
+  return shortlists.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Save a shortlist, stamping its update time
+ * @param {Object} shortlist - Shortlist to save
+ * @returns {Promise<Object>} Saved shortlist
+ */
+export const saveShortlist = async (shortlist) => {
+  const saved = { ...shortlist, updatedAt: new Date().toISOString() };
+  await putRecord(STORES.shortlists, saved);
+  return saved;
+};
+
+/**
+ * Delete a shortlist
+ * @param {string} id - Shortlist id
+ * @returns {Promise<undefined>}
+ */
+export const removeShortlist = (id) => deleteRecord(STORES.shortlists, id);
+
+export default {
+  createShortlist,
+  toShortlistEntry,
+  loadShortlists,
+  saveShortlist,
+  removeShortlist,
+};
@@ -0,0 +1,235 @@
+/**
+ * Timezones
+ * Working-hours overlap between people from the location on their genome.
+ * Everyone is assumed to work the same local hours (WORKING_HOURS); windows are
+ * compared in UTC minutes, so a window may run past midnight on either side.
+ */
+
+/**
+ * Local working hours assumed for everyone
+ */
+export const WORKING_HOURS = { start: 9, end: 17 };
+
+/**
+ * Overlap a distributed team needs to work together, in hours
+ */
+export const MIN_OVERLAP_HOURS = 4;
+
+const MINUTES_PER_DAY = 24 * 60;
+const WORKING_MINUTES = (WORKING_HOURS.end - WORKING_HOURS.start) * 60;
+
+/**
+ * Offset in minutes from a raw `timezoneOffSet`
+ * Torre doesn't document the unit, so it's read from the size of the value:
+ * no timezone is more than 14 hours from UTC.
+ * @param {number|string} value - Offset in hours, minutes, seconds or milliseconds
+ * @returns {number|null} Minutes east of UTC
+ */
+const parseOffsetMinutes = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const offset = Number(value);
+  if (!Number.isFinite(offset)) return null;
+
+  const size = Math.abs(offset);
+  if (size <= 14) return Math.round(offset * 60);
+  if (size <= 14 * 60) return Math.round(offset);
+  if (size <= 14 * 3600) return Math.round(offset / 60);
+  return Math.round(offset / 60000);
+};
+
+/**
+ * Current offset of an IANA timezone, daylight saving included
+ * @param {string} timezone - IANA timezone, e.g. "America/Bogota"
+ * @param {Date} date - Moment to take the offset at
+ * @returns {number|null} Minutes east of UTC, or null for an unknown timezone
+ */
+const getZoneOffsetMinutes = (timezone, date) => {
+  try {
+    const zoneName = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName')?.value;
+    if (zoneName === 'GMT') return 0;
+    const match = /GMT([+-])(\d{1,2}):?(\d{2})?/.exec(zoneName || '');
+    if (!match) return null;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+    return match[1] === '-' ? -minutes : minutes;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Location of a raw genome (or of a person object that carries one)
+ * @param {Object} genome - Genome data or person
+ * @returns {Object|null} Location with `timezone` and `timezoneOffSet`
+ */
+export const getLocation = (genome) => genome?.person?.location || genome?.location || null;
+
+/**
+ * UTC offset of a location, preferring its IANA timezone so daylight saving counts
+ * @param {Object} location - Location from the genome or formatLocation
+ * @param {Date} date - Moment to take the offset at
+ * @returns {number|null} Minutes east of UTC, or null without timezone data
+ */
+export const getUtcOffset = (location, date = new Date()) => {
+  if (!location || typeof location !== 'object') return null;
+  const zoneOffset = location.timezone ? getZoneOffsetMinutes(location.timezone, date) : null;
+  return zoneOffset ?? parseOffsetMinutes(location.timezoneOffSet);
+};
+
+/**
+ * Location of whoever is using the app, from the browser's timezone
+ * @returns {Object} Location with `timezone` and `timezoneOffSet` (minutes)
+ */
+export const getLocalLocation = () => ({
+  name: 'Your timezone',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  timezoneOffSet: -new Date().getTimezoneOffset()
+});
+
+/**
+ * Working hours of a UTC offset, in UTC minutes
+ * @param {number} offset - Minutes east of UTC
+ * @returns {Object} `{ start, end }`
+ */
+export const getWorkingWindow = (offset) => {
+  const start = WORKING_HOURS.start * 60 - offset;
+  return { start, end: start + WORKING_MINUTES };
+};
+
+/**
+ * Shift a window by whole days so it sits as close as possible to a reference window
+ * @param {Object} window - `{ start, end }` in UTC minutes
+ * @param {Object} reference - `{ start, end }` in UTC minutes
+ * @returns {Object} Shifted window
+ */
+const alignWindow = (window, reference) => {
+  const days = Math.round((reference.start - window.start) / MINUTES_PER_DAY);
+  return { start: window.start + days * MINUTES_PER_DAY, end: window.end + days * MINUTES_PER_DAY };
+};
+
+/**
+ * Hours shared by the working windows of several UTC offsets
+ * @param {Array<number>} offsets - Minutes east of UTC
+ * @returns {Object|null} `{ hours, window }` where window is `{ start, end }` in UTC
+ *   minutes (null when there's no overlap), or null for fewer than two offsets
+ */
+const overlapOfOffsets = (offsets) => {
+  if (offsets.length < 2) return null;
+
+  const [first, ...rest] = offsets.map(getWorkingWindow);
+  const shared = rest.reduce((window, next) => {
+    if (!window) return null;
+    const aligned = alignWindow(next, window);
+    const start = Math.max(window.start, aligned.start);
+    const end = Math.min(window.end, aligned.end);
+    return end > start ? { start, end } : null;
+  }, first);
+
+  return {
+    hours: shared ? (shared.end - shared.start) / 60 : 0,
+    window: shared
+  };
+};
+
+/**
+ * Working-hours overlap between two people
+ * @param {Object} location1 - First person's location
+ * @param {Object} location2 - Second person's location
+ * @returns {Object} `{ available, hours, window, offsets, meetsMinimum }`; available is false
+ *   when either timezone is unknown
+ */
+export const workingHoursOverlap = (location1, location2) => {
+  const offsets = [getUtcOffset(location1), getUtcOffset(location2)];
+  if (offsets.some(offset => offset === null)) {
+    return { available: false, hours: 0, window: null, offsets, meetsMinimum: false };
+  }
+
+  const { hours, window } = overlapOfOffsets(offsets);
+  return { available: true, hours, window, offsets, meetsMinimum: hours >= MIN_OVERLAP_HOURS };
+};
+
+/**
+ * Working hours everyone on a team shares
+ * People without timezone data are left out and listed in `unknown`.
+ * @param {Array} members - `{ name, location }` per person
+ * @returns {Object} `{ available, hours, window, members, unknown, meetsMinimum }`; members
+ *   carries each known person's `offset`, and available needs two of them
+ */
+export const teamOverlap = (members = []) => {
+  const known = [];
+  const unknown = [];
+  members.forEach(member => {
+    const offset = getUtcOffset(member.location);
+    if (offset === null) {
+      unknown.push(member);
+    } else {
+      known.push({ ...member, offset });
+    }
+  });
+
+  const overlap = overlapOfOffsets(known.map(member => member.offset));
+  return {
+    available: Boolean(overlap),
+    hours: overlap?.hours || 0,
+    window: overlap?.window || null,
+    members: known,
+    unknown,
+    meetsMinimum: Boolean(overlap) && overlap.hours >= MIN_OVERLAP_HOURS
+  };
+};
+
+/**
+ * How well an overlap meets the team minimum, as a 0-1 score
+ * @param {number} hours - Overlapping hours
+ * @returns {number} 1 at MIN_OVERLAP_HOURS or more, proportionally less below
+ */
+export const overlapScore = (hours) => Math.min(1, hours / MIN_OVERLAP_HOURS);
+
+/**
+ * Format a UTC offset as "UTC-5" or "UTC+5:30"
+ * @param {number} offset - Minutes east of UTC
+ * @returns {string} Offset label
+ */
+export const formatUtcOffset = (offset) => {
+  if (offset === 0) return 'UTC';
+  const size = Math.abs(offset);
+  const minutes = size % 60;
+  return `UTC${offset < 0 ? '-' : '+'}${Math.floor(size / 60)}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+};
+
+/**
+ * Format minutes of the day as "09:30", wrapping past midnight
+ * @param {number} minutes - Minutes, in any day
+ * @returns {string} Clock time
+ */
+export const formatClockTime = (minutes) => {
+  const time = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format a number of hours as "4h" or "3h 30m"
+ * @param {number} hours - Hours
+ * @returns {string} Duration
+ */
+export const formatHours = (hours) => {
+  const whole = Math.floor(hours);
+  const minutes = Math.round((hours - whole) * 60);
+  return minutes > 0 ? `${whole}h ${minutes}m` : `${whole}h`;
+};
+
+export default {
+  WORKING_HOURS,
+  MIN_OVERLAP_HOURS,
+  getLocation,
+  getUtcOffset,
+  getLocalLocation,
+  getWorkingWindow,
+  workingHoursOverlap,
+  teamOverlap,
+  overlapScore,
+  formatUtcOffset,
+  formatClockTime,
+  formatHours,
+};
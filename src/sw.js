@@ -0,0 +1,61 @@
+/**
+ * Service worker
+ * Precaches the app shell so TorreDex opens without a connection. Torre data
+ * isn't cached here: searches and genomes are kept by the app in IndexedDB.
+ * The placeholders below are filled in at build time by the service worker
+ * plugin in vite.config.js; this file is not part of the app bundle.
+ */
+
+const CACHE_PREFIX = 'torre-dex-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__CACHE_VERSION__}`;
+
+// Files outside the bundle that make up the shell
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+const PRECACHE_FILES = [...new Set([...APP_SHELL, ...self.__PRECACHE_FILES__])];
+
+// Requests proxied to Torre
+const API_PREFIXES = ['/api/', '/search-api/'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the shells of earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (API_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return;
+
+  // Pages: network first so new deploys show up, the cached shell when offline.
+  // Every route is rendered by the same index.html.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built files have content hashes in their names, so a cached copy is always current
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
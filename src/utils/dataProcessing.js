@@ -43,14 +43,15 @@ export const formatUserData = (userData) => {
       summaryOfBio: person.summaryOfBio || person.bio,
       location: formatLocation(person.location),
       verified: person.verified || false,
-      openToWork: person.openToWork || false,
-      remote: person.remote || false,
+      // Search results use null for what their source didn't report; keep it unknown
+      openToWork: person.openToWork === null ? null : person.openToWork || false,
+      remote: person.remote === null ? null : person.remote || false,
       weight: person.weight,
       completion: person.completion,
     },
 
     // Skills and strengths from stats
-    skills: formatSkills(stats.skills || userData.skills || []),
+    skills: userData.skills === null ? null : formatSkills(stats.skills || userData.skills || []),
     strengths: formatStrengths(stats.strengths || userData.strengths || []),
     interests: formatInterests(stats.interests || userData.interests || []),
 
@@ -135,6 +136,17 @@ export const formatLocation = (location) => {
   };
 };
 
+/**
+ * Display name of a location, which Torre sends either as text or as an object
+ * @param {string|Object} location - Location text or object
+ * @returns {string|null} Location name
+ */
+export const getLocationName = (location) => {
+  if (!location) return null;
+  if (typeof location === 'string') return location;
+  return location.name || location.shortName || location.country || null;
+};
+
 /**
  * Format skills array
  * @param {Array} skills - Skills array
@@ -267,6 +279,87 @@ export const formatLanguages = (languages) => {
   })).sort((a, b) => (b.weight || 0) - (a.weight || 0));
 };
 
+/**
+ * Weight given to each Torre skill proficiency level when a job is scored as a profile
+ */
+export const JOB_PROFICIENCY_WEIGHTS = {
+  expert: 1,
+  proficient: 0.8,
+  novice: 0.5,
+  'potential-to-develop': 0.3,
+  'no-experience-interested': 0.2,
+};
+
+/**
+ * Format job/opportunity data from Torre's search or opportunity API
+ * @param {Object} jobData - Raw job data from API
+ * @returns {Object} Formatted job data
+ */
+export const formatJobData = (jobData) => {
+  if (!jobData) return null;
+
+  const organization = jobData.organizations?.[0] || jobData.organization || null;
+  const place = jobData.place || {};
+  const locations = jobData.locations || (place.location || []).map(location => location.id || location.name || location);
+
+  return {
+    id: jobData.id,
+    title: capitalizeText(jobData.objective || jobData.title || 'Untitled opportunity'),
+    tagline: jobData.tagline || '',
+    type: jobData.type || jobData.opportunity || null,
+    commitment: jobData.commitment?.code || jobData.commitment || null,
+    status: jobData.status || 'open',
+    organization: organization ? {
+      name: organization.name,
+      picture: organization.picture || organization.imageUrl,
+    } : null,
+    locations: locations.filter(Boolean),
+    remote: jobData.remote || place.remote || false,
+    compensation: formatCompensation(jobData.compensation),
+    // The search API lists `skills`, the opportunity API lists `strengths`
+    skills: (jobData.skills || jobData.strengths || [])
+      .filter(skill => skill?.name)
+      .map(skill => ({
+        name: skill.name,
+        proficiency: skill.proficiency || null,
+        experience: skill.experience || null,
+        weight: JOB_PROFICIENCY_WEIGHTS[skill.proficiency] ?? 0.5,
+      })),
+    details: (jobData.details || [])
+      .filter(detail => detail?.content)
+      .map(detail => ({ code: detail.code, content: detail.content })),
+    languages: formatLanguages(jobData.languages || []),
+    deadline: jobData.deadline || null,
+    created: jobData.created || null,
+  };
+};
+
+/**
+ * Format job compensation data
+ * @param {Object} compensation - Compensation object
+ * @returns {Object|null} Formatted compensation, or null when hidden
+ */
+export const formatCompensation = (compensation) => {
+  const data = compensation?.data || compensation;
+  if (!data || compensation?.visible === false) return null;
+
+  const { currency, minAmount, maxAmount, periodicity } = data;
+  if (!minAmount && !maxAmount) return null;
+
+  const format = (amount) => Number(amount).toLocaleString();
+  const range = minAmount && maxAmount && minAmount !== maxAmount
+    ? `${format(minAmount)} - ${format(maxAmount)}`
+    : format(minAmount || maxAmount);
+
+  return {
+    currency,
+    minAmount,
+    maxAmount,
+    periodicity,
+    label: `${currency ? currency + ' ' : ''}${range}${periodicity ? ' / ' + periodicity : ''}`,
+  };
+};
+
 /**
  * Calculate skill match percentage between two users
  * @param {Array} skills1 - First user's skills
@@ -377,12 +470,15 @@ export default {
   capitalizeText,
   formatUserData,
   formatLocation,
+  getLocationName,
   formatSkills,
   formatStrengths,
   formatInterests,
   formatExperiences,
   formatEducation,
   formatLanguages,
+  formatJobData,
+  formatCompensation,
   calculateSkillMatch,
   getSkillWeightColor,
   formatDateRange,
@@ -0,0 +1,137 @@
+/**
+ * Language fluency
+ * An ordered fluency scale so the fluency strings on genomes and job posts
+ * ("fully-fluent", "Fully Fluent", "Advanced", "C1") compare as levels, and
+ * a small map of language names so "Español" and "Spanish" are the same language.
+ */
+
+/**
+ * Fluency levels, lowest first; Torre's own values are the ids
+ */
+export const FLUENCY_SCALE = [
+  { level: 1, id: 'reading', label: 'Reading', aliases: ['basic', 'elementary', 'beginner', 'a1', 'a2'] },
+  { level: 2, id: 'conversational', label: 'Conversational', aliases: ['intermediate', 'limited working', 'b1', 'b2'] },
+  { level: 3, id: 'fully-fluent', label: 'Fully fluent', aliases: ['fluent', 'advanced', 'proficient', 'professional working', 'full professional', 'c1', 'c2'] },
+  { level: 4, id: 'native', label: 'Native', aliases: ['native or bilingual', 'bilingual', 'mother tongue'] },
+];
+
+/**
+ * Known languages: canonical name and other names people list them under
+ */
+export const LANGUAGES = [
+  { id: 'english', name: 'English', aliases: ['ingles', 'anglais', 'englisch', 'en'] },
+  { id: 'spanish', name: 'Spanish', aliases: ['espanol', 'castellano', 'castilian', 'espagnol', 'es'] },
+  { id: 'portuguese', name: 'Portuguese', aliases: ['portugues', 'pt'] },
+  { id: 'french', name: 'French', aliases: ['frances', 'francais', 'fr'] },
+  { id: 'german', name: 'German', aliases: ['aleman', 'deutsch', 'de'] },
+  { id: 'italian', name: 'Italian', aliases: ['italiano', 'it'] },
+  { id: 'chinese', name: 'Chinese', aliases: ['mandarin', 'chino', 'zh'] },
+  { id: 'japanese', name: 'Japanese', aliases: ['japones', 'ja'] },
+];
+
+/**
+ * Lowercase, accent-free key with spaces, hyphens and underscores collapsed
+ * @param {string} text - Fluency or language name
+ * @returns {string} Key
+ */
+const toKey = (text) => (text || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s_-]+/g, ' ');
+
+const FLUENCY_LOOKUP = new Map();
+FLUENCY_SCALE.forEach(fluency => {
+  [fluency.id, fluency.label, ...fluency.aliases].forEach(name => FLUENCY_LOOKUP.set(toKey(name), fluency));
+});
+
+const LANGUAGE_LOOKUP = new Map();
+LANGUAGES.forEach(language => {
+  [language.id, language.name, ...language.aliases].forEach(name => LANGUAGE_LOOKUP.set(toKey(name), language));
+});
+
+/**
+ * Look up a fluency on the scale
+ * @param {string} fluency - Fluency as listed on a genome or job
+ * @returns {Object|null} Entry of FLUENCY_SCALE, or null when unknown
+ */
+export const resolveFluency = (fluency) => FLUENCY_LOOKUP.get(toKey(fluency)) || null;
+
+/**
+ * Level of a fluency on the scale
+ * @param {string} fluency - Fluency as listed on a genome or job
+ * @returns {number} 1 (reading) to 4 (native), or 0 when unknown
+ */
+export const getFluencyLevel = (fluency) => resolveFluency(fluency)?.level || 0;
+
+/**
+ * Key a language is matched by
+ * @param {string} name - Language name in any listed spelling
+ * @returns {string} Id from LANGUAGES, or the normalized name for other languages
+ */
+export const toLanguageKey = (name) => LANGUAGE_LOOKUP.get(toKey(name))?.id || toKey(name);
+
+/**
+ * Display name of a language
+ * @param {string} name - Language name in any listed spelling
+ * @returns {string} Canonical name for known languages, otherwise the name as given
+ */
+export const getLanguageName = (name) => LANGUAGE_LOOKUP.get(toKey(name))?.name || (name || '').toString().trim();
+
+/**
+ * Highest fluency per language
+ * @param {Array} languages - `{ language, fluency }` entries (formatLanguages, job languages)
+ * @returns {Map} Language key to `{ name, fluency, level }`, fluency being the FLUENCY_SCALE entry or null
+ */
+export const toLanguageLevels = (languages = []) => {
+  const levels = new Map();
+  languages.forEach(entry => {
+    const name = entry.language || entry.name;
+    if (!name) return;
+    const key = toLanguageKey(name);
+    const fluency = resolveFluency(entry.fluency);
+    const level = fluency?.level || 0;
+    if (!levels.has(key) || levels.get(key).level < level) {
+      levels.set(key, { name: getLanguageName(name), fluency, level });
+    }
+  });
+  return levels;
+};
+
+/**
+ * Whether someone's languages meet a requirement
+ * @param {Map} languageLevels - Output of toLanguageLevels
+ * @param {Object} requirement - `{ language, fluency }`, fluency being the minimum
+ * @returns {boolean} True when they list the language at the minimum fluency or above
+ */
+export const meetsLanguageRequirement = (languageLevels, requirement) => {
+  const held = languageLevels.get(toLanguageKey(requirement.language));
+  return Boolean(held) && held.level >= getFluencyLevel(requirement.fluency);
+};
+
+/**
+ * Label of a requirement, e.g. "English, fully fluent or above"
+ * @param {Object} requirement - `{ language, fluency }`
+ * @returns {string} Label
+ */
+export const formatLanguageRequirement = (requirement) => {
+  const fluency = resolveFluency(requirement.fluency);
+  const name = getLanguageName(requirement.language);
+  if (!fluency) return name;
+  const isTop = fluency.level === FLUENCY_SCALE[FLUENCY_SCALE.length - 1].level;
+  return `${name}, ${fluency.label.toLowerCase()}${isTop ? '' : ' or above'}`;
+};
+
+export default {
+  FLUENCY_SCALE,
+  LANGUAGES,
+  resolveFluency,
+  getFluencyLevel,
+  toLanguageKey,
+  getLanguageName,
+  toLanguageLevels,
+  meetsLanguageRequirement,
+  formatLanguageRequirement,
+};
@@ -0,0 +1,122 @@
+/**
+ * Route patterns and path builders for TorreDex views
+ * Every view that can be shared as a link is addressed from here so the
+ * URL format lives in one place.
+ */
+
+/**
+ * Route patterns understood by react-router
+ */
+export const ROUTES = {
+  search: '/search',
+  genome: '/genome/:username',
+  compare: '/compare/:a?/:b?',
+  recommendations: '/recommendations/:username?',
+  jobs: '/jobs',
+  job: '/jobs/:jobId',
+  team: '/team',
+  shortlists: '/shortlists/:id?',
+  settings: '/settings',
+  import: '/import',
+  diff: '/diff/:a?/:b?',
+  savedSearches: '/saved-searches/:id?',
+};
+
+/**
+ * Build the search route, keeping the query in `?q=`
+ * @param {string} query - Search query
+ * @returns {string} Search path
+ */
+export const searchPath = (query = '') => {
+  if (!query) return ROUTES.search;
+  return `${ROUTES.search}?${new URLSearchParams({ q: query })}`;
+};
+
+/**
+ * Build the genome route for a user
+ * @param {string} username - Torre username
+ * @returns {string} Genome path
+ */
+export const genomePath = (username) => `/genome/${encodeURIComponent(username)}`;
+
+/**
+ * Build the comparison route for a pair of users
+ * @param {string} usernameA - First Torre username
+ * @param {string} usernameB - Second Torre username
+ * @returns {string} Compare path
+ */
+export const comparePath = (usernameA, usernameB) => {
+  if (!usernameA || !usernameB) return '/compare';
+  return `/compare/${encodeURIComponent(usernameA)}/${encodeURIComponent(usernameB)}`;
+};
+
+/**
+ * Build the recommendations route for a user
+ * @param {string} username - Torre username
+ * @returns {string} Recommendations path
+ */
+export const recommendationsPath = (username) => {
+  if (!username) return '/recommendations';
+  return `/recommendations/${encodeURIComponent(username)}`;
+};
+
+/**
+ * Build the job search route, keeping the query in `?q=`
+ * @param {string} query - Job search query
+ * @returns {string} Jobs path
+ */
+export const jobsPath = (query = '') => {
+  if (!query) return ROUTES.jobs;
+  return `${ROUTES.jobs}?${new URLSearchParams({ q: query })}`;
+};
+
+/**
+ * Build the job detail route
+ * @param {string} jobId - Opportunity id
+ * @returns {string} Job path
+ */
+export const jobPath = (jobId) => `/jobs/${encodeURIComponent(jobId)}`;
+
+/**
+ * Build the shortlists route, optionally opening one shortlist
+ * @param {string} id - Shortlist id
+ * @returns {string} Shortlists path
+ */
+export const shortlistsPath = (id) => {
+  if (!id) return '/shortlists';
+  return `/shortlists/${encodeURIComponent(id)}`;
+};
+
+/**
+ * Build the genome diff route for a pair of users
+ * @param {string} usernameA - First Torre username
+ * @param {string} usernameB - Second Torre username
+ * @returns {string} Diff path
+ */
+export const diffPath = (usernameA, usernameB) => {
+  if (!usernameA || !usernameB) return '/diff';
+  return `/diff/${encodeURIComponent(usernameA)}/${encodeURIComponent(usernameB)}`;
+};
+
+/**
+ * Build the saved searches route, optionally opening one saved search
+ * @param {string} id - Saved search id
+ * @returns {string} Saved searches path
+ */
+export const savedSearchesPath = (id) => {
+  if (!id) return '/saved-searches';
+  return `/saved-searches/${encodeURIComponent(id)}`;
+};
+
+export default {
+  ROUTES,
+  searchPath,
+  genomePath,
+  comparePath,
+  recommendationsPath,
+  jobsPath,
+  jobPath,
+  shortlistsPath,
+  diffPath,
+  savedSearchesPath,
+};
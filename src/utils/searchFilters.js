@@ -0,0 +1,223 @@
+/**
+ * Structured people search filters
+ * The filter panel edits a filters object; the API receives it as a list of
+ * `{ field, value }` entries so each one can be sent to Torre or applied locally.
+ */
+
+import { toLanguageLevels, meetsLanguageRequirement } from './languageFluency.js';
+
+/**
+ * Filters with nothing selected
+ */
+export const DEFAULT_SEARCH_FILTERS = {
+  location: '',
+  remote: false,
+  openToWork: false,
+  verified: false,
+  minCompletion: 0,
+  skills: [],
+  // Career filters, checked against each person's genome
+  minYears: 0,
+  minSeniority: 0,
+  minTenure: 0,
+  // Hours of working time shared with your own timezone, checked against each person's genome
+  minOverlap: 0,
+  // Languages with a minimum fluency, `{ language, fluency }`, checked against each person's genome
+  languages: [],
+};
+
+/**
+ * Filter fields that need each person's genome; see matchesCareerFilter
+ */
+export const CAREER_FILTER_FIELDS = ['minYears', 'minSeniority', 'minTenure'];
+
+/**
+ * Filter fields that need each person's genome: career filters, working-hours overlap and languages
+ */
+export const GENOME_FILTER_FIELDS = [...CAREER_FILTER_FIELDS, 'minOverlap', 'language'];
+
+/**
+ * Value of a language filter, e.g. "English:fully-fluent"
+ * @param {Object} requirement - `{ language, fluency }`
+ * @returns {string} Filter value
+ */
+export const toLanguageFilterValue = ({ language, fluency }) => `${language}:${fluency}`;
+
+/**
+ * Language requirement of a language filter value
+ * @param {string} value - Filter value from toLanguageFilterValue
+ * @returns {Object} `{ language, fluency }`
+ */
+export const parseLanguageFilterValue = (value) => {
+  const separator = String(value).lastIndexOf(':');
+  return separator === -1
+    ? { language: String(value), fluency: null }
+    : { language: String(value).slice(0, separator), fluency: String(value).slice(separator + 1) };
+};
+
+/**
+ * Turn a filters object into the list of active `{ field, value }` filters
+ * @param {Object} filters - Filters object
+ * @returns {Array} Active filters, one entry per required skill and language
+ */
+export const toFilterList = (filters = DEFAULT_SEARCH_FILTERS) => {
+  const list = [];
+
+  if (filters.location?.trim()) list.push({ field: 'location', value: filters.location.trim() });
+  if (filters.remote) list.push({ field: 'remote', value: true });
+  if (filters.openToWork) list.push({ field: 'openToWork', value: true });
+  if (filters.verified) list.push({ field: 'verified', value: true });
+  if (filters.minCompletion > 0) list.push({ field: 'minCompletion', value: filters.minCompletion });
+  (filters.skills || []).forEach(skill => list.push({ field: 'skill', value: skill }));
+  (filters.languages || []).forEach(requirement => list.push({ field: 'language', value: toLanguageFilterValue(requirement) }));
+  GENOME_FILTER_FIELDS.forEach(field => {
+    if (filters[field] > 0) list.push({ field, value: filters[field] });
+  });
+
+  return list;
+};
+
+/**
+ * Count how many filters are active
+ * @param {Object} filters - Filters object
+ * @returns {number} Active filter count
+ */
+export const countActiveFilters = (filters) => toFilterList(filters).length;
+
+/**
+ * Stable key for a filter list, used to cache search results per filter set
+ * @param {Array} filterList - Active filters
+ * @returns {string} Cache key fragment
+ */
+export const getFiltersKey = (filterList = []) => filterList
+  .map(({ field, value }) => `${field}:${String(value).toLowerCase()}`)
+  .sort()
+  .join('|');
+
+/**
+ * Profile completion as a 0-1 fraction (Torre reports it either way)
+ */
+const normalizeCompletion = (completion) => {
+  if (typeof completion !== 'number') return 0;
+  return completion > 1 ? completion / 100 : completion;
+};
+
+/**
+ * Check a person search result against a single filter
+ * @param {Object} result - Person search result (`{ person, skills }`)
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} Whether the result passes
+ */
+export const matchesSearchFilter = (result, { field, value }) => {
+  const person = result.person || result;
+
+  switch (field) {
+    case 'location': {
+      const location = person.location?.name || person.location || '';
+      return typeof location === 'string' && location.toLowerCase().includes(String(value).toLowerCase());
+    }
+    case 'remote':
+      return Boolean(person.remote);
+    case 'openToWork':
+      return Boolean(person.openToWork);
+    case 'verified':
+      return Boolean(person.verified);
+    case 'minCompletion':
+      return normalizeCompletion(person.completion) >= value;
+    case 'skill': {
+      const skill = String(value).toLowerCase();
+      return (result.skills || []).some(s => s.name?.toLowerCase() === skill);
+    }
+    default:
+      // Genome filters are checked once the genome is in, see matchesGenomeFilter
+      return true;
+  }
+};
+
+/**
+ * Whether a filter is a career filter (experience, seniority, tenure)
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} True for career filters
+ */
+export const isCareerFilter = ({ field }) => CAREER_FILTER_FIELDS.includes(field);
+
+/**
+ * Whether a filter needs the person's genome
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} True for career, timezone and language filters
+ */
+export const isGenomeFilter = ({ field }) => GENOME_FILTER_FIELDS.includes(field);
+
+/**
+ * Check a person's career metrics against a career filter
+ * @param {Object} metrics - Output of computeCareerMetrics (services/careerMetrics.js)
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} Whether the person passes
+ */
+export const matchesCareerFilter = (metrics, { field, value }) => {
+  switch (field) {
+    case 'minYears':
+      return metrics.totalYears >= value;
+    case 'minSeniority':
+      // Seniority levels are numbered from 0 (entry) up
+      return (metrics.seniority.current?.level ?? -1) >= value;
+    case 'minTenure':
+      return metrics.tenure.averageMonths >= value * 12;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check a person's working-hours overlap against a timezone filter
+ * People without a timezone on their genome don't pass, their overlap is unknown.
+ * @param {Object} overlap - Output of workingHoursOverlap (services/timezones.js)
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} Whether the person passes
+ */
+export const matchesTimezoneFilter = (overlap, { field, value }) => {
+  if (field !== 'minOverlap') return true;
+  return overlap.available && overlap.hours >= value;
+};
+
+/**
+ * Check the languages on a person's genome against a language filter
+ * @param {Array} languages - `{ language, fluency }` entries from the genome
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} Whether the person speaks the language at the minimum fluency or above
+ */
+export const matchesLanguageFilter = (languages, { field, value }) => {
+  if (field !== 'language') return true;
+  return meetsLanguageRequirement(toLanguageLevels(languages), parseLanguageFilterValue(value));
+};
+
+/**
+ * Check what was read from a person's genome against any genome filter
+ * @param {Object} checked - `{ careerMetrics, timezoneOverlap, languages }` of the person
+ * @param {Object} filter - `{ field, value }` filter
+ * @returns {boolean} Whether the person passes
+ */
+export const matchesGenomeFilter = ({ careerMetrics, timezoneOverlap, languages }, filter) => {
+  if (isCareerFilter(filter)) return matchesCareerFilter(careerMetrics, filter);
+  if (filter.field === 'minOverlap') return matchesTimezoneFilter(timezoneOverlap, filter);
+  if (filter.field === 'language') return matchesLanguageFilter(languages, filter);
+  return true;
+};
+
+export default {
+  DEFAULT_SEARCH_FILTERS,
+  toFilterList,
+  countActiveFilters,
+  getFiltersKey,
+  matchesSearchFilter,
+  CAREER_FILTER_FIELDS,
+  isCareerFilter,
+  matchesCareerFilter,
+  GENOME_FILTER_FIELDS,
+  isGenomeFilter,
+  matchesTimezoneFilter,
+  toLanguageFilterValue,
+  parseLanguageFilterValue,
+  matchesLanguageFilter,
+  matchesGenomeFilter,
+};
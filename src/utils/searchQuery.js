@@ -0,0 +1,420 @@
+/**
+ * Search query syntax
+ * People searches accept field terms and boolean operators on top of free text:
+ *
+ *   skill:react AND location:"Bogotá" -skill:php openToWork:true
+ *   (skill:react OR skill:vue) NOT location:remote
+ *   react OR vue
+ *
+ * Terms next to each other are joined by AND, which binds tighter than OR;
+ * NOT or a leading "-" excludes a term, and parentheses group. Free text is
+ * what Torre searches for; without any outside an OR, the searchable values of
+ * the query are searched for together ("react vue") and the OR is checked on the
+ * results. Field terms every result needs that Torre's people search understands
+ * become its filters; the rest filter the results here.
+ */
+
+import { getSkillId } from './skillTaxonomy.js';
+import { validateSearchQuery } from './dataProcessing.js';
+
+/**
+ * A query that can't be parsed or searched
+ */
+export class SearchQueryError extends Error {
+  /**
+   * @param {string} message - What's wrong, shown to the user
+   * @param {number|null} position - Character the problem starts at (0-based), when it has one
+   */
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at character ${position + 1})`);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+/**
+ * Lowercase, accent-free text so "Bogota" finds "Bogotá"
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => (text || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const containsText = (text, value) => normalizeText(text).includes(normalizeText(value));
+
+/**
+ * Fields a term can be scoped to, keyed by name as written in queries
+ * Searchable fields are sent to Torre as the search text when a query has no free text.
+ * Search filter fields are ones Torre's people search applies itself (see
+ * PEOPLE_SEARCH_TERMS in services/api.js; booleans only when true). Structured
+ * fields are only reported on that search's results, not the entities stream's.
+ */
+export const QUERY_FIELDS = {
+  skill: {
+    type: 'text',
+    searchable: true,
+    searchFilter: true,
+    structured: true,
+    // Any spelling of the skill counts ("react" finds "React.js")
+    matches: (result, value) => (result.skills || []).some(skill => getSkillId(skill.name) === getSkillId(value))
+  },
+  location: {
+    type: 'text',
+    searchFilter: true,
+    matches: (result, value) => containsText(result.person?.location?.name || result.person?.location, value)
+  },
+  name: {
+    type: 'text',
+    searchable: true,
+    matches: (result, value) => containsText(result.person?.name, value)
+  },
+  headline: {
+    type: 'text',
+    searchable: true,
+    matches: (result, value) => containsText(result.person?.professionalHeadline, value)
+  },
+  openToWork: {
+    type: 'boolean',
+    searchFilter: true,
+    structured: true,
+    matches: (result, value) => Boolean(result.person?.openToWork) === value
+  },
+  remote: {
+    type: 'boolean',
+    searchFilter: true,
+    structured: true,
+    matches: (result, value) => Boolean(result.person?.remote) === value
+  },
+  verified: {
+    type: 'boolean',
+    matches: (result, value) => Boolean(result.person?.verified) === value
+  },
+};
+
+const FIELDS_BY_KEY = new Map(Object.keys(QUERY_FIELDS).map(field => [field.toLowerCase(), field]));
+const SEARCHABLE_FIELDS = Object.keys(QUERY_FIELDS).filter(field => QUERY_FIELDS[field].searchable);
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Split a query into terms, operators and parentheses
+ * @param {string} query - Raw query
+ * @returns {Array} Tokens: `{ type, position }`, terms also carrying `field` and `value`
+ * @throws {SearchQueryError} On an unclosed quote or a field without a value
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  let index = 0;
+
+  const readQuoted = () => {
+    const start = index;
+    const end = query.indexOf('"', index + 1);
+    if (end === -1) throw new SearchQueryError('Missing closing quote', start);
+    index = end + 1;
+    return query.slice(start + 1, end);
+  };
+
+  while (index < query.length) {
+    const char = query[index];
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index += 1;
+    } else if (char === '-' && index + 1 < query.length && !/[\s)]/.test(query[index + 1])) {
+      tokens.push({ type: 'NOT', position });
+      index += 1;
+    } else if (char === '"') {
+      tokens.push({ type: 'term', field: null, value: readQuoted(), position });
+    } else {
+      const word = /^[^\s()"]+/.exec(query.slice(index))[0];
+      index += word.length;
+
+      const separator = word.indexOf(':');
+      if (OPERATORS.includes(word)) {
+        tokens.push({ type: word, position });
+      } else if (separator > 0) {
+        const field = word.slice(0, separator);
+        let value = word.slice(separator + 1);
+        if (!value && query[index] === '"') value = readQuoted();
+        if (!value.trim()) throw new SearchQueryError(`"${field}:" needs a value`, position);
+        tokens.push({ type: 'term', field, value, position });
+      } else {
+        tokens.push({ type: 'term', field: null, value: word, position });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Turn a field term token into a query node
+ * @param {Object} token - Term token with a field
+ * @returns {Object} `{ type: 'field', field, value, position }`
+ * @throws {SearchQueryError} On an unknown field or a bad boolean
+ */
+const toFieldNode = (token) => {
+  const field = FIELDS_BY_KEY.get(token.field.toLowerCase());
+  if (!field) {
+    throw new SearchQueryError(
+      `Unknown field "${token.field}"; use ${Object.keys(QUERY_FIELDS).join(', ')}`,
+      token.position
+    );
+  }
+
+  if (QUERY_FIELDS[field].type === 'boolean') {
+    const value = BOOLEAN_VALUES[token.value.toLowerCase()];
+    if (value === undefined) {
+      throw new SearchQueryError(`"${field}:" takes true or false`, token.position);
+    }
+    return { type: 'field', field, value, position: token.position };
+  }
+
+  return { type: 'field', field, value: token.value.trim(), position: token.position };
+};
+
+/**
+ * Build the query tree from tokens, AND binding tighter than OR
+ * @param {Array} tokens - Output of tokenize
+ * @param {number} length - Length of the raw query, for errors at its end
+ * @returns {Object} Root node: 'and', 'or', 'not', 'field' or 'text'
+ * @throws {SearchQueryError} On misplaced operators or parentheses
+ */
+const parseTokens = (tokens, length) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const positionOf = (token) => token?.position ?? length;
+  const endsGroup = (token) => !token || token.type === ')' || token.type === 'OR';
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new SearchQueryError('Query ends where a term was expected', length);
+
+    if (token.type === 'NOT') {
+      index += 1;
+      if (endsGroup(peek()) || peek().type === 'AND') {
+        throw new SearchQueryError('NOT needs a term after it', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === '(') {
+      index += 1;
+      if (peek()?.type === ')') throw new SearchQueryError('Empty parentheses', token.position);
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new SearchQueryError('Missing closing parenthesis', token.position);
+      index += 1;
+      return node;
+    }
+    if (token.type === ')') throw new SearchQueryError('Unexpected closing parenthesis', token.position);
+    if (token.type === 'AND' || token.type === 'OR') {
+      throw new SearchQueryError(`${token.type} needs a term before it`, token.position);
+    }
+
+    index += 1;
+    return token.field ? toFieldNode(token) : { type: 'text', value: token.value, position: token.position };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (!endsGroup(peek())) {
+      if (peek().type === 'AND') {
+        const operator = peek();
+        index += 1;
+        if (endsGroup(peek()) || peek().type === 'AND') {
+          throw new SearchQueryError('AND needs a term after it', positionOf(operator));
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      const operator = peek();
+      index += 1;
+      if (endsGroup(peek())) throw new SearchQueryError('OR needs a term after it', positionOf(operator));
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const root = parseOr();
+  if (index < tokens.length) {
+    throw new SearchQueryError('Unexpected closing parenthesis', positionOf(peek()));
+  }
+  return root;
+};
+
+/**
+ * Collect the free text every result has to match, which Torre searches for
+ * Free text can't be excluded; free text on one side of an OR is left out here
+ * and checked on the results instead (see searchableText).
+ * @param {Object} node - Query node
+ * @param {Array} text - Collected free text
+ * @param {string} context - 'and', 'or' or 'not': what the node sits under
+ * @returns {Array} Collected free text
+ * @throws {SearchQueryError} On free text under NOT
+ */
+const collectText = (node, text = [], context = 'and') => {
+  if (node.type === 'text') {
+    if (context === 'not') {
+      throw new SearchQueryError('Free text can\'t be excluded; exclude a field instead, e.g. -skill:php', node.position);
+    }
+    if (context === 'and') text.push(node.value);
+  } else if (node.type === 'not') {
+    collectText(node.child, text, 'not');
+  } else if (node.type === 'or') {
+    node.children.forEach(child => collectText(child, text, context === 'not' ? 'not' : 'or'));
+  } else if (node.type === 'and') {
+    node.children.forEach(child => collectText(child, text, context));
+  }
+  return text;
+};
+
+/**
+ * Searchable values in a tree, for when there's no required free text to search for
+ * Every side of an OR contributes, so "skill:react OR skill:vue" searches "react vue"
+ * and the OR itself is checked on the results; excluded terms don't.
+ * @param {Object} node - Query node
+ * @returns {Array} Free text and values of searchable fields
+ */
+const searchableText = (node) => {
+  if (node.type === 'text') return [node.value];
+  if (node.type === 'field') return QUERY_FIELDS[node.field].searchable ? [node.value] : [];
+  if (node.type === 'and' || node.type === 'or') return node.children.flatMap(searchableText);
+  return [];
+};
+
+/**
+ * Whether any node in a tree passes a test
+ * @param {Object} node - Query node
+ * @param {Function} test - Called with each node
+ * @returns {boolean} True when one passes
+ */
+const someNode = (node, test) => {
+  if (test(node)) return true;
+  if (node.type === 'not') return someNode(node.child, test);
+  if (node.type === 'and' || node.type === 'or') return node.children.some(child => someNode(child, test));
+  return false;
+};
+
+// An OR with free text on one of its sides, checked against names, headlines and skills
+const isOrWithText = (node) => node.type === 'or' && someNode(node, child => child.type === 'text');
+
+// A term that needs the people search's results: a structured field, or OR'd free text
+// that may only match a skill
+const needsStructuredResults = (node) => (node.type === 'field' && QUERY_FIELDS[node.field].structured)
+  || isOrWithText(node);
+
+// A required term Torre's people search can apply itself
+const isSearchFilterTerm = (node) => node.type === 'field'
+  && QUERY_FIELDS[node.field].searchFilter
+  && (QUERY_FIELDS[node.field].type !== 'boolean' || node.value === true);
+
+/**
+ * Split the terms every result needs that Torre can filter by off the query tree
+ * @param {Object} root - Root query node
+ * @returns {Object} `{ searchFilters, rest }`: `{ field, value }` filters for the people
+ *   search (see utils/searchFilters.js), and the tree left to check here (null when empty)
+ */
+const splitSearchFilters = (root) => {
+  const required = root.type === 'and' ? root.children : [root];
+  const searchFilters = required.filter(isSearchFilterTerm).map(({ field, value }) => ({ field, value }));
+  const rest = required.filter(node => !isSearchFilterTerm(node));
+
+  if (rest.length === 0) return { searchFilters, rest: null };
+  return { searchFilters, rest: rest.length === 1 ? rest[0] : { type: 'and', children: rest } };
+};
+
+/**
+ * Parse a people-search query
+ * @param {string} query - Raw query from the search bar
+ * @returns {Object} `{ isValid, error, text, searchFilters, structured, filter }`: text is
+ *   what Torre searches for, searchFilters the `{ field, value }` filters its people search
+ *   applies, structured whether the rest needs that search's results (they report skills,
+ *   remote and open to work), filter the tree results are then checked against (null
+ *   without field terms or ORs left); error is a SearchQueryError when the query isn't valid
+ */
+export const parseSearchQuery = (query) => {
+  try {
+    const raw = typeof query === 'string' ? query : '';
+    const tokens = tokenize(raw);
+    if (tokens.length === 0) throw new SearchQueryError('Search query is required');
+
+    const root = parseTokens(tokens, raw.length);
+    const freeText = collectText(root);
+    // Without free text, Torre searches for the searchable values ("skill:react" searches "react")
+    const text = (freeText.length > 0 ? freeText : searchableText(root)).join(' ');
+    if (!text) {
+      throw new SearchQueryError('Add something to search for, e.g. a name or skill:react; other terms only narrow the results');
+    }
+
+    const validation = validateSearchQuery(text);
+    if (!validation.isValid) throw new SearchQueryError(validation.error);
+
+    const { searchFilters, rest } = splitSearchFilters(root);
+    // Field terms and ORs are checked here; required free text was matched by Torre
+    const filter = rest && someNode(rest, node => node.type === 'field' || node.type === 'or') ? rest : null;
+    return {
+      isValid: true,
+      error: null,
+      text,
+      searchFilters,
+      structured: Boolean(filter && someNode(filter, needsStructuredResults)),
+      filter,
+    };
+  } catch (error) {
+    if (!(error instanceof SearchQueryError)) throw error;
+    return { isValid: false, error, text: '', searchFilters: [], structured: false, filter: null };
+  }
+};
+
+/**
+ * Check a search result against a query tree
+ * Required free text always passes, Torre matched it; free text under an OR has to
+ * be found in a searchable field, since Torre only matched the query as a whole.
+ * @param {Object} result - Formatted search result (`{ person, skills }`)
+ * @param {Object} node - Query node
+ * @param {boolean} underOr - Whether the node sits under an OR
+ * @returns {boolean} Whether the result matches
+ */
+const matchesNode = (result, node, underOr = false) => {
+  switch (node.type) {
+    case 'field':
+      return QUERY_FIELDS[node.field].matches(result, node.value);
+    case 'text':
+      return !underOr || SEARCHABLE_FIELDS.some(field => QUERY_FIELDS[field].matches(result, node.value));
+    case 'not':
+      return !matchesNode(result, node.child, underOr);
+    case 'and':
+      return node.children.every(child => matchesNode(result, child, underOr));
+    case 'or':
+      return node.children.some(child => matchesNode(result, child, true));
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether a search result passes the field terms of a parsed query left to check here
+ * @param {Object} result - Formatted search result
+ * @param {Object} parsed - Output of parseSearchQuery
+ * @returns {boolean} True when it matches, or when no field terms are left
+ */
+export const matchesSearchQuery = (result, parsed) => !parsed.filter || matchesNode(result, parsed.filter);
+
+export default {
+  QUERY_FIELDS,
+  SearchQueryError,
+  parseSearchQuery,
+  matchesSearchQuery,
+};
@@ -0,0 +1,280 @@
+/**
+ * Skill taxonomy
+ * A small local map of common skills so that spellings of the same skill
+ * ("React", "React.js", "ReactJS") match, and so closely related skills
+ * ("JavaScript" and "TypeScript") earn partial credit when compared.
+ */
+
+/**
+ * Skill categories; a category may belong to a parent category
+ */
+export const SKILL_CATEGORIES = {
+  'software-development': { name: 'Software Development', parent: null },
+  'frontend': { name: 'Frontend', parent: 'software-development' },
+  'backend': { name: 'Backend', parent: 'software-development' },
+  'mobile': { name: 'Mobile', parent: 'software-development' },
+  'devops': { name: 'DevOps & Cloud', parent: 'software-development' },
+  'databases': { name: 'Databases', parent: 'software-development' },
+  'testing': { name: 'Testing & QA', parent: 'software-development' },
+  'data': { name: 'Data & AI', parent: null },
+  'data-engineering': { name: 'Data Engineering', parent: 'data' },
+  'machine-learning': { name: 'Machine Learning', parent: 'data' },
+  'analytics': { name: 'Analytics', parent: 'data' },
+  'design': { name: 'Design', parent: null },
+  'business': { name: 'Business', parent: null },
+  'product': { name: 'Product & Project Management', parent: 'business' },
+  'marketing': { name: 'Marketing & Sales', parent: 'business' },
+  'leadership': { name: 'Leadership & Collaboration', parent: null },
+};
+
+/**
+ * Known skills: canonical name, spellings that mean the same skill,
+ * category and closely related skills
+ * Aliases are only other spellings of one skill; different tools for the same
+ * job (Cypress and Playwright, Tableau and Power BI) are entries of their own
+ * linked by related, so they earn partial credit rather than count as one.
+ */
+export const SKILL_TAXONOMY = [
+  // Frontend
+  { id: 'javascript', name: 'JavaScript', aliases: ['js', 'ecmascript', 'es6', 'vanillajs'], category: 'frontend', related: ['typescript', 'nodejs', 'react', 'vue', 'angular'] },
+  { id: 'typescript', name: 'TypeScript', aliases: ['ts'], category: 'frontend', related: ['javascript', 'angular', 'nodejs'] },
+  { id: 'react', name: 'React', aliases: ['reactjs', 'react.js'], category: 'frontend', related: ['javascript', 'typescript', 'nextjs', 'redux', 'react-native'] },
+  { id: 'nextjs', name: 'Next.js', aliases: [], category: 'frontend', related: ['react'] },
+  { id: 'redux', name: 'Redux', aliases: ['reduxjs', 'reduxtoolkit'], category: 'frontend', related: ['react'] },
+  { id: 'vue', name: 'Vue.js', aliases: ['vuejs', 'vue2', 'vue3'], category: 'frontend', related: ['javascript', 'typescript', 'nuxt'] },
+  { id: 'nuxt', name: 'Nuxt', aliases: ['nuxtjs'], category: 'frontend', related: ['vue'] },
+  { id: 'angular', name: 'Angular', aliases: ['angularjs', 'angular2'], category: 'frontend', related: ['typescript', 'javascript'] },
+  { id: 'svelte', name: 'Svelte', aliases: ['sveltekit'], category: 'frontend', related: ['javascript'] },
+  { id: 'html', name: 'HTML', aliases: ['html5'], category: 'frontend', related: ['css'] },
+  { id: 'css', name: 'CSS', aliases: ['css3'], category: 'frontend', related: ['html', 'tailwind', 'sass', 'less'] },
+  { id: 'sass', name: 'Sass', aliases: ['scss'], category: 'frontend', related: ['css', 'less'] },
+  { id: 'less', name: 'Less', aliases: ['lesscss'], category: 'frontend', related: ['css', 'sass'] },
+  { id: 'tailwind', name: 'Tailwind CSS', aliases: ['tailwindcss'], category: 'frontend', related: ['css'] },
+
+  // Backend
+  { id: 'nodejs', name: 'Node.js', aliases: ['node', 'nodejs'], category: 'backend', related: ['javascript', 'typescript', 'express'] },
+  { id: 'express', name: 'Express', aliases: ['expressjs'], category: 'backend', related: ['nodejs'] },
+  { id: 'python', name: 'Python', aliases: ['python3', 'py'], category: 'backend', related: ['django', 'flask', 'fastapi', 'pandas'] },
+  { id: 'django', name: 'Django', aliases: ['djangorestframework', 'drf'], category: 'backend', related: ['python'] },
+  { id: 'flask', name: 'Flask', aliases: [], category: 'backend', related: ['python'] },
+  { id: 'fastapi', name: 'FastAPI', aliases: [], category: 'backend', related: ['python'] },
+  { id: 'java', name: 'Java', aliases: ['java8', 'java11', 'java17', 'j2ee', 'javaee'], category: 'backend', related: ['spring', 'kotlin'] },
+  { id: 'spring', name: 'Spring', aliases: ['springboot', 'springframework'], category: 'backend', related: ['java', 'kotlin'] },
+  { id: 'kotlin', name: 'Kotlin', aliases: [], category: 'backend', related: ['java', 'android'] },
+  { id: 'csharp', name: 'C#', aliases: ['c#', 'csharp'], category: 'backend', related: ['dotnet'] },
+  { id: 'dotnet', name: '.NET', aliases: ['net', 'dotnet', 'netcore', 'aspnet', 'aspnetcore'], category: 'backend', related: ['csharp'] },
+  { id: 'go', name: 'Go', aliases: ['golang'], category: 'backend', related: [] },
+  { id: 'ruby', name: 'Ruby', aliases: [], category: 'backend', related: ['rails'] },
+  { id: 'rails', name: 'Ruby on Rails', aliases: ['rubyonrails', 'ror'], category: 'backend', related: ['ruby'] },
+  { id: 'php', name: 'PHP', aliases: [], category: 'backend', related: ['laravel'] },
+  { id: 'laravel', name: 'Laravel', aliases: [], category: 'backend', related: ['php'] },
+  { id: 'rust', name: 'Rust', aliases: [], category: 'backend', related: [] },
+  { id: 'graphql', name: 'GraphQL', aliases: [], category: 'backend', related: ['rest-apis'] },
+  { id: 'rest-apis', name: 'REST APIs', aliases: ['rest', 'restapi', 'restfulapis', 'restful', 'apis', 'apidesign'], category: 'backend', related: ['graphql'] },
+
+  // Mobile
+  { id: 'react-native', name: 'React Native', aliases: ['reactnative'], category: 'mobile', related: ['react', 'javascript'] },
+  { id: 'flutter', name: 'Flutter', aliases: [], category: 'mobile', related: ['dart'] },
+  { id: 'dart', name: 'Dart', aliases: [], category: 'mobile', related: ['flutter'] },
+  { id: 'android', name: 'Android', aliases: ['androiddevelopment'], category: 'mobile', related: ['kotlin', 'java'] },
+  { id: 'ios', name: 'iOS', aliases: ['iosdevelopment'], category: 'mobile', related: ['swift'] },
+  { id: 'swift', name: 'Swift', aliases: ['swiftui'], category: 'mobile', related: ['ios'] },
+
+  // DevOps & Cloud
+  { id: 'aws', name: 'AWS', aliases: ['amazonwebservices'], category: 'devops', related: ['cloud', 'terraform'] },
+  { id: 'gcp', name: 'Google Cloud', aliases: ['googlecloudplatform', 'googlecloud'], category: 'devops', related: ['cloud'] },
+  { id: 'azure', name: 'Azure', aliases: ['microsoftazure'], category: 'devops', related: ['cloud'] },
+  { id: 'cloud', name: 'Cloud Computing', aliases: ['cloudcomputing', 'cloudarchitecture'], category: 'devops', related: ['aws', 'gcp', 'azure'] },
+  { id: 'docker', name: 'Docker', aliases: ['containers', 'containerization'], category: 'devops', related: ['kubernetes'] },
+  { id: 'kubernetes', name: 'Kubernetes', aliases: ['k8s'], category: 'devops', related: ['docker'] },
+  { id: 'terraform', name: 'Terraform', aliases: ['infrastructureascode', 'iac'], category: 'devops', related: ['aws'] },
+  { id: 'ci-cd', name: 'CI/CD', aliases: ['cicd', 'continuousintegration', 'continuousdelivery'], category: 'devops', related: ['git', 'jenkins', 'github-actions'] },
+  { id: 'jenkins', name: 'Jenkins', aliases: [], category: 'devops', related: ['ci-cd', 'github-actions'] },
+  { id: 'github-actions', name: 'GitHub Actions', aliases: ['githubactions'], category: 'devops', related: ['ci-cd', 'jenkins', 'github'] },
+  { id: 'git', name: 'Git', aliases: ['versioncontrol'], category: 'devops', related: ['ci-cd', 'github', 'gitlab'] },
+  { id: 'github', name: 'GitHub', aliases: [], category: 'devops', related: ['git', 'gitlab', 'github-actions'] },
+  { id: 'gitlab', name: 'GitLab', aliases: [], category: 'devops', related: ['git', 'github'] },
+  { id: 'linux', name: 'Linux', aliases: [], category: 'devops', related: ['unix', 'bash'] },
+  { id: 'unix', name: 'Unix', aliases: [], category: 'devops', related: ['linux', 'bash'] },
+  { id: 'bash', name: 'Bash', aliases: ['shellscripting', 'shell'], category: 'devops', related: ['linux', 'unix'] },
+
+  // Databases
+  { id: 'sql', name: 'SQL', aliases: [], category: 'databases', related: ['postgresql', 'mysql'] },
+  { id: 'postgresql', name: 'PostgreSQL', aliases: ['postgres', 'psql'], category: 'databases', related: ['sql', 'mysql'] },
+  { id: 'mysql', name: 'MySQL', aliases: [], category: 'databases', related: ['sql', 'postgresql', 'mariadb'] },
+  { id: 'mariadb', name: 'MariaDB', aliases: [], category: 'databases', related: ['mysql', 'sql'] },
+  { id: 'mongodb', name: 'MongoDB', aliases: ['mongo'], category: 'databases', related: [] },
+  { id: 'redis', name: 'Redis', aliases: [], category: 'databases', related: [] },
+
+  // Testing
+  { id: 'testing', name: 'Software Testing', aliases: ['softwaretesting', 'qa', 'qualityassurance', 'unittesting', 'testautomation'], category: 'testing', related: ['jest', 'cypress', 'playwright', 'selenium'] },
+  { id: 'jest', name: 'Jest', aliases: [], category: 'testing', related: ['testing', 'javascript'] },
+  { id: 'cypress', name: 'Cypress', aliases: [], category: 'testing', related: ['testing', 'playwright', 'selenium'] },
+  { id: 'playwright', name: 'Playwright', aliases: [], category: 'testing', related: ['testing', 'cypress', 'selenium'] },
+  { id: 'selenium', name: 'Selenium', aliases: ['seleniumwebdriver'], category: 'testing', related: ['testing', 'cypress', 'playwright'] },
+
+  // Data & AI
+  { id: 'machine-learning', name: 'Machine Learning', aliases: ['ml', 'machinelearning'], category: 'machine-learning', related: ['deep-learning', 'python', 'data-science'] },
+  { id: 'deep-learning', name: 'Deep Learning', aliases: ['deeplearning', 'neuralnetworks'], category: 'machine-learning', related: ['machine-learning', 'python', 'tensorflow', 'pytorch', 'keras'] },
+  { id: 'tensorflow', name: 'TensorFlow', aliases: [], category: 'machine-learning', related: ['deep-learning', 'keras', 'pytorch', 'python'] },
+  { id: 'pytorch', name: 'PyTorch', aliases: [], category: 'machine-learning', related: ['deep-learning', 'tensorflow', 'python'] },
+  { id: 'keras', name: 'Keras', aliases: [], category: 'machine-learning', related: ['deep-learning', 'tensorflow', 'python'] },
+  { id: 'ai', name: 'Artificial Intelligence', aliases: ['artificialintelligence', 'genai', 'generativeai', 'llms', 'llm'], category: 'machine-learning', related: ['machine-learning', 'deep-learning'] },
+  { id: 'data-science', name: 'Data Science', aliases: ['datascience'], category: 'analytics', related: ['machine-learning', 'python', 'data-analysis'] },
+  { id: 'data-analysis', name: 'Data Analysis', aliases: ['dataanalysis', 'dataanalytics', 'analytics'], category: 'analytics', related: ['sql', 'excel', 'data-science', 'power-bi', 'tableau', 'pandas'] },
+  { id: 'pandas', name: 'Pandas', aliases: [], category: 'analytics', related: ['python', 'data-analysis', 'numpy'] },
+  { id: 'numpy', name: 'NumPy', aliases: [], category: 'analytics', related: ['python', 'pandas'] },
+  { id: 'data-visualization', name: 'Data Visualization', aliases: ['datavisualization', 'dataviz'], category: 'analytics', related: ['data-analysis', 'power-bi', 'tableau', 'looker'] },
+  { id: 'power-bi', name: 'Power BI', aliases: ['powerbi'], category: 'analytics', related: ['data-analysis', 'excel', 'data-visualization', 'tableau', 'looker'] },
+  { id: 'tableau', name: 'Tableau', aliases: [], category: 'analytics', related: ['data-analysis', 'data-visualization', 'power-bi', 'looker'] },
+  { id: 'looker', name: 'Looker', aliases: ['lookerstudio'], category: 'analytics', related: ['data-analysis', 'data-visualization', 'power-bi', 'tableau'] },
+  { id: 'excel', name: 'Excel', aliases: ['microsoftexcel', 'spreadsheets', 'googlesheets'], category: 'analytics', related: ['data-analysis'] },
+  { id: 'data-engineering', name: 'Data Engineering', aliases: ['dataengineering', 'etl', 'datapipelines'], category: 'data-engineering', related: ['spark', 'sql', 'python'] },
+  { id: 'spark', name: 'Apache Spark', aliases: ['apachespark', 'pyspark'], category: 'data-engineering', related: ['data-engineering', 'python'] },
+
+  // Design
+  { id: 'ux-design', name: 'UX Design', aliases: ['ux', 'uxdesign', 'userexperience', 'userexperiencedesign', 'uxresearch', 'userresearch'], category: 'design', related: ['ui-design', 'figma'] },
+  { id: 'ui-design', name: 'UI Design', aliases: ['ui', 'uidesign', 'userinterfacedesign', 'interfacedesign'], category: 'design', related: ['ux-design', 'figma'] },
+  { id: 'figma', name: 'Figma', aliases: [], category: 'design', related: ['ui-design', 'ux-design', 'sketch', 'adobe-xd'] },
+  { id: 'sketch', name: 'Sketch', aliases: [], category: 'design', related: ['ui-design', 'figma', 'adobe-xd'] },
+  { id: 'adobe-xd', name: 'Adobe XD', aliases: ['adobexd', 'xd'], category: 'design', related: ['ui-design', 'figma', 'sketch'] },
+  { id: 'graphic-design', name: 'Graphic Design', aliases: ['graphicdesign', 'adobecreativesuite'], category: 'design', related: ['ui-design', 'photoshop', 'illustrator'] },
+  { id: 'photoshop', name: 'Photoshop', aliases: ['adobephotoshop'], category: 'design', related: ['graphic-design', 'illustrator'] },
+  { id: 'illustrator', name: 'Illustrator', aliases: ['adobeillustrator'], category: 'design', related: ['graphic-design', 'photoshop'] },
+
+  // Business
+  { id: 'product-management', name: 'Product Management', aliases: ['productmanagement', 'productowner', 'productstrategy'], category: 'product', related: ['agile', 'project-management'] },
+  { id: 'project-management', name: 'Project Management', aliases: ['projectmanagement', 'pmp'], category: 'product', related: ['agile', 'product-management'] },
+  { id: 'agile', name: 'Agile', aliases: ['agilemethodologies'], category: 'product', related: ['project-management', 'product-management', 'scrum', 'kanban'] },
+  { id: 'scrum', name: 'Scrum', aliases: ['scrummaster'], category: 'product', related: ['agile', 'kanban'] },
+  { id: 'kanban', name: 'Kanban', aliases: [], category: 'product', related: ['agile', 'scrum'] },
+  { id: 'digital-marketing', name: 'Digital Marketing', aliases: ['digitalmarketing', 'onlinemarketing', 'growthmarketing'], category: 'marketing', related: ['seo', 'content-marketing'] },
+  { id: 'seo', name: 'SEO', aliases: ['searchengineoptimization', 'sem'], category: 'marketing', related: ['digital-marketing', 'content-marketing'] },
+  { id: 'content-marketing', name: 'Content Marketing', aliases: ['contentmarketing', 'copywriting', 'contentcreation'], category: 'marketing', related: ['digital-marketing', 'seo'] },
+  { id: 'sales', name: 'Sales', aliases: ['b2bsales', 'businessdevelopment', 'accountmanagement'], category: 'marketing', related: [] },
+
+  // Leadership & Collaboration
+  { id: 'leadership', name: 'Leadership', aliases: ['teamleadership', 'peoplemanagement', 'teammanagement'], category: 'leadership', related: ['mentoring', 'communication'] },
+  { id: 'mentoring', name: 'Mentoring', aliases: ['coaching', 'mentorship'], category: 'leadership', related: ['leadership'] },
+  { id: 'communication', name: 'Communication', aliases: ['communicationskills', 'publicspeaking'], category: 'leadership', related: ['leadership', 'teamwork'] },
+  { id: 'teamwork', name: 'Teamwork', aliases: ['collaboration', 'teamplayer'], category: 'leadership', related: ['communication'] },
+];
+
+/**
+ * Credit given when two skills are compared
+ */
+export const SKILL_MATCH_CREDIT = {
+  same: 1,
+  related: 0.5,
+  sameCategory: 0.2,
+};
+
+/**
+ * Reduce a skill name to a lookup key: lowercase, no spaces, dots, dashes or underscores
+ * @param {string} name - Skill name as written
+ * @returns {string} Lookup key
+ */
+export const toSkillKey = (name) => (name || '').toString().trim().toLowerCase().replace(/[\s._/-]+/g, '');
+
+// Lookup tables built once from the taxonomy
+const skillsById = new Map(SKILL_TAXONOMY.map(skill => [skill.id, skill]));
+const skillsByKey = new Map();
+SKILL_TAXONOMY.forEach(skill => {
+  [skill.id, skill.name, ...skill.aliases].forEach(spelling => {
+    const key = toSkillKey(spelling);
+    if (!skillsByKey.has(key)) skillsByKey.set(key, skill);
+  });
+});
+
+/**
+ * Resolve a skill name to its taxonomy entry
+ * Unknown skills get their lookup key as id and no category, so they only match themselves.
+ * @param {string} name - Skill name as written
+ * @returns {{id: string, name: string, category: string|null, known: boolean}} Resolved skill
+ */
+export const resolveSkill = (name) => {
+  const skill = skillsByKey.get(toSkillKey(name));
+  if (skill) {
+    return { id: skill.id, name: skill.name, category: skill.category, known: true };
+  }
+  return { id: toSkillKey(name), name, category: null, known: false };
+};
+
+/**
+ * Canonical id for a skill name
+ * @param {string} name - Skill name as written
+ * @returns {string} Skill id
+ */
+export const getSkillId = (name) => resolveSkill(name).id;
+
+/**
+ * Category of a skill and every category above it, closest first
+ * @param {string} name - Skill name as written
+ * @returns {Array<{id: string, name: string}>} Category path
+ */
+export const getSkillCategories = (name) => {
+  const path = [];
+  let categoryId = resolveSkill(name).category;
+  while (categoryId && SKILL_CATEGORIES[categoryId]) {
+    path.push({ id: categoryId, name: SKILL_CATEGORIES[categoryId].name });
+    categoryId = SKILL_CATEGORIES[categoryId].parent;
+  }
+  return path;
+};
+
+/**
+ * How much credit one skill earns against another (0-1)
+ * Same skill under any spelling earns full credit, a related skill partial
+ * credit and a skill from the same category a little.
+ * @param {string} nameA - First skill name or id
+ * @param {string} nameB - Second skill name or id
+ * @returns {{credit: number, relation: string|null}} Credit and how the skills relate
+ */
+export const getSkillMatch = (nameA, nameB) => {
+  const a = resolveSkill(nameA);
+  const b = resolveSkill(nameB);
+
+  if (a.id === b.id) {
+    return { credit: SKILL_MATCH_CREDIT.same, relation: 'same' };
+  }
+  if (!a.known || !b.known) {
+    return { credit: 0, relation: null };
+  }
+  if (skillsById.get(a.id).related.includes(b.id) || skillsById.get(b.id).related.includes(a.id)) {
+    return { credit: SKILL_MATCH_CREDIT.related, relation: 'related' };
+  }
+  if (a.category === b.category) {
+    return { credit: SKILL_MATCH_CREDIT.sameCategory, relation: 'category' };
+  }
+  return { credit: 0, relation: null };
+};
+
+/**
+ * Find the skill in a list that best matches a skill without being the same skill
+ * @param {string} name - Skill name or id to match
+ * @param {Array} candidates - Skills to search
+ * @param {Function} getName - Reads the name or id of a candidate
+ * @returns {{skill: Object, credit: number, relation: string}|null} Best partial match
+ */
+export const findRelatedSkill = (name, candidates, getName = (candidate) => candidate.name) => {
+  let best = null;
+  candidates.forEach(candidate => {
+    const { credit, relation } = getSkillMatch(name, getName(candidate));
+    if (relation !== 'same' && credit > 0 && (!best || credit > best.credit)) {
+      best = { skill: candidate, credit, relation };
+    }
+  });
+  return best;
+};
+
+export default {
+  SKILL_CATEGORIES,
+  SKILL_TAXONOMY,
+  SKILL_MATCH_CREDIT,
+  toSkillKey,
+  resolveSkill,
+  getSkillId,
+  getSkillCategories,
+  getSkillMatch,
+  findRelatedSkill,
+};
@@ -1,9 +1,29 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Emit the service worker (src/sw.js) with the list of built files to precache.
+// The cache version follows the file names, which change whenever their content does.
+const serviceWorker = () => ({
+  name: 'torre-dex-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const files = Object.keys(bundle)
+      .filter(fileName => !fileName.endsWith('.map'))
+      .map(fileName => `/${fileName}`)
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      .replace('self.__PRECACHE_FILES__', JSON.stringify(files))
+      .replace('self.__CACHE_VERSION__', JSON.stringify(version))
+
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     proxy: {
       '/api': {